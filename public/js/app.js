@@ -9,10 +9,13 @@
 
     // ─── State ─────────────────────────────
     const state = {
+        sessionId: null,
+        sessionReady: Promise.resolve(),
         countryChain: [],
         usedCountries: [],
         previousCountry: null,
         currentScenario: null,
+        currentChoices: [],
         isLoading: false,
         map: null,
         markers: [],
@@ -20,6 +23,9 @@
         sprite: null,
         journeyPath: null,
         isWalking: false,
+        modalMap: null,
+        regionLayer: null,
+        showRegions: false,
     };
 
     // ─── DOM Elements ──────────────────────
@@ -47,27 +53,39 @@
         btnNewGame: $('btn-new-game'),
         worldMapModal: $('world-map-modal'),
         btnCloseModal: $('btn-close-modal'),
+        btnRegionOverlay: $('btn-region-overlay'),
         toastContainer: $('toast-container'),
         leafletMap: $('leaflet-map'),
+        emotionLegend: $('emotion-legend'),
     };
 
     // ─── Emotion metadata ─────────────────
-    const EMOTIONS = {
-        warmth: { color: 'hsl(35,90%,55%)', icon: '☀️', label: 'Warmth' },
-        loneliness: { color: 'hsl(220,70%,55%)', icon: '🌙', label: 'Loneliness' },
-        tension: { color: 'hsl(0,75%,55%)', icon: '⚡', label: 'Tension' },
-        nostalgia: { color: 'hsl(280,60%,55%)', icon: '🌸', label: 'Nostalgia' },
-        belonging: { color: 'hsl(145,65%,45%)', icon: '🏡', label: 'Belonging' },
-    };
+    // Filled from /api/emotion-model so the frontend follows the server's dimensions.
+    const EMOTIONS = {};
+    let NEUTRAL = { color: '#94a3b8', icon: '', label: 'Neutral' };
 
-    const EMOTION_RGB = {
-        warmth: { r: 245, g: 158, b: 11 },
-        loneliness: { r: 59, g: 130, b: 246 },
-        tension: { r: 239, g: 68, b: 68 },
-        nostalgia: { r: 168, g: 85, b: 247 },
-        belonging: { r: 34, g: 197, b: 94 },
-        neutral: { r: 148, g: 163, b: 184 },
-    };
+    async function loadEmotionModel() {
+        try {
+            const res = await fetch('/api/emotion-model');
+            const model = await res.json();
+            model.dimensions.forEach((dim) => { EMOTIONS[dim.name] = dim; });
+            NEUTRAL = model.neutral || NEUTRAL;
+            renderLegend();
+        } catch (error) {
+            console.error('[Atlas] Emotion model error:', error);
+        }
+    }
+
+    function emotionColor(emotion) {
+        return (EMOTIONS[emotion] || NEUTRAL).color;
+    }
+
+    function renderLegend() {
+        if (!els.emotionLegend) return;
+        els.emotionLegend.innerHTML = Object.values(EMOTIONS).map((dim) =>
+            `<span class="legend-item"><span class="legend-dot" style="background:${dim.color}"></span>${dim.label}</span>`
+        ).join('');
+    }
 
     // ─── Initialize ────────────────────────
     function init() {
@@ -76,6 +94,8 @@
         try {
             initMap();
             setupEventListeners();
+            loadEmotionModel();
+            startSession();
             console.log('[Atlas] Initialization complete');
         } catch (error) {
             console.error('[Atlas] Initialization error:', error);
@@ -91,6 +111,22 @@
         }, 1500);
     }
 
+    // ─── Session ───────────────────────────
+    // The server owns the country chain; local state only mirrors it for display.
+    // Requests await sessionReady so none goes out with a stale or missing sessionId.
+    function startSession() {
+        state.sessionId = null;
+        const pending = api('/api/sessions', {})
+            .then((session) => {
+                if (state.sessionReady === pending) state.sessionId = session.id;
+            })
+            .catch((error) => {
+                console.error('[Atlas] Session error:', error);
+            });
+        state.sessionReady = pending;
+        return pending;
+    }
+
     // ─── Leaflet Map ───────────────────────
     function initMap() {
         if (!els.leafletMap) {
@@ -274,8 +310,7 @@
     function addMapMarker(country, emotion) {
         if (!state.map) return;
         
-        const color = EMOTION_RGB[emotion] || EMOTION_RGB.neutral;
-        const rgb = `rgb(${color.r},${color.g},${color.b})`;
+        const rgb = emotionColor(emotion);
         
         // Create custom icon with pulse effect
         const customIcon = L.divIcon({
@@ -294,15 +329,70 @@
             .addTo(state.map);
         
         // Add popup with country name
-        marker.bindPopup(`<b>${country.name}</b><br>${country.capital}`, {
+        const header = `<b>${country.name}</b><br>${country.capital}`;
+        marker.bindPopup(header, {
             closeButton: false,
             className: 'custom-popup'
         });
+        attachTimeline(marker, country.name, header);
 
         state.markers.push(marker);
         return marker;
     }
 
+    // ─── Country Timeline ──────────────────
+    // Popups fetch the country's daily emotion history the first time they open.
+    const SPARKLINE = { width: 160, height: 40 };
+
+    function attachTimeline(marker, countryName, header) {
+        let loaded = false;
+
+        marker.on('popupopen', async () => {
+            if (loaded) return;
+            loaded = true;
+
+            try {
+                const res = await fetch(`/api/country-profile/${encodeURIComponent(countryName)}/timeline?bucket=day`);
+                if (!res.ok) throw new Error('Request failed');
+                const { points } = await res.json();
+                marker.setPopupContent(header + renderSparkline(points));
+            } catch {
+                loaded = false;
+            }
+        });
+    }
+
+    // One line per emotion, with a faint area under each
+    function renderSparkline(points) {
+        if (!points?.length) {
+            return '<div class="timeline-empty">No history yet</div>';
+        }
+
+        const { width, height } = SPARKLINE;
+        const step = points.length > 1 ? width / (points.length - 1) : 0;
+        const x = (i) => (points.length > 1 ? i * step : width / 2).toFixed(1);
+        const y = (value) => (height - Math.max(0, Math.min(1, value || 0)) * height).toFixed(1);
+
+        const series = Object.keys(EMOTIONS).map((emotion) => {
+            const line = points.map((p, i) => `${x(i)},${y(p.emotions?.[emotion])}`).join(' ');
+            const area = `${x(0)},${height} ${line} ${x(points.length - 1)},${height}`;
+            const color = EMOTIONS[emotion].color;
+            return `<polygon points="${area}" fill="${color}" fill-opacity="0.08" />`
+                + `<polyline points="${line}" fill="none" stroke="${color}" stroke-width="1.5" />`;
+        }).join('');
+
+        const first = points[0].start;
+        const last = points[points.length - 1].start;
+
+        return `
+            <div class="timeline-sparkline">
+                <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img"
+                    aria-label="Emotion timeline from ${first} to ${last}">${series}</svg>
+                <div class="timeline-range"><span>${first}</span><span>${last}</span></div>
+            </div>
+        `;
+    }
+
     // ─── Event Listeners ──────────────────
     function setupEventListeners() {
         if (els.btnSubmit) {
@@ -336,6 +426,10 @@
         if (els.btnCloseModal) {
             els.btnCloseModal.addEventListener('click', closeWorldMap);
         }
+
+        if (els.btnRegionOverlay) {
+            els.btnRegionOverlay.addEventListener('click', toggleRegionOverlay);
+        }
         
         if (els.worldMapModal) {
             els.worldMapModal.addEventListener('click', (e) => {
@@ -372,11 +466,14 @@
         clearHint();
 
         try {
-            // Validate
+            await state.sessionReady;
+            if (!state.sessionId) await startSession();
+            if (!state.sessionId) throw new Error('No game session');
+
+            // Validate against the chain stored in the session
             const validation = await api('/api/validate-country', {
                 country: countryName,
-                previousCountry: state.previousCountry,
-                usedCountries: state.usedCountries,
+                sessionId: state.sessionId,
             });
 
             if (!validation.valid) {
@@ -393,19 +490,25 @@
             els.countryInput.classList.add('success');
             showHint(`✓ ${validation.country.name}`, 'success');
 
-            // Generate scenario
-            const scenario = await api('/api/generate-scenario', {
+            // Generate scenario, streaming the scene as it is written (JSON endpoint as fallback)
+            const scenarioRequest = {
                 country: validation.country.name,
-                capital: validation.country.capital,
-                lat: validation.country.lat,
-                lng: validation.country.lng,
-                continent: validation.country.continent,
-                region: validation.country.region,
+                sessionId: state.sessionId,
+            };
+            let streamed = false;
+            const scenario = await streamScenario(scenarioRequest, (text, restart) => {
+                showScenarioDraft(validation.country, text, restart);
+                streamed = true;
+            }).catch((err) => {
+                console.warn('[Atlas] Scenario stream unavailable, using JSON endpoint:', err.message);
+                streamed = false;
+                return api('/api/generate-scenario', scenarioRequest);
             });
 
             // Update state
             state.currentScenario = { ...scenario, countryData: validation.country };
-            state.usedCountries.push(validation.country.name.toLowerCase());
+            state.usedCountries = validation.session?.usedCountries
+                || [...state.usedCountries, validation.country.name.toLowerCase()];
             state.countryChain.push({
                 name: validation.country.name,
                 emotion: scenario.existingProfile?.dominantEmotion || 'neutral',
@@ -427,10 +530,14 @@
             // Update UI
             updateCountryChain();
 
-            // Show scenario after a delay (let animation start)
-            setTimeout(() => {
-                showScenario(scenario);
-            }, 1000);
+            // A streamed scene is already on screen; otherwise show it after a delay (let animation start)
+            if (streamed) {
+                showScenario(scenario, { streamed: true });
+            } else {
+                setTimeout(() => {
+                    showScenario(scenario);
+                }, 1000);
+            }
 
         } catch (err) {
             console.error('[Atlas] Submit error:', err);
@@ -441,8 +548,26 @@
         setLoading(false);
     }
 
+    // ─── Streamed Draft ────────────────────
+    function showScenarioDraft(country, text, restart) {
+        if (!els.scenarioArea || !els.scenarioText) return;
+
+        // The first token of each attempt starts a fresh draft
+        if (restart) {
+            els.inputArea.classList.add('hidden');
+            els.echoResult.classList.add('hidden');
+            els.scenarioArea.classList.remove('hidden');
+            if (els.scenarioCountryName) els.scenarioCountryName.textContent = country.name;
+            if (els.scenarioCapital) els.scenarioCapital.textContent = country.capital;
+            if (els.choiceButtons) els.choiceButtons.innerHTML = '';
+            clearInterval(els.scenarioText.typewriterTimer);
+            els.scenarioText.textContent = '';
+        }
+        els.scenarioText.textContent += text;
+    }
+
     // ─── Show Scenario ─────────────────────
-    function showScenario(scenario) {
+    function showScenario(scenario, { streamed = false } = {}) {
         if (!els.scenarioArea || !els.scenarioText) return;
         
         els.inputArea.classList.add('hidden');
@@ -452,35 +577,58 @@
         if (els.scenarioCountryName) els.scenarioCountryName.textContent = scenario.country;
         if (els.scenarioCapital) els.scenarioCapital.textContent = scenario.capital;
 
-        // Typewriter effect
-        typewriter(els.scenarioText, scenario.scenario, 30);
-
-        // Dynamically generate choice buttons
-        if (els.choiceButtons) {
-            els.choiceButtons.innerHTML = '';
-            scenario.choices.forEach((choice) => {
-                const btn = document.createElement('button');
-                btn.className = `choice-btn choice-${choice.id.toLowerCase()}`;
-                btn.setAttribute('data-choice', choice.id);
-                btn.innerHTML = `
-                    <span class="choice-label">${choice.id}</span>
-                    <span class="choice-text">${choice.text}</span>
-                `;
-                btn.addEventListener('click', () => handleChoice(choice.id));
-                els.choiceButtons.appendChild(btn);
-            });
+        // The final scene replaces any streamed draft; otherwise type it out
+        if (streamed) {
+            clearInterval(els.scenarioText.typewriterTimer);
+            els.scenarioText.textContent = scenario.scenario;
+        } else {
+            typewriter(els.scenarioText, scenario.scenario, 30);
         }
+        renderChoices(scenario.choices);
+    }
+
+    // ─── Choice Buttons ────────────────────
+    function renderChoices(choices) {
+        state.currentChoices = choices;
+        if (!els.choiceButtons) return;
+
+        els.choiceButtons.innerHTML = '';
+        choices.forEach((choice, index) => {
+            // Follow-up IDs are numbered under their parent ("B2"); colour by position either way
+            const label = choice.id.length > 1 ? choice.id.slice(1) : choice.id;
+            const btn = document.createElement('button');
+            btn.className = `choice-btn choice-${String.fromCharCode(97 + index)}`;
+            btn.setAttribute('data-choice', choice.id);
+            btn.innerHTML = `
+                <span class="choice-label">${label}</span>
+                <span class="choice-text">${choice.text}</span>
+            `;
+            btn.addEventListener('click', () => handleChoice(choice.id));
+            els.choiceButtons.appendChild(btn);
+        });
+    }
+
+    // ─── Follow-up Beat ────────────────────
+    function showFollowUp(choice) {
+        typewriter(els.scenarioText, choice.followUp.scenario, 30);
+        renderChoices(choice.followUp.choices);
     }
 
     // ─── Handle Choice ─────────────────────
     async function handleChoice(choiceId) {
         if (state.isLoading || !state.currentScenario) return;
 
-        const choice = state.currentScenario.choices.find(c => c.id === choiceId);
+        const choice = (state.currentChoices || []).find(c => c.id === choiceId);
         const countryData = state.currentScenario.countryData;
 
         if (!choice) return;
 
+        // First of two decisions: reveal the follow-up beat instead of submitting
+        if (choice.followUp) {
+            showFollowUp(choice);
+            return;
+        }
+
         // Visual feedback
         const buttons = els.choiceButtons.querySelectorAll('.choice-btn');
         buttons.forEach(btn => {
@@ -496,12 +644,8 @@
 
         try {
             const result = await api('/api/submit-choice', {
-                country: countryData.name,
-                capital: countryData.capital,
-                lat: countryData.lat,
-                lng: countryData.lng,
+                scenarioId: state.currentScenario.scenarioId,
                 choiceId,
-                emotions: choice.emotions,
             });
 
             state.previousCountry = countryData.name;
@@ -515,7 +659,8 @@
             }
             
             updateCountryChain();
-            showEcho(result.profile, choice.emotions, countryData.name);
+            // Two-step outcomes blend both decisions; the server returns the vector it applied
+            showEcho(result.profile, result.emotions || choice.emotions, countryData.name);
 
         } catch (err) {
             showToast('Failed to save your echo. Try again.', 'error');
@@ -533,7 +678,7 @@
 
         // Build emotion bars
         const barsHTML = Object.entries(choiceEmotions).map(([emotion, value]) => {
-            const meta = EMOTIONS[emotion] || { color: '#94a3b8', label: emotion };
+            const meta = EMOTIONS[emotion] || { color: NEUTRAL.color, icon: '', label: emotion };
             const pct = Math.round(value * 100);
             return `
                 <div class="emotion-bar-row">
@@ -686,22 +831,32 @@
                     maxZoom: 10
                 }).addTo(modalMap);
 
+                state.modalMap = modalMap;
+                state.regionLayer = null;
+                if (state.showRegions) showRegionOverlay();
+
                 data.countries.forEach((country) => {
                     const emotion = country.dominantEmotion || 'neutral';
-                    const color = EMOTION_RGB[emotion] || EMOTION_RGB.neutral;
-                    const rgb = `rgb(${color.r},${color.g},${color.b})`;
+                    const rgb = emotionColor(emotion);
                     const scale = Math.min(8 + country.visitCount * 1, 20);
+                    // Low-confidence countries fade out; contested ones get a ring
+                    const opacity = (0.25 + 0.55 * (country.confidence || 0)).toFixed(2);
+                    const ring = country.contested ? 'box-shadow:0 0 0 2px rgba(255,255,255,0.6);' : '';
 
                     const icon = L.divIcon({
                         className: 'modal-marker',
-                        html: `<div style="width:${scale}px;height:${scale}px;background:${rgb};border-radius:50%;opacity:0.8;"></div>`,
+                        html: `<div style="width:${scale}px;height:${scale}px;background:${rgb};border-radius:50%;opacity:${opacity};${ring}"></div>`,
                         iconSize: [scale, scale],
                         iconAnchor: [scale/2, scale/2],
                     });
 
-                    L.marker([country.lat, country.lng], { icon })
+                    const header = `<b>${country.name}</b><br>Visits: ${country.visitCount}`
+                        + `<br>Confidence: ${Math.round((country.confidence || 0) * 100)}%`
+                        + (country.contested ? ' · Contested' : '');
+                    const marker = L.marker([country.lat, country.lng], { icon })
                         .addTo(modalMap)
-                        .bindPopup(`<b>${country.name}</b><br>Visits: ${country.visitCount}`);
+                        .bindPopup(header);
+                    attachTimeline(marker, country.name, header);
                 });
             } else {
                 mapView.innerHTML = '<div style="display:flex;align-items:center;justify-content:center;height:100%;color:var(--text-muted);font-size:0.9rem;">No countries explored yet</div>';
@@ -711,6 +866,58 @@
         }
     }
 
+    // ─── Region Overlay ────────────────────
+    // One circle per region, sized by visits and coloured by its dominant emotion.
+    function toggleRegionOverlay() {
+        state.showRegions = !state.showRegions;
+        if (els.btnRegionOverlay) {
+            els.btnRegionOverlay.setAttribute('aria-pressed', String(state.showRegions));
+            els.btnRegionOverlay.classList.toggle('active', state.showRegions);
+        }
+
+        if (state.showRegions) {
+            showRegionOverlay();
+        } else if (state.regionLayer && state.modalMap) {
+            state.modalMap.removeLayer(state.regionLayer);
+            state.regionLayer = null;
+        }
+    }
+
+    async function showRegionOverlay() {
+        if (!state.modalMap || state.regionLayer) return;
+        const map = state.modalMap;
+
+        try {
+            const res = await fetch('/api/regions');
+            const { regions } = await res.json();
+            if (map !== state.modalMap || !state.showRegions) return;
+
+            const layer = L.layerGroup();
+            regions.filter((region) => region.visitCount > 0).forEach((region) => {
+                const top = region.topCountries
+                    .map((c) => `${c.name} (${Math.round(c.share * 100)}%)`)
+                    .join(', ');
+                const label = (EMOTIONS[region.dominantEmotion] || NEUTRAL).label;
+
+                L.circleMarker([region.lat, region.lng], {
+                    radius: Math.min(12 + Math.sqrt(region.visitCount) * 3, 40),
+                    color: region.color,
+                    fillColor: region.color,
+                    fillOpacity: 0.25,
+                    weight: 1,
+                })
+                    .bindPopup(`<b>${region.name}</b><br>${label} · Visits: ${region.visitCount}<br>${top}`, {
+                        className: 'custom-popup'
+                    })
+                    .addTo(layer);
+            });
+
+            state.regionLayer = layer.addTo(map);
+        } catch {
+            showToast('Could not load region data.', 'error');
+        }
+    }
+
     function closeWorldMap() {
         if (els.worldMapModal) {
             els.worldMapModal.classList.add('hidden');
@@ -719,10 +926,12 @@
 
     // ─── Reset Game ────────────────────────
     function resetGame() {
+        startSession();
         state.countryChain = [];
         state.usedCountries = [];
         state.previousCountry = null;
         state.currentScenario = null;
+        state.currentChoices = [];
 
         if (els.scenarioArea) els.scenarioArea.classList.add('hidden');
         if (els.echoResult) els.echoResult.classList.add('hidden');
@@ -802,8 +1011,46 @@
         return res.json();
     }
 
+    // Resolves with the final scenario; onDraft(text, restart) gets the scene as it streams
+    function streamScenario(request, onDraft) {
+        return new Promise((resolve, reject) => {
+            if (typeof EventSource === 'undefined') {
+                reject(new Error('EventSource is not supported'));
+                return;
+            }
+
+            const params = new URLSearchParams();
+            Object.entries(request).forEach(([key, value]) => {
+                if (value !== undefined && value !== null) params.set(key, value);
+            });
+
+            const source = new EventSource(`/api/generate-scenario/stream?${params}`);
+            let attempt = null;
+            source.addEventListener('token', (e) => {
+                const token = JSON.parse(e.data);
+                onDraft(token.text, token.attempt !== attempt);
+                attempt = token.attempt;
+            });
+            source.addEventListener('scenario', (e) => {
+                source.close();
+                resolve(JSON.parse(e.data));
+            });
+            source.addEventListener('failure', (e) => {
+                source.close();
+                reject(new Error(JSON.parse(e.data).error));
+            });
+            // EventSource reconnects on its own; one failed connection is enough to fall back
+            source.onerror = () => {
+                source.close();
+                reject(new Error('Scenario stream closed'));
+            };
+        });
+    }
+
     function typewriter(element, text, speed = 30) {
         if (!element) return;
+        // A new line replaces one still being typed (e.g. a follow-up beat)
+        clearInterval(element.typewriterTimer);
         element.textContent = '';
         let i = 0;
         const timer = setInterval(() => {
@@ -814,6 +1061,7 @@
                 clearInterval(timer);
             }
         }, speed);
+        element.typewriterTimer = timer;
     }
 
     function getLastLetter(str) {
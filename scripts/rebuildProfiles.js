@@ -0,0 +1,26 @@
+/**
+ * Rebuild Country Profiles
+ * Admin command: replays the echo log through the current merge formula and
+ * overwrites every country profile snapshot in the configured profile store.
+ *
+ *   npm run profiles:rebuild
+ *
+ * @module scripts/rebuildProfiles
+ */
+
+require('dotenv').config();
+
+const { rebuildProfilesFromEchoes } = require('../src/services/emotionEngine');
+const { getProfileStore } = require('../src/storage/profileStore');
+const { logger } = require('../src/utils/logger');
+
+async function main() {
+    const backend = getProfileStore().name;
+    const { echoes, profiles } = await rebuildProfilesFromEchoes();
+    logger.info('Rebuild complete', { backend, echoes, profiles });
+}
+
+main().catch((error) => {
+    logger.error('Rebuild failed', { error: error.message });
+    process.exitCode = 1;
+});
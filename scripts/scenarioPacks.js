@@ -0,0 +1,112 @@
+/**
+ * Scenario Packs
+ * Admin command: pre-generates scenario packs with the live model so curated
+ * scenes are available offline, and validates pack files.
+ *
+ *   npm run packs:generate -- --country Chad,Norway [--count 5] [--out src/scenarioPacks]
+ *   npm run packs:validate -- [dir]
+ *
+ * Generated scenes are spread across the day (each is written for a local
+ * moment a few hours after the previous one) and appended to
+ * `<out>/<country>.json`. Scenes that fell back or failed moderation are
+ * not kept. Review the output before committing it.
+ * @module scripts/scenarioPacks
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { generateScenario } = require('../src/services/scenarioGenerator');
+const { readScenarioPack, toPackScene, BUNDLED_PACKS_DIR } = require('../src/services/scenarioPacks');
+const { getLocalMoment } = require('../src/services/localMoment');
+const { getLlmProvider } = require('../src/llm/llmProvider');
+const { COUNTRIES_MAP } = require('../src/data/countries');
+const { logger } = require('../src/utils/logger');
+
+/** Hours between the moments of consecutive scenes, so a pack covers the whole day */
+const MOMENT_STEP_HOURS = 5;
+
+const DEFAULT_COUNT = 5;
+
+/**
+ * File name of a country's pack.
+ * @param {string} name - Country name
+ * @returns {string} e.g. "south-africa.json"
+ */
+function packFileName(name) {
+    return `${name.toLowerCase().normalize('NFD').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}.json`;
+}
+
+async function generate({ country, count, out }) {
+    if (!country) throw new Error('--country is required');
+    if (!getLlmProvider()) throw new Error('No LLM provider configured (set GEMINI_API_KEY or LLM_PROVIDER)');
+
+    const scenes = Number.parseInt(count, 10);
+    if (!(scenes > 0)) throw new Error('--count must be a positive integer');
+
+    fs.mkdirSync(out, { recursive: true });
+    for (const name of country.split(',').map((n) => n.trim()).filter(Boolean)) {
+        const known = COUNTRIES_MAP.get(name.toLowerCase());
+        if (!known) throw new Error(`Unknown country "${name}"`);
+
+        const file = path.join(out, packFileName(known.name));
+        const pack = fs.existsSync(file) ? readScenarioPack(file) : { scope: 'country', name: known.name, scenes: [] };
+
+        let kept = 0;
+        for (let i = 0; i < scenes; i++) {
+            const moment = getLocalMoment(known, new Date(Date.now() + i * MOMENT_STEP_HOURS * 3_600_000));
+            const scenario = await generateScenario(known, null, { moment });
+            if (!scenario.generated) {
+                logger.warn('Skipping fallback scene', { country: known.name, timeOfDay: moment.timeOfDay });
+                continue;
+            }
+            pack.scenes.push(toPackScene(scenario, moment));
+            kept++;
+        }
+
+        fs.writeFileSync(file, JSON.stringify(pack, null, 2) + '\n');
+        logger.info('Scenario pack written', { country: known.name, file, added: kept, total: pack.scenes.length });
+    }
+}
+
+function validate(dir) {
+    const files = fs.readdirSync(dir).filter((file) => file.endsWith('.json')).sort();
+    let failed = 0;
+    for (const file of files) {
+        try {
+            const pack = readScenarioPack(path.join(dir, file));
+            logger.info('Scenario pack valid', { file, scope: pack.scope, name: pack.name, scenes: pack.scenes.length });
+        } catch (error) {
+            failed++;
+            logger.error('Scenario pack invalid', { file, error: error.message });
+        }
+    }
+    if (failed > 0) throw new Error(`${failed} of ${files.length} packs invalid`);
+}
+
+async function main() {
+    const { positionals, values } = parseArgs({
+        allowPositionals: true,
+        options: {
+            country: { type: 'string' },
+            count: { type: 'string', default: String(DEFAULT_COUNT) },
+            out: { type: 'string', default: BUNDLED_PACKS_DIR },
+        },
+    });
+    const [command, dir] = positionals;
+
+    if (command === 'generate') {
+        await generate({ ...values, out: path.resolve(values.out) });
+    } else if (command === 'validate') {
+        validate(dir ? path.resolve(dir) : BUNDLED_PACKS_DIR);
+    } else {
+        throw new Error('Usage: scenarioPacks.js generate --country <names> [--count N] [--out dir] | validate [dir]');
+    }
+}
+
+main().catch((error) => {
+    logger.error('Scenario packs command failed', { error: error.message });
+    process.exitCode = 1;
+});
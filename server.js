@@ -17,10 +17,19 @@ const apiRoutes = require('./src/routes/api');
 const { requestIdMiddleware } = require('./src/middleware/requestId');
 const { logger } = require('./src/utils/logger');
 const { AppError } = require('./src/utils/AppError');
+const { connectSharedCaches } = require('./src/utils/cache');
+const { createCacheAdapter } = require('./src/cache/cacheAdapter');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a load balancer (e.g. Cloud Run), trust its X-Forwarded-For so
+// req.ip is the player's address for rate limits and contribution limits
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY, 10);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // ---------------------
 // Request ID + Tracing
 // ---------------------
@@ -159,6 +168,10 @@ app.use((err, req, res, _next) => {
 // Start Server
 // ---------------------
 if (process.env.NODE_ENV !== 'test') {
+  // Share caches between instances when a backend is configured
+  const cacheAdapter = createCacheAdapter();
+  if (cacheAdapter) connectSharedCaches(cacheAdapter);
+
   const server = app.listen(PORT, () => {
     logger.info('Server started', {
       port: PORT,
@@ -171,6 +184,7 @@ if (process.env.NODE_ENV !== 'test') {
   const shutdown = (signal) => {
     logger.info(`${signal} received, shutting down gracefully`);
     server.close(() => {
+      if (cacheAdapter) cacheAdapter.close();
       logger.info('Server closed');
       process.exit(0);
     });
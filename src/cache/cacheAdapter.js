@@ -0,0 +1,46 @@
+/**
+ * Cache Adapter
+ * The caches in utils/cache.js are LRUs inside each process. When the app
+ * runs as several instances (App Engine scales out), CACHE_BACKEND puts a
+ * shared adapter behind them: values loaded by one instance are reused by
+ * the others, and deleting or clearing a cache is broadcast so every
+ * instance drops its local copy. Every adapter implements the same async
+ * interface: get(key) → value or undefined, set(key, value, ttlMs, tags),
+ * delete(key), deleteTag(tag), clear(prefix), publish(message),
+ * subscribe(handler) → unsubscribe, close(). Values must survive a JSON round trip.
+ *
+ *   CACHE_BACKEND=local  In-process LRU caches only, nothing shared
+ *   CACHE_BACKEND=redis  Redis, or any server speaking its protocol, at REDIS_URL
+ *
+ * When unset, the local LRU caches are used.
+ * @module cache/cacheAdapter
+ */
+
+const { RedisCacheAdapter } = require('./redisCacheAdapter');
+const { logger } = require('../utils/logger');
+
+/**
+ * Build a cache adapter for the requested backend.
+ * @param {string} [type=process.env.CACHE_BACKEND] - local | redis
+ * @returns {Object|null} Adapter, or null when caches stay local
+ */
+function createCacheAdapter(type = process.env.CACHE_BACKEND) {
+    const backend = (type || '').trim().toLowerCase();
+
+    switch (backend) {
+        case '':
+        case 'local':
+            return null;
+
+        case 'redis':
+            return new RedisCacheAdapter(process.env.REDIS_URL, {
+                timeoutMs: parseInt(process.env.REDIS_TIMEOUT_MS, 10) || undefined,
+            });
+
+        default:
+            logger.warn('Unknown CACHE_BACKEND, using local caches', { cacheBackend: type });
+            return null;
+    }
+}
+
+module.exports = { createCacheAdapter };
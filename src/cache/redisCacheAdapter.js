@@ -0,0 +1,411 @@
+/**
+ * Redis Cache Adapter
+ * Shares cache values between instances through Redis — or any server that
+ * speaks its protocol (Memorystore, Valkey, KeyDB) — and carries invalidation
+ * messages over a pub/sub channel. Talks RESP over a plain socket, so no
+ * client library is needed. Values are stored as JSON under `atlas:`; each
+ * tag is a set under `atlas:tag:` listing the keys that carry it.
+ *
+ * A dedicated connection stays subscribed to the channel and reconnects after
+ * a drop; messages published while it was down are lost, so a missed
+ * invalidation lasts at most until the entry's TTL.
+ * @module cache/redisCacheAdapter
+ */
+
+const net = require('net');
+const tls = require('tls');
+const { logger } = require('../utils/logger');
+
+const DEFAULT_URL = 'redis://localhost:6379';
+
+/** Prefix of every key the adapter writes */
+const KEY_PREFIX = 'atlas:';
+
+/** Prefix of the sets listing the keys that carry each tag */
+const TAG_PREFIX = `${KEY_PREFIX}tag:`;
+
+/** Pub/sub channel for invalidation messages */
+const INVALIDATION_CHANNEL = 'atlas:cache-invalidation';
+
+/** Commands slower than this drop the connection (a request never waits longer) */
+const DEFAULT_TIMEOUT_MS = 1000;
+
+/** Delay before the subscriber connection reconnects */
+const RECONNECT_DELAY_MS = 1000;
+
+/** Keys asked for per SCAN step when clearing */
+const SCAN_COUNT = 100;
+
+/**
+ * Encode a command as a RESP array of bulk strings.
+ * @param {string[]} args - Command name and arguments
+ * @returns {string}
+ */
+function encodeCommand(args) {
+    return `*${args.length}\r\n` + args.map((arg) => `$${Buffer.byteLength(arg)}\r\n${arg}\r\n`).join('');
+}
+
+/**
+ * Parse one RESP value from a buffer.
+ * @param {Buffer} buffer
+ * @param {number} [start=0] - Offset of the value
+ * @returns {{ value: *, end: number }|null} The value (an Error for error
+ *   replies) and the offset after it, or null if the buffer holds only part of it
+ * @throws {Error} On a type byte RESP does not define
+ */
+function parseReply(buffer, start = 0) {
+    const lineEnd = buffer.indexOf('\r\n', start);
+    if (lineEnd === -1) return null;
+
+    const type = String.fromCharCode(buffer[start]);
+    const line = buffer.toString('utf8', start + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+        case '+':
+            return { value: line, end: next };
+        case '-':
+            return { value: new Error(line), end: next };
+        case ':':
+            return { value: Number(line), end: next };
+        case '$': {
+            const length = Number(line);
+            if (length < 0) return { value: null, end: next };
+            if (buffer.length < next + length + 2) return null;
+            return { value: buffer.toString('utf8', next, next + length), end: next + length + 2 };
+        }
+        case '*': {
+            const count = Number(line);
+            if (count < 0) return { value: null, end: next };
+            const items = [];
+            let end = next;
+            for (let i = 0; i < count; i++) {
+                const item = parseReply(buffer, end);
+                if (!item) return null;
+                items.push(item.value);
+                end = item.end;
+            }
+            return { value: items, end };
+        }
+        default:
+            throw new Error(`Unexpected RESP type "${type}"`);
+    }
+}
+
+/**
+ * Escape glob characters so a key prefix matches literally in SCAN MATCH.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeGlob(text) {
+    return text.replace(/[*?[\]\\]/g, '\\$&');
+}
+
+/**
+ * One connection to the server. Connects on first use and again after a drop;
+ * replies are matched to commands in order. Pushed pub/sub messages go to
+ * `onMessage` instead. A reply that cannot be parsed leaves the stream out of
+ * step, so the connection is dropped and the next command opens a new one.
+ */
+class RespConnection {
+    /**
+     * @param {URL} url - redis:// or rediss:// (TLS) URL with optional credentials and /db
+     * @param {{ timeoutMs: number, onMessage?: (channel: string, payload: string) => void, onClose?: () => void }} options
+     */
+    constructor(url, { timeoutMs, onMessage, onClose }) {
+        this._url = url;
+        this._timeoutMs = timeoutMs;
+        this._onMessage = onMessage;
+        this._onClose = onClose;
+        this._socket = null;
+        /** @type {Promise<void>|null} Settles once connected and authenticated */
+        this._ready = null;
+        this._buffer = Buffer.alloc(0);
+        /** @type {{ resolve: Function, reject: Function, timer: NodeJS.Timeout }[]} */
+        this._pending = [];
+    }
+
+    /**
+     * Send a command once connected.
+     * @param {...string} args - Command name and arguments
+     * @returns {Promise<*>} Reply
+     */
+    command(...args) {
+        return this._connect().then(() => this._send(args));
+    }
+
+    /**
+     * Close the connection; pending commands are rejected.
+     */
+    close() {
+        this._onClose = null;
+        this._drop(new Error('Redis connection closed'));
+    }
+
+    _connect() {
+        if (this._ready) return this._ready;
+
+        const secure = this._url.protocol === 'rediss:';
+        const host = this._url.hostname || 'localhost';
+        const port = Number(this._url.port) || 6379;
+
+        this._ready = new Promise((resolve, reject) => {
+            const connected = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+            const socket = secure
+                ? tls.connect({ host, port, servername: host }, connected)
+                : net.connect({ host, port }, connected);
+            this._socket = socket;
+            socket.setNoDelay(true);
+            // Events of a socket already dropped must not touch its replacement
+            const current = () => this._socket === socket;
+            // An unanswered connect (e.g. a firewalled host) would otherwise wait for the OS to give up
+            const timer = setTimeout(() => {
+                const error = new Error('Redis connect timed out');
+                reject(error);
+                if (current()) this._drop(error);
+            }, this._timeoutMs);
+            timer.unref();
+            socket.on('data', (chunk) => {
+                if (current()) this._read(chunk);
+            });
+            socket.on('error', (error) => {
+                clearTimeout(timer);
+                reject(error);
+                if (current()) this._drop(error);
+            });
+            socket.on('close', () => {
+                if (current()) this._drop(new Error('Redis connection closed'));
+            });
+        }).then(() => this._handshake()).catch((error) => {
+            this._drop(error);
+            throw error;
+        });
+
+        // A failed connection is retried by the next command
+        this._ready.catch(() => {});
+        return this._ready;
+    }
+
+    async _handshake() {
+        const { username, password, pathname } = this._url;
+        if (password) {
+            const credentials = username ? [decodeURIComponent(username), decodeURIComponent(password)] : [decodeURIComponent(password)];
+            await this._send(['AUTH', ...credentials]);
+        }
+        const db = pathname.replace(/^\//, '');
+        if (db && db !== '0') await this._send(['SELECT', db]);
+    }
+
+    _send(args) {
+        return new Promise((resolve, reject) => {
+            if (!this._socket) {
+                reject(new Error('Redis connection closed'));
+                return;
+            }
+            const timer = setTimeout(() => this._drop(new Error(`Redis ${args[0]} timed out`)), this._timeoutMs);
+            timer.unref();
+            this._pending.push({ resolve, reject, timer });
+            this._socket.write(encodeCommand(args));
+        });
+    }
+
+    _read(chunk) {
+        this._buffer = this._buffer.length > 0 ? Buffer.concat([this._buffer, chunk]) : chunk;
+
+        while (this._buffer.length > 0) {
+            let parsed;
+            try {
+                parsed = parseReply(this._buffer);
+            } catch (error) {
+                logger.warn('Dropping Redis connection after an unreadable reply', { error: error.message });
+                this._drop(error);
+                return;
+            }
+            if (!parsed) break;
+            this._buffer = this._buffer.subarray(parsed.end);
+            const reply = parsed.value;
+
+            if (this._onMessage && Array.isArray(reply) && reply[0] === 'message') {
+                this._onMessage(reply[1], reply[2]);
+                continue;
+            }
+
+            const pending = this._pending.shift();
+            if (!pending) continue;
+            clearTimeout(pending.timer);
+            if (reply instanceof Error) pending.reject(reply);
+            else pending.resolve(reply);
+        }
+    }
+
+    _drop(error) {
+        if (!this._socket) return;
+
+        const socket = this._socket;
+        this._socket = null;
+        this._ready = null;
+        this._buffer = Buffer.alloc(0);
+        socket.destroy();
+
+        for (const pending of this._pending.splice(0)) {
+            clearTimeout(pending.timer);
+            pending.reject(error);
+        }
+        if (this._onClose) this._onClose();
+    }
+}
+
+class RedisCacheAdapter {
+    /**
+     * @param {string} [url=DEFAULT_URL] - redis://[user:password@]host[:port][/db], or rediss:// for TLS
+     * @param {{ timeoutMs?: number, reconnectDelayMs?: number }} [options]
+     */
+    constructor(url = DEFAULT_URL, { timeoutMs = DEFAULT_TIMEOUT_MS, reconnectDelayMs = RECONNECT_DELAY_MS } = {}) {
+        this.name = 'redis';
+        this._url = new URL(url);
+        this._timeoutMs = timeoutMs;
+        this._reconnectDelayMs = reconnectDelayMs;
+        this._client = new RespConnection(this._url, { timeoutMs });
+        /** @type {RespConnection|null} Subscribed connection, opened by the first subscribe() */
+        this._subscriber = null;
+        /** @type {Set<(message: Object) => void>} */
+        this._handlers = new Set();
+        this._closed = false;
+    }
+
+    /**
+     * Get a value.
+     * @param {string} key
+     * @returns {Promise<*|undefined>} The value, or undefined if absent or expired
+     */
+    async get(key) {
+        const raw = await this._client.command('GET', KEY_PREFIX + key);
+        return raw === null ? undefined : JSON.parse(raw);
+    }
+
+    /**
+     * Store a JSON-serializable value. Tag sets live as long as their newest
+     * key (a cache gives all its entries the same TTL).
+     * @param {string} key
+     * @param {*} value
+     * @param {number} ttlMs - Time to live in milliseconds
+     * @param {string[]} [tags]
+     * @returns {Promise<void>}
+     */
+    async set(key, value, ttlMs, tags = []) {
+        const ttl = String(Math.max(1, Math.round(ttlMs)));
+        await Promise.all([
+            this._client.command('SET', KEY_PREFIX + key, JSON.stringify(value), 'PX', ttl),
+            ...tags.flatMap((tag) => [
+                this._client.command('SADD', TAG_PREFIX + tag, KEY_PREFIX + key),
+                this._client.command('PEXPIRE', TAG_PREFIX + tag, ttl),
+            ]),
+        ]);
+    }
+
+    /**
+     * Delete a value.
+     * @param {string} key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        await this._client.command('DEL', KEY_PREFIX + key);
+    }
+
+    /**
+     * Delete every value carrying a tag, and the tag itself.
+     * @param {string} tag
+     * @returns {Promise<void>}
+     */
+    async deleteTag(tag) {
+        const keys = await this._client.command('SMEMBERS', TAG_PREFIX + tag);
+        await this._client.command('DEL', ...keys, TAG_PREFIX + tag);
+    }
+
+    /**
+     * Delete every value whose key starts with the prefix (SCAN, not KEYS, so
+     * the server is never blocked).
+     * @param {string} prefix
+     * @returns {Promise<void>}
+     */
+    async clear(prefix) {
+        const pattern = `${escapeGlob(KEY_PREFIX + prefix)}*`;
+        let cursor = '0';
+        do {
+            const [next, keys] = await this._client.command('SCAN', cursor, 'MATCH', pattern, 'COUNT', String(SCAN_COUNT));
+            if (keys.length > 0) await this._client.command('DEL', ...keys);
+            cursor = next;
+        } while (cursor !== '0');
+    }
+
+    /**
+     * Send an invalidation message to every subscribed instance.
+     * @param {Object} message
+     * @returns {Promise<void>}
+     */
+    async publish(message) {
+        await this._client.command('PUBLISH', INVALIDATION_CHANNEL, JSON.stringify(message));
+    }
+
+    /**
+     * Receive invalidation messages.
+     * @param {(message: Object) => void} handler
+     * @returns {() => void} Stops delivering messages to the handler
+     */
+    subscribe(handler) {
+        this._handlers.add(handler);
+        if (!this._subscriber) {
+            this._subscriber = new RespConnection(this._url, {
+                timeoutMs: this._timeoutMs,
+                onMessage: (_channel, payload) => this._deliver(payload),
+                onClose: () => this._resubscribeLater(),
+            });
+            this._listen();
+        }
+        return () => this._handlers.delete(handler);
+    }
+
+    /**
+     * Close both connections.
+     */
+    close() {
+        this._closed = true;
+        this._client.close();
+        if (this._subscriber) this._subscriber.close();
+    }
+
+    _listen() {
+        this._subscriber.command('SUBSCRIBE', INVALIDATION_CHANNEL).catch((error) => {
+            logger.warn('Cache invalidation subscribe failed', { error: error.message });
+        });
+    }
+
+    _resubscribeLater() {
+        if (this._closed) return;
+        setTimeout(() => {
+            if (!this._closed) this._listen();
+        }, this._reconnectDelayMs).unref();
+    }
+
+    _deliver(payload) {
+        let message;
+        try {
+            message = JSON.parse(payload);
+        } catch {
+            logger.warn('Ignoring malformed cache invalidation message', { payload });
+            return;
+        }
+        this._handlers.forEach((handler) => handler(message));
+    }
+}
+
+module.exports = {
+    RedisCacheAdapter,
+    encodeCommand,
+    parseReply,
+    INVALIDATION_CHANNEL,
+    KEY_PREFIX,
+};
@@ -0,0 +1,174 @@
+/**
+ * Emotion Model Configuration
+ * Single definition of the emotion dimensions tracked by the game: name,
+ * display metadata, the description given to the scenario prompt, and how
+ * text sentiment maps onto each dimension.
+ *
+ * The default model is the original five dimensions. A private world can
+ * replace it with a JSON file at EMOTION_MODEL_PATH, e.g. to add "curiosity"
+ * and "awe". The model is read once at startup; changing it does not rewrite
+ * stored profiles (use `npm run profiles:rebuild` after a change).
+ * @module config/emotionModel
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+
+/**
+ * @typedef {Object} EmotionDimension
+ * @property {string} name - Key used in emotion vectors (lowercase)
+ * @property {string} label - Display label
+ * @property {string} icon - Display icon (emoji)
+ * @property {string} color - CSS colour
+ * @property {string} description - What the dimension means, for the prompt
+ * @property {{ positive?: number, negative?: number, mixed?: number }} [sentiment] -
+ *   Shift applied per unit of sentiment intensity for positive, negative and mixed text
+ */
+
+/**
+ * @typedef {Object} EmotionModel
+ * @property {EmotionDimension[]} dimensions - Tracked dimensions, in display order
+ * @property {{ label: string, icon: string, color: string }} neutral - Used when no dimension dominates
+ */
+
+/** @type {EmotionModel} */
+const DEFAULT_EMOTION_MODEL = {
+    dimensions: [
+        {
+            name: 'warmth',
+            label: 'Warmth',
+            icon: '☀️',
+            color: 'hsl(35, 90%, 55%)',
+            description: 'kindness, comfort and human connection',
+            sentiment: { positive: 0.25, negative: -0.15, mixed: 0.05 },
+        },
+        {
+            name: 'loneliness',
+            label: 'Loneliness',
+            icon: '🌙',
+            color: 'hsl(220, 70%, 55%)',
+            description: 'isolation, distance and quiet solitude',
+            sentiment: { positive: -0.15, negative: 0.2, mixed: 0.05 },
+        },
+        {
+            name: 'tension',
+            label: 'Tension',
+            icon: '⚡',
+            color: 'hsl(0, 75%, 55%)',
+            description: 'conflict, pressure and unease',
+            sentiment: { positive: -0.15, negative: 0.25 },
+        },
+        {
+            name: 'nostalgia',
+            label: 'Nostalgia',
+            icon: '🌸',
+            color: 'hsl(280, 60%, 55%)',
+            description: 'memory, longing and the past',
+            sentiment: { positive: 0.05, mixed: 0.2 },
+        },
+        {
+            name: 'belonging',
+            label: 'Belonging',
+            icon: '🏡',
+            color: 'hsl(145, 65%, 45%)',
+            description: 'being welcomed, included and at home',
+            sentiment: { positive: 0.2, negative: -0.15 },
+        },
+    ],
+    neutral: { label: 'Neutral', icon: '◌', color: 'hsl(220, 15%, 55%)' },
+};
+
+/** Dimension names must be safe as object keys, prompt tokens and CSS classes */
+const NAME_PATTERN = /^[a-z][a-z_]{1,31}$/;
+
+/**
+ * Check a model definition and fill in optional fields.
+ * @param {Object} definition - Parsed model definition
+ * @returns {EmotionModel} Validated model
+ * @throws {Error} If the definition is unusable
+ */
+function validateEmotionModel(definition) {
+    const dimensions = definition?.dimensions;
+    if (!Array.isArray(dimensions) || dimensions.length < 2) {
+        throw new Error('Emotion model needs at least two dimensions');
+    }
+
+    const seen = new Set();
+    const validated = dimensions.map((dim) => {
+        if (!dim || !NAME_PATTERN.test(dim.name)) {
+            throw new Error(`Invalid emotion dimension name: ${JSON.stringify(dim?.name)}`);
+        }
+        if (dim.name === 'neutral' || seen.has(dim.name)) {
+            throw new Error(`Duplicate or reserved emotion dimension: ${dim.name}`);
+        }
+        if (typeof dim.color !== 'string' || !dim.color) {
+            throw new Error(`Emotion dimension ${dim.name} needs a color`);
+        }
+        seen.add(dim.name);
+
+        return {
+            name: dim.name,
+            label: dim.label || dim.name.charAt(0).toUpperCase() + dim.name.slice(1),
+            icon: dim.icon || '•',
+            color: dim.color,
+            description: dim.description || dim.name,
+            sentiment: dim.sentiment || {},
+        };
+    });
+
+    return {
+        dimensions: validated,
+        neutral: { ...DEFAULT_EMOTION_MODEL.neutral, ...definition.neutral },
+    };
+}
+
+/**
+ * Load the emotion model from EMOTION_MODEL_PATH, or the default model.
+ * An unreadable or invalid file is logged and the default model is used.
+ * @returns {EmotionModel}
+ */
+function loadEmotionModel() {
+    const modelPath = process.env.EMOTION_MODEL_PATH;
+    if (!modelPath) return DEFAULT_EMOTION_MODEL;
+
+    try {
+        const definition = JSON.parse(fs.readFileSync(path.resolve(modelPath), 'utf8'));
+        const model = validateEmotionModel(definition);
+        logger.info('Emotion model loaded', { path: modelPath, dimensions: model.dimensions.map((d) => d.name) });
+        return model;
+    } catch (error) {
+        logger.error('Emotion model unusable, using default', { path: modelPath, error: error.message });
+        return DEFAULT_EMOTION_MODEL;
+    }
+}
+
+/** @type {EmotionModel} Active model for this process */
+const EMOTION_MODEL = loadEmotionModel();
+
+/**
+ * Names of the active emotion dimensions.
+ * @type {string[]}
+ */
+const EMOTION_DIMENSIONS = Object.freeze(EMOTION_MODEL.dimensions.map((dim) => dim.name));
+
+/**
+ * Public view of the active model (for the frontend).
+ * @returns {{ dimensions: Array<Omit<EmotionDimension, 'sentiment'>>, neutral: Object }}
+ */
+function getEmotionModel() {
+    return {
+        dimensions: EMOTION_MODEL.dimensions.map(({ name, label, icon, color, description }) =>
+            ({ name, label, icon, color, description })),
+        neutral: EMOTION_MODEL.neutral,
+    };
+}
+
+module.exports = {
+    EMOTION_MODEL,
+    EMOTION_DIMENSIONS,
+    DEFAULT_EMOTION_MODEL,
+    getEmotionModel,
+    validateEmotionModel,
+    loadEmotionModel,
+};
@@ -5,6 +5,26 @@
 
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 
+/** Default Gemini model */
+const GEMINI_MODEL = 'gemini-2.0-flash';
+
+/** Generation settings shared by every Gemini request (JSON output) */
+const GENERATION_CONFIG = {
+    temperature: 0.85,
+    topP: 0.92,
+    topK: 40,
+    maxOutputTokens: 1024,
+    responseMimeType: 'application/json'
+};
+
+/** Safety thresholds applied to every Gemini request */
+const SAFETY_SETTINGS = [
+    { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+    { category: 'HARM_CATEGORY_HATE_SPEECH', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+    { category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+    { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' }
+];
+
 let genAI = null;
 let model = null;
 
@@ -23,23 +43,12 @@ function initializeGemini() {
     try {
         genAI = new GoogleGenerativeAI(apiKey);
         model = genAI.getGenerativeModel({
-            model: 'gemini-2.0-flash',
-            generationConfig: {
-                temperature: 0.85,
-                topP: 0.92,
-                topK: 40,
-                maxOutputTokens: 1024,
-                responseMimeType: 'application/json'
-            },
-            safetySettings: [
-                { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
-                { category: 'HARM_CATEGORY_HATE_SPEECH', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
-                { category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
-                { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' }
-            ]
+            model: GEMINI_MODEL,
+            generationConfig: GENERATION_CONFIG,
+            safetySettings: SAFETY_SETTINGS
         });
 
-        console.log('[Gemini] AI model initialized (gemini-2.0-flash)');
+        console.log(`[Gemini] AI model initialized (${GEMINI_MODEL})`);
         return { genAI, model };
     } catch (error) {
         console.error('[Gemini] Initialization error:', error.message);
@@ -58,4 +67,15 @@ function getModel() {
     return model;
 }
 
-module.exports = { initializeGemini, getModel };
+/**
+ * Get the Gemini client, for requesting models with other settings
+ * @returns {GoogleGenerativeAI|null}
+ */
+function getClient() {
+    if (!genAI) {
+        initializeGemini();
+    }
+    return genAI;
+}
+
+module.exports = { initializeGemini, getModel, getClient, GEMINI_MODEL, GENERATION_CONFIG, SAFETY_SETTINGS };
@@ -0,0 +1,161 @@
+/**
+ * Prompt Template Registry
+ * Prompt wording lives in versioned text files rather than code, so it can be
+ * changed, compared and A/B tested without touching the generator. Each
+ * template uses `{{variable}}` placeholders filled in at render time.
+ *
+ * Templates are listed in `manifest.json` by prompt name:
+ *
+ *   { "scenario": [
+ *       { "version": "scenario-v1", "file": "scenario-v1.txt", "weight": 3 },
+ *       { "version": "scenario-v2", "file": "scenario-v2.txt", "weight": 1 } ] }
+ *
+ * A request either pins a version or gets one at random in proportion to the
+ * weights (weight 0 = only when pinned). The bundled templates are in
+ * src/prompts; PROMPT_TEMPLATES_DIR points at another directory with the same
+ * layout. The registry is read once at startup.
+ * @module config/promptRegistry
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+
+/** Templates shipped with the app */
+const BUNDLED_TEMPLATES_DIR = path.join(__dirname, '..', 'prompts');
+
+const VERSION_PATTERN = /^[a-z0-9][a-z0-9._-]{0,63}$/i;
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * @typedef {Object} PromptTemplate
+ * @property {string} name - Prompt name (e.g. "scenario")
+ * @property {string} version - Version recorded on everything the template produces
+ * @property {number} weight - Relative A/B weight
+ * @property {string} text - Template text
+ * @property {string[]} variables - Placeholders used in the text
+ */
+
+/**
+ * Load and validate the templates listed in a directory's manifest.
+ * @param {string} dir - Directory containing manifest.json
+ * @returns {Map<string, PromptTemplate[]>} Templates by prompt name
+ * @throws {Error} If the manifest or a template is missing or invalid
+ */
+function readPromptTemplates(dir) {
+    const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8'));
+    const registry = new Map();
+    const versions = new Set();
+
+    for (const [name, entries] of Object.entries(manifest)) {
+        if (!Array.isArray(entries) || entries.length === 0) {
+            throw new Error(`Prompt "${name}" needs at least one template`);
+        }
+
+        registry.set(name, entries.map((entry) => {
+            const version = entry?.version;
+            if (typeof version !== 'string' || !VERSION_PATTERN.test(version)) {
+                throw new Error(`Invalid version for prompt "${name}": ${JSON.stringify(version)}`);
+            }
+            if (versions.has(version)) throw new Error(`Duplicate prompt version "${version}"`);
+            versions.add(version);
+
+            const weight = entry.weight ?? 1;
+            if (typeof weight !== 'number' || !(weight >= 0)) {
+                throw new Error(`Prompt version "${version}" needs a non-negative weight`);
+            }
+
+            const text = fs.readFileSync(path.join(dir, entry.file), 'utf8').replace(/\r?\n$/, '');
+            const variables = [...new Set([...text.matchAll(VARIABLE_PATTERN)].map((m) => m[1]))];
+            return { name, version, weight, text, variables };
+        }));
+    }
+
+    return registry;
+}
+
+/**
+ * Load the registry from PROMPT_TEMPLATES_DIR, or the bundled templates.
+ * An unreadable or invalid directory is logged and the bundled templates are used.
+ * @returns {Map<string, PromptTemplate[]>}
+ */
+function loadPromptRegistry() {
+    const dir = process.env.PROMPT_TEMPLATES_DIR;
+    if (dir) {
+        try {
+            const registry = readPromptTemplates(path.resolve(dir));
+            logger.info('Prompt templates loaded', { dir, versions: [...registry.values()].flat().map((t) => t.version) });
+            return registry;
+        } catch (error) {
+            logger.error('Prompt templates unusable, using bundled templates', { dir, error: error.message });
+        }
+    }
+    return readPromptTemplates(BUNDLED_TEMPLATES_DIR);
+}
+
+/** @type {Map<string, PromptTemplate[]>} Active registry for this process */
+const PROMPT_REGISTRY = loadPromptRegistry();
+
+/**
+ * Pick a template for a prompt: the pinned version if it exists, otherwise
+ * one at random in proportion to the weights.
+ * @param {string} name - Prompt name
+ * @param {{ version?: string, random?: () => number }} [options]
+ * @param {Map<string, PromptTemplate[]>} [registry=PROMPT_REGISTRY]
+ * @returns {PromptTemplate}
+ * @throws {Error} If no templates are registered under the name
+ */
+function selectPromptTemplate(name, options = {}, registry = PROMPT_REGISTRY) {
+    const templates = registry.get(name);
+    if (!templates) throw new Error(`No prompt templates registered for "${name}"`);
+
+    if (options.version) {
+        const pinned = templates.find((t) => t.version === options.version);
+        if (pinned) return pinned;
+        logger.warn('Pinned prompt version not found, using weighted selection', { prompt: name, version: options.version });
+    }
+
+    const total = templates.reduce((sum, t) => sum + t.weight, 0);
+    if (total === 0) return templates[0];
+
+    let target = (options.random || Math.random)() * total;
+    for (const template of templates) {
+        target -= template.weight;
+        if (target < 0) return template;
+    }
+    return templates[templates.length - 1];
+}
+
+/**
+ * Fill a template's placeholders.
+ * @param {PromptTemplate} template - Template to render
+ * @param {Object<string, string|number>} variables - Values by placeholder name
+ * @returns {string} Rendered prompt
+ * @throws {Error} If the template uses a variable that was not supplied
+ */
+function renderPrompt(template, variables) {
+    return template.text.replace(VARIABLE_PATTERN, (_match, key) => {
+        if (!(key in variables)) {
+            throw new Error(`Prompt ${template.version} uses unknown variable {{${key}}}`);
+        }
+        return String(variables[key]);
+    });
+}
+
+/**
+ * Versions registered for a prompt, with their weights.
+ * @param {string} name - Prompt name
+ * @returns {{ version: string, weight: number }[]}
+ */
+function listPromptVersions(name) {
+    return (PROMPT_REGISTRY.get(name) || []).map(({ version, weight }) => ({ version, weight }));
+}
+
+module.exports = {
+    selectPromptTemplate,
+    renderPrompt,
+    listPromptVersions,
+    readPromptTemplates,
+    loadPromptRegistry,
+    BUNDLED_TEMPLATES_DIR,
+};
@@ -0,0 +1,107 @@
+/**
+ * Content Safety Lexicon
+ * Terms that must never appear in a generated scenario: a global blocklist
+ * (slurs, graphic violence, sexual content) and stereotype phrases, either
+ * for every country (`"*"`) or for one country, keyed by lowercase name.
+ *
+ * The default lexicon is deliberately small. A deployment can replace it with
+ * a JSON file of the same shape at CONTENT_SAFETY_PATH:
+ *
+ *   { "blocklist": ["..."], "stereotypes": { "*": ["..."], "colombia": ["cocaine"] } }
+ *
+ * The lexicon is read once at startup; an invalid file is logged and the
+ * default is used.
+ * @module config/safetyLexicon
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+
+/**
+ * @typedef {Object} SafetyLexicon
+ * @property {string[]} blocklist - Terms blocked in every scenario
+ * @property {Object<string, string[]>} stereotypes - Stereotype phrases by lowercase
+ *   country name; `"*"` applies to every country
+ */
+
+/** @type {SafetyLexicon} */
+const DEFAULT_SAFETY_LEXICON = {
+    blocklist: [
+        'behead', 'beheading', 'decapitated', 'dismembered', 'massacre', 'rape', 'raped', 'suicide bomber',
+        'lynching', 'genocide', 'porn', 'naked', 'nude', 'sex', 'heroin', 'meth',
+    ],
+    stereotypes: {
+        '*': [
+            'primitive', 'uncivilized', 'uncivilised', 'savage', 'savages', 'backward people', 'third-world',
+            'third world', 'exotic natives', 'tribal savages', 'shithole', 'terrorist', 'terrorists',
+        ],
+        colombia: ['cocaine', 'drug lord', 'cartel', 'narco'],
+        mexico: ['cartel', 'narco', 'lazy'],
+        italy: ['mafia', 'mobster'],
+        russia: ['vodka-soaked', 'kgb'],
+        ireland: ['drunk', 'drunken'],
+        nigeria: ['scammer', 'scam email'],
+        afghanistan: ['taliban', 'terrorist'],
+        somalia: ['pirate', 'pirates'],
+        jamaica: ['ganja'],
+    },
+};
+
+/**
+ * Check a lexicon definition and normalize its terms to lowercase.
+ * @param {Object} definition - Parsed lexicon
+ * @returns {SafetyLexicon} Validated lexicon
+ * @throws {Error} If the definition is unusable
+ */
+function validateSafetyLexicon(definition) {
+    const terms = (list, where) => {
+        if (!Array.isArray(list) || list.some((term) => typeof term !== 'string' || !term.trim())) {
+            throw new Error(`${where} must be a list of non-empty strings`);
+        }
+        return [...new Set(list.map((term) => term.trim().toLowerCase()))];
+    };
+
+    const stereotypes = definition?.stereotypes ?? {};
+    if (typeof stereotypes !== 'object' || Array.isArray(stereotypes)) {
+        throw new Error('stereotypes must be an object keyed by country');
+    }
+
+    return {
+        blocklist: terms(definition?.blocklist ?? [], 'blocklist'),
+        stereotypes: Object.fromEntries(Object.entries(stereotypes)
+            .map(([country, list]) => [country.toLowerCase(), terms(list, `stereotypes.${country}`)])),
+    };
+}
+
+/**
+ * Load the lexicon from CONTENT_SAFETY_PATH, or the default lexicon.
+ * @returns {SafetyLexicon}
+ */
+function loadSafetyLexicon() {
+    const lexiconPath = process.env.CONTENT_SAFETY_PATH;
+    if (!lexiconPath) return DEFAULT_SAFETY_LEXICON;
+
+    try {
+        const lexicon = validateSafetyLexicon(JSON.parse(fs.readFileSync(path.resolve(lexiconPath), 'utf8')));
+        logger.info('Content safety lexicon loaded', {
+            path: lexiconPath,
+            blocklist: lexicon.blocklist.length,
+            countries: Object.keys(lexicon.stereotypes).length,
+        });
+        return lexicon;
+    } catch (error) {
+        logger.error('Content safety lexicon unusable, using default', { path: lexiconPath, error: error.message });
+        return DEFAULT_SAFETY_LEXICON;
+    }
+}
+
+/** @type {SafetyLexicon} Active lexicon for this process */
+const SAFETY_LEXICON = loadSafetyLexicon();
+
+module.exports = {
+    SAFETY_LEXICON,
+    DEFAULT_SAFETY_LEXICON,
+    validateSafetyLexicon,
+    loadSafetyLexicon,
+};
@@ -233,6 +233,16 @@ function searchCountries(prefix, limit = 10) {
     return results;
 }
 
+/**
+ * Look up a country by name, ignoring case and surrounding whitespace
+ * @param {string} name
+ * @returns {object|null} The canonical dataset entry, or null if unknown
+ */
+function findCountry(name) {
+    if (typeof name !== 'string') return null;
+    return COUNTRIES_MAP.get(name.trim().toLowerCase()) || null;
+}
+
 console.log(`[Countries] Loaded ${COUNTRIES_MAP.size} countries`);
 
-module.exports = { COUNTRIES_MAP, COUNTRIES_RAW, searchCountries };
+module.exports = { COUNTRIES_MAP, COUNTRIES_RAW, searchCountries, findCountry };
@@ -0,0 +1,55 @@
+/**
+ * Gemini LLM Provider
+ * Generates JSON through Google Gemini, reusing the shared client, generation
+ * settings and safety thresholds from config/gemini.
+ * @module llm/geminiProvider
+ */
+
+const { GEMINI_MODEL, GENERATION_CONFIG, SAFETY_SETTINGS } = require('../config/gemini');
+const { parseJsonResponse } = require('./parseJsonResponse');
+
+class GeminiProvider {
+    /**
+     * @param {import('@google/generative-ai').GoogleGenerativeAI} client - Initialized Gemini client
+     * @param {{ model?: string }} [options]
+     */
+    constructor(client, options = {}) {
+        this._client = client;
+        this._model = options.model || GEMINI_MODEL;
+        this.name = 'gemini';
+    }
+
+    /**
+     * Generate a JSON object from a prompt, streaming the text when asked to.
+     * @param {string} prompt - Full prompt text
+     * @param {import('./llmProvider').GenerateOptions} [options]
+     * @returns {Promise<Object>} Parsed JSON response
+     */
+    async generateJson(prompt, options = {}) {
+        const model = this._client.getGenerativeModel({
+            model: options.model || this._model,
+            generationConfig: {
+                ...GENERATION_CONFIG,
+                ...(options.temperature !== undefined && { temperature: options.temperature }),
+                ...(options.maxOutputTokens && { maxOutputTokens: options.maxOutputTokens }),
+            },
+            safetySettings: SAFETY_SETTINGS,
+        });
+
+        if (!options.onText) {
+            const result = await model.generateContent(prompt);
+            return parseJsonResponse(result.response.text());
+        }
+
+        const result = await model.generateContentStream(prompt);
+        let text = '';
+        for await (const chunk of result.stream) {
+            const piece = chunk.text();
+            text += piece;
+            options.onText(piece);
+        }
+        return parseJsonResponse(text);
+    }
+}
+
+module.exports = { GeminiProvider };
@@ -0,0 +1,97 @@
+/**
+ * LLM Provider
+ * Selects the language model backend for scenario generation from the
+ * LLM_PROVIDER environment variable. Every provider implements the same
+ * async interface: generateJson(prompt, options) → parsed JSON object,
+ * and throws if the model fails or its output is not JSON. With an `onText`
+ * option the response text is also passed on while it streams in.
+ *
+ *   LLM_PROVIDER=gemini  Google Gemini (needs GEMINI_API_KEY)
+ *   LLM_PROVIDER=openai  OpenAI-compatible server at LLM_BASE_URL (e.g. a local Ollama)
+ *   LLM_PROVIDER=stub    Seeded template generator (LLM_STUB_SEED), fully offline
+ *
+ * When unset, Gemini is used if a key is configured; otherwise there is no
+ * provider and the generator serves its static fallback scenarios.
+ * @module llm/llmProvider
+ */
+
+const { getClient } = require('../config/gemini');
+const { GeminiProvider } = require('./geminiProvider');
+const { OpenAiCompatibleProvider } = require('./openAiCompatibleProvider');
+const { StubProvider } = require('./stubProvider');
+const { logger } = require('../utils/logger');
+
+/**
+ * @typedef {Object} GenerateOptions
+ * @property {string} [model] - Model name, overriding the provider default
+ * @property {number} [temperature] - Sampling temperature
+ * @property {number} [maxOutputTokens] - Response length cap
+ * @property {(chunk: string) => void} [onText] - Called with each piece of raw response
+ *   text as it streams in, before the whole answer is parsed
+ */
+
+/** @type {Object|null|undefined} Active provider (undefined until first selected) */
+let activeProvider;
+
+/**
+ * Build the Gemini provider, or null without a usable key.
+ * @returns {GeminiProvider|null}
+ */
+function createGeminiProvider() {
+    const client = getClient();
+    return client ? new GeminiProvider(client, { model: process.env.LLM_MODEL }) : null;
+}
+
+/**
+ * Build an LLM provider for the requested backend.
+ * @param {string} [type=process.env.LLM_PROVIDER] - gemini | openai | stub
+ * @returns {Object|null} Provider, or null if none is available
+ */
+function createLlmProvider(type = process.env.LLM_PROVIDER) {
+    const backend = (type || '').trim().toLowerCase();
+
+    switch (backend) {
+        case '':
+        case 'gemini':
+            return createGeminiProvider();
+
+        case 'openai':
+            return new OpenAiCompatibleProvider({
+                baseUrl: process.env.LLM_BASE_URL,
+                model: process.env.LLM_MODEL,
+                apiKey: process.env.LLM_API_KEY,
+                timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS, 10) || undefined,
+            });
+
+        case 'stub': {
+            const seed = parseInt(process.env.LLM_STUB_SEED, 10);
+            return new StubProvider({ seed: Number.isNaN(seed) ? undefined : seed });
+        }
+
+        default:
+            logger.warn('Unknown LLM_PROVIDER, using Gemini', { llmProvider: type });
+            return createGeminiProvider();
+    }
+}
+
+/**
+ * Get the active LLM provider, selecting it on first use.
+ * @returns {Object|null} Provider, or null if none is available
+ */
+function getLlmProvider() {
+    if (activeProvider === undefined) {
+        activeProvider = createLlmProvider();
+        logger.info('LLM provider initialized', { provider: activeProvider ? activeProvider.name : 'none' });
+    }
+    return activeProvider;
+}
+
+/**
+ * Replace the active provider (used by tests).
+ * @param {Object|null|undefined} provider - Provider instance, null for none, or undefined to re-select from env on next use
+ */
+function setLlmProvider(provider) {
+    activeProvider = provider;
+}
+
+module.exports = { createLlmProvider, getLlmProvider, setLlmProvider };
@@ -0,0 +1,114 @@
+/**
+ * OpenAI-Compatible LLM Provider
+ * Generates JSON through any server implementing the OpenAI
+ * `/chat/completions` API — typically a local model server such as
+ * Ollama, llama.cpp or vLLM, so staging can run without a cloud key.
+ * @module llm/openAiCompatibleProvider
+ */
+
+const { parseJsonResponse } = require('./parseJsonResponse');
+
+/** Defaults for a local Ollama server */
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+const DEFAULT_MODEL = 'llama3.1';
+
+/** Requests slower than this are aborted */
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * Read a streamed chat completion (server-sent `data:` lines with content
+ * deltas) and return the whole message.
+ * @param {ReadableStream<Uint8Array>} body - Response body
+ * @param {(chunk: string) => void} onText - Called with each content delta
+ * @returns {Promise<string>} Message content
+ * @throws {Error} If the stream carries no content
+ */
+async function readStreamedContent(body, onText) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let content = '';
+
+    const readLine = (line) => {
+        const data = line.trim().replace(/^data:\s*/, '');
+        if (!line.startsWith('data:') || data === '[DONE]') return;
+        const delta = JSON.parse(data)?.choices?.[0]?.delta?.content;
+        if (typeof delta === 'string' && delta) {
+            content += delta;
+            onText(delta);
+        }
+    };
+
+    for await (const bytes of body) {
+        buffer += decoder.decode(bytes, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(readLine);
+    }
+    readLine(buffer);
+
+    if (!content) throw new Error('LLM server returned no message content');
+    return content;
+}
+
+class OpenAiCompatibleProvider {
+    /**
+     * @param {{ baseUrl?: string, model?: string, apiKey?: string, timeoutMs?: number, fetch?: Function }} [options]
+     */
+    constructor(options = {}) {
+        this._baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+        this._model = options.model || DEFAULT_MODEL;
+        this._apiKey = options.apiKey || null;
+        this._timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+        this._fetch = options.fetch || globalThis.fetch;
+        this.name = 'openai';
+    }
+
+    /**
+     * Generate a JSON object from a prompt, streaming the reply when asked to.
+     * @param {string} prompt - Full prompt text
+     * @param {import('./llmProvider').GenerateOptions} [options]
+     * @returns {Promise<Object>} Parsed JSON response
+     * @throws {Error} On HTTP errors, timeouts or a response that is not JSON
+     */
+    async generateJson(prompt, options = {}) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this._timeoutMs);
+
+        try {
+            const response = await this._fetch(`${this._baseUrl}/chat/completions`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(this._apiKey && { Authorization: `Bearer ${this._apiKey}` }),
+                },
+                body: JSON.stringify({
+                    model: options.model || this._model,
+                    messages: [{ role: 'user', content: prompt }],
+                    temperature: options.temperature,
+                    max_tokens: options.maxOutputTokens,
+                    response_format: { type: 'json_object' },
+                    ...(options.onText && { stream: true }),
+                }),
+                signal: controller.signal,
+            });
+
+            if (!response.ok) {
+                throw new Error(`LLM server responded with ${response.status}`);
+            }
+            if (options.onText) {
+                return parseJsonResponse(await readStreamedContent(response.body, options.onText));
+            }
+
+            const body = await response.json();
+            const content = body?.choices?.[0]?.message?.content;
+            if (typeof content !== 'string') {
+                throw new Error('LLM server returned no message content');
+            }
+            return parseJsonResponse(content);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+module.exports = { OpenAiCompatibleProvider, DEFAULT_BASE_URL, DEFAULT_MODEL };
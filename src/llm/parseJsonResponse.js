@@ -0,0 +1,116 @@
+/**
+ * Parse the text of a model response as JSON.
+ * Models served without a JSON mode often wrap their answer in a Markdown
+ * code fence, add a sentence around it, or leave trailing commas. When the
+ * text is not valid JSON as-is, those are repaired before giving up.
+ * A streamed response can also be followed while it arrives, to show one
+ * string field (such as the scene) before the whole object is complete.
+ * @module llm/parseJsonResponse
+ */
+
+/**
+ * Apply the lenient fixes: strip a code fence, keep only the outermost
+ * object, and drop commas before a closing bracket.
+ * @param {string} text - Raw response text
+ * @returns {string} Repaired text
+ */
+function repairJsonText(text) {
+    let repaired = text.trim();
+
+    const fenced = repaired.match(/```(?:json)?\s*([\s\S]*?)\s*```/i);
+    if (fenced) repaired = fenced[1];
+
+    const start = repaired.indexOf('{');
+    const end = repaired.lastIndexOf('}');
+    if (start !== -1 && end > start) repaired = repaired.slice(start, end + 1);
+
+    return repaired.replace(/,(\s*[}\]])/g, '$1');
+}
+
+/**
+ * @param {string} text - Raw response text
+ * @returns {Object} Parsed JSON
+ * @throws {SyntaxError} If the text is not valid JSON even after repair
+ */
+function parseJsonResponse(text) {
+    const raw = String(text || '');
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        try {
+            return JSON.parse(repairJsonText(raw));
+        } catch {
+            throw error;
+        }
+    }
+}
+
+/**
+ * End of the complete part of a partial JSON string body: the closing quote,
+ * or the end of the text without a dangling escape sequence.
+ * @param {string} body - Text after the opening quote
+ * @returns {{ end: number, closed: boolean }}
+ */
+function scanJsonString(body) {
+    let i = 0;
+    while (i < body.length) {
+        if (body[i] === '"') return { end: i, closed: true };
+        if (body[i] === '\\') {
+            const length = body[i + 1] === 'u' ? 6 : 2;
+            if (i + length > body.length) break;
+            i += length;
+        } else {
+            i++;
+        }
+    }
+    return { end: i, closed: false };
+}
+
+/**
+ * Follow a top-level string field while a JSON response streams in. The
+ * listener gets the decoded value so far, cut back to the last whole word
+ * until the closing quote arrives. A field that only appears after one of
+ * the `after` keys is nested deeper and is ignored.
+ * @param {string} field - Field name, e.g. "scenario"
+ * @param {(value: string, complete: boolean) => void} onValue - Called whenever the value grows
+ * @param {{ after?: string[] }} [options] - Keys the field must precede
+ * @returns {{ push: (chunk: string) => void }} Feed for the raw response text
+ */
+function createStringFieldReader(field, onValue, { after = [] } = {}) {
+    const opening = new RegExp(`"${field}"\\s*:\\s*"`);
+    let text = '';
+    let last = '';
+    let finished = false;
+
+    return {
+        push(chunk) {
+            if (finished) return;
+            text += chunk;
+
+            const match = opening.exec(text);
+            if (!match) return;
+            if (after.some((key) => text.slice(0, match.index).includes(`"${key}"`))) {
+                finished = true;
+                return;
+            }
+
+            const body = text.slice(match.index + match[0].length);
+            const { end, closed } = scanJsonString(body);
+            let value;
+            try {
+                value = JSON.parse(`"${body.slice(0, end)}"`);
+            } catch {
+                return;
+            }
+            if (!closed) value = value.replace(/\S*$/u, '');
+
+            finished = closed;
+            if (value !== last || closed) {
+                last = value;
+                onValue(value, closed);
+            }
+        },
+    };
+}
+
+module.exports = { parseJsonResponse, repairJsonText, createStringFieldReader };
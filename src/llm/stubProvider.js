@@ -0,0 +1,183 @@
+/**
+ * Stub LLM Provider
+ * Produces varied, schema-valid scenarios from templates with a seeded
+ * random generator, so staging and tests run the full generation pipeline
+ * (prompt → JSON → validation → tickets) offline and reproducibly.
+ * The same seed always yields the same sequence of scenarios.
+ * @module llm/stubProvider
+ */
+
+const { EMOTION_DIMENSIONS } = require('../config/emotionModel');
+
+/** Seed used when LLM_STUB_SEED is not set */
+const DEFAULT_SEED = 1;
+
+/** Characters per chunk when the reply is streamed */
+const STREAM_CHUNK_SIZE = 16;
+
+const TIMES = ['early morning', 'late morning', 'midday', 'a slow afternoon', 'dusk', 'a rainy evening'];
+
+const PLACES = [
+    'a crowded bus stop', 'a riverside market', 'a train platform', 'a corner bakery',
+    'a school gate', 'a small harbour', 'a neighbourhood laundromat', 'a park bench',
+];
+
+const PEOPLE = [
+    'an old man', 'a street vendor', 'a student', 'a mother with two children',
+    'a taxi driver', 'a street musician', 'a shopkeeper', 'a pair of friends',
+];
+
+const ACTIONS = [
+    'drops a bag of oranges across the pavement', 'counts coins for the fare twice over',
+    'hums a song you almost recognise', 'asks you for directions in careful English',
+    'argues cheerfully about the price of bread', 'waves you over to look at something',
+    'sits alone with a letter in their hands', 'laughs at a joke you did not hear',
+];
+
+const CHOICES = [
+    'Offer to help', 'Smile and keep walking', 'Ask where they are headed',
+    'Stay and watch quietly', 'Buy something small from them', 'Join the conversation',
+    'Step back and give them space', 'Share the snack in your pocket',
+    'Remember a similar day back home', 'Walk on, a little unsettled',
+    'Ask about the story behind it', 'Take a photo of the moment',
+];
+
+const REACTIONS = [
+    'they wave you closer', 'they say something you do not quite catch',
+    'they laugh and shake their head', 'they thank you in a quiet voice',
+    'a passer-by stops to watch too', 'the moment is interrupted by a sudden noise',
+];
+
+const FOLLOW_UP_CHOICES = [
+    'Stay a little longer', 'Say goodbye', 'Ask their name', 'Promise to come back',
+    'Leave without a word', 'Offer your seat', 'Laugh along with them', 'Keep the memory to yourself',
+];
+
+const TONES = ['warm', 'wistful', 'tense', 'quiet', 'hopeful', 'restless'];
+
+/**
+ * Mulberry32 — a small, fast seeded PRNG.
+ * @param {number} seed - 32-bit seed
+ * @returns {() => number} Generator of floats in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Read the country, capital, number of choices and local time of day a scenario prompt asks for.
+ * @param {string} prompt - Scenario prompt
+ * @returns {{ country: string, capital: string, numChoices: number, timeOfDay: string|null }}
+ */
+function readPrompt(prompt) {
+    const place = prompt.match(/set in (.+?) \(capital: (.+?)\)/);
+    const count = prompt.match(/Generate (\d+) distinct choices/);
+    const moment = prompt.match(/LOCAL MOMENT: It is \w+ (early morning|morning|afternoon|evening|night)/);
+    return {
+        country: place ? place[1] : 'this country',
+        capital: place ? place[2] : 'the capital',
+        numChoices: count ? parseInt(count[1], 10) : 3,
+        timeOfDay: moment ? moment[1] : null,
+    };
+}
+
+class StubProvider {
+    /**
+     * @param {{ seed?: number }} [options]
+     */
+    constructor(options = {}) {
+        this._random = createRandom(options.seed ?? DEFAULT_SEED);
+        this.name = 'stub';
+    }
+
+    /**
+     * Pick one item from a list.
+     * @param {Array} items
+     * @returns {*}
+     */
+    _pick(items) {
+        return items[Math.floor(this._random() * items.length)];
+    }
+
+    /**
+     * Pick distinct items from a list.
+     * @param {Array} items
+     * @param {number} count
+     * @returns {Array}
+     */
+    _sample(items, count) {
+        const pool = [...items];
+        const picked = [];
+        while (picked.length < count && pool.length > 0) {
+            picked.push(pool.splice(Math.floor(this._random() * pool.length), 1)[0]);
+        }
+        return picked;
+    }
+
+    /**
+     * Emotion vector leaning towards one randomly chosen dimension.
+     * @returns {Object}
+     */
+    _emotions() {
+        const lead = this._pick(EMOTION_DIMENSIONS);
+        const emotions = {};
+        for (const dim of EMOTION_DIMENSIONS) {
+            const value = dim === lead ? 0.6 + this._random() * 0.4 : this._random() * 0.5;
+            emotions[dim] = Math.round(value * 100) / 100;
+        }
+        return emotions;
+    }
+
+    /**
+     * Generate a scenario for the country named in the prompt.
+     * Every choice carries a follow-up beat with two further choices.
+     * A content review prompt is answered with a "safe" verdict. With
+     * `onText` the JSON text is handed over in small chunks first.
+     * @param {string} prompt - Scenario or content review prompt
+     * @param {import('./llmProvider').GenerateOptions} [options]
+     * @returns {Promise<Object>} Scenario JSON as a model would return it
+     */
+    generateJson(prompt, options = {}) {
+        const result = this._answer(prompt);
+        if (options.onText) {
+            const text = JSON.stringify(result);
+            for (let i = 0; i < text.length; i += STREAM_CHUNK_SIZE) options.onText(text.slice(i, i + STREAM_CHUNK_SIZE));
+        }
+        return Promise.resolve(result);
+    }
+
+    /**
+     * Build the reply to a prompt.
+     * @param {string} prompt
+     * @returns {Object}
+     */
+    _answer(prompt) {
+        // The stub's own scenes are always safe; answer content reviews without using the seed
+        if (prompt.startsWith('CONTENT REVIEW')) return { safe: true, issues: [] };
+
+        const { capital, numChoices, timeOfDay } = readPrompt(prompt);
+
+        // Always draw a time so a seed yields the same sequence with or without a local moment
+        const time = this._pick(TIMES);
+        const scenario = `It is ${timeOfDay || time} in ${capital}. At ${this._pick(PLACES)}, you notice ${this._pick(PEOPLE)} who ${this._pick(ACTIONS)}.`;
+        const choices = this._sample(CHOICES, numChoices).map((text) => ({
+            text,
+            emotions: this._emotions(),
+            followUp: {
+                scenario: `As you ${text.charAt(0).toLowerCase()}${text.slice(1)}, ${this._pick(REACTIONS)}.`,
+                choices: this._sample(FOLLOW_UP_CHOICES, 2).map((next) => ({ text: next, emotions: this._emotions() })),
+            },
+        }));
+
+        return { scenario, choices, tone: this._pick(TONES) };
+    }
+}
+
+module.exports = { StubProvider, createRandom, DEFAULT_SEED };
@@ -0,0 +1,43 @@
+/**
+ * Admin Authentication Middleware
+ * Guards admin endpoints with a shared bearer token from ADMIN_TOKEN.
+ * Admin endpoints are disabled entirely when no token is configured.
+ * @module middleware/adminAuth
+ */
+
+const crypto = require('crypto');
+const { UnauthorizedError, ServiceUnavailableError } = require('../utils/AppError');
+
+/**
+ * Compare two strings in constant time.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+    const left = crypto.createHash('sha256').update(a).digest();
+    const right = crypto.createHash('sha256').update(b).digest();
+    return crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Express middleware that requires `Authorization: Bearer <ADMIN_TOKEN>`.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} _res
+ * @param {import('express').NextFunction} next
+ */
+function requireAdmin(req, _res, next) {
+    const token = process.env.ADMIN_TOKEN;
+    if (!token) {
+        return next(new ServiceUnavailableError('Admin API'));
+    }
+
+    const [scheme, supplied] = (req.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || !supplied || !safeEqual(supplied, token)) {
+        return next(new UnauthorizedError('Invalid admin token'));
+    }
+
+    next();
+}
+
+module.exports = { requireAdmin };
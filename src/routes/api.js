@@ -9,33 +9,104 @@
 const express = require('express');
 
 const router = express.Router();
-const { fullValidation, getHints } = require('../services/countryValidator');
-const { generateScenario } = require('../services/scenarioGenerator');
-const { getCountryProfile, updateCountryProfile, getAllCountryProfiles, getEmotionColor } = require('../services/emotionEngine');
-const { searchCountries } = require('../data/countries');
+const { getHints } = require('../services/countryValidator');
+const { generateScenario, DEFAULT_LANGUAGE } = require('../services/scenarioGenerator');
+const {
+    getCountryProfile,
+    getDefaultProfile,
+    updateCountryProfile,
+    quarantineEcho,
+    listQuarantinedEchoes,
+    reviewQuarantinedEcho,
+    getProfileKey,
+    getAllCountryProfiles,
+    getCountryTimeline,
+    getEmotionColor,
+    TIMELINE_BUCKETS,
+} = require('../services/emotionEngine');
+const {
+    createSession,
+    getSession,
+    addCountryToSession,
+    isCurrentCountry,
+    completeCurrentCountry,
+    recordDominantEmotion,
+} = require('../services/sessionService');
+const { issueScenarioTicket, getScenarioTicket, redeemScenarioTicket } = require('../services/scenarioTicketService');
+const { getRegionSummaries, getRegionProfile } = require('../services/regionService');
+const { assessContribution, getPlayerIdentity } = require('../services/contributionGuard');
+const { listRejectedScenarios } = require('../services/contentSafety');
+const { schedulePrefetch, recordScenarioRequest, getPrefetchStats, scenarioCacheKey } = require('../services/scenarioPrefetch');
+const { getEmotionModel } = require('../config/emotionModel');
+const { searchCountries, findCountry } = require('../data/countries');
 const { synthesizeSpeech } = require('../services/ttsService');
-const { translateText, getSupportedLanguages } = require('../services/translationService');
+const { translateText, getSupportedLanguages, SUPPORTED_LANGUAGES } = require('../services/translationService');
 const { extractEmotions } = require('../services/sentimentService');
 const { logger } = require('../utils/logger');
-const { countrySearchCache, countryProfileCache, worldMapCache, scenarioCache } = require('../utils/cache');
+const {
+    CACHES,
+    WORLD_MAP_TAG,
+    REGIONS_TAG,
+    DEFAULT_WORLD_MAP_LIMIT,
+    worldMapCacheKey,
+    invalidateCacheTags,
+    countrySearchCache,
+    countryProfileCache,
+    worldMapCache,
+    scenarioCache,
+    regionCache,
+} = require('../utils/cache');
+const { getCounters } = require('../utils/metrics');
 const { validateBody, validateQuery } = require('../middleware/inputValidator');
-const { ValidationError, NotFoundError, ServiceUnavailableError } = require('../utils/AppError');
+const { requireAdmin } = require('../middleware/adminAuth');
+const { AppError, ValidationError, NotFoundError, ConflictError, ServiceUnavailableError } = require('../utils/AppError');
 
 // ─── Validation Schemas ───────────────────
 const validateCountrySchema = {
     country: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+    sessionId: { type: 'string', required: true, maxLength: 64 },
 };
 
 const generateScenarioSchema = {
     country: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+    sessionId: { type: 'string', required: true, maxLength: 64 },
+    language: { type: 'string', maxLength: 10 },
 };
 
 const submitChoiceSchema = {
-    country: { type: 'string', required: true, minLength: 1, maxLength: 100 },
-    choiceId: { type: 'string', required: true },
-    emotions: { type: 'object', required: true },
+    scenarioId: { type: 'string', required: true, maxLength: 64 },
+    choiceId: { type: 'string', required: true, maxLength: 4 },
+};
+
+const timelineQuerySchema = {
+    from: { type: 'string', maxLength: 10 },
+    to: { type: 'string', maxLength: 10 },
+    bucket: { type: 'string', maxLength: 5 },
 };
 
+const regionQuerySchema = {
+    level: { type: 'string', maxLength: 10 },
+};
+
+const quarantineReviewSchema = {
+    decision: { type: 'string', required: true, maxLength: 10 },
+};
+
+const cacheFlushQuerySchema = {
+    tag: { type: 'string', minLength: 1, maxLength: 100 },
+    cache: { type: 'string', maxLength: 30 },
+};
+
+/** Decisions accepted by /api/admin/quarantine/:echoId */
+const REVIEW_DECISIONS = ['release', 'reject'];
+
+/** Region grouping levels accepted by /api/regions/:region */
+const REGION_LEVELS = ['region', 'continent'];
+
+/** Default and maximum span of a timeline request, in days */
+const DEFAULT_TIMELINE_DAYS = 30;
+const MAX_TIMELINE_DAYS = 366;
+
 const narrateSchema = {
     text: { type: 'string', required: true, minLength: 1, maxLength: 1000 },
 };
@@ -49,24 +120,80 @@ const sentimentSchema = {
     text: { type: 'string', required: true, minLength: 1, maxLength: 2000 },
 };
 
+/**
+ * Parse a YYYY-MM-DD query value.
+ * @param {string} value - Raw query value
+ * @param {string} field - Field name for the error
+ * @returns {number} UTC midnight timestamp
+ * @throws {ValidationError} If the value is not a real calendar day
+ */
+function parseDay(value, field) {
+    const time = Date.parse(`${value}T00:00:00.000Z`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(time) || new Date(time).toISOString().slice(0, 10) !== value) {
+        throw new ValidationError(`${field} must be a date in YYYY-MM-DD format`, field);
+    }
+    return time;
+}
+
+/**
+ * Load a session or fail with 404.
+ * @param {string} sessionId
+ * @returns {Promise<import('../services/sessionService').Session>}
+ */
+async function requireSession(sessionId) {
+    const session = await getSession(sessionId);
+    if (!session) throw new NotFoundError('Session', sessionId);
+    return session;
+}
+
+// ─── Sessions ─────────────────────────────
+/**
+ * POST /api/sessions
+ * Start a new game session whose country chain is owned by the server.
+ */
+router.post('/sessions', async (req, res, next) => {
+    try {
+        const session = await createSession();
+        return res.status(201).json(session);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/sessions/:id
+ * Get the current state of a game session.
+ */
+router.get('/sessions/:id', async (req, res, next) => {
+    try {
+        const session = await requireSession(req.params.id);
+        return res.json(session);
+    } catch (error) {
+        next(error);
+    }
+});
+
 // ─── Country Validation ──────────────────────
 /**
  * POST /api/validate-country
  * Validate a country name against Atlas rules (letter chain, uniqueness).
+ * The chain is read from (and the country appended to) the stored session;
+ * the client never supplies the previous or used countries.
  */
-router.post('/validate-country', validateBody(validateCountrySchema), (req, res, next) => {
+router.post('/validate-country', validateBody(validateCountrySchema), async (req, res, next) => {
     try {
-        const { country, previousCountry, usedCountries } = req.body;
+        const { country, sessionId } = req.body;
 
-        const result = fullValidation(country, previousCountry, usedCountries || []);
+        const outcome = await addCountryToSession(sessionId, country);
+        if (!outcome) throw new NotFoundError('Session', sessionId);
 
-        if (!result.valid) {
-            const requiredLetter = result.requiredLetter || null;
-            const hints = requiredLetter ? getHints(requiredLetter.toLowerCase(), usedCountries || []) : [];
-            return res.json({ ...result, hints });
-        }
+        const { session, result } = outcome;
+        const hints = !result.valid && result.requiredLetter
+            ? getHints(result.requiredLetter.toLowerCase(), session.usedCountries)
+            : [];
 
-        return res.json(result);
+        logger.info('Country validated', { country, valid: result.valid, sessionId, requestId: req.id });
+        return res.json(result.valid ? { ...result, session } : { ...result, hints, session });
     } catch (error) {
         next(error);
     }
@@ -74,67 +201,182 @@ router.post('/validate-country', validateBody(validateCountrySchema), (req, res,
 
 // ─── Scenario Generation ──────────────────
 /**
- * POST /api/generate-scenario
- * Generate an AI-powered scenario for a country (cached per country for 5 minutes).
+ * Generate (or reuse from cache) a scenario for a request and issue its ticket.
+ * The country's details come from the dataset, never from the request, so a
+ * ticket or cache entry cannot be minted for an invented country.
+ * @param {Object} params - Validated request fields: country, sessionId, language
+ * @param {import('express').Request} req - The request, for logging
+ * @param {(text: string, attempt: number) => void} [onDraft] - Receives the scene
+ *   text while it is generated (not called for a cached scenario)
+ * @returns {Promise<Object>} Response body: scenario, scenarioId and existing profile
+ * @throws {ValidationError|NotFoundError} On an unknown country or language, or a session mismatch
  */
-router.post('/generate-scenario', validateBody(generateScenarioSchema), async (req, res, next) => {
-    try {
-        const { country, capital, lat, lng, continent, region } = req.body;
+async function prepareScenario(params, req, onDraft = null) {
+    const { sessionId, language = DEFAULT_LANGUAGE } = params;
+    if (!SUPPORTED_LANGUAGES.has(language)) {
+        throw new ValidationError(`language must be one of: ${getSupportedLanguages().join(', ')}`, 'language');
+    }
 
-        // Check scenario cache first
-        const cacheKey = `scenario_${country.toLowerCase()}`;
+    const countryData = findCountry(params.country);
+    if (!countryData) throw new ValidationError(`"${params.country}" is not recognized as a valid country`, 'country');
+    const country = countryData.name;
 
-        const profile = await getCountryProfile(country);
-        const emotionProfile = profile?.emotions || null;
+    const session = await requireSession(sessionId);
+    if (!isCurrentCountry(session, country)) {
+        throw new ValidationError(`Session is not currently in ${country}`, 'country');
+    }
 
-        const scenario = await scenarioCache.getOrSet(cacheKey, () =>
-            generateScenario(
-                { name: country, capital: capital || 'Unknown', lat: lat || 0, lng: lng || 0, continent: continent || 'Unknown', region: region || 'Unknown' },
-                emotionProfile,
-            ),
-        );
+    // Check scenario cache first
+    const cacheKey = scenarioCacheKey(country, language);
 
-        logger.info('Scenario generated', { country, cached: scenarioCache.has(cacheKey), requestId: req.id });
+    const profile = await getCountryProfile(country);
+    const emotionProfile = profile?.emotions || null;
 
-        return res.json({
-            ...scenario,
-            existingProfile: profile ? {
-                emotions: profile.emotions,
-                visitCount: profile.visitCount,
-                dominantEmotion: profile.dominantEmotion,
-            } : null,
-        });
+    const cached = scenarioCache.has(cacheKey);
+    const scenario = await scenarioCache.getOrSet(
+        cacheKey,
+        () => generateScenario(countryData, emotionProfile, { language, onDraft }),
+        // Fallback scenes (always English) are not cached, so the next request tries the model again
+        { tags: [country], cacheIf: (generated) => generated.generated !== false },
+    );
+    recordScenarioRequest(cacheKey, cached);
+
+    const scenarioId = await issueScenarioTicket(scenario, countryData, sessionId);
+
+    logger.info('Scenario generated', { country, cached, scenarioId, promptVersion: scenario.promptVersion, language, streamed: Boolean(onDraft), requestId: req.id });
+
+    return {
+        ...scenario,
+        scenarioId,
+        existingProfile: profile ? {
+            emotions: profile.emotions,
+            visitCount: profile.visitCount,
+            dominantEmotion: profile.dominantEmotion,
+        } : null,
+    };
+}
+
+/**
+ * POST /api/generate-scenario
+ * Generate an AI-powered scenario for a country, optionally in another supported
+ * language (cached per country and language for 5 minutes).
+ * Every response carries a fresh single-use scenarioId for submit-choice.
+ */
+router.post('/generate-scenario', validateBody(generateScenarioSchema), async (req, res, next) => {
+    try {
+        return res.json(await prepareScenario(req.body, req));
     } catch (error) {
         next(error);
     }
 });
 
+/**
+ * GET /api/generate-scenario/stream
+ * The same scenario over Server-Sent Events, with the request fields as query
+ * parameters. `token` events ({ text, attempt }) carry the scene as the model
+ * writes it — a new attempt number means the earlier draft was discarded — and
+ * a final `scenario` event carries the validated scenario exactly as
+ * POST /api/generate-scenario returns it; it always replaces the draft.
+ * Errors before the stream opens are ordinary JSON errors; later ones arrive
+ * as a `failure` event ({ error, code }).
+ */
+router.get('/generate-scenario/stream', validateQuery(generateScenarioSchema), async (req, res, next) => {
+    const send = (event, data) => {
+        if (res.writableEnded || res.destroyed) return;
+        if (!res.headersSent) {
+            res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'X-Accel-Buffering': 'no' });
+            res.flushHeaders();
+        }
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        // Compression buffers the body unless told to flush
+        if (res.flush) res.flush();
+    };
+
+    try {
+        const body = await prepareScenario(req.query, req, (text, attempt) => send('token', { text, attempt }));
+        send('scenario', body);
+        res.end();
+    } catch (error) {
+        if (!res.headersSent) return next(error);
+
+        logger.error('Scenario stream failed', { error: error.message, requestId: req.id });
+        const operational = error instanceof AppError;
+        send('failure', {
+            error: operational ? error.message : 'Scenario generation failed',
+            code: operational ? error.code : 'INTERNAL_ERROR',
+        });
+        res.end();
+    }
+});
+
 // ─── Submit Choice ────────────────────────
 /**
  * POST /api/submit-choice
  * Process a player's choice and update the country's emotional profile.
+ * The emotion vector is looked up from the scenario ticket, never taken from the client.
  */
 router.post('/submit-choice', validateBody(submitChoiceSchema), async (req, res, next) => {
     try {
-        const { country, capital, lat, lng, choiceId, emotions } = req.body;
+        const { scenarioId, choiceId } = req.body;
+
+        const ticket = await getScenarioTicket(scenarioId);
+        if (!ticket) throw new NotFoundError('Scenario', scenarioId);
+        if (ticket.redeemedAt) throw new ConflictError('A choice has already been submitted for this scenario');
+
+        const choice = ticket.choices.find((c) => c.id === choiceId);
+        if (!choice) throw new ValidationError(`Unknown choice '${choiceId}' for this scenario`, 'choiceId');
+
+        // Tickets carry the dataset name; look it up again so spelling variants can never
+        // reach the profile or get a contribution allowance of their own
+        const dataset = findCountry(ticket.country.name);
+        if (!dataset) throw new ValidationError(`"${ticket.country.name}" is not recognized as a valid country`, 'country');
+        const country = dataset.name;
+        const { sessionId } = ticket;
+        const session = await requireSession(sessionId);
+        if (!isCurrentCountry(session, country)) {
+            throw new ValidationError(`Session is not currently in ${country}`, 'country');
+        }
 
-        const updatedProfile = await updateCountryProfile(
-            country,
-            emotions,
-            { name: country, capital, lat, lng },
-        );
+        if (!await redeemScenarioTicket(scenarioId, choiceId)) {
+            throw new ConflictError('A choice has already been submitted for this scenario');
+        }
+        // Each generate-scenario call issues a ticket; finishing the session step is what
+        // lets only one of them count for this visit
+        const completed = await completeCurrentCountry(sessionId, country, choiceId);
+        if (!completed) throw new ConflictError(`A choice has already been submitted in ${country} for this session`);
+
+        // Choices past the contribution limits are logged but held out of the profile until reviewed
+        const identity = getPlayerIdentity(req.ip);
+        const quarantineReason = assessContribution({ identity, countryKey: getProfileKey(country) });
+        const context = { choiceId, sessionId, identity, promptVersion: ticket.promptVersion || null };
+
+        let profile;
+        if (quarantineReason) {
+            await quarantineEcho(country, choice.emotions, ticket.country, context, quarantineReason);
+            // A country whose only choices are quarantined has no profile yet
+            profile = await getCountryProfile(country) || { ...getDefaultProfile(), name: country };
+        } else {
+            profile = await updateCountryProfile(country, choice.emotions, ticket.country, context);
+
+            // Invalidate everything derived from the profile
+            invalidateCacheTags([country, WORLD_MAP_TAG, REGIONS_TAG]);
+        }
+        const language = ticket.language || DEFAULT_LANGUAGE;
 
-        // Invalidate caches
-        countryProfileCache.delete(country.toLowerCase());
-        worldMapCache.clear();
-        scenarioCache.delete(`scenario_${country.toLowerCase()}`);
+        const { dominantEmotion } = profile;
+        await recordDominantEmotion(sessionId, country, dominantEmotion);
 
-        logger.info('Choice submitted', { country, choiceId, dominant: updatedProfile.dominantEmotion, requestId: req.id });
+        // Warm the cache for the likely next countries while the player reads the outcome
+        schedulePrefetch({ country, usedCountries: completed.usedCountries, language });
+
+        logger.info('Choice submitted', { country, choiceId, scenarioId, dominant: dominantEmotion, counted: !quarantineReason, sessionId, requestId: req.id });
 
         return res.json({
             success: true,
-            profile: updatedProfile,
-            emotionColor: getEmotionColor(updatedProfile.dominantEmotion),
+            counted: !quarantineReason,
+            emotions: choice.emotions,
+            profile,
+            emotionColor: getEmotionColor(dominantEmotion),
         });
     } catch (error) {
         next(error);
@@ -144,11 +386,15 @@ router.post('/submit-choice', validateBody(submitChoiceSchema), async (req, res,
 // ─── Country Profile ─────────────────────────
 /**
  * GET /api/country-profile/:country
- * Get the emotional profile of a specific country (cached).
+ * Get the emotional profile of a specific country (cached under its dataset
+ * name, so every spelling is invalidated by the same tag).
  */
 router.get('/country-profile/:country', async (req, res, next) => {
     try {
-        const countryName = decodeURIComponent(req.params.country);
+        const requested = decodeURIComponent(req.params.country);
+        const dataset = findCountry(requested);
+        if (!dataset) throw new ValidationError(`"${requested}" is not recognized as a valid country`, 'country');
+        const countryName = dataset.name;
         const cacheKey = countryName.toLowerCase();
 
         const response = await countryProfileCache.getOrSet(cacheKey, async () => {
@@ -163,7 +409,7 @@ router.get('/country-profile/:country', async (req, res, next) => {
                 ...profile,
                 emotionColor: getEmotionColor(profile.dominantEmotion),
             };
-        });
+        }, { tags: [countryName] });
 
         return res.json(response);
     } catch (error) {
@@ -171,6 +417,40 @@ router.get('/country-profile/:country', async (req, res, next) => {
     }
 });
 
+/**
+ * GET /api/country-profile/:country/timeline?from=&to=&bucket=
+ * Emotion timeline of a country from its daily snapshots.
+ * Defaults to the last 30 days in daily buckets.
+ */
+router.get('/country-profile/:country/timeline', validateQuery(timelineQuerySchema), async (req, res, next) => {
+    try {
+        const countryName = decodeURIComponent(req.params.country);
+        const bucket = req.query.bucket || 'day';
+        if (!TIMELINE_BUCKETS.includes(bucket)) {
+            throw new ValidationError(`bucket must be one of: ${TIMELINE_BUCKETS.join(', ')}`, 'bucket');
+        }
+
+        const dayMs = 24 * 60 * 60 * 1000;
+        const toTime = req.query.to ? parseDay(req.query.to, 'to') : Date.parse(new Date().toISOString().slice(0, 10));
+        const fromTime = req.query.from ? parseDay(req.query.from, 'from') : toTime - (DEFAULT_TIMELINE_DAYS - 1) * dayMs;
+
+        if (fromTime > toTime) {
+            throw new ValidationError('from must not be after to', 'from');
+        }
+        if ((toTime - fromTime) / dayMs >= MAX_TIMELINE_DAYS) {
+            throw new ValidationError(`Timeline range must not exceed ${MAX_TIMELINE_DAYS} days`, 'from');
+        }
+
+        const from = new Date(fromTime).toISOString().slice(0, 10);
+        const to = new Date(toTime).toISOString().slice(0, 10);
+        const points = await getCountryTimeline(countryName, { from, to, bucket });
+
+        return res.json({ country: countryName, from, to, bucket, points });
+    } catch (error) {
+        next(error);
+    }
+});
+
 // ─── World Map ────────────────────────────
 /**
  * GET /api/world-map
@@ -178,8 +458,8 @@ router.get('/country-profile/:country', async (req, res, next) => {
  */
 router.get('/world-map', async (req, res, next) => {
     try {
-        const limit = Math.min(parseInt(req.query.limit, 10) || 500, 1000);
-        const cacheKey = `worldmap_${limit}`;
+        const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_WORLD_MAP_LIMIT, 1000);
+        const cacheKey = worldMapCacheKey(limit);
 
         const response = await worldMapCache.getOrSet(cacheKey, async () => {
             const countries = await getAllCountryProfiles(limit);
@@ -193,10 +473,12 @@ router.get('/world-map', async (req, res, next) => {
                     emotions: c.emotions,
                     dominantEmotion: c.dominantEmotion,
                     visitCount: c.visitCount,
+                    confidence: c.confidence ?? 0,
+                    contested: Boolean(c.contested),
                     color: getEmotionColor(c.dominantEmotion),
                 })),
             };
-        });
+        }, { tags: [WORLD_MAP_TAG] });
 
         return res.json(response);
     } catch (error) {
@@ -204,6 +486,54 @@ router.get('/world-map', async (req, res, next) => {
     }
 });
 
+// ─── Regions ──────────────────────────────
+/**
+ * GET /api/regions
+ * Visit-weighted emotion summary of every region and continent (cached).
+ */
+router.get('/regions', async (_req, res, next) => {
+    try {
+        const response = await regionCache.getOrSet('regions', getRegionSummaries, { tags: [REGIONS_TAG] });
+        return res.json(response);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/regions/:region?level=region|continent
+ * Emotion summary of one region or continent, by name or slug (cached).
+ * Region names win over continents of the same name unless level=continent.
+ */
+router.get('/regions/:region', validateQuery(regionQuerySchema), async (req, res, next) => {
+    try {
+        const region = decodeURIComponent(req.params.region);
+        const { level } = req.query;
+        if (level && !REGION_LEVELS.includes(level)) {
+            throw new ValidationError(`level must be one of: ${REGION_LEVELS.join(', ')}`, 'level');
+        }
+
+        const cacheKey = `region_${level || 'any'}_${region.toLowerCase()}`;
+        const response = await regionCache.getOrSet(cacheKey, () => getRegionProfile(region, level), { tags: [REGIONS_TAG] });
+        if (!response) {
+            throw new NotFoundError('Region', region);
+        }
+
+        return res.json(response);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ─── Emotion Model ────────────────────────
+/**
+ * GET /api/emotion-model
+ * Emotion dimensions tracked by this world (names, labels, icons, colours).
+ */
+router.get('/emotion-model', (_req, res) => {
+    res.json(getEmotionModel());
+});
+
 // ─── Country Search ──────────────────────────
 /**
  * GET /api/search-countries
@@ -337,6 +667,102 @@ router.post('/analyze-sentiment', validateBody(sentimentSchema), async (req, res
     }
 });
 
+// ─── Admin: Quarantine ────────────────────
+/**
+ * GET /api/admin/quarantine
+ * Echoes held out of country profiles and awaiting review (admin only).
+ */
+router.get('/admin/quarantine', requireAdmin, async (_req, res, next) => {
+    try {
+        const echoes = await listQuarantinedEchoes();
+        return res.json({ count: echoes.length, echoes });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/admin/quarantine/:echoId
+ * Release a quarantined echo into its country's profile, or reject it (admin only).
+ */
+router.post('/admin/quarantine/:echoId', requireAdmin, validateBody(quarantineReviewSchema), async (req, res, next) => {
+    try {
+        const { decision } = req.body;
+        if (!REVIEW_DECISIONS.includes(decision)) {
+            throw new ValidationError(`decision must be one of: ${REVIEW_DECISIONS.join(', ')}`, 'decision');
+        }
+
+        const { echo, review, profile } = await reviewQuarantinedEcho(req.params.echoId, decision);
+        if (profile) {
+            invalidateCacheTags([echo.country, WORLD_MAP_TAG, REGIONS_TAG]);
+        }
+
+        logger.info('Quarantine reviewed', { echoId: echo.id, country: echo.country, decision: review.decision, requestId: req.id });
+
+        return res.json({ echo, review, profile });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ─── Admin: Content Safety ────────────────
+/**
+ * GET /api/admin/rejected-scenarios
+ * Generated scenarios rejected by content moderation, newest first (admin only).
+ */
+router.get('/admin/rejected-scenarios', requireAdmin, async (req, res, next) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+        const scenarios = await listRejectedScenarios(limit);
+        return res.json({ count: scenarios.length, scenarios });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ─── Admin: Caches ────────────────────────
+/**
+ * GET /api/admin/cache
+ * Statistics of every cache with the number of entries per tag (admin only).
+ */
+router.get('/admin/cache', requireAdmin, (_req, res) => {
+    res.json({
+        caches: Object.fromEntries(Object.entries(CACHES).map(([name, cache]) => [
+            name,
+            { ...cache.stats(), tagCounts: cache.tagCounts() },
+        ])),
+    });
+});
+
+/**
+ * POST /api/admin/cache/flush?tag=&cache=
+ * Invalidate the entries carrying a tag (e.g. a country name or "world-map"),
+ * or everything without one, in every cache or only the named one. Shared
+ * caches are flushed on every instance (admin only).
+ */
+router.post('/admin/cache/flush', requireAdmin, validateQuery(cacheFlushQuerySchema), (req, res, next) => {
+    try {
+        const { tag, cache } = req.query;
+        if (cache !== undefined && !Object.hasOwn(CACHES, cache)) {
+            throw new ValidationError(`cache must be one of: ${Object.keys(CACHES).join(', ')}`, 'cache');
+        }
+
+        const caches = cache ? { [cache]: CACHES[cache] } : CACHES;
+        const flushed = Object.fromEntries(Object.entries(caches).map(([name, target]) => {
+            if (tag) return [name, target.invalidateTag(tag)];
+            const { size } = target.stats();
+            target.clear();
+            return [name, size];
+        }));
+
+        logger.info('Cache flushed', { tag: tag || null, cache: cache || null, flushed, requestId: req.id });
+
+        return res.json({ tag: tag || null, flushed });
+    } catch (error) {
+        next(error);
+    }
+});
+
 // ─── Health Check ─────────────────────────
 /**
  * GET /api/health
@@ -358,12 +784,17 @@ router.get('/health', (_req, res) => {
  * Get cache performance statistics (debug).
  */
 router.get('/cache-stats', (_req, res) => {
-    res.json({
-        countrySearch: countrySearchCache.stats(),
-        countryProfile: countryProfileCache.stats(),
-        worldMap: worldMapCache.stats(),
-        scenario: scenarioCache.stats(),
-    });
+    res.json(Object.fromEntries(Object.entries(CACHES).map(([name, cache]) => [name, cache.stats()])));
+});
+
+// ─── Metrics ──────────────────────────────
+/**
+ * GET /api/metrics
+ * In-process counters, e.g. scenario generation outcomes and failure reasons,
+ * and the scenario prefetch budget and hit rate (debug).
+ */
+router.get('/metrics', (_req, res) => {
+    res.json({ counters: getCounters(), prefetch: getPrefetchStats() });
 });
 
 module.exports = router;
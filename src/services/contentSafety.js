@@ -0,0 +1,247 @@
+/**
+ * Content Safety Service
+ * Moderates a generated scenario after it passes the schema: every scene and
+ * choice line is screened against the safety lexicon (blocklist plus global
+ * and per-country stereotype phrases), then, when CONTENT_CRITIQUE is "true",
+ * the LLM reviews the whole moment a second time. The lexicon is English, so
+ * scenarios written in any other language always get the critique. A
+ * rejected scenario is logged for review and the player gets a curated
+ * fallback scene instead.
+ * Persists the rejection log to Firestore when available, otherwise in memory.
+ * @module services/contentSafety
+ */
+
+const crypto = require('crypto');
+const { getDb } = require('../config/firebase');
+const { SAFETY_LEXICON } = require('../config/safetyLexicon');
+const { selectPromptTemplate, renderPrompt } = require('../config/promptRegistry');
+const { logger } = require('../utils/logger');
+
+/** Firestore collection name for rejected scenarios */
+const REJECTED_COLLECTION = 'rejectedScenarios';
+
+/** Rejections kept by the in-memory log */
+const MEMORY_LOG_SIZE = 500;
+
+/** Language the safety lexicon is written in */
+const LEXICON_LANGUAGE = 'en';
+
+/** The critique should be deterministic */
+const CRITIQUE_TEMPERATURE = 0;
+
+/** Offline fallback log used when Firestore is not configured (oldest first) */
+const memoryLog = [];
+
+/**
+ * @typedef {Object} SafetyFinding
+ * @property {string} code - "blocked_term", "stereotype", "critique" or "critique_unavailable"
+ * @property {string} message - Human-readable description
+ * @property {string} [path] - Location in the scenario, e.g. "choices[1].followUp.scenario"
+ * @property {string} [term] - Lexicon term that matched
+ */
+
+/**
+ * @typedef {Object} RejectedScenario
+ * @property {string} id
+ * @property {string} country
+ * @property {string|null} provider
+ * @property {string|null} promptVersion
+ * @property {Object} scenario - The rejected scenario as generated
+ * @property {SafetyFinding[]} findings
+ * @property {string} rejectedAt - ISO timestamp
+ */
+
+/**
+ * Every line of text a player could see in a scenario.
+ * @param {Object} scenario - Generated scenario
+ * @returns {{ path: string, text: string }[]}
+ */
+function collectScenarioText(scenario) {
+    const lines = [{ path: 'scenario', text: scenario.scenario }];
+    (scenario.choices || []).forEach((choice, i) => {
+        lines.push({ path: `choices[${i}].text`, text: choice.text });
+        if (!choice.followUp) return;
+        lines.push({ path: `choices[${i}].followUp.scenario`, text: choice.followUp.scenario });
+        choice.followUp.choices.forEach((next, j) => {
+            lines.push({ path: `choices[${i}].followUp.choices[${j}].text`, text: next.text });
+        });
+    });
+    return lines.filter((line) => typeof line.text === 'string' && line.text);
+}
+
+/**
+ * Escape a term for use in a regular expression.
+ * @param {string} term
+ * @returns {string}
+ */
+function escapeRegExp(term) {
+    return term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * First term of a list found in a text as a whole word or phrase.
+ * @param {string} text
+ * @param {string[]} terms - Lowercase terms
+ * @returns {string|null}
+ */
+function findTerm(text, terms) {
+    return terms.find((term) =>
+        new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term)}(?![\\p{L}\\p{N}])`, 'iu').test(text)) || null;
+}
+
+/**
+ * Screen a scenario against the safety lexicon.
+ * @param {Object} scenario - Generated scenario
+ * @param {string} countryName - Country the scenario was written for
+ * @param {import('../config/safetyLexicon').SafetyLexicon} [lexicon=SAFETY_LEXICON]
+ * @returns {SafetyFinding[]} One finding per offending line
+ */
+function screenScenario(scenario, countryName, lexicon = SAFETY_LEXICON) {
+    const stereotypes = [
+        ...(lexicon.stereotypes['*'] || []),
+        ...(lexicon.stereotypes[countryName.toLowerCase()] || []),
+    ];
+    const findings = [];
+
+    for (const { path, text } of collectScenarioText(scenario)) {
+        const blocked = findTerm(text, lexicon.blocklist);
+        if (blocked) {
+            findings.push({ code: 'blocked_term', path, term: blocked, message: `contains blocked term "${blocked}"` });
+            continue;
+        }
+        const stereotype = findTerm(text, stereotypes);
+        if (stereotype) {
+            findings.push({ code: 'stereotype', path, term: stereotype, message: `uses stereotype "${stereotype}"` });
+        }
+    }
+    return findings;
+}
+
+/**
+ * Ask the model to review a scenario a second time.
+ * @param {Object} scenario - Generated scenario
+ * @param {{ name: string }} country - Country data
+ * @param {{ name: string, generateJson: Function }} provider - LLM provider
+ * @returns {Promise<SafetyFinding[]>} One finding per issue the model raised
+ * @throws {Error} If the model does not answer with a verdict
+ */
+async function critiqueScenario(scenario, country, provider) {
+    const content = collectScenarioText(scenario).map(({ text }) => `- ${text}`).join('\n');
+    const prompt = renderPrompt(selectPromptTemplate('critique'), { country: country.name, content });
+
+    const verdict = await provider.generateJson(prompt, { temperature: CRITIQUE_TEMPERATURE });
+    if (typeof verdict?.safe !== 'boolean') throw new Error('Critique response has no "safe" verdict');
+    if (verdict.safe) return [];
+
+    const issues = Array.isArray(verdict.issues) ? verdict.issues.filter((issue) => typeof issue === 'string') : [];
+    return (issues.length > 0 ? issues : ['flagged as unsafe']).map((issue) => ({ code: 'critique', message: issue }));
+}
+
+/**
+ * Whether the second-pass model critique is enabled.
+ * @returns {boolean}
+ */
+function isCritiqueEnabled() {
+    return process.env.CONTENT_CRITIQUE === 'true';
+}
+
+/**
+ * Moderate a generated scenario. The critique only runs when the lexicon
+ * finds nothing; if it cannot reach a verdict the scenario is rejected.
+ * A scenario in a language the lexicon does not cover is always critiqued,
+ * and rejected when there is no provider to critique it.
+ * @param {Object} scenario - Generated scenario
+ * @param {{ name: string }} country - Country data
+ * @param {{ provider?: Object, critique?: boolean, language?: string }} [options] - Provider
+ *   for the critique, whether to run it (defaults to CONTENT_CRITIQUE), and the
+ *   language the scenario is written in (defaults to English)
+ * @returns {Promise<{ allowed: boolean, findings: SafetyFinding[] }>}
+ */
+async function moderateScenario(scenario, country, {
+    provider = null,
+    critique = isCritiqueEnabled(),
+    language = LEXICON_LANGUAGE,
+} = {}) {
+    const findings = screenScenario(scenario, country.name);
+    const unscreened = language !== LEXICON_LANGUAGE;
+
+    if (findings.length === 0 && unscreened && !provider) {
+        findings.push({ code: 'critique_unavailable', message: `no critique provider for language "${language}"` });
+    } else if (findings.length === 0 && (critique || unscreened) && provider) {
+        try {
+            findings.push(...await critiqueScenario(scenario, country, provider));
+        } catch (error) {
+            logger.warn('Content critique failed', { country: country.name, provider: provider.name, error: error.message });
+            findings.push({ code: 'critique_unavailable', message: error.message });
+        }
+    }
+
+    return { allowed: findings.length === 0, findings };
+}
+
+/**
+ * Log a rejected scenario for review.
+ * @param {Object} scenario - The rejected scenario
+ * @param {SafetyFinding[]} findings - Why it was rejected
+ * @returns {Promise<RejectedScenario>}
+ */
+async function recordRejectedScenario(scenario, findings) {
+    const entry = {
+        id: crypto.randomUUID(),
+        country: scenario.country,
+        provider: scenario.provider || null,
+        promptVersion: scenario.promptVersion || null,
+        scenario,
+        findings,
+        rejectedAt: new Date().toISOString(),
+    };
+
+    const db = getDb();
+    if (!db) {
+        memoryLog.push(entry);
+        if (memoryLog.length > MEMORY_LOG_SIZE) memoryLog.shift();
+        return entry;
+    }
+
+    try {
+        await db.collection(REJECTED_COLLECTION).doc(entry.id).set(entry);
+    } catch (error) {
+        logger.error('Firestore rejected scenario write error', { error: error.message, country: entry.country });
+    }
+    return entry;
+}
+
+/**
+ * Most recent rejected scenarios, newest first.
+ * @param {number} [limit=50]
+ * @returns {Promise<RejectedScenario[]>}
+ */
+async function listRejectedScenarios(limit = 50) {
+    const db = getDb();
+    if (!db) return memoryLog.slice(-limit).reverse();
+
+    try {
+        const snapshot = await db.collection(REJECTED_COLLECTION).orderBy('rejectedAt', 'desc').limit(limit).get();
+        return snapshot.docs.map((doc) => doc.data());
+    } catch (error) {
+        logger.error('Firestore rejected scenario read error', { error: error.message });
+        return [];
+    }
+}
+
+/**
+ * Clear the in-memory rejection log (used by tests).
+ */
+function resetRejectedScenarios() {
+    memoryLog.length = 0;
+}
+
+module.exports = {
+    moderateScenario,
+    screenScenario,
+    critiqueScenario,
+    collectScenarioText,
+    recordRejectedScenario,
+    listRejectedScenarios,
+    resetRejectedScenarios,
+};
@@ -0,0 +1,128 @@
+/**
+ * Contribution Guard
+ * Decides whether an accepted choice may move a country's profile, so one
+ * player cannot loop submit-choice and rewrite a country on their own.
+ *
+ *   - Daily limit: each identity counts toward a country at most
+ *     ECHO_DAILY_LIMIT times per UTC day (default 1).
+ *   - Player burst: more than ECHO_BURST_LIMIT choices from one identity
+ *     within a minute (default 6) is treated as scripted.
+ *   - Country burst: more than COUNTRY_BURST_LIMIT choices for one country
+ *     within a minute from anyone (default 60) suggests coordinated brigading.
+ *
+ * Choices that trip a rule are quarantined rather than rejected: the player's
+ * game continues, and an admin can release or reject the echo later.
+ * Counters are kept in memory, so limits apply per server instance.
+ * @module services/contributionGuard
+ */
+
+const crypto = require('crypto');
+const { LRUCache } = require('../utils/cache');
+
+/** Sliding window for burst detection */
+const BURST_WINDOW_MS = 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Defaults for the configurable limits */
+const DEFAULT_LIMITS = {
+    daily: 1,
+    burst: 6,
+    countryBurst: 60,
+};
+
+/** @type {LRUCache} identity|country|day → counted contributions */
+const dailyCounts = new LRUCache({ maxSize: 50000, defaultTTL: DAY_MS, name: 'contributionDaily' });
+
+/** @type {LRUCache} identity → recent attempt timestamps */
+const playerWindows = new LRUCache({ maxSize: 20000, defaultTTL: BURST_WINDOW_MS, name: 'contributionBurst' });
+
+/** @type {LRUCache} country → recent attempt timestamps */
+const countryWindows = new LRUCache({ maxSize: 1000, defaultTTL: BURST_WINDOW_MS, name: 'contributionCountryBurst' });
+
+/**
+ * Read a positive integer limit from the environment.
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Default value
+ * @returns {number}
+ */
+function readLimit(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Current limits (read on every call so they can be tuned without a restart in tests).
+ * @returns {{ daily: number, burst: number, countryBurst: number }}
+ */
+function getLimits() {
+    return {
+        daily: readLimit('ECHO_DAILY_LIMIT', DEFAULT_LIMITS.daily),
+        burst: readLimit('ECHO_BURST_LIMIT', DEFAULT_LIMITS.burst),
+        countryBurst: readLimit('COUNTRY_BURST_LIMIT', DEFAULT_LIMITS.countryBurst),
+    };
+}
+
+/**
+ * Derive a stable, non-reversible player identity from the request address.
+ * The raw IP is never stored.
+ * @param {string} ip - Client IP address (req.ip)
+ * @returns {string} 16-character hex identity
+ */
+function getPlayerIdentity(ip) {
+    return crypto.createHash('sha256').update(`atlas:${ip || 'unknown'}`).digest('hex').slice(0, 16);
+}
+
+/**
+ * Record an attempt in a sliding window and return how many fall inside it.
+ * @param {LRUCache} windows - Window cache
+ * @param {string} key - Window key
+ * @param {number} now - Current time (ms)
+ * @returns {number} Attempts in the window, including this one
+ */
+function recordInWindow(windows, key, now) {
+    const recent = (windows.get(key) || []).filter((t) => now - t < BURST_WINDOW_MS);
+    recent.push(now);
+    windows.set(key, recent);
+    return recent.length;
+}
+
+/**
+ * Assess one accepted choice and record it against the limits.
+ * @param {{ identity: string, countryKey: string, now?: number }} attempt
+ * @returns {string|null} Quarantine reason (`daily_limit`, `player_burst`, `country_burst`), or null if it counts
+ */
+function assessContribution({ identity, countryKey, now = Date.now() }) {
+    const limits = getLimits();
+
+    const playerAttempts = recordInWindow(playerWindows, identity, now);
+    const countryAttempts = recordInWindow(countryWindows, countryKey, now);
+
+    if (playerAttempts > limits.burst) return 'player_burst';
+    if (countryAttempts > limits.countryBurst) return 'country_burst';
+
+    const dayKey = `${identity}|${countryKey}|${new Date(now).toISOString().slice(0, 10)}`;
+    const counted = dailyCounts.get(dayKey) || 0;
+    if (counted >= limits.daily) return 'daily_limit';
+
+    dailyCounts.set(dayKey, counted + 1);
+    return null;
+}
+
+/**
+ * Forget all recorded attempts (used by tests).
+ */
+function resetContributionGuard() {
+    dailyCounts.clear();
+    playerWindows.clear();
+    countryWindows.clear();
+}
+
+module.exports = {
+    assessContribution,
+    getPlayerIdentity,
+    getLimits,
+    resetContributionGuard,
+    BURST_WINDOW_MS,
+    DEFAULT_LIMITS,
+};
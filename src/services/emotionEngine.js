@@ -1,63 +1,381 @@
 /**
  * Emotion Engine Service
- * Processes player choices into emotional vectors and manages country profiles in Firestore.
+ * Processes player choices into emotional vectors and manages country profiles
+ * through the configured profile store (memory, JSON file, SQLite or Firestore).
+ * Every accepted choice is appended to the echo log; profiles are snapshots
+ * derived from it and can be rebuilt by replaying the log.
  * Implements adaptive learning rate for stabilised country personalities.
+ * With PROFILE_HALF_LIFE_DAYS set, profiles also decay toward neutral over time
+ * since their last update, both when read and before each new interaction.
  * @module services/emotionEngine
  */
 
-const { getDb } = require('../config/firebase');
-const { EMOTION_DIMENSIONS } = require('./scenarioGenerator');
+const crypto = require('crypto');
+const { getProfileStore } = require('../storage/profileStore');
+const { normalizeEmotions } = require('./scenarioGenerator');
+const { EMOTION_MODEL, EMOTION_DIMENSIONS } = require('../config/emotionModel');
+const { COUNTRIES_MAP } = require('../data/countries');
 const { logger } = require('../utils/logger');
-
-/** Firestore collection name for country emotion profiles */
-const COUNTRIES_COLLECTION = 'countries';
+const { NotFoundError, ConflictError, ServiceUnavailableError } = require('../utils/AppError');
 
 /** Weight for new interactions vs existing profile (lower = more stable) */
 const LEARNING_RATE = 0.15;
 
+/** Top two dimensions closer than this make a profile's dominant emotion `neutral` */
+const DOMINANCE_MARGIN = 0.02;
+
+/** Interactions at which the sample-size part of confidence reaches 0.5 */
+const CONFIDENCE_HALF_SAMPLE = 10;
+
+/** Standard deviation in any dimension at or above which players are split */
+const CONTESTED_SPREAD = 0.35;
+
+/** Interactions needed before a profile can be flagged as contested */
+const CONTESTED_MIN_SAMPLES = 5;
+
+/** Largest possible standard deviation of values in [0, 1] */
+const MAX_SPREAD = 0.5;
+
+/** Value every dimension decays toward (matches the default profile) */
+const NEUTRAL_VALUE = 0.5;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/** Supported timeline bucket sizes */
+const TIMELINE_BUCKETS = ['day', 'week', 'month'];
+
 /**
- * Get the emotional profile of a country from Firestore.
- * @param {string} countryName - Normalized country name
- * @returns {Promise<Object|null>} Country profile or null
+ * Read the configured profile half-life.
+ * @returns {number} Half-life in milliseconds, or 0 when decay is disabled
  */
-async function getCountryProfile(countryName) {
-    const db = getDb();
-    if (!db) return getDefaultProfile();
+function getHalfLifeMs() {
+    const days = parseFloat(process.env.PROFILE_HALF_LIFE_DAYS);
+    return Number.isFinite(days) && days > 0 ? days * MS_PER_DAY : 0;
+}
 
-    try {
-        const key = countryName.toLowerCase().replace(/\s+/g, '_');
-        const doc = await db.collection(COUNTRIES_COLLECTION).doc(key).get();
+/**
+ * Fraction of a profile's deviation from neutral that survives between two times.
+ * @param {string} from - ISO timestamp the profile was last updated
+ * @param {string} to - ISO timestamp to decay to
+ * @returns {number} Factor in (0, 1]; 1 when decay is disabled or no time passed
+ */
+function getDecayFactor(from, to) {
+    const halfLife = getHalfLifeMs();
+    const elapsed = Date.parse(to) - Date.parse(from);
+    if (!halfLife || !(elapsed > 0)) return 1;
+    return Math.pow(0.5, elapsed / halfLife);
+}
+
+/**
+ * Decay a stored profile to a point in time.
+ * Emotions drift toward neutral and the stabilising visit weight fades, so a
+ * long-quiet country responds to new visits again. visitCount is left as-is.
+ * @param {Object|null} profile - Stored profile
+ * @param {string} [at] - ISO timestamp to decay to (defaults to now)
+ * @returns {Object|null} Decayed copy, or the profile unchanged if no decay applies
+ */
+function decayProfile(profile, at = new Date().toISOString()) {
+    if (!profile?.emotions || !profile.lastUpdated) return profile;
+
+    const factor = getDecayFactor(profile.lastUpdated, at);
+    if (factor === 1) return profile;
+
+    const emotions = {};
+    for (const dim of EMOTION_DIMENSIONS) {
+        const value = parseFloat(profile.emotions[dim]);
+        const current = Number.isFinite(value) ? value : NEUTRAL_VALUE;
+        emotions[dim] = Math.round((NEUTRAL_VALUE + (current - NEUTRAL_VALUE) * factor) * 1000) / 1000;
+    }
+
+    return {
+        ...profile,
+        emotions,
+        dominantEmotion: getDominantEmotion(emotions),
+        effectiveVisits: Math.round(getEffectiveVisits(profile) * factor * 1000) / 1000,
+    };
+}
 
-        if (!doc.exists) return null;
+/**
+ * Visit weight used for the adaptive learning rate.
+ * @param {Object|null} profile - Stored profile
+ * @returns {number} Decayed visit weight (equals visitCount when decay is off)
+ */
+function getEffectiveVisits(profile) {
+    return profile?.effectiveVisits ?? profile?.visitCount ?? 0;
+}
+
+/**
+ * Build the storage key for a country.
+ * @param {string} countryName - Country name
+ * @returns {string} Lowercase, underscore-separated key
+ */
+function getProfileKey(countryName) {
+    return countryName.toLowerCase().replace(/\s+/g, '_');
+}
 
-        return doc.data();
+/**
+ * Get the emotional profile of a country from the profile store,
+ * decayed to the current time when a half-life is configured.
+ * Offline the in-memory store answers, so an unvisited country is null with
+ * every backend (before profile stores, offline returned the default profile);
+ * callers that need a profile fall back to getDefaultProfile() themselves.
+ * @param {string} countryName - Normalized country name
+ * @returns {Promise<Object|null>} Country profile, or null if never visited or unreadable
+ */
+async function getCountryProfile(countryName) {
+    try {
+        return decayProfile(await getProfileStore().get(getProfileKey(countryName)));
     } catch (error) {
-        logger.error('Firestore read error', { error: error.message, country: countryName });
+        logger.error('Profile store read error', { error: error.message, country: countryName });
         return null;
     }
 }
 
+/**
+ * @typedef {Object} Echo
+ * @property {string} id - Echo ID
+ * @property {string} key - Profile key of the country
+ * @property {string} country - Country name
+ * @property {string|null} choiceId - Choice the player made
+ * @property {Object} emotions - Normalized emotion vector of the choice
+ * @property {string|null} sessionId - Session the choice was made in
+ * @property {string|null} identity - Hashed player identity
+ * @property {string|null} promptVersion - Prompt template that produced the scenario
+ * @property {{ reason: string }} [quarantine] - Set when held back from the profile pending review
+ * @property {string} recordedAt - ISO timestamp
+ */
+
+/**
+ * @typedef {Object} EchoReview
+ * Appended to the echo log when an admin decides on a quarantined echo.
+ * @property {string} id - Review ID (`review-<echoId>`, so an echo has at most one review)
+ * @property {'review'} type - Distinguishes reviews from echoes in the log
+ * @property {string} key - Profile key of the country
+ * @property {string} echoId - Quarantined echo being reviewed
+ * @property {'released'|'rejected'} decision - Outcome
+ * @property {string} recordedAt - ISO timestamp
+ */
+
+/**
+ * Build an echo record for one accepted choice.
+ * @param {string} countryName - Country name
+ * @param {Object} newEmotions - Emotion vector from player choice
+ * @param {Object} countryData - Country metadata
+ * @param {{ choiceId?: string, sessionId?: string|null, identity?: string|null, promptVersion?: string|null }} context - Where the choice came from
+ * @returns {Echo}
+ */
+function buildEcho(countryName, newEmotions, countryData, context) {
+    return {
+        id: crypto.randomUUID(),
+        key: getProfileKey(countryName),
+        country: countryData.name || countryName,
+        choiceId: context.choiceId || null,
+        emotions: normalizeEmotions(newEmotions),
+        sessionId: context.sessionId || null,
+        identity: context.identity || null,
+        promptVersion: context.promptVersion || null,
+        recordedAt: new Date().toISOString(),
+    };
+}
+
 /**
  * Update a country's emotional profile with a new interaction.
  * Uses exponential moving average to blend new emotions with existing profile.
+ * The echo is logged first; the read-merge-write then runs atomically in the
+ * profile store, so concurrent choices in the same country are all counted.
+ * If the snapshot update fails, the echo is still in the log for a rebuild.
  * @param {string} countryName - Country name
  * @param {Object} newEmotions - Emotion vector from player choice
  * @param {Object} countryData - Country metadata (capital, lat, lng)
+ * @param {{ choiceId?: string, sessionId?: string|null, identity?: string|null, promptVersion?: string|null }} [context={}] - Where the choice came from
+ * @returns {Promise<Object>} Updated profile
+ * @throws {ServiceUnavailableError} If the profile store cannot apply the update
+ */
+async function updateCountryProfile(countryName, newEmotions, countryData = {}, context = {}) {
+    const store = getProfileStore();
+    const echo = buildEcho(countryName, newEmotions, countryData, context);
+
+    try {
+        await store.appendEcho(echo);
+        const updatedProfile = await applyEcho(store, echo, countryData, echo.recordedAt);
+        logger.info('Country profile updated', { country: countryName, visitCount: updatedProfile.visitCount });
+        return updatedProfile;
+    } catch (error) {
+        logger.error('Profile store write error', { error: error.message, country: countryName });
+        throw new ServiceUnavailableError('Profile store');
+    }
+}
+
+/**
+ * Merge an echo into its country's stored profile and refresh today's snapshot.
+ * @param {Object} store - Profile store
+ * @param {Echo} echo - Echo to apply
+ * @param {Object} countryData - Country metadata
+ * @param {string} at - ISO timestamp the interaction takes effect
  * @returns {Promise<Object>} Updated profile
  */
-async function updateCountryProfile(countryName, newEmotions, countryData = {}) {
-    const db = getDb();
-    const key = countryName.toLowerCase().replace(/\s+/g, '_');
+async function applyEcho(store, echo, countryData, at) {
+    const updatedProfile = await store.update(echo.key, (existing) =>
+        applyInteraction(existing, echo.country, echo.emotions, countryData, at),
+    );
+    await recordSnapshot(store, echo.key, updatedProfile);
+    return updatedProfile;
+}
+
+/**
+ * Log an accepted choice without applying it to the profile, pending review.
+ * @param {string} countryName - Country name
+ * @param {Object} newEmotions - Emotion vector from player choice
+ * @param {Object} countryData - Country metadata
+ * @param {{ choiceId?: string, sessionId?: string|null, identity?: string|null, promptVersion?: string|null }} context - Where the choice came from
+ * @param {string} reason - Why the echo is held back
+ * @returns {Promise<Echo>} The quarantined echo
+ * @throws {ServiceUnavailableError} If the echo cannot be logged
+ */
+async function quarantineEcho(countryName, newEmotions, countryData, context, reason) {
+    const echo = { ...buildEcho(countryName, newEmotions, countryData, context), quarantine: { reason } };
+
+    try {
+        await getProfileStore().appendEcho(echo);
+    } catch (error) {
+        logger.error('Profile store write error', { error: error.message, country: countryName });
+        throw new ServiceUnavailableError('Profile store');
+    }
+
+    logger.warn('Echo quarantined', { country: echo.country, reason, identity: echo.identity, echoId: echo.id });
+    return echo;
+}
+
+/**
+ * Split the echo log into quarantined echoes and the reviews of them.
+ * @param {Array<Echo|EchoReview>} log - Full echo log
+ * @returns {{ quarantined: Map<string, Echo>, reviews: Map<string, EchoReview> }} Keyed by echo ID
+ */
+function indexQuarantine(log) {
+    const quarantined = new Map();
+    const reviews = new Map();
+    for (const entry of log) {
+        if (entry.type === 'review') reviews.set(entry.echoId, entry);
+        else if (entry.quarantine) quarantined.set(entry.id, entry);
+    }
+    return { quarantined, reviews };
+}
+
+/**
+ * List quarantined echoes that have not been reviewed yet, oldest first.
+ * @returns {Promise<Echo[]>}
+ */
+async function listQuarantinedEchoes() {
+    const { quarantined, reviews } = indexQuarantine(await getProfileStore().listEchoes());
+    return [...quarantined.values()].filter((echo) => !reviews.has(echo.id));
+}
+
+/**
+ * Release a quarantined echo into its country's profile, or reject it for good.
+ * A released echo takes effect at review time; the decision is appended to
+ * the echo log so a rebuild reaches the same result.
+ * @param {string} echoId - Quarantined echo ID
+ * @param {'release'|'reject'} decision - Admin decision
+ * @returns {Promise<{ echo: Echo, review: EchoReview, profile: Object|null }>}
+ * @throws {NotFoundError} If no quarantined echo has this ID
+ * @throws {ConflictError} If the echo was already reviewed
+ */
+async function reviewQuarantinedEcho(echoId, decision) {
+    const store = getProfileStore();
+    const { quarantined, reviews } = indexQuarantine(await store.listEchoes());
+
+    const echo = quarantined.get(echoId);
+    if (!echo) throw new NotFoundError('Quarantined echo', echoId);
+    if (reviews.has(echoId)) throw new ConflictError(`Echo ${echoId} was already ${reviews.get(echoId).decision}`);
+
+    // One review ID per echo: of two concurrent reviews, the store appends only the first
+    /** @type {EchoReview} */
+    const review = {
+        id: `review-${echoId}`,
+        type: 'review',
+        key: echo.key,
+        echoId,
+        decision: decision === 'release' ? 'released' : 'rejected',
+        recordedAt: new Date().toISOString(),
+    };
+
+    if (!await store.appendEcho(review)) throw new ConflictError(`Echo ${echoId} was already reviewed`);
+    const profile = review.decision === 'released'
+        ? await applyEcho(store, echo, resolveCountryData(echo, await store.get(echo.key)), review.recordedAt)
+        : null;
+
+    logger.info('Quarantined echo reviewed', { echoId, decision: review.decision, country: echo.country });
+    return { echo, review, profile };
+}
+
+/**
+ * Country metadata for replaying an echo: the dataset first, then the stored profile.
+ * @param {Echo} echo - Echo being applied
+ * @param {Object|null} existing - Stored or rebuilt profile
+ * @returns {Object} Country metadata
+ */
+function resolveCountryData(echo, existing) {
+    const dataset = COUNTRIES_MAP.get(echo.country.toLowerCase());
+    return {
+        name: dataset?.name || existing?.name || echo.country,
+        capital: dataset?.capital || existing?.capital,
+        lat: dataset?.lat || existing?.lat,
+        lng: dataset?.lng || existing?.lng,
+    };
+}
 
-    const existing = await getCountryProfile(countryName);
+/**
+ * Build the daily timeline snapshot of a profile.
+ * @param {Object} profile - Stored profile
+ * @returns {{ day: string, emotions: Object, dominantEmotion: string, visitCount: number, recordedAt: string }}
+ */
+function toSnapshot(profile) {
+    return {
+        day: profile.lastUpdated.slice(0, 10),
+        emotions: profile.emotions,
+        dominantEmotion: profile.dominantEmotion,
+        visitCount: profile.visitCount,
+        recordedAt: profile.lastUpdated,
+    };
+}
+
+/**
+ * Overwrite today's snapshot with the latest profile state.
+ * Snapshots are derived data, so a failure is logged rather than failing the choice.
+ * @param {Object} store - Profile store
+ * @param {string} key - Profile key
+ * @param {Object} profile - Profile just written
+ * @returns {Promise<void>}
+ */
+async function recordSnapshot(store, key, profile) {
+    try {
+        await store.setSnapshot(key, toSnapshot(profile));
+    } catch (error) {
+        logger.warn('Profile snapshot write error', { error: error.message, key });
+    }
+}
 
+/**
+ * Apply one interaction to a stored profile.
+ * The profile is first decayed to the interaction time (a no-op without a half-life).
+ * Pure function — may be re-run by the store when an update is retried.
+ * @param {Object|null} existing - Current stored profile (null for first visit)
+ * @param {string} countryName - Country name
+ * @param {Object} newEmotions - Emotion vector from player choice
+ * @param {Object} countryData - Country metadata (capital, lat, lng)
+ * @param {string} [at] - ISO timestamp of the interaction (defaults to now)
+ * @returns {Object} New profile
+ */
+function applyInteraction(existing, countryName, newEmotions, countryData, at = new Date().toISOString()) {
+    const decayed = decayProfile(existing, at);
     const mergedEmotions = mergeEmotions(
-        existing?.emotions || getDefaultProfile().emotions,
+        decayed?.emotions || getDefaultProfile().emotions,
         newEmotions,
-        existing?.visitCount || 0
+        getEffectiveVisits(decayed)
     );
+    const stats = updateStats(existing?.stats, newEmotions);
 
-    const updatedProfile = {
+    return {
         name: countryData.name || countryName,
         capital: countryData.capital || existing?.capital || 'Unknown',
         lat: countryData.lat || existing?.lat || 0,
@@ -65,19 +383,173 @@ async function updateCountryProfile(countryName, newEmotions, countryData = {})
         emotions: mergedEmotions,
         dominantEmotion: getDominantEmotion(mergedEmotions),
         visitCount: (existing?.visitCount || 0) + 1,
-        lastUpdated: new Date().toISOString(),
+        effectiveVisits: Math.round((getEffectiveVisits(decayed) + 1) * 1000) / 1000,
+        ...describeSpread(stats),
+        stats,
+        lastUpdated: at,
     };
+}
+
+/**
+ * @typedef {Object} EmotionStats
+ * @property {number} count - Interactions included
+ * @property {Object<string, number>} mean - Running mean per dimension
+ * @property {Object<string, number>} m2 - Running sum of squared deviations per dimension
+ */
+
+/**
+ * Add one choice vector to the running per-dimension statistics (Welford's algorithm).
+ * Profiles stored before stats existed start counting from their next interaction.
+ * @param {EmotionStats|undefined} previous - Stats so far
+ * @param {Object} emotions - Emotion vector from player choice
+ * @returns {EmotionStats} New stats (previous is not mutated)
+ */
+function updateStats(previous, emotions) {
+    const count = (previous?.count || 0) + 1;
+    const mean = {};
+    const m2 = {};
+
+    for (const dim of EMOTION_DIMENSIONS) {
+        const value = Math.max(0, Math.min(1, parseFloat(emotions[dim]) || 0));
+        const oldMean = previous?.mean?.[dim] || 0;
+        const delta = value - oldMean;
+        mean[dim] = oldMean + delta / count;
+        m2[dim] = (previous?.m2?.[dim] || 0) + delta * (value - mean[dim]);
+    }
+
+    return { count, mean, m2 };
+}
 
-    if (db) {
-        try {
-            await db.collection(COUNTRIES_COLLECTION).doc(key).set(updatedProfile, { merge: true });
-            logger.info('Country profile updated', { country: countryName, visitCount: updatedProfile.visitCount });
-        } catch (error) {
-            logger.error('Firestore write error', { error: error.message, country: countryName });
+/**
+ * Summarise how much players agree about a country.
+ * Confidence grows with the number of interactions and shrinks with spread;
+ * a profile is contested once enough players split strongly on any dimension.
+ * @param {EmotionStats} stats - Running stats
+ * @returns {{ spread: Object<string, number>, confidence: number, contested: boolean }}
+ */
+function describeSpread(stats) {
+    const spread = {};
+    let totalSpread = 0;
+    let maxSpread = 0;
+
+    for (const dim of EMOTION_DIMENSIONS) {
+        const variance = stats.count > 1 ? stats.m2[dim] / (stats.count - 1) : 0;
+        const deviation = Math.sqrt(Math.max(0, variance));
+        spread[dim] = Math.round(deviation * 1000) / 1000;
+        totalSpread += deviation;
+        maxSpread = Math.max(maxSpread, deviation);
+    }
+
+    const sample = stats.count / (stats.count + CONFIDENCE_HALF_SAMPLE);
+    const agreement = Math.max(0, 1 - totalSpread / EMOTION_DIMENSIONS.length / MAX_SPREAD);
+
+    return {
+        spread,
+        confidence: Math.round(sample * agreement * 1000) / 1000,
+        contested: stats.count >= CONTESTED_MIN_SAMPLES && maxSpread >= CONTESTED_SPREAD,
+    };
+}
+
+/**
+ * Rebuild every country profile, and its daily snapshots, by replaying the
+ * echo log from the start with the current merge formula.
+ * Quarantined echoes are skipped unless released, in which case they apply
+ * at the point of release. Countries with no applied echoes are left untouched.
+ * Run during maintenance: choices accepted mid-rebuild may be overwritten
+ * (they remain in the log, so a second rebuild picks them up).
+ * @returns {Promise<{ echoes: number, profiles: number }>} Echoes applied and profiles rebuilt
+ */
+async function rebuildProfilesFromEchoes() {
+    const store = getProfileStore();
+    const log = await store.listEchoes();
+    const existingProfiles = await store.list(Number.MAX_SAFE_INTEGER);
+    const existingByKey = new Map(existingProfiles.map((p) => [getProfileKey(p.name), p]));
+    const { quarantined } = indexQuarantine(log);
+
+    /** @type {Map<string, Object>} */
+    const rebuilt = new Map();
+    /** @type {Map<string, Object>} Last snapshot per key and day */
+    const snapshots = new Map();
+    let applied = 0;
+
+    for (const entry of log) {
+        // A released echo takes effect at its review, so replay it there
+        let echo = entry;
+
+        if (entry.type === 'review') {
+            if (entry.decision !== 'released' || !quarantined.has(entry.echoId)) continue;
+            echo = quarantined.get(entry.echoId);
+        } else if (entry.quarantine) {
+            continue;
         }
+
+        const at = entry.recordedAt;
+        const countryData = resolveCountryData(echo, existingByKey.get(echo.key));
+        const profile = applyInteraction(rebuilt.get(echo.key) || null, echo.country, echo.emotions, countryData, at);
+        const snapshot = toSnapshot(profile);
+        rebuilt.set(echo.key, profile);
+        snapshots.set(`${echo.key}|${snapshot.day}`, { key: echo.key, snapshot });
+        applied++;
     }
 
-    return updatedProfile;
+    for (const [key, profile] of rebuilt) {
+        await store.set(key, profile);
+    }
+    for (const { key, snapshot } of snapshots.values()) {
+        await store.setSnapshot(key, snapshot);
+    }
+
+    logger.info('Country profiles rebuilt from echo log', { echoes: applied, profiles: rebuilt.size });
+    return { echoes: applied, profiles: rebuilt.size };
+}
+
+/**
+ * Start day of the bucket a day falls in (weeks start on Monday, UTC).
+ * @param {string} day - YYYY-MM-DD
+ * @param {'day'|'week'|'month'} bucket - Bucket size
+ * @returns {string} YYYY-MM-DD
+ */
+function getBucketStart(day, bucket) {
+    if (bucket === 'month') return `${day.slice(0, 7)}-01`;
+    if (bucket === 'week') {
+        const date = new Date(`${day}T00:00:00.000Z`);
+        const sinceMonday = (date.getUTCDay() + 6) % 7;
+        return new Date(date.getTime() - sinceMonday * MS_PER_DAY).toISOString().slice(0, 10);
+    }
+    return day;
+}
+
+/**
+ * Get a country's emotion timeline from its daily snapshots.
+ * Each point is the state at the end of its bucket; buckets with no
+ * activity are omitted.
+ * @param {string} countryName - Country name
+ * @param {{ from: string, to: string, bucket?: 'day'|'week'|'month' }} range - Inclusive YYYY-MM-DD range
+ * @returns {Promise<Array<{ start: string, emotions: Object, dominantEmotion: string, visitCount: number }>>}
+ * @throws {ServiceUnavailableError} If the profile store cannot be read
+ */
+async function getCountryTimeline(countryName, { from, to, bucket = 'day' }) {
+    let snapshots;
+    try {
+        snapshots = await getProfileStore().listSnapshots(getProfileKey(countryName), from, to);
+    } catch (error) {
+        logger.error('Profile snapshot read error', { error: error.message, country: countryName });
+        throw new ServiceUnavailableError('Profile store');
+    }
+
+    /** @type {Map<string, Object>} */
+    const points = new Map();
+    for (const snapshot of snapshots) {
+        const start = getBucketStart(snapshot.day, bucket);
+        points.set(start, {
+            start,
+            emotions: snapshot.emotions,
+            dominantEmotion: snapshot.dominantEmotion,
+            visitCount: snapshot.visitCount,
+        });
+    }
+
+    return [...points.values()];
 }
 
 /**
@@ -85,7 +557,7 @@ async function updateCountryProfile(countryName, newEmotions, countryData = {})
  * Earlier interactions have less effect as visit count grows (stabilisation).
  * @param {Object} existing - Current emotion vector
  * @param {Object} newEmotions - New emotion vector from choice
- * @param {number} visitCount - Number of prior visits
+ * @param {number} visitCount - Number of prior visits (decayed weight in half-life mode)
  * @returns {Object} Merged emotion vector
  */
 function mergeEmotions(existing, newEmotions, visitCount) {
@@ -106,42 +578,42 @@ function mergeEmotions(existing, newEmotions, visitCount) {
 /**
  * Find the dominant emotion in a profile.
  * @param {Object} emotions - Emotion vector
- * @returns {string} Name of the strongest emotion
+ * @returns {string} Name of the strongest emotion, or `neutral` if the top two
+ *   are within DOMINANCE_MARGIN of each other
  */
 function getDominantEmotion(emotions) {
     let maxVal = -1;
+    let runnerUp = -1;
     let dominant = 'neutral';
 
     for (const dim of EMOTION_DIMENSIONS) {
         const val = parseFloat(emotions[dim]) || 0;
         if (val > maxVal) {
+            runnerUp = maxVal;
             maxVal = val;
             dominant = dim;
+        } else if (val > runnerUp) {
+            runnerUp = val;
         }
     }
 
-    return dominant;
+    // Profile values are stored to 3 decimals; compare at that precision
+    return Math.round((maxVal - runnerUp) * 1000) / 1000 < DOMINANCE_MARGIN ? 'neutral' : dominant;
 }
 
 /**
- * Get all country profiles from Firestore (for world map).
+ * Get all country profiles from the profile store (for world map),
+ * decayed to the current time when a half-life is configured.
  * @param {number} limit - Maximum number of countries to return
- * @returns {Promise<Object[]>} Array of country profiles
+ * @returns {Promise<Object[]>} Array of country profiles, most visited first
  */
 async function getAllCountryProfiles(limit = 500) {
-    const db = getDb();
-    if (!db) return [];
-
     try {
-        const snapshot = await db
-            .collection(COUNTRIES_COLLECTION)
-            .orderBy('visitCount', 'desc')
-            .limit(limit)
-            .get();
-
-        return snapshot.docs.map(doc => doc.data());
+        const profiles = await getProfileStore().list(limit);
+        const now = new Date().toISOString();
+        return profiles.map((profile) => decayProfile(profile, now));
     } catch (error) {
-        logger.error('Firestore read-all error', { error: error.message });
+        logger.error('Profile store read-all error', { error: error.message });
         return [];
     }
 }
@@ -151,14 +623,13 @@ async function getAllCountryProfiles(limit = 500) {
  * @returns {Object} Balanced default profile
  */
 function getDefaultProfile() {
+    const emotions = {};
+    for (const dim of EMOTION_DIMENSIONS) {
+        emotions[dim] = NEUTRAL_VALUE;
+    }
+
     return {
-        emotions: {
-            warmth: 0.5,
-            loneliness: 0.5,
-            tension: 0.5,
-            nostalgia: 0.5,
-            belonging: 0.5,
-        },
+        emotions,
         visitCount: 0,
         dominantEmotion: 'neutral',
     };
@@ -167,27 +638,33 @@ function getDefaultProfile() {
 /**
  * Get emotion colour mapping for visualisation.
  * @param {string} emotion - Emotion name
- * @returns {string} HSL colour string
+ * @returns {string} CSS colour from the emotion model (neutral colour if unknown)
  */
 function getEmotionColor(emotion) {
-    const colors = {
-        warmth: 'hsl(35, 90%, 55%)',
-        loneliness: 'hsl(220, 70%, 55%)',
-        tension: 'hsl(0, 75%, 55%)',
-        nostalgia: 'hsl(280, 60%, 55%)',
-        belonging: 'hsl(145, 65%, 45%)',
-        neutral: 'hsl(220, 15%, 55%)',
-    };
-    return colors[emotion] || colors.neutral;
+    const dim = EMOTION_MODEL.dimensions.find((d) => d.name === emotion);
+    return dim ? dim.color : EMOTION_MODEL.neutral.color;
 }
 
 module.exports = {
+    getProfileKey,
     getCountryProfile,
     updateCountryProfile,
+    quarantineEcho,
+    listQuarantinedEchoes,
+    reviewQuarantinedEcho,
+    applyInteraction,
+    updateStats,
+    describeSpread,
+    decayProfile,
+    getDecayFactor,
+    rebuildProfilesFromEchoes,
+    getCountryTimeline,
+    getBucketStart,
     mergeEmotions,
     getDominantEmotion,
     getAllCountryProfiles,
     getDefaultProfile,
     getEmotionColor,
     EMOTION_DIMENSIONS,
+    TIMELINE_BUCKETS,
 };
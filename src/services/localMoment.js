@@ -0,0 +1,134 @@
+/**
+ * Local Moment
+ * Works out when a scene takes place in a country — local time of day, day of
+ * week and season — so the prompt and the fallback scenes fit the hour and
+ * the hemisphere instead of serving morning mist at midnight.
+ *
+ * Local time is solar time at the country's coordinates (15° of longitude per
+ * hour), taken from the request or the countries dataset. That is close enough
+ * to tell morning from night without a time-zone database. Seasons are
+ * meteorological and flipped south of the equator.
+ * @module services/localMoment
+ */
+
+const { COUNTRIES_MAP } = require('../data/countries');
+
+/** Start hour of each part of the day, in order */
+const TIMES_OF_DAY = [
+    { name: 'night', from: 0 },
+    { name: 'early morning', from: 5 },
+    { name: 'morning', from: 8 },
+    { name: 'afternoon', from: 12 },
+    { name: 'evening', from: 18 },
+    { name: 'night', from: 22 },
+];
+
+/** Northern-hemisphere season of each month (January first) */
+const NORTHERN_SEASONS = [
+    'winter', 'winter', 'spring', 'spring', 'spring', 'summer',
+    'summer', 'summer', 'autumn', 'autumn', 'autumn', 'winter',
+];
+
+const OPPOSITE_SEASON = { winter: 'summer', spring: 'autumn', summer: 'winter', autumn: 'spring' };
+
+/** Every part-of-day name, earliest first */
+const PARTS_OF_DAY = ['early morning', 'morning', 'afternoon', 'evening', 'night'];
+
+/** Every season name */
+const SEASONS = Object.keys(OPPOSITE_SEASON);
+
+const DAYS_OF_WEEK = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/** Between the tropics seasons mean rain and heat rather than snow and blossom */
+const TROPIC_LATITUDE = 23.44;
+
+/**
+ * @typedef {Object} LocalMoment
+ * @property {string} localTime - Local solar time, "HH:MM"
+ * @property {string} timeOfDay - "early morning", "morning", "afternoon", "evening" or "night"
+ * @property {string} dayOfWeek - e.g. "Tuesday"
+ * @property {string} season - "spring", "summer", "autumn" or "winter"
+ * @property {string} hemisphere - "northern" or "southern"
+ * @property {boolean} tropical - Whether the country lies between the tropics
+ */
+
+/**
+ * Coordinates of a country: from the country object when it has them,
+ * otherwise from the countries dataset.
+ * @param {{ name: string, lat?: number, lng?: number }} country
+ * @returns {{ lat: number, lng: number }|null}
+ */
+function resolveCoordinates(country) {
+    const { lat, lng } = country;
+    if (Number.isFinite(lat) && Number.isFinite(lng) && (lat !== 0 || lng !== 0)) return { lat, lng };
+
+    const known = COUNTRIES_MAP.get(String(country.name || '').toLowerCase());
+    return known ? { lat: known.lat, lng: known.lng } : null;
+}
+
+/**
+ * Part of the day for a local hour.
+ * @param {number} hour - 0-23
+ * @returns {string}
+ */
+function getTimeOfDay(hour) {
+    return TIMES_OF_DAY.filter((time) => hour >= time.from).pop().name;
+}
+
+/**
+ * Season for a month and latitude.
+ * @param {number} month - 0-11
+ * @param {number} lat - Latitude
+ * @returns {string}
+ */
+function getSeason(month, lat) {
+    const northern = NORTHERN_SEASONS[month];
+    return lat < 0 ? OPPOSITE_SEASON[northern] : northern;
+}
+
+/**
+ * The local moment in a country.
+ * @param {{ name: string, lat?: number, lng?: number }} country
+ * @param {Date} [now=new Date()]
+ * @returns {LocalMoment|null} null if the country's position is unknown
+ */
+function getLocalMoment(country, now = new Date()) {
+    const coordinates = resolveCoordinates(country);
+    if (!coordinates) return null;
+
+    const offsetMinutes = Math.round(coordinates.lng * 4);
+    const local = new Date(now.getTime() + offsetMinutes * 60_000);
+    const hour = local.getUTCHours();
+
+    return {
+        localTime: `${String(hour).padStart(2, '0')}:${String(local.getUTCMinutes()).padStart(2, '0')}`,
+        timeOfDay: getTimeOfDay(hour),
+        dayOfWeek: DAYS_OF_WEEK[local.getUTCDay()],
+        season: getSeason(local.getUTCMonth(), coordinates.lat),
+        hemisphere: coordinates.lat < 0 ? 'southern' : 'northern',
+        tropical: Math.abs(coordinates.lat) < TROPIC_LATITUDE,
+    };
+}
+
+/**
+ * Describe a local moment for the scenario prompt.
+ * @param {LocalMoment} moment
+ * @param {string} countryName
+ * @returns {string}
+ */
+function describeLocalMoment(moment, countryName) {
+    const climate = moment.tropical
+        ? ' It lies in the tropics, so think heat, rain or dry spells rather than snow or autumn leaves.'
+        : '';
+    return `It is ${moment.dayOfWeek} ${moment.timeOfDay} in ${countryName}, around ${moment.localTime} local time, ` +
+        `in the ${moment.hemisphere}-hemisphere ${moment.season}.${climate}`;
+}
+
+module.exports = {
+    getLocalMoment,
+    describeLocalMoment,
+    getTimeOfDay,
+    getSeason,
+    PARTS_OF_DAY,
+    SEASONS,
+};
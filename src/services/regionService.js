@@ -0,0 +1,173 @@
+/**
+ * Region Aggregation Service
+ * Rolls country emotion profiles up to the regions and continents defined in
+ * the countries dataset ("how does West Africa feel?"). Each dimension is the
+ * visit-weighted mean of the visited member countries.
+ * @module services/regionService
+ */
+
+const { COUNTRIES_RAW } = require('../data/countries');
+const { EMOTION_DIMENSIONS } = require('../config/emotionModel');
+const { getAllCountryProfiles, getDominantEmotion, getEmotionColor } = require('./emotionEngine');
+
+/** Number of top contributing countries returned for a region */
+const TOP_COUNTRIES = 5;
+
+/** Upper bound on profiles read for aggregation (the dataset has under 200 countries) */
+const PROFILE_LIMIT = 1000;
+
+/**
+ * @typedef {Object} RegionDefinition
+ * @property {string} name - Region or continent name as in the dataset
+ * @property {string} slug - URL-safe identifier
+ * @property {'region'|'continent'} level - Grouping level
+ * @property {Set<string>} countries - Lowercase member country names
+ * @property {number} lat - Centroid latitude of member countries
+ * @property {number} lng - Centroid longitude of member countries
+ */
+
+/**
+ * Turn a region name into a URL-safe slug ("South-East Asia" → "south-east-asia").
+ * @param {string} name - Region name
+ * @returns {string} Slug
+ */
+function toSlug(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Group the dataset by one column into region definitions.
+ * Longitudes are averaged on the circle so Pacific regions that straddle
+ * the antimeridian get a sensible centroid.
+ * @param {number} column - COUNTRIES_RAW column (4 = continent, 5 = region)
+ * @param {'region'|'continent'} level - Grouping level
+ * @returns {RegionDefinition[]} Definitions sorted by name
+ */
+function buildDefinitions(column, level) {
+    /** @type {Map<string, { countries: Set<string>, lat: number, sin: number, cos: number }>} */
+    const groups = new Map();
+
+    for (const row of COUNTRIES_RAW) {
+        const name = row[column];
+        if (!groups.has(name)) groups.set(name, { countries: new Set(), lat: 0, sin: 0, cos: 0 });
+
+        const group = groups.get(name);
+        group.countries.add(row[0].toLowerCase());
+        group.lat += row[2];
+        group.sin += Math.sin((row[3] * Math.PI) / 180);
+        group.cos += Math.cos((row[3] * Math.PI) / 180);
+    }
+
+    return [...groups.entries()]
+        .map(([name, group]) => ({
+            name,
+            slug: toSlug(name),
+            level,
+            countries: group.countries,
+            lat: Math.round((group.lat / group.countries.size) * 1000) / 1000,
+            lng: Math.round((Math.atan2(group.sin, group.cos) * 180) / Math.PI * 1000) / 1000,
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+const REGIONS = buildDefinitions(5, 'region');
+const CONTINENTS = buildDefinitions(4, 'continent');
+
+/**
+ * Find a region or continent by name or slug.
+ * Regions win over continents of the same name (e.g. "North America")
+ * unless the continent level is requested.
+ * @param {string} nameOrSlug - Region name or slug
+ * @param {'region'|'continent'} [level] - Restrict to one level
+ * @returns {RegionDefinition|null}
+ */
+function findRegion(nameOrSlug, level) {
+    const slug = toSlug(nameOrSlug);
+    const candidates = level === 'continent' ? CONTINENTS
+        : level === 'region' ? REGIONS
+            : [...REGIONS, ...CONTINENTS];
+    return candidates.find((def) => def.slug === slug) || null;
+}
+
+/**
+ * Aggregate member country profiles into one region summary.
+ * @param {RegionDefinition} definition - Region to aggregate
+ * @param {Object[]} profiles - Country profiles (any region)
+ * @param {number} [topCount=TOP_COUNTRIES] - Contributing countries to include
+ * @returns {Object} Region summary
+ */
+function aggregateRegion(definition, profiles, topCount = TOP_COUNTRIES) {
+    const members = profiles.filter((p) => definition.countries.has((p.name || '').toLowerCase()) && p.visitCount > 0);
+    const visitCount = members.reduce((sum, p) => sum + p.visitCount, 0);
+
+    let emotions = null;
+    if (visitCount > 0) {
+        emotions = {};
+        for (const dim of EMOTION_DIMENSIONS) {
+            const weighted = members.reduce((sum, p) => sum + (parseFloat(p.emotions?.[dim]) || 0) * p.visitCount, 0);
+            emotions[dim] = Math.round((weighted / visitCount) * 1000) / 1000;
+        }
+    }
+
+    const dominantEmotion = emotions ? getDominantEmotion(emotions) : 'neutral';
+    const topCountries = [...members]
+        .sort((a, b) => b.visitCount - a.visitCount)
+        .slice(0, topCount)
+        .map((p) => ({
+            name: p.name,
+            visitCount: p.visitCount,
+            share: Math.round((p.visitCount / visitCount) * 1000) / 1000,
+            dominantEmotion: p.dominantEmotion,
+        }));
+
+    return {
+        name: definition.name,
+        slug: definition.slug,
+        level: definition.level,
+        lat: definition.lat,
+        lng: definition.lng,
+        countryCount: definition.countries.size,
+        visitedCountries: members.length,
+        visitCount,
+        emotions,
+        dominantEmotion,
+        color: getEmotionColor(dominantEmotion),
+        topCountries,
+    };
+}
+
+/**
+ * Summarise every region and continent.
+ * @returns {Promise<{ regions: Object[], continents: Object[] }>}
+ */
+async function getRegionSummaries() {
+    const profiles = await getAllCountryProfiles(PROFILE_LIMIT);
+    return {
+        regions: REGIONS.map((def) => aggregateRegion(def, profiles, 3)),
+        continents: CONTINENTS.map((def) => aggregateRegion(def, profiles, 3)),
+    };
+}
+
+/**
+ * Summarise one region or continent.
+ * @param {string} nameOrSlug - Region name or slug
+ * @param {'region'|'continent'} [level] - Restrict to one level
+ * @returns {Promise<Object|null>} Region summary, or null if no such region
+ */
+async function getRegionProfile(nameOrSlug, level) {
+    const definition = findRegion(nameOrSlug, level);
+    if (!definition) return null;
+
+    const profiles = await getAllCountryProfiles(PROFILE_LIMIT);
+    return aggregateRegion(definition, profiles);
+}
+
+module.exports = {
+    getRegionSummaries,
+    getRegionProfile,
+    aggregateRegion,
+    findRegion,
+    toSlug,
+    REGIONS,
+    CONTINENTS,
+};
@@ -1,78 +1,193 @@
 /**
  * Scenario Generator Service
- * Uses Gemini AI to create culturally plausible short moments for countries.
+ * Uses the configured LLM provider (Gemini, an OpenAI-compatible server, or
+ * the offline stub) to create culturally plausible short moments for countries.
+ * A moment may take two decisions: each first choice can reveal a follow-up
+ * beat with its own choices, and the final emotion vector blends both steps.
+ * Recent scenes per country are fed back into the prompt to avoid, and a
+ * near-duplicate answer is regenerated. Answers that fail content moderation
+ * are logged and replaced by a curated scene from the scenario packs.
+ * Scenarios can be written directly in any supported language, and are
+ * grounded in the country's local time of day, day of week and season.
+ * The scene can be passed to a listener as a draft while the model writes it.
  * Includes retry with exponential backoff for resilient AI interactions.
  * @module services/scenarioGenerator
  */
 
-const { getModel } = require('../config/gemini');
+const { getLlmProvider } = require('../llm/llmProvider');
+const { createStringFieldReader } = require('../llm/parseJsonResponse');
+const { EMOTION_MODEL, EMOTION_DIMENSIONS } = require('../config/emotionModel');
+const { selectPromptTemplate, renderPrompt } = require('../config/promptRegistry');
+const {
+    checkScenarioPayload,
+    validateScenarioPayload,
+    MIN_CHOICES,
+    MAX_CHOICES,
+    MIN_FOLLOW_UP_CHOICES,
+    MAX_FOLLOW_UP_CHOICES,
+} = require('./scenarioSchema');
+const {
+    fingerprintScenario,
+    findNearDuplicate,
+    getScenarioHistory,
+    rememberScenario,
+    describeHistory,
+} = require('./scenarioHistory');
+const { moderateScenario, recordRejectedScenario, screenScenario } = require('./contentSafety');
+const { SUPPORTED_LANGUAGES } = require('./translationService');
+const { getLocalMoment, describeLocalMoment } = require('./localMoment');
+const { selectPackScene, renderPackScene } = require('./scenarioPacks');
+const { incrementCounter } = require('../utils/metrics');
 const { logger } = require('../utils/logger');
 
-/**
- * Emotion dimensions tracked by the system.
- * @type {string[]}
- */
-const EMOTION_DIMENSIONS = ['warmth', 'loneliness', 'tension', 'nostalgia', 'belonging'];
-
-/** Maximum number of retry attempts for Gemini API calls */
+/** Maximum number of retry attempts for LLM calls */
 const MAX_RETRIES = 2;
 
 /** Base delay (ms) for exponential backoff */
 const BASE_DELAY_MS = 500;
 
-/** Minimum and maximum number of choices */
-const MIN_CHOICES = 3;
-const MAX_CHOICES = 4;
+/** Sampling temperature for scenario generation */
+const SCENARIO_TEMPERATURE = 0.85;
+
+/** Metrics group for generation outcomes and failure reasons */
+const METRICS_GROUP = 'scenarioGeneration';
+
+/** Language of scenarios when none is requested, and of every fallback scene */
+const DEFAULT_LANGUAGE = 'en';
+
+/** English names of language codes, for the prompt */
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+/** Share of the final emotion vector taken from the follow-up decision */
+const FOLLOW_UP_WEIGHT = 0.5;
+
+/**
+ * @typedef {Object} ScenarioChoice
+ * @property {string} id - Choice ID ("A".."D"; follow-up choices append a digit, e.g. "B2")
+ * @property {string} text - Choice text
+ * @property {Object} emotions - Emotion vector of this decision alone
+ * @property {{ scenario: string, choices: ScenarioChoice[] }} [followUp] - Beat revealed by this choice
+ */
 
 /**
  * Generate a scenario for a given country with retry logic.
  * @param {Object} country - Country object { name, capital, lat, lng, continent, region }
  * @param {Object|null} emotionProfile - Current emotional profile of the country
+ * @param {Object} [options]
+ * @param {string} [options.language] - Language code to write the scenario in
+ *   (one of the supported translation languages; defaults to English)
+ * @param {import('./localMoment').LocalMoment|null} [options.moment] - Moment to set the
+ *   scene in (defaults to the country's local moment now)
+ * @param {(text: string, attempt: number) => void} [options.onDraft] - Receives the scene
+ *   text of each attempt as the model writes it (see createDraftReader)
+ * @param {Object|null} [options.provider] - LLM provider to use instead of the active one
+ * @param {AbortSignal|null} [options.signal] - Stops retrying once aborted; the fallback
+ *   scene is returned and nothing is recorded as rejected
  * @returns {Promise<Object>} Generated scenario with choices and emotion mapping
  */
-async function generateScenario(country, emotionProfile = null) {
-    const model = getModel();
+async function generateScenario(country, emotionProfile = null, {
+    language = DEFAULT_LANGUAGE,
+    moment = getLocalMoment(country),
+    onDraft = null,
+    provider = getLlmProvider(),
+    signal = null,
+} = {}) {
+    if (!SUPPORTED_LANGUAGES.has(language)) {
+        logger.warn('Unsupported scenario language, using default', { country: country.name, language });
+        language = DEFAULT_LANGUAGE;
+    }
 
-    if (!model) {
-        logger.warn('Gemini model unavailable, using fallback', { country: country.name });
-        return getFallbackScenario(country);
+    if (!provider) {
+        logger.warn('LLM provider unavailable, using fallback', { country: country.name });
+        return useFallback(country, 'no_provider', moment);
     }
 
     // Randomly decide number of choices (3 or 4)
     const numChoices = Math.floor(Math.random() * (MAX_CHOICES - MIN_CHOICES + 1)) + MIN_CHOICES;
-    const prompt = buildPrompt(country, emotionProfile, numChoices);
+    const history = getScenarioHistory(country.name);
+    const { prompt, version: promptVersion } = buildPrompt(country, emotionProfile, numChoices, { history, language, moment });
 
     for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+        if (signal?.aborted) return useFallback(country, 'cancelled', moment);
         try {
-            const result = await model.generateContent(prompt);
-            const text = result.response.text();
-            const parsed = JSON.parse(text);
+            const raw = await provider.generateJson(prompt, {
+                temperature: SCENARIO_TEMPERATURE,
+                ...(onDraft && { onText: createDraftReader(country, attempt, onDraft).push }),
+            });
+            const { payload: parsed, errors, initialErrors, repairs } = checkScenarioPayload(raw);
 
-            if (!isValidScenario(parsed, numChoices)) {
-                logger.warn('Invalid AI response structure', { country: country.name, attempt });
+            if (errors.length > 0) {
+                recordSchemaErrors(errors);
+                logger.warn('Invalid AI response structure', {
+                    country: country.name,
+                    provider: provider.name,
+                    promptVersion,
+                    attempt,
+                    errors: errors.slice(0, 10).map((e) => `${e.path}: ${e.message}`),
+                });
                 if (attempt < MAX_RETRIES) continue;
-                return getFallbackScenario(country);
+                return useFallback(country, 'retries_exhausted', moment);
             }
 
-            // Generate choice IDs (A, B, C, D, etc.)
-            const choiceIds = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
-            const choices = parsed.choices.map((choice, index) => ({
-                id: choiceIds[index],
-                text: sanitizeText(choice.text),
-                emotions: normalizeEmotions(choice.emotions),
-            }));
+            if (repairs.length > 0) {
+                incrementCounter(METRICS_GROUP, 'repaired');
+                logger.info('Repaired AI response', { country: country.name, repairs, fixed: initialErrors.length, attempt });
+            }
 
-            return {
+            const scenario = {
                 country: country.name,
                 capital: country.capital,
                 scenario: sanitizeText(parsed.scenario),
-                choices: choices,
+                choices: toChoices(parsed.choices),
                 tone: parsed.tone || 'neutral',
                 generated: true,
+                provider: provider.name,
+                promptVersion,
+                language,
             };
+
+            const moderation = await moderateScenario(scenario, country, { provider, language });
+            if (signal?.aborted) return useFallback(country, 'cancelled', moment);
+            if (!moderation.allowed) {
+                for (const code of new Set(moderation.findings.map((f) => f.code))) {
+                    incrementCounter(METRICS_GROUP, `unsafe_${code}`);
+                }
+                logger.warn('Scenario rejected by content safety', {
+                    country: country.name,
+                    provider: provider.name,
+                    promptVersion,
+                    findings: moderation.findings.map((f) => (f.path ? `${f.path}: ${f.message}` : f.message)),
+                });
+                await recordRejectedScenario(scenario, moderation.findings);
+                return useFallback(country, 'unsafe', moment);
+            }
+
+            const fingerprint = fingerprintScenario(scenario.scenario, language);
+            if (findNearDuplicate(fingerprint, history)) {
+                logger.info('Near-duplicate scenario', {
+                    country: country.name,
+                    provider: provider.name,
+                    attempt,
+                    characters: fingerprint.characters,
+                    settings: fingerprint.settings,
+                });
+                if (attempt < MAX_RETRIES) {
+                    incrementCounter(METRICS_GROUP, 'near_duplicate');
+                    continue;
+                }
+                // A familiar scene beats the static fallback
+                incrementCounter(METRICS_GROUP, 'duplicate_accepted');
+            }
+            incrementCounter(METRICS_GROUP, 'valid');
+            rememberScenario(country.name, fingerprint);
+
+            return scenario;
         } catch (error) {
+            if (signal?.aborted) return useFallback(country, 'cancelled', moment);
+            incrementCounter(METRICS_GROUP, error instanceof SyntaxError ? 'invalid_json' : 'provider_error');
             logger.error('Scenario generation attempt failed', {
                 country: country.name,
+                provider: provider.name,
                 attempt,
                 error: error.message,
             });
@@ -83,94 +198,202 @@ async function generateScenario(country, emotionProfile = null) {
                 continue;
             }
 
-            return getFallbackScenario(country);
+            return useFallback(country, 'retries_exhausted', moment);
         }
     }
 
-    return getFallbackScenario(country);
+    return useFallback(country, 'retries_exhausted', moment);
+}
+
+/**
+ * Follow the scene of one attempt while the model streams it, passing on
+ * each new stretch of sanitized text. Drafts are provisional: the streaming
+ * stops at the first blocklisted or stereotyped phrase, and the validated,
+ * moderated scenario (or a fallback) always replaces them.
+ * @param {Object} country - Country data
+ * @param {number} attempt - Attempt number, so listeners can discard earlier drafts
+ * @param {(text: string, attempt: number) => void} onDraft - Draft listener
+ * @returns {{ push: (chunk: string) => void }} Feed for the raw response text
+ */
+function createDraftReader(country, attempt, onDraft) {
+    let sent = '';
+    let blocked = false;
+
+    return createStringFieldReader('scenario', (value) => {
+        const draft = sanitizeText(value);
+        if (blocked || !draft.startsWith(sent) || draft.length === sent.length) return;
+        if (screenScenario({ scenario: draft }, country.name).length > 0) {
+            blocked = true;
+            return;
+        }
+        onDraft(draft.slice(sent.length), attempt);
+        sent = draft;
+    }, { after: ['choices'] });
+}
+
+/**
+ * Count each kind of schema failure once per attempt.
+ * @param {import('./scenarioSchema').SchemaError[]} errors
+ */
+function recordSchemaErrors(errors) {
+    for (const code of new Set(errors.map((e) => e.code))) {
+        incrementCounter(METRICS_GROUP, `schema_${code}`);
+    }
 }
 
 /**
- * Build the Gemini prompt for scenario generation.
+ * Serve a fallback scenario and count why.
+ * @param {Object} country - Country data
+ * @param {string} reason - Why generation fell back
+ * @param {import('./localMoment').LocalMoment|null} [moment] - Local moment of the request
+ * @returns {Object} Fallback scenario
+ */
+function useFallback(country, reason, moment) {
+    incrementCounter(METRICS_GROUP, `fallback_${reason}`);
+    return getFallbackScenario(country, moment);
+}
+
+/**
+ * Assign IDs to parsed choices and clean their text and vectors.
+ * @param {Object[]} rawChoices - Choices as returned by the model
+ * @param {string} [prefix=''] - Parent choice ID for follow-up choices
+ * @returns {ScenarioChoice[]}
+ */
+function toChoices(rawChoices, prefix = '') {
+    return rawChoices.map((choice, index) => {
+        // Top-level choices are lettered (A, B, C, D); follow-ups are numbered under their parent (A1, A2)
+        const id = prefix ? `${prefix}${index + 1}` : String.fromCharCode(65 + index);
+        const result = {
+            id,
+            text: sanitizeText(choice.text),
+            emotions: normalizeEmotions(choice.emotions),
+        };
+        if (!prefix && choice.followUp) {
+            result.followUp = {
+                scenario: sanitizeText(choice.followUp.scenario),
+                choices: toChoices(choice.followUp.choices, id),
+            };
+        }
+        return result;
+    });
+}
+
+/**
+ * Blend the emotion vectors of a first decision and its follow-up.
+ * @param {Object} first - Emotion vector of the first choice
+ * @param {Object} second - Emotion vector of the follow-up choice
+ * @param {number} [weight=FOLLOW_UP_WEIGHT] - Share taken from the follow-up
+ * @returns {Object} Normalized, combined emotion vector
+ */
+function combineEmotions(first, second, weight = FOLLOW_UP_WEIGHT) {
+    const a = normalizeEmotions(first);
+    const b = normalizeEmotions(second);
+    const combined = {};
+    for (const dim of EMOTION_DIMENSIONS) {
+        combined[dim] = Math.round((a[dim] * (1 - weight) + b[dim] * weight) * 1000) / 1000;
+    }
+    return combined;
+}
+
+/**
+ * List every final outcome a player can submit for a scenario.
+ * A choice without a follow-up is an outcome on its own; a choice with one
+ * yields an outcome per follow-up choice, carrying the combined vector.
+ * @param {{ choices: ScenarioChoice[] }} scenario - Generated scenario
+ * @returns {{ id: string, emotions: Object }[]} Submittable choice IDs and their vectors
+ */
+function getScenarioOutcomes(scenario) {
+    return scenario.choices.flatMap((choice) => {
+        if (!choice.followUp) return [{ id: choice.id, emotions: normalizeEmotions(choice.emotions) }];
+        return choice.followUp.choices.map((next) => ({
+            id: next.id,
+            emotions: combineEmotions(choice.emotions, next.emotions),
+        }));
+    });
+}
+
+/**
+ * Build the LLM prompt for scenario generation from a versioned template.
+ * SCENARIO_PROMPT_VERSION pins a template; otherwise one is picked by A/B weight.
  * @param {Object} country - Country data
  * @param {Object|null} emotionProfile - Existing emotion profile
  * @param {number} numChoices - Number of choices to generate (3 or 4)
- * @returns {string} Formatted prompt
+ * @param {Object} [context]
+ * @param {import('./scenarioHistory').ScenarioFingerprint[]} [context.history=[]] - Recent scenes to avoid
+ * @param {string} [context.language=DEFAULT_LANGUAGE] - Language code to write the scenario in
+ * @param {import('./localMoment').LocalMoment|null} [context.moment=null] - When the scene takes place
+ * @returns {{ prompt: string, version: string }} Rendered prompt and its template version
  */
-function buildPrompt(country, emotionProfile, numChoices) {
+function buildPrompt(country, emotionProfile, numChoices, { history = [], language = DEFAULT_LANGUAGE, moment = null } = {}) {
+    const shown = describeHistory(history);
+    const avoidContext = shown
+        ? `\nRECENTLY SHOWN in ${country.name} — do not repeat these moments. Choose different people, places and activities:\n${shown}`
+        : '';
+    const momentContext = moment ? `\nLOCAL MOMENT: ${describeLocalMoment(moment, country.name)}` : '';
+
     const profileContext = emotionProfile
         ? `\nThis country has been visited before. Its current emotional atmosphere is:\n${Object.entries(emotionProfile).map(([k, v]) => `- ${k}: ${(v * 100).toFixed(0)}%`).join('\n')}\nSubtly reflect this accumulated mood in the scenario's tone.`
         : '\nThis is the first visit to this country. Generate a fresh, culturally grounded moment.';
 
     // Generate choice template based on numChoices
+    const emotionTemplate = EMOTION_DIMENSIONS.map((dim) => `        "${dim}": 0.0-1.0`).join(',\n');
+    const followUpEmotionTemplate = EMOTION_DIMENSIONS.map((dim) => `              "${dim}": 0.0-1.0`).join(',\n');
     const choiceTemplate = Array.from({ length: numChoices }, (_, i) => {
         const choiceLetter = String.fromCharCode(65 + i);
         return `    {
       "text": "Action choice ${choiceLetter} (3-12 words, vary the length and style)",
       "emotions": {
-        "warmth": 0.0-1.0,
-        "loneliness": 0.0-1.0,
-        "tension": 0.0-1.0,
-        "nostalgia": 0.0-1.0,
-        "belonging": 0.0-1.0
+${emotionTemplate}
+      },
+      "followUp": {
+        "scenario": "1 sentence: what happens because you chose ${choiceLetter}",
+        "choices": [
+          {
+            "text": "Second decision (3-12 words)",
+            "emotions": {
+${followUpEmotionTemplate}
+            }
+          }
+        ]
       }
     }`;
     }).join(',\n');
 
-    return `You are a culturally aware storytelling engine for a geography game called Atlas.
-
-TASK: Generate a short, emotionally resonant everyday moment set in ${country.name} (capital: ${country.capital}), located in ${country.region}.
-
-RULES:
-- The moment must be culturally plausible for ${country.name}
-- Maximum 2 sentences for the scenario
-- It must describe a real, ordinary human moment (a vendor, a commuter, a student, a family, etc.)
-- Draw from ${country.name}'s geography, culture, and daily life in ${country.region}
-- NO fantasy, supernatural, or fictional elements
-- NO stereotypes or offensive content
-- NO generic filler — every detail should feel specific to this place
-- Present tense, second person ("You see...", "You notice...")
- ${profileContext}
-
-Generate ${numChoices} distinct choices that offer different ways to engage with the moment. Vary the choice styles:
-- Some practical/action-oriented (what you do)
-- Some social/emotional (how you connect with others)
-- Some observational/reflective (what you notice or feel)
-- Mix short phrases (3-5 words) with longer descriptions (8-12 words)
-
-RESPONSE FORMAT (strict JSON):
-{
-  "scenario": "A 1-2 sentence scene set in ${country.name}",
-  "choices": [
-${choiceTemplate}
-  ],
-  "tone": "one word describing the overall mood"
-}
+    const dimensionGuide = EMOTION_MODEL.dimensions
+        .map((dim) => `- ${dim.name}: ${dim.description}`)
+        .join('\n');
 
-Each choice should lead to meaningfully different emotional outcomes across the five dimensions (warmth, loneliness, tension, nostalgia, belonging).`;
+    const template = selectPromptTemplate('scenario', { version: process.env.SCENARIO_PROMPT_VERSION });
+    const prompt = renderPrompt(template, {
+        country: country.name,
+        capital: country.capital,
+        region: country.region,
+        profileContext,
+        avoidContext,
+        momentContext,
+        language: languageNames.of(language),
+        numChoices,
+        choiceTemplate,
+        dimensionGuide,
+        dimensionCount: EMOTION_DIMENSIONS.length,
+        dimensionList: EMOTION_DIMENSIONS.join(', '),
+        minFollowUpChoices: MIN_FOLLOW_UP_CHOICES,
+        maxFollowUpChoices: MAX_FOLLOW_UP_CHOICES,
+    });
+
+    return { prompt, version: template.version };
 }
 
 /**
- * Validate the parsed scenario structure.
- * @param {Object} parsed - Parsed JSON from Gemini
+ * Validate the parsed scenario structure against the scenario schema:
+ * known emotion keys with scores in [0, 1], choice counts and lengths, the
+ * sentence limit, and at most one follow-up beat per choice.
+ * @param {Object} parsed - Parsed JSON from the model
  * @param {number} expectedChoices - Expected number of choices (3 or 4)
  * @returns {boolean}
  */
 function isValidScenario(parsed, expectedChoices) {
-    return (
-        parsed &&
-        typeof parsed.scenario === 'string' &&
-        parsed.scenario.length > 0 &&
-        Array.isArray(parsed.choices) &&
-        parsed.choices.length >= MIN_CHOICES &&
-        parsed.choices.length <= MAX_CHOICES &&
-        parsed.choices.every(c =>
-            typeof c.text === 'string' &&
-            c.text.length > 0 &&
-            c.emotions &&
-            typeof c.emotions === 'object'
-        )
-    );
+    return validateScenarioPayload(parsed).length === 0;
 }
 
 /**
@@ -188,17 +411,34 @@ function normalizeEmotions(emotions) {
 }
 
 /**
- * Sanitize text output — strip potential injection content.
+ * Markup and control characters never allowed in scenario text: ASCII
+ * symbols used by HTML, templates and Markdown, C0/C1 controls, and the
+ * bidirectional overrides that can visually reorder a line.
+ */
+const UNSAFE_CHARACTERS = /[<>{}[\]\\/@#*`|^~=&\p{Cc}\u202A-\u202E\u2066-\u2069]/gu;
+
+/** Longest scenario text kept, in characters (code points) */
+const MAX_TEXT_LENGTH = 500;
+
+/**
+ * Sanitize text output — strip markup, control characters and other
+ * potential injection content while keeping letters, marks and punctuation
+ * of every script (accents, CJK, Arabic, Devanagari with joiners) and
+ * currency symbols.
  * @param {string} text - Raw text from AI
- * @returns {string} Sanitized text
+ * @returns {string} Sanitized text (NFC-normalized)
  */
 function sanitizeText(text) {
     if (typeof text !== 'string') return '';
-    return text
+    const cleaned = text
+        .normalize('NFC')
         .replace(/<[^>]*>/g, '')
-        .replace(/[^\w\s.,!?;:'"()\-–—]/g, '')
-        .trim()
-        .slice(0, 500);
+        .replace(/[\t\n\r]+/g, ' ')
+        .replace(UNSAFE_CHARACTERS, '')
+        .replace(/[^\p{L}\p{M}\p{N}\p{P}\p{Sc}\p{Zs}\u200C\u200D]/gu, '')
+        .replace(/ {2,}/g, ' ')
+        .trim();
+    return Array.from(cleaned).slice(0, MAX_TEXT_LENGTH).join('').trim();
 }
 
 /**
@@ -212,72 +452,28 @@ function sleep(ms) {
 
 /**
  * Fallback scenario when AI is unavailable.
+ * Follows the same two-step format as generated scenarios, in English, taken
+ * from the scenario packs: the country's own scenes first, then its region's,
+ * then generic ones, preferring a scene that fits the local time of day and season.
  * @param {Object} country - Country data
- * @returns {Object} Static fallback scenario
+ * @param {import('./localMoment').LocalMoment|null} [moment] - Local moment (defaults to now)
+ * @returns {Object} Curated fallback scenario
+ * @throws {Error} If no scenario pack could be loaded
  */
-function getFallbackScenario(country) {
-    // Randomly decide number of choices (3 or 4)
-    const numChoices = Math.floor(Math.random() * (MAX_CHOICES - MIN_CHOICES + 1)) + MIN_CHOICES;
-    
-    const fallbacks = [
-        {
-            scenarios: [
-                `You arrive in ${country.name} as the golden hour bathes the landscape in amber light. A local arranges fresh flowers at a roadside stand, humming an old melody.`,
-                `In ${country.name}, morning mist drifts across the valleys. You hear distant bells and the smell of woodsmoke on the breeze.`,
-                `The afternoon heat of ${country.name} draws you to a shaded plaza. Children play while elders watch from benches, exchanging stories.`,
-                `Evening settles over ${country.name}. Lanterns flicker to life as the day's final commerce winds down in the market square.`,
-            ],
-            choiceSets: [
-                // Set 1: 3 choices
-                [
-                    { id: 'A', text: 'Stop and choose a flower', emotions: { warmth: 0.8, loneliness: 0.1, tension: 0.1, nostalgia: 0.4, belonging: 0.6 } },
-                    { id: 'B', text: 'Walk on, lost in thought', emotions: { warmth: 0.2, loneliness: 0.7, tension: 0.1, nostalgia: 0.6, belonging: 0.1 } },
-                    { id: 'C', text: 'Ask about the melody', emotions: { warmth: 0.9, loneliness: 0.05, tension: 0.2, nostalgia: 0.7, belonging: 0.5 } },
-                ],
-                // Set 2: 4 choices
-                [
-                    { id: 'A', text: 'Follow the sound of bells', emotions: { warmth: 0.4, loneliness: 0.3, tension: 0.2, nostalgia: 0.5, belonging: 0.3 } },
-                    { id: 'B', text: 'Find the source of smoke', emotions: { warmth: 0.6, loneliness: 0.2, tension: 0.1, nostalgia: 0.6, belonging: 0.4 } },
-                    { id: 'C', text: 'Watch the mist dissipate', emotions: { warmth: 0.1, loneliness: 0.6, tension: 0.05, nostalgia: 0.8, belonging: 0.1 } },
-                    { id: 'D', text: 'Continue down the valley path', emotions: { warmth: 0.2, loneliness: 0.5, tension: 0.3, nostalgia: 0.3, belonging: 0.2 } },
-                ],
-                // Set 3: 3 choices
-                [
-                    { id: 'A', text: 'Join the children playing', emotions: { warmth: 0.9, loneliness: 0.05, tension: 0.1, nostalgia: 0.4, belonging: 0.8 } },
-                    { id: 'B', text: 'Listen to the elders\' stories', emotions: { warmth: 0.7, loneliness: 0.2, tension: 0.05, nostalgia: 0.9, belonging: 0.5 } },
-                    { id: 'C', text: 'Sit quietly in the shade', emotions: { warmth: 0.3, loneliness: 0.5, tension: 0.1, nostalgia: 0.5, belonging: 0.3 } },
-                ],
-                // Set 4: 4 choices
-                [
-                    { id: 'A', text: 'Browse the remaining stalls', emotions: { warmth: 0.5, loneliness: 0.3, tension: 0.1, nostalgia: 0.4, belonging: 0.4 } },
-                    { id: 'B', text: 'Buy a lantern for your journey', emotions: { warmth: 0.6, loneliness: 0.2, tension: 0.2, nostalgia: 0.5, belonging: 0.3 } },
-                    { id: 'C', text: 'Watch the sunset from the square', emotions: { warmth: 0.4, loneliness: 0.4, tension: 0.05, nostalgia: 0.7, belonging: 0.2 } },
-                    { id: 'D', text: 'Head to your lodgings', emotions: { warmth: 0.3, loneliness: 0.5, tension: 0.1, nostalgia: 0.2, belonging: 0.4 } },
-                ],
-            ],
-            tones: ['wistful', 'contemplative', 'warm', 'peaceful'],
-        },
-    ];
-
-    const fallback = fallbacks[0];
-    const scenarioIndex = Math.floor(Math.random() * fallback.scenarios.length);
-    const scenario = fallback.scenarios[scenarioIndex];
-    
-    // Select appropriate choice set based on numChoices
-    const availableChoiceSets = fallback.choiceSets.filter(set => 
-        (numChoices === 3 && set.length === 3) || (numChoices === 4 && set.length === 4)
-    );
-    const choiceSet = availableChoiceSets.length > 0 
-        ? availableChoiceSets[Math.floor(Math.random() * availableChoiceSets.length)]
-        : fallback.choiceSets[0].slice(0, numChoices); // Fallback: slice to desired length
+function getFallbackScenario(country, moment = getLocalMoment(country)) {
+    const selected = selectPackScene(country, moment);
+    if (!selected) throw new Error('No scenario packs available for fallback scenes');
+    const scene = renderPackScene(selected.scene, country);
 
     return {
         country: country.name,
         capital: country.capital,
-        scenario: scenario,
-        choices: choiceSet,
-        tone: fallback.tones[scenarioIndex],
+        scenario: sanitizeText(scene.scenario),
+        choices: toChoices(scene.choices),
+        tone: scene.tone || 'neutral',
         generated: false,
+        pack: selected.pack,
+        language: DEFAULT_LANGUAGE,
     };
 }
 
@@ -286,6 +482,11 @@ module.exports = {
     EMOTION_DIMENSIONS,
     normalizeEmotions,
     isValidScenario,
+    buildPrompt,
     getFallbackScenario,
+    getScenarioOutcomes,
+    combineEmotions,
     sanitizeText,
+    FOLLOW_UP_WEIGHT,
+    DEFAULT_LANGUAGE,
 };
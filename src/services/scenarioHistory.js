@@ -0,0 +1,225 @@
+/**
+ * Scenario History
+ * Remembers the last few moments served for each country as fingerprints —
+ * who is in the scene, where it happens and what they are doing — so the
+ * prompt can ask the model to avoid them and the generator can reject a
+ * near-duplicate and regenerate. History is kept in memory per instance.
+ * The who/where/what lexicons are English. Scenes in other languages are
+ * compared by character trigrams instead, which need no word lists and no
+ * spaces between words, so near-duplicates are still caught; they cannot be
+ * described in the prompt's "avoid these" list, though.
+ * @module services/scenarioHistory
+ */
+
+const { LRUCache } = require('../utils/cache');
+
+/** Language whose lexicons are used for fingerprints */
+const LEXICON_LANGUAGE = 'en';
+
+/** Fingerprints remembered per country */
+const HISTORY_SIZE = 8;
+
+/** History is forgotten after a week without new scenes */
+const HISTORY_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/** Term overlap (Jaccard) at or above which two scenes count as the same moment */
+const NEAR_DUPLICATE_THRESHOLD = 0.5;
+
+const CHARACTERS = new Set([
+    'vendor', 'seller', 'merchant', 'shopkeeper', 'fisherman', 'fishermen', 'farmer', 'student', 'child',
+    'children', 'grandmother', 'grandfather', 'elder', 'mother', 'father', 'family', 'commuter', 'driver',
+    'musician', 'monk', 'teacher', 'tourist', 'worker', 'woman', 'man', 'girl', 'boy', 'baker', 'tailor',
+    'nurse', 'guard', 'friend', 'couple', 'crowd', 'neighbour', 'neighbor', 'host', 'stranger', 'cook',
+    'porter', 'shepherd', 'weaver', 'dancer', 'priest', 'soldier', 'waiter', 'barber', 'artist',
+]);
+
+const SETTINGS = new Set([
+    'market', 'bazaar', 'stall', 'station', 'platform', 'bus', 'train', 'tram', 'ferry', 'boat', 'harbour',
+    'harbor', 'port', 'beach', 'river', 'riverbank', 'bridge', 'cafe', 'café', 'teahouse', 'restaurant',
+    'kitchen', 'street', 'alley', 'square', 'plaza', 'park', 'garden', 'temple', 'church', 'mosque', 'shrine',
+    'school', 'village', 'field', 'farm', 'mountain', 'valley', 'desert', 'forest', 'rooftop', 'balcony',
+    'courtyard', 'shop', 'bakery', 'library', 'hospital', 'airport', 'road', 'highway', 'lake',
+]);
+
+/** "-ing" words that are not activities */
+const NOT_ACTIVITIES = new Set([
+    'morning', 'evening', 'building', 'something', 'nothing', 'anything', 'everything', 'during', 'ceiling',
+    'king', 'ring', 'spring', 'thing', 'wing', 'string', 'clothing', 'wedding', 'sibling', 'bring',
+]);
+
+const STOPWORDS = new Set([
+    'the', 'and', 'you', 'your', 'with', 'from', 'that', 'this', 'there', 'their', 'they', 'them', 'into',
+    'onto', 'over', 'under', 'while', 'when', 'where', 'what', 'which', 'who', 'whose', 'have', 'has', 'are',
+    'was', 'were', 'been', 'being', 'for', 'its', 'his', 'her', 'she', 'him', 'one', 'two', 'some', 'just',
+    'then', 'than', 'very', 'about', 'around', 'across', 'through', 'notice', 'see', 'sees', 'hear', 'hears',
+    'near', 'past', 'as', 'at', 'in', 'on', 'of', 'a', 'an', 'to', 'by', 'is', 'it',
+]);
+
+/**
+ * @typedef {Object} ScenarioFingerprint
+ * @property {string} language - Language code the scene is written in
+ * @property {string[]} characters - People in the scene (English only)
+ * @property {string[]} settings - Places (English only)
+ * @property {string[]} activities - What is happening ("-ing" verbs, English only)
+ * @property {string[]} terms - Content words, or character trigrams outside English, for similarity
+ */
+
+/** @type {LRUCache} country key → ScenarioFingerprint[] (newest last) */
+const histories = new LRUCache({ maxSize: 500, defaultTTL: HISTORY_TTL_MS, name: 'scenarioHistory' });
+
+/**
+ * Reduce a plural to the lexicon form if the singular is known.
+ * @param {string} word - Lowercase word
+ * @param {Set<string>} lexicon
+ * @returns {string|null} Lexicon word, or null if not in the lexicon
+ */
+function lookup(word, lexicon) {
+    if (lexicon.has(word)) return word;
+    for (const singular of [word.replace(/es$/, ''), word.replace(/s$/, '')]) {
+        if (lexicon.has(singular)) return singular;
+    }
+    return null;
+}
+
+/**
+ * Character trigrams of a text, ignoring case, punctuation and spacing.
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+function trigrams(text) {
+    const letters = String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    const grams = new Set();
+    for (let i = 0; i + 3 <= letters.length; i++) grams.add(letters.slice(i, i + 3));
+    return grams;
+}
+
+/**
+ * Fingerprint a scene.
+ * @param {string} text - Scenario text
+ * @param {string} [language='en'] - Language code the scene is written in
+ * @returns {ScenarioFingerprint}
+ */
+function fingerprintScenario(text, language = LEXICON_LANGUAGE) {
+    if (language !== LEXICON_LANGUAGE) {
+        return { language, characters: [], settings: [], activities: [], terms: [...trigrams(text)] };
+    }
+
+    const words = String(text || '').toLowerCase().replace(/'s\b/g, '').match(/[\p{L}]+/gu) || [];
+    const characters = new Set();
+    const settings = new Set();
+    const activities = new Set();
+    const terms = new Set();
+
+    for (const word of words) {
+        const character = lookup(word, CHARACTERS);
+        const setting = lookup(word, SETTINGS);
+        if (character) characters.add(character);
+        if (setting) settings.add(setting);
+        if (word.length > 4 && word.endsWith('ing') && !NOT_ACTIVITIES.has(word)) activities.add(word);
+        if (word.length > 2 && !STOPWORDS.has(word)) terms.add(character || setting || word);
+    }
+
+    return {
+        language,
+        characters: [...characters],
+        settings: [...settings],
+        activities: [...activities],
+        terms: [...terms],
+    };
+}
+
+/**
+ * Share of terms two fingerprints have in common (Jaccard index).
+ * @param {ScenarioFingerprint} a
+ * @param {ScenarioFingerprint} b
+ * @returns {number} 0..1
+ */
+function similarity(a, b) {
+    const left = new Set(a.terms);
+    const shared = b.terms.filter((term) => left.has(term)).length;
+    const union = left.size + b.terms.length - shared;
+    return union === 0 ? 0 : shared / union;
+}
+
+/**
+ * Whether two lists share an entry.
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {boolean}
+ */
+function overlaps(a, b) {
+    return a.some((item) => b.includes(item));
+}
+
+/**
+ * Find a remembered scene in the same language that the new one repeats:
+ * mostly the same words, or the same kind of person doing the same thing in
+ * the same kind of place.
+ * @param {ScenarioFingerprint} fingerprint - New scene
+ * @param {ScenarioFingerprint[]} history - Remembered scenes
+ * @returns {ScenarioFingerprint|null} The repeated scene, or null
+ */
+function findNearDuplicate(fingerprint, history) {
+    return history.find((previous) => previous.language === fingerprint.language && (
+        similarity(fingerprint, previous) >= NEAR_DUPLICATE_THRESHOLD ||
+        (overlaps(fingerprint.characters, previous.characters) &&
+            overlaps(fingerprint.settings, previous.settings) &&
+            overlaps(fingerprint.activities, previous.activities))),
+    ) || null;
+}
+
+/**
+ * Recent scene fingerprints for a country, oldest first.
+ * @param {string} countryName
+ * @returns {ScenarioFingerprint[]}
+ */
+function getScenarioHistory(countryName) {
+    return histories.get(countryName.toLowerCase()) || [];
+}
+
+/**
+ * Remember a scene served for a country, keeping the newest HISTORY_SIZE.
+ * @param {string} countryName
+ * @param {ScenarioFingerprint} fingerprint
+ */
+function rememberScenario(countryName, fingerprint) {
+    const key = countryName.toLowerCase();
+    histories.set(key, [...getScenarioHistory(countryName), fingerprint].slice(-HISTORY_SIZE));
+}
+
+/**
+ * Describe remembered scenes for the prompt's "avoid these" list.
+ * Scenes in other languages have no who/where/what terms and are left out.
+ * @param {ScenarioFingerprint[]} history
+ * @returns {string} Bullet list, or an empty string when nothing can be described
+ */
+function describeHistory(history) {
+    return history
+        .filter((f) => f.language === LEXICON_LANGUAGE)
+        .map((f) => {
+            const who = f.characters.join('/') || 'someone';
+            const where = f.settings.length ? ` at a ${f.settings.join('/')}` : '';
+            const what = f.activities.length ? ` (${f.activities.join(', ')})` : '';
+            return `- ${who}${where}${what}`;
+        })
+        .join('\n');
+}
+
+/**
+ * Forget all history (used by tests).
+ */
+function resetScenarioHistory() {
+    histories.clear();
+}
+
+module.exports = {
+    fingerprintScenario,
+    similarity,
+    findNearDuplicate,
+    getScenarioHistory,
+    rememberScenario,
+    describeHistory,
+    resetScenarioHistory,
+    HISTORY_SIZE,
+    NEAR_DUPLICATE_THRESHOLD,
+};
@@ -0,0 +1,279 @@
+/**
+ * Scenario Packs
+ * Curated scenes served when no model is available or its answer is rejected.
+ * A pack is a JSON file of scenes for one country, one region of the
+ * countries dataset, or any country ("generic"):
+ *
+ *   { "scope": "country", "name": "Chad", "scenes": [
+ *       { "scenario": "...", "tone": "warm", "timesOfDay": ["evening", "night"], "seasons": ["winter"],
+ *         "choices": [{ "text": "...", "emotions": { ... }, "followUp": { "scenario": "...", "choices": [...] } }] } ] }
+ *
+ * Scenes follow the same schema as model output, so a pack can be written by
+ * hand or pre-generated with `npm run packs:generate`. Region and generic
+ * scenes may use `{{country}}` and `{{capital}}`. `timesOfDay` and `seasons`
+ * are optional; a scene without them fits any moment.
+ *
+ * Bundled packs live in src/scenarioPacks; SCENARIO_PACKS_DIR adds more. Packs
+ * are read once at startup and an invalid file is logged and skipped.
+ * @module services/scenarioPacks
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { checkScenarioPayload } = require('./scenarioSchema');
+const { PARTS_OF_DAY, SEASONS } = require('./localMoment');
+const { COUNTRIES_MAP } = require('../data/countries');
+const { logger } = require('../utils/logger');
+
+const BUNDLED_PACKS_DIR = path.join(__dirname, '..', 'scenarioPacks');
+
+/** Pack scopes, most specific first */
+const PACK_SCOPES = ['country', 'region', 'generic'];
+
+const PLACEHOLDER_PATTERN = /\{\{(country|capital)\}\}/g;
+
+/**
+ * @typedef {Object} PackScene
+ * @property {string} scenario - Opening scene
+ * @property {string} [tone] - Overall tone
+ * @property {string[]} [timesOfDay] - Parts of the day the scene fits
+ * @property {string[]} [seasons] - Seasons the scene fits (ignored in the tropics)
+ * @property {Object[]} choices - Choices without IDs, as in model output
+ */
+
+/**
+ * @typedef {Object} ScenarioPack
+ * @property {string} scope - "country", "region" or "generic"
+ * @property {string} name - Country or region name ("generic" for generic packs)
+ * @property {PackScene[]} scenes
+ */
+
+/**
+ * Index key of a pack.
+ * @param {string} scope - Pack scope
+ * @param {string} [name] - Country or region name
+ * @returns {string} e.g. "country:chad", "region:caribbean", "generic"
+ */
+function packKey(scope, name) {
+    return scope === 'generic' ? 'generic' : `${scope}:${String(name).toLowerCase()}`;
+}
+
+/**
+ * Check an optional list of allowed names.
+ * @param {*} value - List from the scene
+ * @param {string[]} allowed - Allowed names
+ * @param {string} where - Path for messages
+ * @param {string[]} problems - Collected problems
+ */
+function checkNameList(value, allowed, where, problems) {
+    if (value === undefined) return;
+    if (!Array.isArray(value) || value.length === 0) {
+        problems.push(`${where}: must be a non-empty array`);
+        return;
+    }
+    for (const item of value) {
+        if (!allowed.includes(item)) problems.push(`${where}: "${item}" is not one of ${allowed.join(', ')}`);
+    }
+}
+
+/**
+ * Validate a pack definition. Choices are checked against the scenario schema;
+ * emotion keys outside the active emotion model are dropped so bundled packs
+ * keep working under a custom model.
+ * @param {*} definition - Parsed JSON
+ * @returns {ScenarioPack} Validated pack
+ * @throws {Error} Listing the first problems found
+ */
+function validateScenarioPack(definition) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        throw new Error('Scenario pack must be an object');
+    }
+    const { scope, scenes } = definition;
+    if (!PACK_SCOPES.includes(scope)) throw new Error(`scope must be one of ${PACK_SCOPES.join(', ')}`);
+
+    const name = scope === 'generic' ? 'generic' : definition.name;
+    if (typeof name !== 'string' || !name.trim()) throw new Error(`A ${scope} pack needs a name`);
+    if (!Array.isArray(scenes) || scenes.length === 0) throw new Error('scenes must be a non-empty array');
+
+    const problems = [];
+    const validScenes = scenes.map((scene, index) => {
+        const where = `scenes[${index}]`;
+        if (!scene || typeof scene !== 'object') {
+            problems.push(`${where}: must be an object`);
+            return null;
+        }
+        const { timesOfDay, seasons, ...content } = scene;
+        checkNameList(timesOfDay, PARTS_OF_DAY, `${where}.timesOfDay`, problems);
+        checkNameList(seasons, SEASONS, `${where}.seasons`, problems);
+
+        const { payload, errors } = checkScenarioPayload(content);
+        problems.push(...errors.map((e) => `${where}.${e.path}: ${e.message}`));
+
+        return { ...payload, ...(timesOfDay && { timesOfDay }), ...(seasons && { seasons }) };
+    });
+
+    if (problems.length > 0) {
+        const more = problems.length > 5 ? ` (and ${problems.length - 5} more)` : '';
+        throw new Error(problems.slice(0, 5).join('; ') + more);
+    }
+    return { scope, name: name.trim(), scenes: validScenes };
+}
+
+/**
+ * Read and validate one pack file.
+ * @param {string} file - Path to a JSON pack
+ * @returns {ScenarioPack}
+ * @throws {Error} If the file is unreadable, not JSON or invalid
+ */
+function readScenarioPack(file) {
+    return validateScenarioPack(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+/**
+ * Read every pack in a directory into an index of scenes. Packs with the same
+ * scope and name are merged; invalid files are logged and skipped.
+ * @param {string} dir - Directory of *.json packs
+ * @param {Map<string, PackScene[]>} [index=new Map()] - Index to add to
+ * @returns {Map<string, PackScene[]>} Scenes by pack key
+ * @throws {Error} If the directory cannot be read
+ */
+function readScenarioPacks(dir, index = new Map()) {
+    const files = fs.readdirSync(dir).filter((file) => file.endsWith('.json')).sort();
+    for (const file of files) {
+        try {
+            const pack = readScenarioPack(path.join(dir, file));
+            const key = packKey(pack.scope, pack.name);
+            index.set(key, [...(index.get(key) || []), ...pack.scenes]);
+        } catch (error) {
+            logger.error('Scenario pack unusable, skipping', { file: path.join(dir, file), error: error.message });
+        }
+    }
+    return index;
+}
+
+/**
+ * Load the bundled packs plus any in SCENARIO_PACKS_DIR.
+ * An unreadable directory is logged and the bundled packs are used alone.
+ * @returns {Map<string, PackScene[]>}
+ */
+function loadScenarioPacks() {
+    const index = readScenarioPacks(BUNDLED_PACKS_DIR);
+    const dir = process.env.SCENARIO_PACKS_DIR;
+    if (dir) {
+        try {
+            readScenarioPacks(path.resolve(dir), index);
+            logger.info('Scenario packs loaded', { dir, packs: [...index.keys()] });
+        } catch (error) {
+            logger.error('Scenario packs directory unusable, using bundled packs', { dir, error: error.message });
+        }
+    }
+    return index;
+}
+
+/** @type {Map<string, PackScene[]>} Active packs for this process */
+const SCENARIO_PACKS = loadScenarioPacks();
+
+/**
+ * Whether a scene fits a local moment. Seasons do not apply in the tropics.
+ * @param {PackScene} scene
+ * @param {import('./localMoment').LocalMoment} moment
+ * @returns {boolean}
+ */
+function fitsMoment(scene, moment) {
+    if (scene.timesOfDay && !scene.timesOfDay.includes(moment.timeOfDay)) return false;
+    return !scene.seasons || moment.tropical || scene.seasons.includes(moment.season);
+}
+
+/**
+ * Pack keys to search for a country, most specific first. The region comes
+ * from the country object, or from the countries dataset when it is missing.
+ * @param {{ name: string, region?: string }} country
+ * @returns {string[]}
+ */
+function packKeysFor(country) {
+    const known = COUNTRIES_MAP.get(String(country.name || '').toLowerCase());
+    const region = country.region && country.region !== 'Unknown' ? country.region : known && known.region;
+    return [
+        packKey('country', country.name),
+        ...(region ? [packKey('region', region)] : []),
+        packKey('generic'),
+    ];
+}
+
+/**
+ * Pick a scene for a country: from its own pack, then its region's, then the
+ * generic pack, preferring scenes that fit the local moment at every level
+ * before settling for one that does not.
+ * @param {{ name: string, region?: string }} country
+ * @param {import('./localMoment').LocalMoment|null} moment - Local moment, if known
+ * @param {{ packs?: Map<string, PackScene[]>, random?: () => number }} [options]
+ * @returns {{ scene: PackScene, pack: string }|null} null if no pack has any scene
+ */
+function selectPackScene(country, moment, { packs = SCENARIO_PACKS, random = Math.random } = {}) {
+    const tiers = packKeysFor(country)
+        .map((key) => ({ pack: key, scenes: packs.get(key) || [] }))
+        .filter((tier) => tier.scenes.length > 0);
+    const pick = (pack, scenes) => ({ scene: scenes[Math.floor(random() * scenes.length)], pack });
+
+    if (moment) {
+        for (const tier of tiers) {
+            const fitting = tier.scenes.filter((scene) => fitsMoment(scene, moment));
+            if (fitting.length > 0) return pick(tier.pack, fitting);
+        }
+    }
+    return tiers.length > 0 ? pick(tiers[0].pack, tiers[0].scenes) : null;
+}
+
+/**
+ * Fill a scene's {{country}} and {{capital}} placeholders.
+ * @param {PackScene} scene
+ * @param {{ name: string, capital?: string }} country
+ * @returns {PackScene} A copy with the placeholders replaced
+ */
+function renderPackScene(scene, country) {
+    const values = { country: country.name, capital: country.capital || country.name };
+    const fill = (text) => text.replace(PLACEHOLDER_PATTERN, (_match, key) => values[key]);
+    const fillChoices = (choices) => choices.map((choice) => ({
+        ...choice,
+        text: fill(choice.text),
+        ...(choice.followUp && {
+            followUp: { scenario: fill(choice.followUp.scenario), choices: fillChoices(choice.followUp.choices) },
+        }),
+    }));
+    return { ...scene, scenario: fill(scene.scenario), choices: fillChoices(scene.choices) };
+}
+
+/**
+ * Turn a generated scenario into a pack scene for the moment it was written
+ * for: choice IDs are dropped and the scene is tagged with the time of day
+ * (and, outside the tropics, the season).
+ * @param {Object} scenario - Scenario from the generator
+ * @param {import('./localMoment').LocalMoment|null} moment - Moment given to the prompt
+ * @returns {PackScene}
+ */
+function toPackScene(scenario, moment) {
+    const stripIds = (choices) => choices.map(({ text, emotions, followUp }) => ({
+        text,
+        emotions,
+        ...(followUp && { followUp: { scenario: followUp.scenario, choices: stripIds(followUp.choices) } }),
+    }));
+    return {
+        scenario: scenario.scenario,
+        tone: scenario.tone,
+        ...(moment && { timesOfDay: [moment.timeOfDay] }),
+        ...(moment && !moment.tropical && { seasons: [moment.season] }),
+        choices: stripIds(scenario.choices),
+    };
+}
+
+module.exports = {
+    selectPackScene,
+    renderPackScene,
+    toPackScene,
+    validateScenarioPack,
+    readScenarioPack,
+    readScenarioPacks,
+    loadScenarioPacks,
+    packKey,
+    BUNDLED_PACKS_DIR,
+};
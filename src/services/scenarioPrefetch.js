@@ -0,0 +1,270 @@
+/**
+ * Scenario Prefetch
+ * Once a choice is submitted, the next country must start with the last
+ * letter of the current one, so the candidates are few and known in advance.
+ * The prefetcher warms the scenario cache in the background for the likeliest
+ * of them — drawn by popularity (visit count) among the countries the session
+ * has not used yet — so the next scene appears instantly.
+ *
+ * Prefetching spends model calls a player may never need, so it is off unless
+ * SCENARIO_PREFETCH_BUDGET allows some model calls per hour, a generation is
+ * cut short once the budget is spent, and it is measured:
+ * `GET /api/metrics` reports prefetched scenes, how many requests they served
+ * (hits) and how many requests still had to wait for the model (misses).
+ * @module services/scenarioPrefetch
+ */
+
+const { generateScenario, DEFAULT_LANGUAGE } = require('./scenarioGenerator');
+const { getLastLetter } = require('./countryValidator');
+const { getAllCountryProfiles, getCountryProfile } = require('./emotionEngine');
+const { getLlmProvider } = require('../llm/llmProvider');
+const { COUNTRIES_MAP } = require('../data/countries');
+const { scenarioCache, worldMapCache, worldMapCacheKey } = require('../utils/cache');
+const { incrementCounter, getCounters } = require('../utils/metrics');
+const { logger } = require('../utils/logger');
+
+const METRICS_GROUP = 'scenarioPrefetch';
+
+/** Next countries warmed after each choice */
+const PREFETCH_CANDIDATES = 3;
+
+/** Model calls allowed per window when SCENARIO_PREFETCH_BUDGET is not set (prefetch is opt-in) */
+const DEFAULT_BUDGET = 0;
+
+/** Most visited countries read for visit counts when no world map is cached */
+const VISIT_SAMPLE = 100;
+
+/** Budget window */
+const BUDGET_WINDOW_MS = 60 * 60 * 1000;
+
+/** Model calls spent in the current budget window */
+const budget = { windowStart: 0, used: 0 };
+
+/** @type {Set<string>} Cache keys warmed by the prefetcher and not yet served */
+const prefetchedKeys = new Set();
+
+/** Prefetch runs one at a time, after the previous one */
+let queue = Promise.resolve();
+
+/**
+ * Scenario cache key for a country and language (English keeps the original key).
+ * @param {string} country
+ * @param {string} language - Language code
+ * @returns {string}
+ */
+function scenarioCacheKey(country, language) {
+    const key = `scenario_${country.toLowerCase()}`;
+    return language === DEFAULT_LANGUAGE ? key : `${key}_${language}`;
+}
+
+/**
+ * Model calls allowed per hour, from SCENARIO_PREFETCH_BUDGET.
+ * @returns {number}
+ */
+function getPrefetchBudget() {
+    const configured = parseInt(process.env.SCENARIO_PREFETCH_BUDGET, 10);
+    return Number.isNaN(configured) ? DEFAULT_BUDGET : Math.max(0, configured);
+}
+
+/**
+ * Model calls left in the current window (starting a new window when due).
+ * @param {number} [now=Date.now()]
+ * @returns {number}
+ */
+function remainingBudget(now = Date.now()) {
+    if (now - budget.windowStart >= BUDGET_WINDOW_MS) {
+        budget.windowStart = now;
+        budget.used = 0;
+    }
+    return getPrefetchBudget() - budget.used;
+}
+
+/**
+ * Wrap a provider so every model call is charged to the budget. Once the
+ * budget is spent the controller is aborted and further calls are refused,
+ * so retries and critiques cannot overspend it.
+ * @param {Object} provider - LLM provider
+ * @param {AbortController} controller - Aborted when the budget runs out
+ * @returns {Object} Provider with the same interface
+ */
+function chargeToBudget(provider, controller) {
+    return {
+        name: provider.name,
+        generateJson(prompt, options) {
+            if (remainingBudget() <= 0) {
+                controller.abort(new Error('Prefetch budget spent'));
+                return Promise.reject(controller.signal.reason);
+            }
+            budget.used++;
+            return provider.generateJson(prompt, options);
+        },
+    };
+}
+
+/**
+ * Visit count by lowercase country name, from the cached world map when there
+ * is one, otherwise from the most visited profiles.
+ * @returns {Promise<Map<string, number>>}
+ */
+async function getVisitCounts() {
+    // Peek, so reading the map here does not count as a world map hit
+    const worldMap = worldMapCache.peek(worldMapCacheKey());
+    const profiles = worldMap ? worldMap.countries : await getAllCountryProfiles(VISIT_SAMPLE);
+    return new Map(profiles.filter((p) => p.name).map((p) => [p.name.toLowerCase(), p.visitCount || 0]));
+}
+
+/**
+ * Draw the likeliest next countries: those starting with the last letter of
+ * the current one and not used yet, sampled without replacement with weight
+ * 1 + visit count, so popular countries come first but new ones get a chance.
+ * @param {string} countryName - Country just played
+ * @param {string[]} usedCountries - Lowercase names already used in the session
+ * @param {Map<string, number>} visits - Visit count by lowercase country name
+ * @param {{ limit?: number, random?: () => number }} [options]
+ * @returns {Object[]} Country objects from the dataset, likeliest first
+ */
+function selectPrefetchCandidates(countryName, usedCountries, visits, { limit = PREFETCH_CANDIDATES, random = Math.random } = {}) {
+    const letter = getLastLetter(countryName.toLowerCase());
+    const used = new Set([...usedCountries, countryName.toLowerCase()]);
+    const pool = [...new Map([...COUNTRIES_MAP.values()].map((c) => [c.name, c])).values()]
+        .filter((c) => c.name.toLowerCase().startsWith(letter) && !used.has(c.name.toLowerCase()))
+        .map((country) => ({ country, weight: 1 + (visits.get(country.name.toLowerCase()) || 0) }));
+
+    const picked = [];
+    while (picked.length < limit && pool.length > 0) {
+        let target = random() * pool.reduce((sum, c) => sum + c.weight, 0);
+        const index = Math.max(0, pool.findIndex((c) => (target -= c.weight) < 0));
+        picked.push(pool.splice(index, 1)[0].country);
+    }
+    return picked;
+}
+
+/**
+ * Warm the scenario cache for the likeliest next countries. Countries already
+ * cached or being loaded are skipped, fallback scenes are not cached, and the
+ * budget is checked before each generation (one generation may take a few
+ * calls with retries) and stops a generation that runs out of it.
+ * @param {{ country: string, usedCountries?: string[], language?: string }} context
+ * @param {{ random?: () => number }} [options]
+ * @returns {Promise<string[]>} Names of the countries prefetched
+ */
+async function prefetchNextScenarios({ country, usedCountries = [], language = DEFAULT_LANGUAGE }, options = {}) {
+    const provider = getLlmProvider();
+    if (!provider || getPrefetchBudget() === 0) return [];
+    if (remainingBudget() <= 0) {
+        incrementCounter(METRICS_GROUP, 'skipped_budget');
+        return [];
+    }
+
+    const visits = await getVisitCounts();
+    const controller = new AbortController();
+    const charged = chargeToBudget(provider, controller);
+
+    const prefetched = [];
+    for (const candidate of selectPrefetchCandidates(country, usedCountries, visits, options)) {
+        const key = scenarioCacheKey(candidate.name, language);
+        if (scenarioCache.has(key) || scenarioCache.isLoading(key)) continue;
+
+        if (remainingBudget() <= 0) {
+            incrementCounter(METRICS_GROUP, 'skipped_budget');
+            break;
+        }
+
+        // Generated outside the cache's shared load, so a player request never
+        // waits on a prefetch that the budget may cut short
+        const profile = await getCountryProfile(candidate.name);
+        const scenario = await generateScenario(candidate, profile?.emotions || null, { language, provider: charged, signal: controller.signal });
+
+        if (controller.signal.aborted) {
+            incrementCounter(METRICS_GROUP, 'skipped_budget');
+            break;
+        }
+        if (!scenario.generated) {
+            incrementCounter(METRICS_GROUP, 'fallback');
+            continue;
+        }
+        // A player may have loaded the scene in the meantime
+        if (scenarioCache.has(key) || scenarioCache.isLoading(key)) continue;
+
+        scenarioCache.set(key, scenario, { tags: [candidate.name] });
+        prefetchedKeys.add(key);
+        prefetched.push(candidate.name);
+        incrementCounter(METRICS_GROUP, 'prefetched');
+    }
+
+    logger.info('Scenarios prefetched', { after: country, language, countries: prefetched, budgetUsed: budget.used });
+    return prefetched;
+}
+
+/**
+ * Queue a prefetch in the background; failures are logged, never thrown.
+ * @param {{ country: string, usedCountries?: string[], language?: string }} context
+ * @returns {Promise<void>} Settles when this prefetch is done
+ */
+function schedulePrefetch(context) {
+    queue = queue
+        .then(() => prefetchNextScenarios(context))
+        .then(() => undefined, (error) => {
+            incrementCounter(METRICS_GROUP, 'failed');
+            logger.error('Scenario prefetch failed', { country: context.country, error: error.message });
+        });
+    return queue;
+}
+
+/**
+ * Wait for queued prefetches to finish (used by tests).
+ * @returns {Promise<void>}
+ */
+function whenPrefetchIdle() {
+    return queue;
+}
+
+/**
+ * Record how a scenario request was served, for the hit rate.
+ * @param {string} key - Scenario cache key
+ * @param {boolean} fromCache - Whether the scenario came from the cache
+ */
+function recordScenarioRequest(key, fromCache) {
+    if (fromCache && prefetchedKeys.delete(key)) {
+        incrementCounter(METRICS_GROUP, 'hit');
+    } else if (!fromCache) {
+        prefetchedKeys.delete(key);
+        incrementCounter(METRICS_GROUP, 'miss');
+    }
+}
+
+/**
+ * Budget and hit rate of the prefetcher.
+ * @returns {{ budget: number, remaining: number, hits: number, misses: number, hitRate: string }}
+ */
+function getPrefetchStats() {
+    const { hit: hits = 0, miss: misses = 0 } = getCounters()[METRICS_GROUP] || {};
+    const total = hits + misses;
+    return {
+        budget: getPrefetchBudget(),
+        remaining: Math.max(0, remainingBudget()),
+        hits,
+        misses,
+        hitRate: total > 0 ? `${((hits / total) * 100).toFixed(1)}%` : '0%',
+    };
+}
+
+/**
+ * Forget prefetched keys and the spent budget (used by tests).
+ */
+function resetPrefetch() {
+    prefetchedKeys.clear();
+    budget.windowStart = 0;
+    budget.used = 0;
+}
+
+module.exports = {
+    schedulePrefetch,
+    whenPrefetchIdle,
+    prefetchNextScenarios,
+    selectPrefetchCandidates,
+    recordScenarioRequest,
+    getPrefetchStats,
+    resetPrefetch,
+    scenarioCacheKey,
+};
@@ -0,0 +1,309 @@
+/**
+ * Scenario Schema
+ * JSON schema for the scenario payload a model returns, a small validator
+ * reporting every problem with its path, and a repair pass for the mistakes
+ * models commonly make (out-of-range scores, scores as strings, stray emotion
+ * keys, too many choices) so a fixable answer does not burn a retry.
+ *
+ * Besides standard JSON-schema keywords, strings may carry `minWords`,
+ * `maxWords` and `maxSentences`, which the prompt asks for in prose.
+ * @module services/scenarioSchema
+ */
+
+const { EMOTION_DIMENSIONS } = require('../config/emotionModel');
+
+/** Minimum and maximum number of choices */
+const MIN_CHOICES = 3;
+const MAX_CHOICES = 4;
+
+/** Minimum and maximum number of choices in a follow-up beat */
+const MIN_FOLLOW_UP_CHOICES = 2;
+const MAX_FOLLOW_UP_CHOICES = 3;
+
+/** Choice length in words (the prompt asks for 3-12; a little slack either way) */
+const MIN_CHOICE_WORDS = 2;
+const MAX_CHOICE_WORDS = 15;
+
+/** Sentence limit for the scene and for a follow-up beat */
+const MAX_SCENE_SENTENCES = 2;
+
+/**
+ * @typedef {Object} SchemaError
+ * @property {string} path - Location in the payload, e.g. "choices[1].emotions.awe"
+ * @property {string} code - Failure reason, used for metrics
+ * @property {string} message - Human-readable description
+ */
+
+const emotionsSchema = {
+    type: 'object',
+    properties: Object.fromEntries(EMOTION_DIMENSIONS.map((dim) => [dim, { type: 'number', minimum: 0, maximum: 1 }])),
+    additionalProperties: false,
+    minProperties: 1,
+};
+
+const choiceText = { type: 'string', minLength: 1, minWords: MIN_CHOICE_WORDS, maxWords: MAX_CHOICE_WORDS };
+const sceneText = { type: 'string', minLength: 1, maxSentences: MAX_SCENE_SENTENCES };
+
+/** Models sometimes label their choices; IDs are reassigned by the generator */
+const choiceId = { type: 'string' };
+
+/** Follow-up choices may not branch again: scenarios are at most two decisions deep */
+const followUpChoiceSchema = {
+    type: 'object',
+    required: ['text', 'emotions'],
+    properties: { id: choiceId, text: choiceText, emotions: emotionsSchema },
+    additionalProperties: false,
+};
+
+/** JSON schema of a scenario as returned by the model (before IDs are assigned) */
+const SCENARIO_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    type: 'object',
+    required: ['scenario', 'choices'],
+    properties: {
+        scenario: sceneText,
+        tone: { type: 'string' },
+        choices: {
+            type: 'array',
+            minItems: MIN_CHOICES,
+            maxItems: MAX_CHOICES,
+            items: {
+                type: 'object',
+                required: ['text', 'emotions'],
+                properties: {
+                    id: choiceId,
+                    text: choiceText,
+                    emotions: emotionsSchema,
+                    followUp: {
+                        type: 'object',
+                        required: ['scenario', 'choices'],
+                        properties: {
+                            scenario: sceneText,
+                            choices: {
+                                type: 'array',
+                                minItems: MIN_FOLLOW_UP_CHOICES,
+                                maxItems: MAX_FOLLOW_UP_CHOICES,
+                                items: followUpChoiceSchema,
+                            },
+                        },
+                    },
+                },
+            },
+        },
+    },
+};
+
+/**
+ * Type of a JSON value in schema terms.
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/** Word segmentation that also works for scripts written without spaces (Chinese, Japanese, Thai) */
+const wordSegmenter = new Intl.Segmenter(undefined, { granularity: 'word' });
+
+/**
+ * Count words in a string.
+ * @param {string} text
+ * @returns {number}
+ */
+function countWords(text) {
+    let count = 0;
+    for (const segment of wordSegmenter.segment(text)) {
+        if (segment.isWordLike) count++;
+    }
+    return count;
+}
+
+/**
+ * Count sentences in a string: Latin terminal punctuation followed by a
+ * space or the end, or a full-width, Devanagari or Arabic terminator.
+ * @param {string} text
+ * @returns {number}
+ */
+function countSentences(text) {
+    return text
+        .split(/[.!?…]+["'’”)\]]*(?:\s+|$)|[。！？।؟]+["'’”」』）)\]]*\s*/)
+        .filter((part) => part.trim()).length;
+}
+
+/**
+ * Validate a value against a schema node, collecting every error.
+ * Supports the keywords used by SCENARIO_SCHEMA.
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema node
+ * @param {string} path - Path of the value
+ * @param {SchemaError[]} errors - Collected errors
+ */
+function check(value, schema, path, errors) {
+    const add = (code, message) => errors.push({ path: path || '(root)', code, message });
+    const type = typeOf(value);
+
+    if (schema.type && type !== schema.type) {
+        add('type', `expected ${schema.type}, got ${type}`);
+        return;
+    }
+
+    if (type === 'number') {
+        if (!Number.isFinite(value)) add('range', 'must be a finite number');
+        else if (value < schema.minimum || value > schema.maximum) add('range', `must be between ${schema.minimum} and ${schema.maximum}`);
+    }
+
+    if (type === 'string') {
+        if (schema.minLength && value.trim().length < schema.minLength) add('empty', 'must not be empty');
+        else if (schema.minWords && countWords(value) < schema.minWords) add('word_count', `must have at least ${schema.minWords} words`);
+        else if (schema.maxWords && countWords(value) > schema.maxWords) add('word_count', `must have at most ${schema.maxWords} words`);
+        if (schema.maxSentences && countSentences(value) > schema.maxSentences) {
+            add('sentence_count', `must be at most ${schema.maxSentences} sentences`);
+        }
+    }
+
+    if (type === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) add('too_few_items', `needs at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) add('too_many_items', `allows at most ${schema.maxItems} items`);
+        if (schema.items) value.forEach((item, i) => check(item, schema.items, `${path}[${i}]`, errors));
+    }
+
+    if (type === 'object') {
+        const properties = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) add('required', `missing required field "${key}"`);
+        }
+        if (schema.minProperties && Object.keys(value).length < schema.minProperties) {
+            add('required', `needs at least ${schema.minProperties} field`);
+        }
+        for (const [key, child] of Object.entries(value)) {
+            const childPath = path ? `${path}.${key}` : key;
+            if (properties[key]) check(child, properties[key], childPath, errors);
+            else if (schema.additionalProperties === false) errors.push({ path: childPath, code: 'unknown_key', message: 'is not allowed' });
+        }
+    }
+}
+
+/**
+ * Validate a scenario payload against SCENARIO_SCHEMA.
+ * @param {*} payload - Parsed model output
+ * @returns {SchemaError[]} Every problem found (empty when valid)
+ */
+function validateScenarioPayload(payload) {
+    const errors = [];
+    check(payload, SCENARIO_SCHEMA, '', errors);
+    return errors;
+}
+
+/**
+ * Repair an emotion vector: parse numeric strings, clamp to [0, 1] and drop
+ * keys outside the emotion model (as long as a known key remains).
+ * @param {*} emotions - Emotion vector from the model
+ * @param {Set<string>} repairs - Collected repair names
+ * @returns {*} Repaired vector (unchanged if not an object)
+ */
+function repairEmotions(emotions, repairs) {
+    if (typeOf(emotions) !== 'object') return emotions;
+
+    const known = Object.keys(emotions).filter((key) => EMOTION_DIMENSIONS.includes(key));
+    const keys = known.length > 0 ? known : Object.keys(emotions);
+    if (keys.length < Object.keys(emotions).length) repairs.add('dropped_unknown_emotions');
+
+    const repaired = {};
+    for (const key of keys) {
+        let value = emotions[key];
+        if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+            value = Number(value);
+            repairs.add('parsed_numbers');
+        }
+        if (typeof value === 'number' && Number.isFinite(value) && (value < 0 || value > 1)) {
+            value = Math.max(0, Math.min(1, value));
+            repairs.add('clamped_values');
+        }
+        repaired[key] = value;
+    }
+    return repaired;
+}
+
+/**
+ * Repair a list of choices: trim to the maximum, trim text, repair vectors,
+ * and (for follow-ups) drop any third-level branch.
+ * @param {*} choices - Choices from the model
+ * @param {number} max - Maximum number of choices
+ * @param {boolean} isFollowUp - Whether these are follow-up choices
+ * @param {Set<string>} repairs - Collected repair names
+ * @returns {*} Repaired choices (unchanged if not an array)
+ */
+function repairChoices(choices, max, isFollowUp, repairs) {
+    if (!Array.isArray(choices)) return choices;
+    if (choices.length > max) repairs.add('trimmed_choices');
+
+    return choices.slice(0, max).map((choice) => {
+        if (typeOf(choice) !== 'object') return choice;
+
+        const repaired = { ...choice, emotions: repairEmotions(choice.emotions, repairs) };
+        if (typeof choice.text === 'string') repaired.text = choice.text.trim();
+
+        if (isFollowUp) {
+            if (repaired.followUp !== undefined) repairs.add('dropped_nested_follow_up');
+            delete repaired.followUp;
+        } else if (typeOf(choice.followUp) === 'object') {
+            repaired.followUp = {
+                ...choice.followUp,
+                choices: repairChoices(choice.followUp.choices, MAX_FOLLOW_UP_CHOICES, true, repairs),
+            };
+        }
+        return repaired;
+    });
+}
+
+/**
+ * Fix the mechanical mistakes in a scenario payload. Content problems
+ * (missing text, too many sentences, too few choices) are left for a retry.
+ * @param {*} payload - Parsed model output
+ * @returns {{ payload: *, repairs: string[] }} Repaired copy and what was changed
+ */
+function repairScenarioPayload(payload) {
+    const repairs = new Set();
+    if (typeOf(payload) !== 'object') return { payload, repairs: [] };
+
+    const repaired = {
+        ...payload,
+        choices: repairChoices(payload.choices, MAX_CHOICES, false, repairs),
+    };
+    if (typeof payload.scenario === 'string') repaired.scenario = payload.scenario.trim();
+
+    return { payload: repaired, repairs: [...repairs] };
+}
+
+/**
+ * Validate a payload, repairing it first if needed.
+ * @param {*} payload - Parsed model output
+ * @returns {{ payload: *, errors: SchemaError[], initialErrors: SchemaError[], repairs: string[] }}
+ *   `payload` is usable when `errors` is empty
+ */
+function checkScenarioPayload(payload) {
+    const initialErrors = validateScenarioPayload(payload);
+    if (initialErrors.length === 0) return { payload, errors: [], initialErrors, repairs: [] };
+
+    const repaired = repairScenarioPayload(payload);
+    return {
+        payload: repaired.payload,
+        errors: validateScenarioPayload(repaired.payload),
+        initialErrors,
+        repairs: repaired.repairs,
+    };
+}
+
+module.exports = {
+    SCENARIO_SCHEMA,
+    validateScenarioPayload,
+    repairScenarioPayload,
+    checkScenarioPayload,
+    countSentences,
+    MIN_CHOICES,
+    MAX_CHOICES,
+    MIN_FOLLOW_UP_CHOICES,
+    MAX_FOLLOW_UP_CHOICES,
+};
@@ -0,0 +1,157 @@
+/**
+ * Scenario Ticket Service
+ * Issues a single-use ticket for every scenario served to a player, holding
+ * the choices and their normalized emotion vectors on the server. Choices are
+ * later redeemed by ticket ID, so clients never supply emotion values.
+ * For two-step scenarios the ticket holds the final outcomes (e.g. "B2") with
+ * the vector combined across both decisions.
+ * Persists to Firestore when available, otherwise to an in-memory store.
+ * @module services/scenarioTicketService
+ */
+
+const crypto = require('crypto');
+const { getDb } = require('../config/firebase');
+const { getScenarioOutcomes, DEFAULT_LANGUAGE } = require('./scenarioGenerator');
+const { LRUCache } = require('../utils/cache');
+const { logger } = require('../utils/logger');
+
+/** Firestore collection name for issued scenario tickets */
+const TICKETS_COLLECTION = 'scenarioTickets';
+
+/** Tickets must be redeemed within 30 minutes of being issued */
+const TICKET_TTL_MS = 30 * 60 * 1000;
+
+/** Ticket IDs are v4 UUIDs — anything else is rejected before touching storage */
+const TICKET_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/** Offline fallback store used when Firestore is not configured */
+const memoryStore = new LRUCache({ maxSize: 10000, defaultTTL: TICKET_TTL_MS, name: 'scenarioTickets' });
+
+/**
+ * @typedef {Object} ScenarioTicket
+ * @property {string} id - Ticket ID (returned to the client as scenarioId)
+ * @property {{ name: string, capital: string, lat: number, lng: number }} country - Country the scenario was generated for
+ * @property {{ id: string, emotions: Object }[]} choices - Submittable choice IDs with their server-held emotion vectors
+ * @property {string} sessionId - Session the scenario was issued to
+ * @property {string|null} promptVersion - Prompt template that produced the scenario (null for fallbacks)
+ * @property {string} language - Language code the scenario was written in
+ * @property {string} issuedAt - ISO timestamp
+ * @property {string} expiresAt - ISO timestamp
+ * @property {string|null} redeemedAt - ISO timestamp once a choice has been submitted
+ */
+
+/**
+ * Issue a ticket binding a scenario's choices to their emotion vectors.
+ * @param {Object} scenario - Scenario returned by generateScenario
+ * @param {{ name: string, capital: string, lat: number, lng: number }} country - Country metadata
+ * @param {string} sessionId - Owning session
+ * @returns {Promise<string>} Ticket ID
+ */
+async function issueScenarioTicket(scenario, country, sessionId) {
+    const now = Date.now();
+    const ticket = {
+        id: crypto.randomUUID(),
+        country: {
+            name: country.name,
+            capital: country.capital,
+            lat: country.lat,
+            lng: country.lng,
+        },
+        choices: getScenarioOutcomes(scenario),
+        sessionId,
+        promptVersion: scenario.promptVersion || null,
+        language: scenario.language || DEFAULT_LANGUAGE,
+        issuedAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + TICKET_TTL_MS).toISOString(),
+        redeemedAt: null,
+    };
+
+    const db = getDb();
+    if (!db) {
+        memoryStore.set(ticket.id, ticket);
+        return ticket.id;
+    }
+
+    try {
+        await db.collection(TICKETS_COLLECTION).doc(ticket.id).set(ticket);
+    } catch (error) {
+        logger.error('Firestore ticket write error', { error: error.message, country: country.name });
+    }
+
+    return ticket.id;
+}
+
+/**
+ * Load a ticket by ID.
+ * @param {string} ticketId
+ * @returns {Promise<ScenarioTicket|null>} Ticket or null if unknown/expired
+ */
+async function getScenarioTicket(ticketId) {
+    if (typeof ticketId !== 'string' || !TICKET_ID_PATTERN.test(ticketId)) return null;
+
+    const db = getDb();
+    if (!db) return memoryStore.get(ticketId) || null;
+
+    try {
+        const doc = await db.collection(TICKETS_COLLECTION).doc(ticketId).get();
+        if (!doc.exists) return null;
+
+        const ticket = doc.data();
+        return isExpired(ticket) ? null : ticket;
+    } catch (error) {
+        logger.error('Firestore ticket read error', { error: error.message, ticketId });
+        return null;
+    }
+}
+
+/**
+ * Atomically mark a ticket as redeemed with the given choice.
+ * @param {string} ticketId
+ * @param {string} choiceId
+ * @returns {Promise<boolean>} false if the ticket is missing, expired or already redeemed
+ */
+async function redeemScenarioTicket(ticketId, choiceId) {
+    const db = getDb();
+
+    if (!db) {
+        const ticket = memoryStore.get(ticketId);
+        if (!ticket || ticket.redeemedAt) return false;
+        ticket.redeemedAt = new Date().toISOString();
+        ticket.choiceId = choiceId;
+        return true;
+    }
+
+    const ref = db.collection(TICKETS_COLLECTION).doc(ticketId);
+
+    try {
+        return await db.runTransaction(async (tx) => {
+            const doc = await tx.get(ref);
+            if (!doc.exists) return false;
+
+            const ticket = doc.data();
+            if (ticket.redeemedAt || isExpired(ticket)) return false;
+
+            tx.update(ref, { redeemedAt: new Date().toISOString(), choiceId });
+            return true;
+        });
+    } catch (error) {
+        logger.error('Firestore ticket redeem error', { error: error.message, ticketId });
+        return false;
+    }
+}
+
+/**
+ * Check whether a ticket is past its expiry time.
+ * @param {ScenarioTicket} ticket
+ * @returns {boolean}
+ */
+function isExpired(ticket) {
+    return Date.now() > Date.parse(ticket.expiresAt);
+}
+
+module.exports = {
+    issueScenarioTicket,
+    getScenarioTicket,
+    redeemScenarioTicket,
+    TICKET_TTL_MS,
+};
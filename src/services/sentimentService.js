@@ -5,6 +5,7 @@
  * @module services/sentimentService
  */
 
+const { EMOTION_MODEL } = require('../config/emotionModel');
 const { logger } = require('../utils/logger');
 
 /** @type {import('@google-cloud/language').LanguageServiceClient|null} */
@@ -80,45 +81,29 @@ async function analyzeSentiment(text) {
 }
 
 /**
- * Map NLP sentiment to the game's 5-emotion vector.
- * Uses sentiment score (valence) and magnitude (intensity) to derive
- * a weighted distribution across warmth, loneliness, tension, nostalgia, belonging.
+ * Map NLP sentiment to the game's emotion vector.
+ * Uses sentiment score (valence) and magnitude (intensity) to shift an even
+ * distribution by each dimension's `sentiment` weights in the emotion model.
  *
  * @param {number} score - Sentiment score (-1.0 to 1.0)
  * @param {number} magnitude - Sentiment magnitude (0+)
- * @returns {{ warmth: number, loneliness: number, tension: number, nostalgia: number, belonging: number }}
+ * @returns {Object<string, number>} Emotion vector over the model's dimensions, summing to ≈ 1
  */
 function mapSentimentToEmotions(score, magnitude) {
     // Normalize magnitude to 0–1 range (cap at 3.0)
     const intensity = Math.min(magnitude / 3.0, 1.0);
 
+    // Positive boosts e.g. warmth and belonging, negative boosts tension and
+    // loneliness, neutral/mixed boosts reflective dimensions like nostalgia
+    let valence = 'mixed';
+    if (score > 0.3) valence = 'positive';
+    else if (score < -0.3) valence = 'negative';
+
     // Base distribution — starts equal
-    const emotions = {
-        warmth: 0.2,
-        loneliness: 0.2,
-        tension: 0.2,
-        nostalgia: 0.2,
-        belonging: 0.2,
-    };
-
-    if (score > 0.3) {
-        // Positive — boost warmth and belonging
-        emotions.warmth += 0.25 * intensity;
-        emotions.belonging += 0.2 * intensity;
-        emotions.nostalgia += 0.05 * intensity;
-        emotions.tension -= 0.15 * intensity;
-        emotions.loneliness -= 0.15 * intensity;
-    } else if (score < -0.3) {
-        // Negative — boost tension and loneliness
-        emotions.tension += 0.25 * intensity;
-        emotions.loneliness += 0.2 * intensity;
-        emotions.warmth -= 0.15 * intensity;
-        emotions.belonging -= 0.15 * intensity;
-    } else {
-        // Neutral/mixed — boost nostalgia (reflective)
-        emotions.nostalgia += 0.2 * intensity;
-        emotions.warmth += 0.05 * intensity;
-        emotions.loneliness += 0.05 * intensity;
+    const base = 1 / EMOTION_MODEL.dimensions.length;
+    const emotions = {};
+    for (const dim of EMOTION_MODEL.dimensions) {
+        emotions[dim.name] = base + (dim.sentiment[valence] || 0) * intensity;
     }
 
     // Clamp to [0, 1] and normalize to sum ≈ 1
@@ -0,0 +1,258 @@
+/**
+ * Session Service
+ * Owns each player's Atlas chain on the server so the letter rule and the
+ * no-repeat rule are enforced against stored state rather than client input.
+ * Persists to Firestore when available, otherwise to an in-memory store.
+ * @module services/sessionService
+ */
+
+const crypto = require('crypto');
+const { getDb } = require('../config/firebase');
+const { fullValidation } = require('./countryValidator');
+const { LRUCache } = require('../utils/cache');
+const { logger } = require('../utils/logger');
+
+/** Firestore collection name for game sessions */
+const SESSIONS_COLLECTION = 'sessions';
+
+/** Sessions expire after six hours of inactivity */
+const SESSION_TTL_MS = 6 * 60 * 60 * 1000;
+
+/** Session IDs are v4 UUIDs — anything else is rejected before touching storage */
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/** Offline fallback store used when Firestore is not configured */
+const memoryStore = new LRUCache({ maxSize: 5000, defaultTTL: SESSION_TTL_MS, name: 'sessions' });
+
+/**
+ * @typedef {Object} ChainEntry
+ * @property {string} name - Canonical country name
+ * @property {string|null} choiceId - Choice made in this country (null until submitted)
+ * @property {string|null} dominantEmotion - Country's dominant emotion after the choice
+ */
+
+/**
+ * @typedef {Object} Session
+ * @property {string} id - Session ID
+ * @property {ChainEntry[]} countryChain - Countries visited, in order
+ * @property {string[]} usedCountries - Lowercase names already played
+ * @property {string|null} previousCountry - Last accepted country (drives the Atlas rule)
+ * @property {string|null} currentCountry - Country awaiting a choice, if any
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} updatedAt - ISO timestamp
+ */
+
+/**
+ * Create and persist a new, empty session.
+ * @returns {Promise<Session>}
+ */
+async function createSession() {
+    const now = new Date().toISOString();
+    const session = {
+        id: crypto.randomUUID(),
+        countryChain: [],
+        usedCountries: [],
+        previousCountry: null,
+        currentCountry: null,
+        createdAt: now,
+        updatedAt: now,
+    };
+
+    await saveSession(session);
+    logger.info('Session created', { sessionId: session.id });
+    return session;
+}
+
+/**
+ * Load a session by ID.
+ * @param {string} sessionId
+ * @returns {Promise<Session|null>} Session or null if unknown/expired
+ */
+async function getSession(sessionId) {
+    if (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId)) return null;
+
+    const db = getDb();
+    if (!db) return memoryStore.get(sessionId) || null;
+
+    try {
+        const doc = await db.collection(SESSIONS_COLLECTION).doc(sessionId).get();
+        if (!doc.exists) return null;
+
+        const session = doc.data();
+        if (Date.now() - Date.parse(session.updatedAt) > SESSION_TTL_MS) return null;
+
+        return session;
+    } catch (error) {
+        logger.error('Firestore session read error', { error: error.message, sessionId });
+        return null;
+    }
+}
+
+/**
+ * Persist a session, refreshing its updatedAt timestamp.
+ * @param {Session} session
+ * @returns {Promise<Session>}
+ */
+async function saveSession(session) {
+    session.updatedAt = new Date().toISOString();
+
+    const db = getDb();
+    if (!db) {
+        memoryStore.set(session.id, session);
+        return session;
+    }
+
+    try {
+        await db.collection(SESSIONS_COLLECTION).doc(session.id).set(session);
+    } catch (error) {
+        logger.error('Firestore session write error', { error: error.message, sessionId: session.id });
+    }
+
+    return session;
+}
+
+/**
+ * Read-modify-write a session. On Firestore the read and the write run in one
+ * transaction, so concurrent requests on the same session cannot both pass a
+ * check against the old state and overwrite each other's changes.
+ * @param {string} sessionId
+ * @param {(session: Session) => boolean} mutate - Changes the session in place;
+ *   returns whether it changed and must be saved. Firestore may call it again
+ *   with a fresh copy if the document changes before commit.
+ * @returns {Promise<Session|null>} The session after the update, or null if unknown/expired
+ */
+async function updateSession(sessionId, mutate) {
+    if (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId)) return null;
+
+    const db = getDb();
+    if (!db) {
+        const session = memoryStore.get(sessionId);
+        if (!session) return null;
+        if (mutate(session)) await saveSession(session);
+        return session;
+    }
+
+    const ref = db.collection(SESSIONS_COLLECTION).doc(sessionId);
+    try {
+        return await db.runTransaction(async (tx) => {
+            const doc = await tx.get(ref);
+            if (!doc.exists) return null;
+
+            const session = doc.data();
+            if (Date.now() - Date.parse(session.updatedAt) > SESSION_TTL_MS) return null;
+
+            if (mutate(session)) {
+                session.updatedAt = new Date().toISOString();
+                tx.set(ref, session);
+            }
+            return session;
+        });
+    } catch (error) {
+        logger.error('Firestore session update error', { error: error.message, sessionId });
+        return null;
+    }
+}
+
+/**
+ * Validate a country against the session's stored chain and, if valid,
+ * append it as the session's current country.
+ * Re-submitting the country that is still awaiting a choice is idempotent.
+ * @param {string} sessionId
+ * @param {string} countryName
+ * @returns {Promise<{ session: Session, result: Object }|null>} null if the session does not exist
+ */
+async function addCountryToSession(sessionId, countryName) {
+    let result;
+    const session = await updateSession(sessionId, (current) => {
+        if (current.currentCountry) {
+            const pending = fullValidation(countryName);
+            result = pending.valid && pending.country.name === current.currentCountry
+                ? { ...pending, requiredLetter: null }
+                : {
+                    valid: false,
+                    country: null,
+                    requiredLetter: null,
+                    error: `Finish your moment in ${current.currentCountry} before moving on.`,
+                };
+            return false;
+        }
+
+        result = fullValidation(countryName, current.previousCountry, current.usedCountries);
+        if (!result.valid) return false;
+
+        const name = result.country.name;
+        current.countryChain.push({ name, choiceId: null, dominantEmotion: null });
+        current.usedCountries.push(name.toLowerCase());
+        current.previousCountry = name;
+        current.currentCountry = name;
+        return true;
+    });
+
+    return session ? { session, result } : null;
+}
+
+/**
+ * Check whether a session is waiting for a choice in the given country.
+ * @param {Session} session
+ * @param {string} countryName
+ * @returns {boolean}
+ */
+function isCurrentCountry(session, countryName) {
+    return Boolean(
+        session?.currentCountry &&
+        typeof countryName === 'string' &&
+        session.currentCountry.toLowerCase() === countryName.trim().toLowerCase()
+    );
+}
+
+/**
+ * Record the player's choice for the session's current country and
+ * release the session so the next country can be entered. This is the step's
+ * single claim: of several choices submitted for one country at once, only the
+ * first completes it.
+ * @param {string} sessionId
+ * @param {string} countryName - Country the choice was made in
+ * @param {string} choiceId
+ * @returns {Promise<Session|null>} The completed session, or null if the session does
+ *   not exist or is not waiting for a choice in that country
+ */
+async function completeCurrentCountry(sessionId, countryName, choiceId) {
+    let completed = false;
+    const session = await updateSession(sessionId, (current) => {
+        if (!isCurrentCountry(current, countryName)) return false;
+
+        const entry = current.countryChain[current.countryChain.length - 1];
+        if (entry) entry.choiceId = choiceId;
+        current.currentCountry = null;
+        completed = true;
+        return true;
+    });
+    return completed ? session : null;
+}
+
+/**
+ * Store the dominant emotion of the updated country profile on the session's
+ * last completed country, once the choice has been applied.
+ * @param {string} sessionId
+ * @param {string} countryName
+ * @param {string} dominantEmotion
+ * @returns {Promise<Session|null>} null if the session does not exist
+ */
+function recordDominantEmotion(sessionId, countryName, dominantEmotion) {
+    return updateSession(sessionId, (session) => {
+        const entry = session.countryChain[session.countryChain.length - 1];
+        if (!entry || entry.name.toLowerCase() !== countryName.toLowerCase() || !entry.choiceId) return false;
+        entry.dominantEmotion = dominantEmotion;
+        return true;
+    });
+}
+
+module.exports = {
+    createSession,
+    getSession,
+    addCountryToSession,
+    isCurrentCountry,
+    completeCurrentCountry,
+    recordDominantEmotion,
+    SESSION_TTL_MS,
+};
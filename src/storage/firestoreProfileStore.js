@@ -0,0 +1,147 @@
+/**
+ * Firestore Profile Store
+ * Stores country profiles as documents in the `countries` collection, daily
+ * snapshots in each country's `snapshots` subcollection (one document per day)
+ * and the echo log in the `echoes` collection.
+ * Updates run inside Firestore transactions, which are retried on contention.
+ * @module storage/firestoreProfileStore
+ */
+
+/** Firestore collection name for country emotion profiles */
+const COUNTRIES_COLLECTION = 'countries';
+
+/** Firestore collection name for the echo log */
+const ECHOES_COLLECTION = 'echoes';
+
+/** Subcollection of each country document holding daily snapshots */
+const SNAPSHOTS_SUBCOLLECTION = 'snapshots';
+
+/** Maximum transaction attempts before an update is abandoned */
+const MAX_UPDATE_ATTEMPTS = 5;
+
+/** gRPC status code of a create() whose document already exists */
+const ALREADY_EXISTS = 6;
+
+class FirestoreProfileStore {
+    /**
+     * @param {FirebaseFirestore.Firestore} db - Initialized Firestore instance
+     */
+    constructor(db) {
+        this.name = 'firestore';
+        this._db = db;
+        this._collection = db.collection(COUNTRIES_COLLECTION);
+        this._echoes = db.collection(ECHOES_COLLECTION);
+    }
+
+    /**
+     * Get a profile by key.
+     * @param {string} key - Normalized country key
+     * @returns {Promise<Object|null>}
+     */
+    async get(key) {
+        const doc = await this._collection.doc(key).get();
+        return doc.exists ? doc.data() : null;
+    }
+
+    /**
+     * Create or replace a profile.
+     * @param {string} key - Normalized country key
+     * @param {Object} profile - Full profile document
+     * @returns {Promise<void>}
+     */
+    async set(key, profile) {
+        await this._collection.doc(key).set(profile, { merge: true });
+    }
+
+    /**
+     * Read-modify-write a profile inside a transaction.
+     * Firestore re-runs the updater if the document changes before commit.
+     * @param {string} key - Normalized country key
+     * @param {(existing: Object|null) => Object} updater - Returns the new profile
+     * @returns {Promise<Object>} The stored profile
+     */
+    update(key, updater) {
+        const ref = this._collection.doc(key);
+
+        return this._db.runTransaction(async (tx) => {
+            const doc = await tx.get(ref);
+            const next = updater(doc.exists ? doc.data() : null);
+            tx.set(ref, next);
+            return next;
+        }, { maxAttempts: MAX_UPDATE_ATTEMPTS });
+    }
+
+    /**
+     * List profiles ordered by visit count (most visited first).
+     * @param {number} limit - Maximum number of profiles
+     * @returns {Promise<Object[]>}
+     */
+    async list(limit) {
+        const snapshot = await this._collection
+            .orderBy('visitCount', 'desc')
+            .limit(limit)
+            .get();
+
+        return snapshot.docs.map((doc) => doc.data());
+    }
+
+    /**
+     * Append an echo (one accepted choice) to the log, unless one with the same ID is already there.
+     * create() fails if the document exists, so two concurrent appends cannot both succeed.
+     * @param {Object} echo - Echo record
+     * @returns {Promise<boolean>} Whether the echo was appended
+     */
+    async appendEcho(echo) {
+        try {
+            await this._echoes.doc(echo.id).create(echo);
+            return true;
+        } catch (error) {
+            if (error.code === ALREADY_EXISTS) return false;
+            throw error;
+        }
+    }
+
+    /**
+     * List every echo in the order it was recorded.
+     * @returns {Promise<Object[]>}
+     */
+    async listEchoes() {
+        const snapshot = await this._echoes.orderBy('recordedAt', 'asc').get();
+        return snapshot.docs.map((doc) => doc.data());
+    }
+
+    /**
+     * Create or replace the snapshot of a profile for one day.
+     * @param {string} key - Normalized country key
+     * @param {Object} snapshot - Snapshot with a `day` (YYYY-MM-DD) field
+     * @returns {Promise<void>}
+     */
+    async setSnapshot(key, snapshot) {
+        await this._collection.doc(key).collection(SNAPSHOTS_SUBCOLLECTION).doc(snapshot.day).set(snapshot);
+    }
+
+    /**
+     * List a profile's daily snapshots in a day range, oldest first.
+     * @param {string} key - Normalized country key
+     * @param {string} from - First day (YYYY-MM-DD, inclusive)
+     * @param {string} to - Last day (YYYY-MM-DD, inclusive)
+     * @returns {Promise<Object[]>}
+     */
+    async listSnapshots(key, from, to) {
+        const snapshot = await this._collection.doc(key).collection(SNAPSHOTS_SUBCOLLECTION)
+            .where('day', '>=', from)
+            .where('day', '<=', to)
+            .orderBy('day', 'asc')
+            .get();
+
+        return snapshot.docs.map((doc) => doc.data());
+    }
+}
+
+module.exports = {
+    FirestoreProfileStore,
+    COUNTRIES_COLLECTION,
+    ECHOES_COLLECTION,
+    SNAPSHOTS_SUBCOLLECTION,
+    MAX_UPDATE_ATTEMPTS,
+};
@@ -0,0 +1,228 @@
+/**
+ * JSON File Profile Store
+ * Append-only JSON Lines log of profile writes, snapshots and echoes. The log
+ * is replayed into memory on first access (last write per key or day wins),
+ * so profiles, snapshots and the echo log survive restarts without any
+ * external database. Appends are serialized so the log order always matches
+ * the order of in-memory updates. Once most lines are superseded profile or
+ * snapshot writes, the log is rewritten with one line per live record, at
+ * startup or when appends go idle.
+ * Single-process only.
+ * @module storage/jsonFileProfileStore
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { MemoryProfileStore } = require('./memoryProfileStore');
+const { logger } = require('../utils/logger');
+
+/** Logs shorter than this are never compacted */
+const COMPACT_MIN_LINES = 1000;
+
+/** Compact once the log is this many times longer than its live records */
+const COMPACT_RATIO = 2;
+
+/**
+ * Serialize a log entry as one line.
+ * @param {Object} entry
+ * @param {string} [writtenAt]
+ * @returns {string}
+ */
+function toLine(entry, writtenAt = new Date().toISOString()) {
+    return `${JSON.stringify({ ...entry, writtenAt })}\n`;
+}
+
+class JsonFileProfileStore extends MemoryProfileStore {
+    /**
+     * @param {string} filePath - Path to the .jsonl log (created if missing)
+     * @param {Object} [options]
+     * @param {number} [options.compactMinLines=1000] - Never compact a shorter log
+     */
+    constructor(filePath, { compactMinLines = COMPACT_MIN_LINES } = {}) {
+        super();
+        this.name = 'file';
+        this._filePath = path.resolve(filePath);
+        this._compactMinLines = compactMinLines;
+        /** @type {Promise<void>|null} */
+        this._loading = null;
+        /** @type {Promise<void>} Tail of the serialized append queue */
+        this._appending = Promise.resolve();
+        /** Lines in the log file */
+        this._lines = 0;
+        /** Appends queued but not yet written */
+        this._pending = 0;
+    }
+
+    /**
+     * Queue a log line behind any pending appends.
+     * @param {Object} entry - `{ key, profile }`, `{ key, snapshot }` or `{ echo }`
+     * @returns {Promise<void>}
+     */
+    _append(entry) {
+        const line = toLine(entry);
+        this._pending++;
+        const write = this._appending
+            .then(() => fs.promises.appendFile(this._filePath, line, 'utf8'))
+            .then(() => { this._lines++; })
+            .finally(() => { this._pending--; });
+        this._appending = write.then(() => this._compactIfIdle(), () => { });
+        return write;
+    }
+
+    /**
+     * Number of lines a compacted log would hold.
+     * @returns {number}
+     */
+    _liveRecords() {
+        let snapshots = 0;
+        for (const days of this._snapshots.values()) snapshots += days.size;
+        return this._profiles.size + snapshots + this._echoes.length;
+    }
+
+    /**
+     * Compact when no append is queued (memory then matches the file) and
+     * most of the log is superseded writes.
+     * @returns {Promise<void>}
+     */
+    async _compactIfIdle() {
+        if (this._pending > 0) return;
+        if (this._lines < this._compactMinLines || this._lines < COMPACT_RATIO * this._liveRecords()) return;
+        await this._compact();
+    }
+
+    /**
+     * Rewrite the log with one line per live profile, snapshot and echo.
+     * The new log is written beside the old one and renamed over it, so a
+     * crash leaves either the old or the new file, never a mix.
+     * @returns {Promise<void>}
+     */
+    async _compact() {
+        const writtenAt = new Date().toISOString();
+        const lines = [];
+        for (const [key, profile] of this._profiles) lines.push(toLine({ key, profile }, writtenAt));
+        for (const [key, days] of this._snapshots) {
+            for (const snapshot of days.values()) lines.push(toLine({ key, snapshot }, writtenAt));
+        }
+        for (const echo of this._echoes) lines.push(toLine({ echo }, writtenAt));
+
+        const tmpPath = `${this._filePath}.compacting`;
+        try {
+            await fs.promises.writeFile(tmpPath, lines.join(''), 'utf8');
+            await fs.promises.rename(tmpPath, this._filePath);
+            logger.info('Profile log compacted', { file: this._filePath, before: this._lines, after: lines.length });
+            this._lines = lines.length;
+        } catch (error) {
+            logger.error('Profile log compaction failed', { error: error.message, file: this._filePath });
+        }
+    }
+
+    /**
+     * Replay the log into memory once.
+     * @returns {Promise<void>}
+     */
+    _load() {
+        if (!this._loading) this._loading = this._replay();
+        return this._loading;
+    }
+
+    /**
+     * Read every log line into the in-memory map.
+     * A torn final line (crash mid-append) is skipped rather than fatal, as is
+     * a line that is not an echo, snapshot or profile write.
+     * @returns {Promise<void>}
+     */
+    async _replay() {
+        await fs.promises.mkdir(path.dirname(this._filePath), { recursive: true });
+
+        let contents = '';
+        try {
+            contents = await fs.promises.readFile(this._filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        for (const line of contents.split('\n')) {
+            if (!line.trim()) continue;
+            this._lines++;
+            try {
+                const { key, profile, snapshot, echo } = JSON.parse(line);
+                if (echo) super.appendEcho(echo);
+                else if (typeof key === 'string' && snapshot) super.setSnapshot(key, snapshot);
+                else if (typeof key === 'string' && profile) this._profiles.set(key, profile);
+                else logger.warn('Skipping unrecognized profile log line', { file: this._filePath });
+            } catch {
+                logger.warn('Skipping unreadable profile log line', { file: this._filePath });
+            }
+        }
+
+        logger.info('Profile log loaded', { file: this._filePath, profiles: this._profiles.size, echoes: this._echoes.length });
+        await this._compactIfIdle();
+    }
+
+    /** @inheritdoc */
+    async get(key) {
+        await this._load();
+        return super.get(key);
+    }
+
+    /** @inheritdoc */
+    async set(key, profile) {
+        await this._load();
+        super.set(key, profile);
+        await this._append({ key, profile });
+    }
+
+    /**
+     * Atomically read-modify-write a profile, then log the result.
+     * The append is queued in the same tick as the in-memory write.
+     * @inheritdoc
+     */
+    async update(key, updater) {
+        await this._load();
+
+        let next = null;
+        const updated = super.update(key, (existing) => {
+            next = updater(existing);
+            return next;
+        });
+
+        if (next) await this._append({ key, profile: next });
+        return updated;
+    }
+
+    /** @inheritdoc */
+    async list(limit) {
+        await this._load();
+        return super.list(limit);
+    }
+
+    /** @inheritdoc */
+    async appendEcho(echo) {
+        await this._load();
+        if (this._echoIds.has(echo.id)) return false;
+        super.appendEcho(echo);
+        await this._append({ echo });
+        return true;
+    }
+
+    /** @inheritdoc */
+    async listEchoes() {
+        await this._load();
+        return super.listEchoes();
+    }
+
+    /** @inheritdoc */
+    async setSnapshot(key, snapshot) {
+        await this._load();
+        super.setSnapshot(key, snapshot);
+        await this._append({ key, snapshot });
+    }
+
+    /** @inheritdoc */
+    async listSnapshots(key, from, to) {
+        await this._load();
+        return super.listSnapshots(key, from, to);
+    }
+}
+
+module.exports = { JsonFileProfileStore };
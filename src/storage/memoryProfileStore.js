@@ -0,0 +1,123 @@
+/**
+ * In-Memory Profile Store
+ * Keeps country profiles, daily snapshots and the echo log in memory for the lifetime of the process.
+ * Default backend for local development and tests without cloud credentials.
+ * @module storage/memoryProfileStore
+ */
+
+class MemoryProfileStore {
+    constructor() {
+        /** @type {Map<string, Object>} */
+        this._profiles = new Map();
+        /** @type {Object[]} Echo log in append order */
+        this._echoes = [];
+        /** @type {Set<string>} IDs in the echo log */
+        this._echoIds = new Set();
+        /** @type {Map<string, Map<string, Object>>} Daily snapshots per key, by day */
+        this._snapshots = new Map();
+        this.name = 'memory';
+    }
+
+    /**
+     * Get a profile by key.
+     * @param {string} key - Normalized country key
+     * @returns {Promise<Object|null>}
+     */
+    get(key) {
+        const profile = this._profiles.get(key);
+        return Promise.resolve(profile ? structuredClone(profile) : null);
+    }
+
+    /**
+     * Create or replace a profile.
+     * @param {string} key - Normalized country key
+     * @param {Object} profile - Full profile document
+     * @returns {Promise<void>}
+     */
+    set(key, profile) {
+        this._profiles.set(key, structuredClone(profile));
+        return Promise.resolve();
+    }
+
+    /**
+     * Atomically read-modify-write a profile.
+     * The read, updater call and write happen in one synchronous step, so
+     * concurrent updates in this process can never interleave and lose writes.
+     * @param {string} key - Normalized country key
+     * @param {(existing: Object|null) => Object} updater - Returns the new profile
+     * @returns {Promise<Object>} The stored profile
+     */
+    update(key, updater) {
+        try {
+            const current = this._profiles.get(key);
+            const next = updater(current ? structuredClone(current) : null);
+            this._profiles.set(key, structuredClone(next));
+            return Promise.resolve(structuredClone(next));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+     * List profiles ordered by visit count (most visited first).
+     * @param {number} limit - Maximum number of profiles
+     * @returns {Promise<Object[]>}
+     */
+    list(limit) {
+        const profiles = [...this._profiles.values()]
+            .sort((a, b) => (b.visitCount || 0) - (a.visitCount || 0))
+            .slice(0, limit)
+            .map((profile) => structuredClone(profile));
+        return Promise.resolve(profiles);
+    }
+
+    /**
+     * Append an echo (one accepted choice) to the log, unless one with the same ID is already there.
+     * @param {Object} echo - Echo record
+     * @returns {Promise<boolean>} Whether the echo was appended
+     */
+    appendEcho(echo) {
+        if (this._echoIds.has(echo.id)) return Promise.resolve(false);
+        this._echoIds.add(echo.id);
+        this._echoes.push(structuredClone(echo));
+        return Promise.resolve(true);
+    }
+
+    /**
+     * List every echo in the order it was recorded.
+     * @returns {Promise<Object[]>}
+     */
+    listEchoes() {
+        return Promise.resolve(this._echoes.map((echo) => structuredClone(echo)));
+    }
+
+    /**
+     * Create or replace the snapshot of a profile for one day.
+     * @param {string} key - Normalized country key
+     * @param {Object} snapshot - Snapshot with a `day` (YYYY-MM-DD) field
+     * @returns {Promise<void>}
+     */
+    setSnapshot(key, snapshot) {
+        if (!this._snapshots.has(key)) this._snapshots.set(key, new Map());
+        this._snapshots.get(key).set(snapshot.day, structuredClone(snapshot));
+        return Promise.resolve();
+    }
+
+    /**
+     * List a profile's daily snapshots in a day range, oldest first.
+     * @param {string} key - Normalized country key
+     * @param {string} from - First day (YYYY-MM-DD, inclusive)
+     * @param {string} to - Last day (YYYY-MM-DD, inclusive)
+     * @returns {Promise<Object[]>}
+     */
+    listSnapshots(key, from, to) {
+        const days = this._snapshots.get(key) || new Map();
+        const snapshots = [...days.values()]
+            .filter((snapshot) => snapshot.day >= from && snapshot.day <= to)
+            .sort((a, b) => a.day.localeCompare(b.day))
+            .map((snapshot) => structuredClone(snapshot));
+        return Promise.resolve(snapshots);
+    }
+}
+
+module.exports = { MemoryProfileStore };
@@ -0,0 +1,100 @@
+/**
+ * Country Profile Store
+ * Selects the storage backend for country emotion profiles from the
+ * PROFILE_STORE environment variable. Every backend implements the same
+ * async interface: get(key), set(key, profile), update(key, updater), list(limit),
+ * appendEcho(echo), listEchoes(), setSnapshot(key, snapshot), listSnapshots(key, from, to).
+ * update() is atomic per key, so concurrent writers never lose each other's changes,
+ * and appendEcho() resolves false instead of appending a second echo with the same ID.
+ * The echo log is the source of truth; profiles and their daily snapshots
+ * (one per country per UTC day, for timelines) are derived from it.
+ *
+ *   PROFILE_STORE=memory     In-process Map (lost on restart)
+ *   PROFILE_STORE=file       JSON Lines log at PROFILE_STORE_PATH, compacted as it grows
+ *   PROFILE_STORE=sqlite     SQLite database at PROFILE_STORE_PATH
+ *   PROFILE_STORE=firestore  Firestore `countries` collection
+ *
+ * When unset, Firestore is used if credentials are configured, otherwise memory.
+ * @module storage/profileStore
+ */
+
+const { getDb } = require('../config/firebase');
+const { MemoryProfileStore } = require('./memoryProfileStore');
+const { JsonFileProfileStore } = require('./jsonFileProfileStore');
+const { FirestoreProfileStore } = require('./firestoreProfileStore');
+const { logger } = require('../utils/logger');
+
+/** Default file locations for the file-backed stores */
+const DEFAULT_PATHS = {
+    file: './data/profiles.jsonl',
+    sqlite: './data/profiles.sqlite',
+};
+
+/** @type {Object|null} Active store instance */
+let activeStore = null;
+
+/**
+ * Build a profile store for the requested backend.
+ * Falls back to the in-memory store if the backend cannot be initialized.
+ * @param {string} [type=process.env.PROFILE_STORE] - memory | file | sqlite | firestore
+ * @returns {Object} Profile store
+ */
+function createProfileStore(type = process.env.PROFILE_STORE) {
+    const backend = (type || '').trim().toLowerCase();
+    const filePath = process.env.PROFILE_STORE_PATH || DEFAULT_PATHS[backend];
+
+    switch (backend) {
+        case 'memory':
+            return new MemoryProfileStore();
+
+        case 'file':
+            return new JsonFileProfileStore(filePath);
+
+        case 'sqlite':
+            try {
+                const { SqliteProfileStore } = require('./sqliteProfileStore');
+                return new SqliteProfileStore(filePath);
+            } catch (error) {
+                logger.warn('SQLite profile store unavailable, using memory', { error: error.message });
+                return new MemoryProfileStore();
+            }
+
+        case 'firestore': {
+            const db = getDb();
+            if (db) return new FirestoreProfileStore(db);
+            logger.warn('Firestore profile store requested without credentials, using memory');
+            return new MemoryProfileStore();
+        }
+
+        case '': {
+            const db = getDb();
+            return db ? new FirestoreProfileStore(db) : new MemoryProfileStore();
+        }
+
+        default:
+            logger.warn('Unknown PROFILE_STORE, using memory', { profileStore: type });
+            return new MemoryProfileStore();
+    }
+}
+
+/**
+ * Get the active profile store, creating it on first use.
+ * @returns {Object} Profile store
+ */
+function getProfileStore() {
+    if (!activeStore) {
+        activeStore = createProfileStore();
+        logger.info('Profile store initialized', { backend: activeStore.name });
+    }
+    return activeStore;
+}
+
+/**
+ * Replace the active profile store (used by tests and admin tooling).
+ * @param {Object|null} store - Store instance, or null to re-select from env on next use
+ */
+function setProfileStore(store) {
+    activeStore = store;
+}
+
+module.exports = { createProfileStore, getProfileStore, setProfileStore };
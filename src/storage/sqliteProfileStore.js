@@ -0,0 +1,199 @@
+/**
+ * SQLite Profile Store
+ * Stores each profile as a JSON document in the `countries` table, with the
+ * visit count denormalized into its own indexed column for world-map ordering.
+ * Echoes are appended to the `echoes` table in insertion order; daily
+ * snapshots live in `snapshots`, one row per country and day.
+ * A per-row version column backs compare-and-swap updates, so several
+ * processes can share one database file without losing writes.
+ * Requires the optional `better-sqlite3` dependency.
+ * @module storage/sqliteProfileStore
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/** Maximum compare-and-swap attempts before an update is abandoned */
+const MAX_UPDATE_ATTEMPTS = 5;
+
+class SqliteProfileStore {
+    /**
+     * @param {string} filePath - Database file path, or ':memory:'
+     * @throws {Error} If better-sqlite3 is not installed
+     */
+    constructor(filePath) {
+        const Database = require('better-sqlite3');
+
+        if (filePath !== ':memory:') {
+            fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+        }
+
+        this.name = 'sqlite';
+        this._db = new Database(filePath);
+        this._db.pragma('journal_mode = WAL');
+        this._db.pragma('busy_timeout = 5000');
+        this._db.exec(`
+            CREATE TABLE IF NOT EXISTS countries (
+                key TEXT PRIMARY KEY,
+                visit_count INTEGER NOT NULL DEFAULT 0,
+                data TEXT NOT NULL,
+                version INTEGER NOT NULL DEFAULT 0
+            );
+            CREATE INDEX IF NOT EXISTS idx_countries_visit_count ON countries (visit_count DESC);
+            CREATE TABLE IF NOT EXISTS echoes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                country_key TEXT NOT NULL,
+                recorded_at TEXT NOT NULL,
+                data TEXT NOT NULL
+            );
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_echoes_echo_id ON echoes (json_extract(data, '$.id'));
+            CREATE TABLE IF NOT EXISTS snapshots (
+                country_key TEXT NOT NULL,
+                day TEXT NOT NULL,
+                data TEXT NOT NULL,
+                PRIMARY KEY (country_key, day)
+            );
+        `);
+
+        // Databases created before versioned updates lack the version column
+        const columns = this._db.pragma('table_info(countries)').map((column) => column.name);
+        if (!columns.includes('version')) {
+            this._db.exec('ALTER TABLE countries ADD COLUMN version INTEGER NOT NULL DEFAULT 0');
+        }
+
+        this._statements = {
+            get: this._db.prepare('SELECT data FROM countries WHERE key = ?'),
+            getVersioned: this._db.prepare('SELECT data, version FROM countries WHERE key = ?'),
+            set: this._db.prepare(`
+                INSERT INTO countries (key, visit_count, data) VALUES (@key, @visitCount, @data)
+                ON CONFLICT(key) DO UPDATE SET
+                    visit_count = excluded.visit_count,
+                    data = excluded.data,
+                    version = version + 1
+            `),
+            insertIfAbsent: this._db.prepare(`
+                INSERT INTO countries (key, visit_count, data) VALUES (@key, @visitCount, @data)
+                ON CONFLICT(key) DO NOTHING
+            `),
+            swap: this._db.prepare(`
+                UPDATE countries SET visit_count = @visitCount, data = @data, version = version + 1
+                WHERE key = @key AND version = @version
+            `),
+            list: this._db.prepare('SELECT data FROM countries ORDER BY visit_count DESC LIMIT ?'),
+            appendEcho: this._db.prepare('INSERT OR IGNORE INTO echoes (country_key, recorded_at, data) VALUES (@key, @recordedAt, @data)'),
+            listEchoes: this._db.prepare('SELECT data FROM echoes ORDER BY id'),
+            setSnapshot: this._db.prepare(`
+                INSERT INTO snapshots (country_key, day, data) VALUES (@key, @day, @data)
+                ON CONFLICT(country_key, day) DO UPDATE SET data = excluded.data
+            `),
+            listSnapshots: this._db.prepare(`
+                SELECT data FROM snapshots
+                WHERE country_key = ? AND day BETWEEN ? AND ?
+                ORDER BY day
+            `),
+        };
+    }
+
+    /**
+     * Get a profile by key.
+     * @param {string} key - Normalized country key
+     * @returns {Promise<Object|null>}
+     */
+    get(key) {
+        const row = this._statements.get.get(key);
+        return Promise.resolve(row ? JSON.parse(row.data) : null);
+    }
+
+    /**
+     * Create or replace a profile.
+     * @param {string} key - Normalized country key
+     * @param {Object} profile - Full profile document
+     * @returns {Promise<void>}
+     */
+    set(key, profile) {
+        this._statements.set.run({ key, visitCount: profile.visitCount || 0, data: JSON.stringify(profile) });
+        return Promise.resolve();
+    }
+
+    /**
+     * Read-modify-write a profile with compare-and-swap on the row version.
+     * If another writer changes the row between read and write, the update
+     * is re-read and retried up to MAX_UPDATE_ATTEMPTS times.
+     * @param {string} key - Normalized country key
+     * @param {(existing: Object|null) => Object} updater - Returns the new profile
+     * @returns {Promise<Object>} The stored profile
+     */
+    update(key, updater) {
+        try {
+            for (let attempt = 1; attempt <= MAX_UPDATE_ATTEMPTS; attempt++) {
+                const row = this._statements.getVersioned.get(key);
+                const next = updater(row ? JSON.parse(row.data) : null);
+                const params = { key, visitCount: next.visitCount || 0, data: JSON.stringify(next) };
+
+                const info = row
+                    ? this._statements.swap.run({ ...params, version: row.version })
+                    : this._statements.insertIfAbsent.run(params);
+
+                if (info.changes === 1) return Promise.resolve(next);
+            }
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        return Promise.reject(new Error(`Profile update for '${key}' conflicted ${MAX_UPDATE_ATTEMPTS} times`));
+    }
+
+    /**
+     * List profiles ordered by visit count (most visited first).
+     * @param {number} limit - Maximum number of profiles
+     * @returns {Promise<Object[]>}
+     */
+    list(limit) {
+        const rows = this._statements.list.all(limit);
+        return Promise.resolve(rows.map((row) => JSON.parse(row.data)));
+    }
+
+    /**
+     * Append an echo (one accepted choice) to the log, unless one with the same ID is already there.
+     * @param {Object} echo - Echo record
+     * @returns {Promise<boolean>} Whether the echo was appended
+     */
+    appendEcho(echo) {
+        const { changes } = this._statements.appendEcho.run({ key: echo.key, recordedAt: echo.recordedAt, data: JSON.stringify(echo) });
+        return Promise.resolve(changes > 0);
+    }
+
+    /**
+     * List every echo in the order it was recorded.
+     * @returns {Promise<Object[]>}
+     */
+    listEchoes() {
+        const rows = this._statements.listEchoes.all();
+        return Promise.resolve(rows.map((row) => JSON.parse(row.data)));
+    }
+
+    /**
+     * Create or replace the snapshot of a profile for one day.
+     * @param {string} key - Normalized country key
+     * @param {Object} snapshot - Snapshot with a `day` (YYYY-MM-DD) field
+     * @returns {Promise<void>}
+     */
+    setSnapshot(key, snapshot) {
+        this._statements.setSnapshot.run({ key, day: snapshot.day, data: JSON.stringify(snapshot) });
+        return Promise.resolve();
+    }
+
+    /**
+     * List a profile's daily snapshots in a day range, oldest first.
+     * @param {string} key - Normalized country key
+     * @param {string} from - First day (YYYY-MM-DD, inclusive)
+     * @param {string} to - Last day (YYYY-MM-DD, inclusive)
+     * @returns {Promise<Object[]>}
+     */
+    listSnapshots(key, from, to) {
+        const rows = this._statements.listSnapshots.all(key, from, to);
+        return Promise.resolve(rows.map((row) => JSON.parse(row.data)));
+    }
+}
+
+module.exports = { SqliteProfileStore, MAX_UPDATE_ATTEMPTS };
@@ -55,6 +55,32 @@ class NotFoundError extends AppError {
     }
 }
 
+/**
+ * 409 Conflict — request conflicts with the current state of a resource.
+ * @extends AppError
+ */
+class ConflictError extends AppError {
+    /**
+     * @param {string} message - Description of the conflict
+     */
+    constructor(message) {
+        super(message, 409, 'CONFLICT');
+    }
+}
+
+/**
+ * 401 Unauthorized — missing or invalid credentials.
+ * @extends AppError
+ */
+class UnauthorizedError extends AppError {
+    /**
+     * @param {string} [message] - Description of the failure
+     */
+    constructor(message = 'Authentication required') {
+        super(message, 401, 'UNAUTHORIZED');
+    }
+}
+
 /**
  * 503 Service Unavailable — an external dependency is down.
  * @extends AppError
@@ -69,4 +95,11 @@ class ServiceUnavailableError extends AppError {
     }
 }
 
-module.exports = { AppError, ValidationError, NotFoundError, ServiceUnavailableError };
+module.exports = {
+    AppError,
+    ValidationError,
+    NotFoundError,
+    ConflictError,
+    UnauthorizedError,
+    ServiceUnavailableError,
+};
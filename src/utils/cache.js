@@ -2,15 +2,101 @@
  * LRU Cache with TTL Expiration
  * Provides in-memory caching for frequently accessed data to reduce
  * redundant database/API calls and improve response latency.
+ *
+ * `getOrSet` is single-flight: concurrent misses for the same key share one
+ * load, so ten players entering Brazil at once cost one model call. Caches
+ * may also serve an expired value while it is refreshed in the background
+ * (`staleTTL`) and remember failed loads for a short while (`errorTTL`) so a
+ * failing backend is not hammered by every request.
+ *
+ * With a shared cache adapter (see cache/cacheAdapter) a cache also reads
+ * misses from and writes values through to the adapter, and broadcasts
+ * delete/clear so other instances drop their local copies. get() and has()
+ * only ever look at the local entries.
+ *
+ * Entries can carry tags — the country they describe, `world-map`, `regions` —
+ * so everything derived from a country is invalidated with one
+ * invalidateTag() call instead of hand-built keys. Besides an entry count,
+ * a cache may cap the estimated size of its values (`maxBytes`, measured as
+ * JSON), evicting the least recently used entries to stay under it; caches
+ * without a cap do not measure their values.
  * @module utils/cache
  */
 
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
 /**
  * @typedef {Object} CacheEntry
  * @property {*} value - Cached value
  * @property {number} expiry - Expiration timestamp (Date.now() + ttl)
  * @property {number} created - Creation timestamp
+ * @property {string[]} tags - Normalized tags
+ * @property {number} bytes - Estimated size of the value
+ */
+
+/**
+ * @typedef {Object} EntryOptions
+ * @property {number} [ttlMs] - TTL in milliseconds, overrides default
+ * @property {string[]} [tags] - Tags to invalidate the entry by
+ * @property {(value: *) => boolean} [cacheIf] - getOrSet only stores a loaded value
+ *   this returns true for (e.g. not a fallback)
+ */
+
+/** Tag of world map entries */
+const WORLD_MAP_TAG = 'world-map';
+
+/** Tag of region summary entries */
+const REGIONS_TAG = 'regions';
+
+/** Countries on the world map when the request names no limit */
+const DEFAULT_WORLD_MAP_LIMIT = 500;
+
+/**
+ * World map cache key for a number of countries.
+ * @param {number} [limit=DEFAULT_WORLD_MAP_LIMIT]
+ * @returns {string}
+ */
+function worldMapCacheKey(limit = DEFAULT_WORLD_MAP_LIMIT) {
+    return `worldmap_${limit}`;
+}
+
+/**
+ * Tags match case-insensitively, so "Chad" and "chad" are one tag.
+ * @param {string} tag
+ * @returns {string}
+ */
+function normalizeTag(tag) {
+    return String(tag).trim().toLowerCase();
+}
+
+/**
+ * Accept a bare TTL (the original signature) or entry options.
+ * @param {number|EntryOptions} [options]
+ * @returns {{ ttlMs: number|undefined, tags: string[], cacheIf: ((value: *) => boolean)|null }}
+ */
+function toEntryOptions(options) {
+    if (typeof options === 'number' || options === undefined) return { ttlMs: options, tags: [], cacheIf: null };
+    return {
+        ttlMs: options.ttlMs,
+        tags: [...new Set((options.tags || []).map(normalizeTag))],
+        cacheIf: options.cacheIf || null,
+    };
+}
+
+/**
+ * Estimated memory held by a value: the length of its JSON in bytes.
+ * @param {*} value
+ * @returns {number} 0 for values that cannot be serialized
  */
+function sizeOf(value) {
+    try {
+        const json = JSON.stringify(value);
+        return json === undefined ? 0 : Buffer.byteLength(json);
+    } catch {
+        return 0;
+    }
+}
 
 class LRUCache {
     /**
@@ -19,15 +105,49 @@ class LRUCache {
      * @param {number} [options.maxSize=200] - Maximum number of entries
      * @param {number} [options.defaultTTL=60000] - Default TTL in milliseconds
      * @param {string} [options.name='default'] - Cache name for stats reporting
+     * @param {number} [options.staleTTL=0] - How long after expiry getOrSet may still
+     *   serve a value while refreshing it in the background (0 disables)
+     * @param {number} [options.errorTTL=0] - How long getOrSet rethrows a failed load
+     *   instead of retrying it (0 disables)
+     * @param {number} [options.maxBytes=0] - Maximum estimated size of all values (0: no limit)
      */
-    constructor({ maxSize = 200, defaultTTL = 60000, name = 'default' } = {}) {
+    constructor({ maxSize = 200, defaultTTL = 60000, name = 'default', staleTTL = 0, errorTTL = 0, maxBytes = 0 } = {}) {
         /** @type {Map<string, CacheEntry>} */
         this._store = new Map();
+        /** @type {Map<string, { promise: Promise<*>, tags: string[] }>} Loads in progress, by key */
+        this._inflight = new Map();
+        /** @type {Map<string, { error: Error, expiry: number, tags: string[] }>} Recently failed loads */
+        this._failures = new Map();
         this._maxSize = maxSize;
+        this._maxBytes = maxBytes;
+        this._bytes = 0;
         this._defaultTTL = defaultTTL;
+        this._staleTTL = staleTTL;
+        this._errorTTL = errorTTL;
         this._name = name;
         this._hits = 0;
         this._misses = 0;
+        this._coalesced = 0;
+        this._staleHits = 0;
+        this._errorHits = 0;
+        this._evictions = 0;
+        this._invalidations = 0;
+        this._oversized = 0;
+        /** @type {Object|null} Shared cache adapter */
+        this._shared = null;
+        /** @type {(() => void)|null} Stops invalidation messages */
+        this._unsubscribe = null;
+        this._origin = null;
+    }
+
+    /**
+     * Whether an entry is past expiry and past the stale window, so it can be dropped.
+     * @param {CacheEntry} entry
+     * @param {number} now
+     * @returns {boolean}
+     */
+    _isDead(entry, now) {
+        return now > entry.expiry + this._staleTTL;
     }
 
     /**
@@ -44,9 +164,10 @@ class LRUCache {
             return undefined;
         }
 
-        // Check TTL expiry
-        if (Date.now() > entry.expiry) {
-            this._store.delete(key);
+        // Check TTL expiry (stale entries stay around for getOrSet)
+        const now = Date.now();
+        if (now > entry.expiry) {
+            if (this._isDead(entry, now)) this._remove(key);
             this._misses++;
             return undefined;
         }
@@ -61,27 +182,74 @@ class LRUCache {
 
     /**
      * Set a value in the cache.
+     * A value larger than maxBytes on its own is not stored.
      * @param {string} key
      * @param {*} value
-     * @param {number} [ttlMs] - TTL in milliseconds, overrides default
+     * @param {number|EntryOptions} [options] - TTL in milliseconds, or TTL and tags
      */
-    set(key, value, ttlMs) {
+    set(key, value, options) {
+        const entryOptions = toEntryOptions(options);
+        this._setLocal(key, value, entryOptions);
+        this._writeShared(key, value, entryOptions);
+    }
+
+    _setLocal(key, value, { ttlMs, tags }) {
         // Delete existing to reset position
-        if (this._store.has(key)) {
-            this._store.delete(key);
+        this._remove(key);
+
+        // Sizing serializes the value, so only capped caches pay for it
+        const bytes = this._maxBytes > 0 ? sizeOf(value) : 0;
+        if (this._maxBytes > 0 && bytes > this._maxBytes) {
+            this._oversized++;
+            return;
         }
 
-        // Evict oldest entry if at capacity
-        if (this._store.size >= this._maxSize) {
-            const oldestKey = this._store.keys().next().value;
-            this._store.delete(oldestKey);
+        // Evict oldest entries while at capacity or over the byte budget
+        while (this._store.size > 0
+            && (this._store.size >= this._maxSize || (this._maxBytes > 0 && this._bytes + bytes > this._maxBytes))) {
+            this._remove(this._store.keys().next().value);
+            this._evictions++;
         }
 
         this._store.set(key, {
             value,
             expiry: Date.now() + (ttlMs || this._defaultTTL),
             created: Date.now(),
+            tags,
+            bytes,
         });
+        this._bytes += bytes;
+    }
+
+    /**
+     * Remove an entry and release its bytes.
+     * @param {string} key
+     * @returns {boolean} Whether the key existed
+     */
+    _remove(key) {
+        const entry = this._store.get(key);
+        if (!entry) return false;
+        this._store.delete(key);
+        this._bytes -= entry.bytes;
+        return true;
+    }
+
+    /**
+     * Read a value without counting a hit or miss or refreshing its position.
+     * @param {string} key
+     * @returns {*|undefined} The value, or undefined if not found or expired
+     */
+    peek(key) {
+        return this.has(key) ? this._store.get(key).value : undefined;
+    }
+
+    /**
+     * Whether a getOrSet load for the key is in progress.
+     * @param {string} key
+     * @returns {boolean}
+     */
+    isLoading(key) {
+        return this._inflight.has(key);
     }
 
     /**
@@ -92,8 +260,9 @@ class LRUCache {
     has(key) {
         const entry = this._store.get(key);
         if (!entry) return false;
-        if (Date.now() > entry.expiry) {
-            this._store.delete(key);
+        const now = Date.now();
+        if (now > entry.expiry) {
+            if (this._isDead(entry, now)) this._remove(key);
             return false;
         }
         return true;
@@ -101,25 +270,63 @@ class LRUCache {
 
     /**
      * Delete a specific key from the cache.
+     * A load in progress for the key is not stored when it completes.
      * @param {string} key
      * @returns {boolean} Whether the key existed
      */
     delete(key) {
-        return this._store.delete(key);
+        const existed = this._store.has(key);
+        this._drop(key);
+        if (existed) this._invalidations++;
+        this._broadcast({ key });
+        return existed;
+    }
+
+    /**
+     * Delete every entry carrying a tag, here and on every instance sharing
+     * the cache. Loads in progress for tagged keys are not stored when they complete.
+     * @param {string} tag
+     * @returns {number} Entries deleted from this instance
+     */
+    invalidateTag(tag) {
+        const normalized = normalizeTag(tag);
+        const deleted = this._dropTag(normalized);
+        this._invalidations += deleted;
+        this._broadcast({ tag: normalized });
+        return deleted;
     }
 
     /**
-     * Clear all entries from the cache.
+     * Clear all entries from the cache. Statistics are kept, so flushing a
+     * cache does not wipe its metrics (see resetStats).
+     * Loads in progress are not stored when they complete.
      */
     clear() {
-        this._store.clear();
+        this._drop();
+        this._broadcast({});
+    }
+
+    /**
+     * Zero the hit, miss and eviction counters.
+     */
+    resetStats() {
         this._hits = 0;
         this._misses = 0;
+        this._coalesced = 0;
+        this._staleHits = 0;
+        this._errorHits = 0;
+        this._evictions = 0;
+        this._invalidations = 0;
+        this._oversized = 0;
     }
 
     /**
      * Get cache statistics.
-     * @returns {{ name: string, size: number, maxSize: number, hits: number, misses: number, hitRate: string }}
+     * @returns {{ name: string, size: number, maxSize: number, bytes: number, maxBytes: number,
+     *   hits: number, misses: number, hitRate: string, inflight: number, coalesced: number,
+     *   staleHits: number, errorHits: number, evictions: number, invalidations: number,
+     *   oversized: number, tags: number, defaultTTL: number, staleTTL: number, errorTTL: number,
+     *   shared: string|null }}
      */
     stats() {
         const total = this._hits + this._misses;
@@ -127,40 +334,283 @@ class LRUCache {
             name: this._name,
             size: this._store.size,
             maxSize: this._maxSize,
+            bytes: this._bytes,
+            maxBytes: this._maxBytes,
             hits: this._hits,
             misses: this._misses,
             hitRate: total > 0 ? `${((this._hits / total) * 100).toFixed(1)}%` : '0%',
+            inflight: this._inflight.size,
+            coalesced: this._coalesced,
+            staleHits: this._staleHits,
+            errorHits: this._errorHits,
+            evictions: this._evictions,
+            invalidations: this._invalidations,
+            oversized: this._oversized,
+            tags: Object.keys(this.tagCounts()).length,
+            defaultTTL: this._defaultTTL,
+            staleTTL: this._staleTTL,
+            errorTTL: this._errorTTL,
+            shared: this._shared ? this._shared.name : null,
         };
     }
 
+    /**
+     * Number of entries carrying each tag, most used first.
+     * @returns {Object<string, number>}
+     */
+    tagCounts() {
+        const counts = new Map();
+        for (const entry of this._store.values()) {
+            entry.tags.forEach((tag) => counts.set(tag, (counts.get(tag) || 0) + 1));
+        }
+        return Object.fromEntries([...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])));
+    }
+
     /**
      * Cache-aside pattern: get from cache or compute + store.
      * Eliminates repetitive get/set boilerplate in route handlers.
+     *
+     * Concurrent misses for a key wait on the same call to asyncFn. Within
+     * staleTTL after expiry the old value is returned at once and refreshed
+     * in the background; within errorTTL after a failed load the same error
+     * is thrown again without calling asyncFn.
      * @param {string} key - Cache key
      * @param {() => Promise<*>} asyncFn - Async function to compute value on miss
-     * @param {number} [ttlMs] - Optional TTL override
+     * @param {number|EntryOptions} [options] - Optional TTL override, or TTL and tags
+     * @returns {Promise<*>}
+     */
+    getOrSet(key, asyncFn, options) {
+        const entryOptions = toEntryOptions(options);
+        const entry = this._store.get(key);
+        const now = Date.now();
+
+        if (entry && now <= entry.expiry) {
+            return Promise.resolve(this.get(key));
+        }
+
+        const failure = this._failures.get(key);
+        const failedRecently = failure !== undefined && now <= failure.expiry;
+
+        if (entry && !this._isDead(entry, now)) {
+            this._hits++;
+            this._staleHits++;
+            if (!failedRecently) {
+                // Errors are remembered by _load; the stale value is served meanwhile
+                this._load(key, asyncFn, entryOptions).catch(() => {});
+            }
+            return Promise.resolve(entry.value);
+        }
+
+        this._misses++;
+        if (failedRecently) {
+            this._errorHits++;
+            return Promise.reject(failure.error);
+        }
+        return this._load(key, asyncFn, entryOptions);
+    }
+
+    /**
+     * Run asyncFn for a key unless a load for it is already in progress, and
+     * store the result — or remember the failure for errorTTL.
+     * @param {string} key
+     * @param {() => Promise<*>} asyncFn
+     * @param {{ ttlMs: number|undefined, tags: string[], cacheIf: Function|null }} entryOptions
      * @returns {Promise<*>}
      */
-    async getOrSet(key, asyncFn, ttlMs) {
-        const cached = this.get(key);
-        if (cached !== undefined) return cached;
+    _load(key, asyncFn, entryOptions) {
+        const pending = this._inflight.get(key);
+        if (pending) {
+            this._coalesced++;
+            return pending.promise;
+        }
+
+        // Only the current load may store its outcome (delete/clear/invalidateTag cancel it)
+        const isCurrent = () => this._inflight.get(key)?.promise === load;
+        const load = this._readShared(key)
+            .then((shared) => (shared !== undefined ? { value: shared, fromShared: true } : this._compute(asyncFn)))
+            .then(({ value, fromShared }) => {
+                if (isCurrent()) {
+                    if (!entryOptions.cacheIf || entryOptions.cacheIf(value)) {
+                        this._setLocal(key, value, entryOptions);
+                        if (!fromShared) this._writeShared(key, value, entryOptions);
+                    }
+                    this._failures.delete(key);
+                }
+                return value;
+            }, (error) => {
+                if (isCurrent() && this._errorTTL > 0) {
+                    this._failures.set(key, { error, expiry: Date.now() + this._errorTTL, tags: entryOptions.tags });
+                }
+                throw error;
+            })
+            .finally(() => {
+                if (isCurrent()) this._inflight.delete(key);
+            });
+
+        this._inflight.set(key, { promise: load, tags: entryOptions.tags });
+        return load;
+    }
+
+    async _compute(asyncFn) {
+        return { value: await asyncFn(), fromShared: false };
+    }
+
+    /**
+     * Back this cache with a shared adapter: misses are looked up in it,
+     * values are written through to it, and delete/clear/invalidateTag are broadcast.
+     * @param {Object|null} adapter - Cache adapter, or null to stay local
+     * @param {string} origin - Id of this instance; its own messages are ignored
+     */
+    share(adapter, origin) {
+        if (this._unsubscribe) this._unsubscribe();
+        this._shared = adapter;
+        this._origin = origin;
+        this._unsubscribe = adapter
+            ? adapter.subscribe((message) => {
+                if (message.cache !== this._name || message.origin === origin) return;
+                if (message.tag !== undefined) this._dropTag(message.tag);
+                else this._drop(message.key);
+            })
+            : null;
+    }
+
+    /**
+     * Drop local state for a key, or for every key.
+     * @param {string} [key]
+     */
+    _drop(key) {
+        if (key === undefined) {
+            this._store.clear();
+            this._bytes = 0;
+            this._inflight.clear();
+            this._failures.clear();
+        } else {
+            this._remove(key);
+            this._inflight.delete(key);
+            this._failures.delete(key);
+        }
+    }
+
+    /**
+     * Drop local entries, loads in progress and remembered failures carrying a tag.
+     * @param {string} tag - Normalized tag
+     * @returns {number} Entries dropped
+     */
+    _dropTag(tag) {
+        let dropped = 0;
+        for (const [key, entry] of this._store) {
+            if (entry.tags.includes(tag) && this._remove(key)) dropped++;
+        }
+        for (const map of [this._inflight, this._failures]) {
+            for (const [key, { tags }] of map) {
+                if (tags.includes(tag)) map.delete(key);
+            }
+        }
+        return dropped;
+    }
+
+    _sharedKey(key) {
+        return `${this._name}:${key}`;
+    }
+
+    /**
+     * Look a key up in the shared adapter; adapter errors count as a miss.
+     * @param {string} key
+     * @returns {Promise<*|undefined>}
+     */
+    _readShared(key) {
+        if (!this._shared) return Promise.resolve(undefined);
+        return this._shared.get(this._sharedKey(key)).catch((error) => {
+            logger.warn('Shared cache read failed', { cache: this._name, error: error.message });
+            return undefined;
+        });
+    }
+
+    _writeShared(key, value, { ttlMs, tags }) {
+        if (!this._shared) return;
+        const sharedTags = tags.map((tag) => this._sharedKey(tag));
+        this._shared.set(this._sharedKey(key), value, ttlMs || this._defaultTTL, sharedTags).catch((error) => {
+            logger.warn('Shared cache write failed', { cache: this._name, error: error.message });
+        });
+    }
+
+    /**
+     * Remove a key, a tag or every key from the shared adapter, then tell
+     * the other instances to drop their copies.
+     * @param {{ key?: string, tag?: string }} change - Neither for the whole cache
+     */
+    _broadcast(change) {
+        if (!this._shared) return;
+        const shared = this._shared;
+        let removed;
+        if (change.tag !== undefined) removed = shared.deleteTag(this._sharedKey(change.tag));
+        else if (change.key !== undefined) removed = shared.delete(this._sharedKey(change.key));
+        else removed = shared.clear(`${this._name}:`);
 
-        const value = await asyncFn();
-        this.set(key, value, ttlMs);
-        return value;
+        removed
+            .then(() => shared.publish({ cache: this._name, ...change, origin: this._origin }))
+            .catch((error) => {
+                logger.warn('Shared cache invalidation failed', { cache: this._name, ...change, error: error.message });
+            });
     }
 }
 
+const MB = 1024 * 1024;
+
 // Pre-configured cache instances for different data types
-const countrySearchCache = new LRUCache({ maxSize: 100, defaultTTL: 60_000, name: 'countrySearch' });
-const countryProfileCache = new LRUCache({ maxSize: 200, defaultTTL: 30_000, name: 'countryProfile' });
-const worldMapCache = new LRUCache({ maxSize: 1, defaultTTL: 120_000, name: 'worldMap' });
-const scenarioCache = new LRUCache({ maxSize: 50, defaultTTL: 300_000, name: 'scenario' });
+const countrySearchCache = new LRUCache({ maxSize: 100, defaultTTL: 60_000, name: 'countrySearch', maxBytes: MB / 2 });
+const countryProfileCache = new LRUCache({ maxSize: 200, defaultTTL: 30_000, name: 'countryProfile', staleTTL: 30_000, errorTTL: 5_000, maxBytes: 2 * MB });
+const worldMapCache = new LRUCache({ maxSize: 20, defaultTTL: 120_000, name: 'worldMap', staleTTL: 120_000, errorTTL: 5_000, maxBytes: 4 * MB });
+const scenarioCache = new LRUCache({ maxSize: 50, defaultTTL: 300_000, name: 'scenario', maxBytes: MB });
+const regionCache = new LRUCache({ maxSize: 100, defaultTTL: 120_000, name: 'region', staleTTL: 120_000, errorTTL: 5_000, maxBytes: MB });
+
+/** Every named cache, by name */
+const CACHES = {
+    countrySearch: countrySearchCache,
+    countryProfile: countryProfileCache,
+    worldMap: worldMapCache,
+    scenario: scenarioCache,
+    region: regionCache,
+};
+
+/** Caches shared between instances when a cache adapter is configured */
+const SHARED_CACHES = [countryProfileCache, worldMapCache, scenarioCache, regionCache];
+
+/**
+ * Back the shared caches with an adapter. Country search results derive from
+ * static data and stay local.
+ * @param {Object|null} adapter - Cache adapter, or null to make them local again
+ * @param {string} [origin] - Id of this instance
+ */
+function connectSharedCaches(adapter, origin = crypto.randomUUID()) {
+    SHARED_CACHES.forEach((cache) => cache.share(adapter, origin));
+    if (adapter) logger.info('Shared caches connected', { backend: adapter.name });
+}
+
+/**
+ * Invalidate tags in every named cache.
+ * @param {string[]} tags - e.g. a country name, WORLD_MAP_TAG
+ * @returns {Object<string, number>} Entries deleted per cache
+ */
+function invalidateCacheTags(tags) {
+    return Object.fromEntries(Object.entries(CACHES).map(([name, cache]) => [
+        name,
+        tags.reduce((deleted, tag) => deleted + cache.invalidateTag(tag), 0),
+    ]));
+}
 
 module.exports = {
     LRUCache,
+    CACHES,
+    WORLD_MAP_TAG,
+    REGIONS_TAG,
+    DEFAULT_WORLD_MAP_LIMIT,
+    worldMapCacheKey,
+    invalidateCacheTags,
+    connectSharedCaches,
     countrySearchCache,
     countryProfileCache,
     worldMapCache,
     scenarioCache,
+    regionCache,
 };
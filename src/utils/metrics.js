@@ -0,0 +1,43 @@
+/**
+ * Metrics Counters
+ * In-process counters grouped by area (e.g. scenario generation outcomes and
+ * failure reasons), reported by GET /api/metrics. Counts reset on restart
+ * and are per server instance.
+ * @module utils/metrics
+ */
+
+/** @type {Map<string, Map<string, number>>} group → reason → count */
+const counters = new Map();
+
+/**
+ * Increment a counter.
+ * @param {string} group - Counter group, e.g. "scenarioGeneration"
+ * @param {string} reason - Counter within the group, e.g. "invalid_json"
+ * @param {number} [by=1] - Amount to add
+ */
+function incrementCounter(group, reason, by = 1) {
+    if (!counters.has(group)) counters.set(group, new Map());
+    const values = counters.get(group);
+    values.set(reason, (values.get(reason) || 0) + by);
+}
+
+/**
+ * Snapshot of every counter.
+ * @returns {Object<string, Object<string, number>>} Counts by group and reason
+ */
+function getCounters() {
+    const snapshot = {};
+    for (const [group, values] of counters) {
+        snapshot[group] = Object.fromEntries([...values].sort(([a], [b]) => a.localeCompare(b)));
+    }
+    return snapshot;
+}
+
+/**
+ * Reset all counters (used by tests).
+ */
+function resetCounters() {
+    counters.clear();
+}
+
+module.exports = { incrementCounter, getCounters, resetCounters };
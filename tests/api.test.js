@@ -3,8 +3,20 @@
  * Full coverage including edge cases, caching, TTS, and error handling
  */
 
+// Every request comes from one address here; keep contribution limits out of the way
+process.env.ECHO_DAILY_LIMIT = '1000';
+process.env.ECHO_BURST_LIMIT = '1000';
+
 const request = require('supertest');
 const app = require('../server');
+const { combineEmotions } = require('../src/services/scenarioGenerator');
+
+/** Start a session and enter a country, as the frontend does before asking for a scene */
+async function enterCountry(country) {
+    const { body: session } = await request(app).post('/api/sessions').send({});
+    await request(app).post('/api/validate-country').send({ country, sessionId: session.id });
+    return session.id;
+}
 
 describe('API Endpoints', () => {
     describe('GET /api/health', () => {
@@ -104,6 +116,196 @@ describe('API Endpoints', () => {
         });
     });
 
+    describe('Sessions', () => {
+        test('POST /api/sessions creates a session', async () => {
+            const res = await request(app).post('/api/sessions').send({});
+            expect(res.status).toBe(201);
+            expect(res.body.id).toBeDefined();
+            expect(res.body.countryChain).toEqual([]);
+        });
+
+        test('GET /api/sessions/:id returns 404 for unknown session', async () => {
+            const res = await request(app).get('/api/sessions/00000000-0000-4000-8000-000000000000');
+            expect(res.status).toBe(404);
+            expect(res.body.code).toBe('NOT_FOUND');
+        });
+
+        test('validate-country uses stored chain, ignoring client-supplied state', async () => {
+            const { body: session } = await request(app).post('/api/sessions').send({});
+
+            const first = await request(app)
+                .post('/api/validate-country')
+                .send({ country: 'Japan', sessionId: session.id });
+            expect(first.body.valid).toBe(true);
+            expect(first.body.session.previousCountry).toBe('Japan');
+
+            const { body: scenario } = await request(app)
+                .post('/api/generate-scenario')
+                .send({ country: 'Japan', sessionId: session.id });
+            await request(app)
+                .post('/api/submit-choice')
+                .send({ scenarioId: scenario.scenarioId, choiceId: 'A1' });
+
+            const skip = await request(app)
+                .post('/api/validate-country')
+                .send({ country: 'Peru', sessionId: session.id, previousCountry: null, usedCountries: [] });
+            expect(skip.body.valid).toBe(false);
+            expect(skip.body.requiredLetter).toBe('N');
+
+            const res = await request(app).get(`/api/sessions/${session.id}`);
+            expect(res.body.countryChain).toEqual([{ name: 'Japan', choiceId: 'A1', dominantEmotion: expect.any(String) }]);
+        });
+
+        test('generate-scenario rejects a country the session is not in', async () => {
+            const { body: session } = await request(app).post('/api/sessions').send({});
+
+            const res = await request(app)
+                .post('/api/generate-scenario')
+                .send({ country: 'Japan', sessionId: session.id });
+            expect(res.status).toBe(400);
+        });
+
+        test('generate-scenario takes the country details from the dataset', async () => {
+            const sessionId = await enterCountry('Japan');
+
+            const res = await request(app)
+                .post('/api/generate-scenario')
+                .send({ country: ' japan ', sessionId, capital: '<img src=x onerror=alert(1)>', lat: 0, lng: 0 });
+            expect(res.status).toBe(200);
+            expect(res.body.country).toBe('Japan');
+
+            const invented = await request(app)
+                .post('/api/generate-scenario')
+                .send({ country: '<b>Japan</b>', sessionId });
+            expect(invented.status).toBe(400);
+            expect(invented.body.error).toContain('not recognized');
+        });
+
+        test('generate-scenario rejects an unsupported language', async () => {
+            const res = await request(app)
+                .post('/api/generate-scenario')
+                .send({ country: 'Japan', sessionId: await enterCountry('Japan'), language: 'tlh' });
+            expect(res.status).toBe(400);
+            expect(res.body.error).toContain('language must be one of');
+        });
+
+        test('validate-country and generate-scenario require a session', async () => {
+            const validate = await request(app)
+                .post('/api/validate-country')
+                .send({ country: 'Japan', previousCountry: null, usedCountries: [] });
+            expect(validate.status).toBe(400);
+            expect(validate.body.error).toContain('sessionId');
+
+            const generate = await request(app).post('/api/generate-scenario').send({ country: 'Japan' });
+            expect(generate.status).toBe(400);
+        });
+
+        test('validate-country returns 404 for unknown session', async () => {
+            const res = await request(app)
+                .post('/api/validate-country')
+                .send({ country: 'Japan', sessionId: '00000000-0000-4000-8000-000000000000' });
+            expect(res.status).toBe(404);
+        });
+    });
+
+    describe('GET /api/country-profile/:country/timeline', () => {
+        test('returns the last 30 days in daily buckets by default', async () => {
+            const res = await request(app).get('/api/country-profile/Atlantis/timeline');
+            expect(res.status).toBe(200);
+            expect(res.body.bucket).toBe('day');
+            expect(res.body.points).toEqual([]);
+            expect((Date.parse(res.body.to) - Date.parse(res.body.from)) / 86400000).toBe(29);
+        });
+
+        test('includes today after a choice is submitted', async () => {
+            const { body: scenario } = await request(app)
+                .post('/api/generate-scenario')
+                .send({ country: 'Nepal', sessionId: await enterCountry('Nepal') });
+            await request(app)
+                .post('/api/submit-choice')
+                .send({ scenarioId: scenario.scenarioId, choiceId: 'A1' });
+
+            const res = await request(app).get('/api/country-profile/Nepal/timeline?bucket=month');
+            expect(res.status).toBe(200);
+            expect(res.body.points).toHaveLength(1);
+            expect(res.body.points[0].visitCount).toBeGreaterThan(0);
+        });
+
+        test('rejects invalid dates, buckets and ranges', async () => {
+            const bad = [
+                '?from=2026-02-30',
+                '?to=yesterday',
+                '?bucket=hour',
+                '?from=2026-03-01&to=2026-02-01',
+                '?from=2024-01-01&to=2026-01-01',
+            ];
+            for (const query of bad) {
+                const res = await request(app).get(`/api/country-profile/Chad/timeline${query}`);
+                expect(res.status).toBe(400);
+            }
+        });
+    });
+
+    describe('GET /api/regions', () => {
+        test('lists regions and continents', async () => {
+            const res = await request(app).get('/api/regions');
+            expect(res.status).toBe(200);
+            expect(res.body.regions.map((r) => r.name)).toContain('West Africa');
+            expect(res.body.continents.map((c) => c.name)).toContain('Africa');
+        });
+
+        test('returns one region by slug with top countries', async () => {
+            const { body: scenario } = await request(app)
+                .post('/api/generate-scenario')
+                .send({ country: 'Ghana', sessionId: await enterCountry('Ghana') });
+            await request(app)
+                .post('/api/submit-choice')
+                .send({ scenarioId: scenario.scenarioId, choiceId: 'A1' });
+
+            const res = await request(app).get('/api/regions/west-africa');
+            expect(res.status).toBe(200);
+            expect(res.body.name).toBe('West Africa');
+            expect(res.body.topCountries.map((c) => c.name)).toContain('Ghana');
+        });
+
+        test('selects the continent level on request', async () => {
+            const res = await request(app).get('/api/regions/North%20America?level=continent');
+            expect(res.body.level).toBe('continent');
+        });
+
+        test('returns 404 for an unknown region and 400 for a bad level', async () => {
+            expect((await request(app).get('/api/regions/atlantis')).status).toBe(404);
+            expect((await request(app).get('/api/regions/west-africa?level=planet')).status).toBe(400);
+        });
+    });
+
+    describe('GET /api/emotion-model', () => {
+        test('returns the active emotion dimensions', async () => {
+            const res = await request(app).get('/api/emotion-model');
+            expect(res.status).toBe(200);
+            expect(res.body.dimensions.map((d) => d.name)).toEqual(['warmth', 'loneliness', 'tension', 'nostalgia', 'belonging']);
+            expect(res.body.dimensions[0]).toHaveProperty('color');
+            expect(res.body.neutral).toBeDefined();
+        });
+    });
+
+    describe('GET /api/world-map', () => {
+        test('includes confidence and contested for each country', async () => {
+            const { body: scenario } = await request(app)
+                .post('/api/generate-scenario')
+                .send({ country: 'Mali', sessionId: await enterCountry('Mali') });
+            await request(app)
+                .post('/api/submit-choice')
+                .send({ scenarioId: scenario.scenarioId, choiceId: 'A1' });
+
+            const res = await request(app).get('/api/world-map');
+            const mali = res.body.countries.find((c) => c.name === 'Mali');
+            expect(mali.confidence).toBeGreaterThan(0);
+            expect(mali.confidence).toBeLessThanOrEqual(1);
+            expect(mali.contested).toBe(false);
+        });
+    });
+
     describe('GET /api/search-cities', () => {
         test('returns matching cities', async () => {
             const res = await request(app).get('/api/search-cities?q=tok');
@@ -159,6 +361,46 @@ describe('API Endpoints', () => {
 
             expect(res.status).toBe(400);
         });
+
+        test('returns 404 for an unknown scenarioId', async () => {
+            const res = await request(app)
+                .post('/api/submit-choice')
+                .send({ scenarioId: '00000000-0000-4000-8000-000000000000', choiceId: 'A' });
+
+            expect(res.status).toBe(404);
+        });
+
+        test('uses the server-held emotion vector and rejects reuse', async () => {
+            const { body: scenario } = await request(app)
+                .post('/api/generate-scenario')
+                .send({ country: 'Chad', sessionId: await enterCountry('Chad') });
+            expect(scenario.scenarioId).toBeDefined();
+
+            const first = await request(app)
+                .post('/api/submit-choice')
+                .send({ scenarioId: scenario.scenarioId, choiceId: 'A1', emotions: { tension: 1 } });
+            expect(first.status).toBe(200);
+            expect(first.body.profile.name).toBe('Chad');
+            const [firstStep] = scenario.choices;
+            expect(first.body.emotions).toEqual(combineEmotions(firstStep.emotions, firstStep.followUp.choices[0].emotions));
+
+            const replay = await request(app)
+                .post('/api/submit-choice')
+                .send({ scenarioId: scenario.scenarioId, choiceId: 'B1' });
+            expect(replay.status).toBe(409);
+            expect(replay.body.code).toBe('CONFLICT');
+        });
+
+        test('rejects a choice that was not offered', async () => {
+            const { body: scenario } = await request(app)
+                .post('/api/generate-scenario')
+                .send({ country: 'Chad', sessionId: await enterCountry('Chad') });
+
+            const res = await request(app)
+                .post('/api/submit-choice')
+                .send({ scenarioId: scenario.scenarioId, choiceId: 'Z' });
+            expect(res.status).toBe(400);
+        });
     });
 
     describe('POST /api/narrate', () => {
@@ -210,6 +452,14 @@ describe('API Endpoints', () => {
         });
     });
 
+    describe('GET /api/metrics', () => {
+        test('returns counter groups', async () => {
+            const res = await request(app).get('/api/metrics');
+            expect(res.status).toBe(200);
+            expect(res.body.counters).toEqual(expect.any(Object));
+        });
+    });
+
     describe('Static Files', () => {
         test('serves index.html', async () => {
             const res = await request(app).get('/');
@@ -121,6 +121,35 @@ describe('LRUCache', () => {
         });
     });
 
+    describe('peek', () => {
+        test('reads a value without touching stats or recency', () => {
+            cache = new LRUCache({ maxSize: 2, defaultTTL: 1000 });
+            cache.set('a', 1);
+            cache.set('b', 2);
+
+            expect(cache.peek('a')).toBe(1);
+            expect(cache.peek('ghost')).toBeUndefined();
+            expect(cache.stats()).toMatchObject({ hits: 0, misses: 0 });
+
+            // "a" is still the least recently used entry
+            cache.set('c', 3);
+            expect(cache.has('a')).toBe(false);
+        });
+    });
+
+    describe('isLoading', () => {
+        test('is true while a getOrSet load runs', async () => {
+            let resolve;
+            const pending = new Promise((res) => { resolve = res; });
+            const result = cache.getOrSet('k', () => pending);
+            expect(cache.isLoading('k')).toBe(true);
+
+            resolve(1);
+            await result;
+            expect(cache.isLoading('k')).toBe(false);
+        });
+    });
+
     describe('delete', () => {
         test('removes existing key', () => {
             cache.set('rm', 'val');
@@ -134,7 +163,7 @@ describe('LRUCache', () => {
     });
 
     describe('clear', () => {
-        test('removes all entries and resets stats', () => {
+        test('removes all entries and keeps stats', () => {
             cache.set('a', 1);
             cache.set('b', 2);
             cache.get('a');
@@ -147,7 +176,18 @@ describe('LRUCache', () => {
 
             const stats = cache.stats();
             expect(stats.size).toBe(0);
-            expect(stats.hits).toBe(0);
+            expect(stats.hits).toBe(1);
+        });
+
+        test('resetStats zeroes the counters and keeps the entries', () => {
+            cache.set('a', 1);
+            cache.get('a');
+            cache.get('ghost');
+
+            cache.resetStats();
+
+            expect(cache.stats()).toMatchObject({ size: 1, hits: 0, misses: 0 });
+            expect(cache.get('a')).toBe(1);
         });
     });
 
@@ -172,4 +212,213 @@ describe('LRUCache', () => {
             expect(stats.hitRate).toBe('0%');
         });
     });
+
+    describe('getOrSet', () => {
+        let now;
+
+        beforeEach(() => {
+            now = 1_000_000;
+            jest.spyOn(Date, 'now').mockImplementation(() => now);
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        /** A load that settles when the test says so */
+        function deferred() {
+            let resolve;
+            let reject;
+            const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+            return { promise, resolve, reject };
+        }
+
+        test('computes on a miss and serves the stored value afterwards', async () => {
+            const load = jest.fn().mockResolvedValue('fresh');
+
+            expect(await cache.getOrSet('k', load)).toBe('fresh');
+            expect(await cache.getOrSet('k', load)).toBe('fresh');
+            expect(load).toHaveBeenCalledTimes(1);
+        });
+
+        test('coalesces concurrent misses for a key onto one load', async () => {
+            const pending = deferred();
+            const load = jest.fn(() => pending.promise);
+
+            const results = Promise.all(Array.from({ length: 10 }, () => cache.getOrSet('brazil', load)));
+            expect(cache.stats().inflight).toBe(1);
+            pending.resolve('scene');
+
+            expect(await results).toEqual(Array(10).fill('scene'));
+            expect(load).toHaveBeenCalledTimes(1);
+            expect(cache.stats()).toMatchObject({ inflight: 0, coalesced: 9, misses: 10 });
+        });
+
+        test('every waiting caller sees the failure, and the next miss tries again', async () => {
+            const load = jest.fn().mockRejectedValueOnce(new Error('firestore down')).mockResolvedValue('ok');
+
+            const calls = [cache.getOrSet('k', load), cache.getOrSet('k', load)];
+            await expect(calls[0]).rejects.toThrow('firestore down');
+            await expect(calls[1]).rejects.toThrow('firestore down');
+
+            expect(await cache.getOrSet('k', load)).toBe('ok');
+            expect(load).toHaveBeenCalledTimes(2);
+        });
+
+        test('a load cancelled by delete is not stored', async () => {
+            const pending = deferred();
+            const result = cache.getOrSet('k', () => pending.promise);
+
+            cache.delete('k');
+            pending.resolve('outdated');
+
+            expect(await result).toBe('outdated');
+            expect(cache.has('k')).toBe(false);
+        });
+
+        test('does not store a value rejected by cacheIf', async () => {
+            const keepReal = { cacheIf: (value) => value !== 'fallback' };
+
+            expect(await cache.getOrSet('k', () => Promise.resolve('fallback'), keepReal)).toBe('fallback');
+            expect(cache.has('k')).toBe(false);
+
+            expect(await cache.getOrSet('k', () => Promise.resolve('real'), keepReal)).toBe('real');
+            expect(cache.get('k')).toBe('real');
+        });
+
+        test('serves a stale value while refreshing it in the background', async () => {
+            cache = new LRUCache({ maxSize: 3, defaultTTL: 1000, staleTTL: 5000 });
+            await cache.getOrSet('k', () => Promise.resolve('old'));
+            now += 2000;
+
+            const pending = deferred();
+            const load = jest.fn(() => pending.promise);
+            expect(await cache.getOrSet('k', load)).toBe('old');
+            expect(await cache.getOrSet('k', load)).toBe('old');
+            expect(cache.get('k')).toBeUndefined();
+            expect(cache.has('k')).toBe(false);
+
+            pending.resolve('new');
+            await new Promise((resolve) => setImmediate(resolve));
+            expect(await cache.getOrSet('k', load)).toBe('new');
+            expect(load).toHaveBeenCalledTimes(1);
+            expect(cache.stats().staleHits).toBe(2);
+        });
+
+        test('waits for a fresh value once the stale window has passed', async () => {
+            cache = new LRUCache({ maxSize: 3, defaultTTL: 1000, staleTTL: 5000 });
+            await cache.getOrSet('k', () => Promise.resolve('old'));
+            now += 7000;
+
+            expect(await cache.getOrSet('k', () => Promise.resolve('new'))).toBe('new');
+        });
+
+        test('remembers a failed load for errorTTL', async () => {
+            cache = new LRUCache({ maxSize: 3, defaultTTL: 1000, errorTTL: 3000 });
+            const load = jest.fn().mockRejectedValueOnce(new Error('quota exceeded')).mockResolvedValue('ok');
+
+            await expect(cache.getOrSet('k', load)).rejects.toThrow('quota exceeded');
+            await expect(cache.getOrSet('k', load)).rejects.toThrow('quota exceeded');
+            expect(load).toHaveBeenCalledTimes(1);
+            expect(cache.stats().errorHits).toBe(1);
+
+            now += 4000;
+            expect(await cache.getOrSet('k', load)).toBe('ok');
+            expect(load).toHaveBeenCalledTimes(2);
+        });
+
+        test('keeps serving the stale value when its refresh fails', async () => {
+            cache = new LRUCache({ maxSize: 3, defaultTTL: 1000, staleTTL: 5000, errorTTL: 3000 });
+            await cache.getOrSet('k', () => Promise.resolve('old'));
+            now += 1500;
+
+            const load = jest.fn().mockRejectedValue(new Error('timeout'));
+            expect(await cache.getOrSet('k', load)).toBe('old');
+            await new Promise((resolve) => setImmediate(resolve));
+            expect(await cache.getOrSet('k', load)).toBe('old');
+            expect(load).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('tags', () => {
+        test('invalidateTag deletes every entry carrying the tag, in any case', () => {
+            cache = new LRUCache({ maxSize: 10, defaultTTL: 1000 });
+            cache.set('scenario_chad', 1, { tags: ['Chad'] });
+            cache.set('scenario_chad_fr', 2, { tags: ['chad'] });
+            cache.set('worldmap_100', 3, { tags: ['world-map', 'Chad'] });
+            cache.set('scenario_peru', 4, { tags: ['Peru'] });
+
+            expect(cache.tagCounts()).toEqual({ chad: 3, 'world-map': 1, peru: 1 });
+            expect(cache.invalidateTag(' CHAD ')).toBe(3);
+            expect(cache.has('scenario_peru')).toBe(true);
+            expect(cache.stats()).toMatchObject({ size: 1, invalidations: 3, tags: 1 });
+            expect(cache.invalidateTag('chad')).toBe(0);
+        });
+
+        test('a bare number is still a TTL', () => {
+            jest.spyOn(Date, 'now').mockReturnValue(0);
+            cache.set('short', 'value', 5);
+            jest.spyOn(Date, 'now').mockReturnValue(10);
+            expect(cache.get('short')).toBeUndefined();
+            jest.restoreAllMocks();
+        });
+
+        test('a tagged load in progress is not stored after its tag is invalidated', async () => {
+            let resolve;
+            const pending = new Promise((res) => { resolve = res; });
+            const result = cache.getOrSet('profile_chad', () => pending, { tags: ['chad'] });
+
+            cache.invalidateTag('chad');
+            resolve('before the update');
+
+            expect(await result).toBe('before the update');
+            expect(cache.has('profile_chad')).toBe(false);
+        });
+    });
+
+    describe('byte budget', () => {
+        /** A value whose JSON is `bytes` long */
+        const sized = (bytes) => 'x'.repeat(bytes - 2);
+
+        test('evicts least recently used entries to stay under maxBytes', () => {
+            cache = new LRUCache({ maxSize: 100, defaultTTL: 1000, maxBytes: 250 });
+            cache.set('a', sized(100));
+            cache.set('b', sized(100));
+            cache.get('a');
+            cache.set('c', sized(100));
+
+            expect(cache.has('a')).toBe(true);
+            expect(cache.has('b')).toBe(false);
+            expect(cache.stats()).toMatchObject({ size: 2, bytes: 200, maxBytes: 250, evictions: 1 });
+        });
+
+        test('tracks bytes through overwrites, deletes and clear', () => {
+            cache = new LRUCache({ maxSize: 100, defaultTTL: 1000, maxBytes: 1000 });
+            cache.set('a', sized(40));
+            cache.set('a', sized(60));
+            cache.set('b', { n: 1 });
+            expect(cache.stats().bytes).toBe(60 + 7);
+
+            cache.delete('a');
+            expect(cache.stats().bytes).toBe(7);
+            cache.clear();
+            expect(cache.stats().bytes).toBe(0);
+        });
+
+        test('an uncapped cache does not measure its values', () => {
+            cache = new LRUCache({ maxSize: 100, defaultTTL: 1000 });
+            cache.set('a', sized(100));
+            expect(cache.stats()).toMatchObject({ size: 1, bytes: 0, maxBytes: 0 });
+        });
+
+        test('does not store a value larger than the whole budget', () => {
+            cache = new LRUCache({ maxSize: 100, defaultTTL: 1000, maxBytes: 50 });
+            cache.set('small', sized(20));
+            cache.set('huge', sized(500));
+
+            expect(cache.has('huge')).toBe(false);
+            expect(cache.has('small')).toBe(true);
+            expect(cache.stats().oversized).toBe(1);
+        });
+    });
 });
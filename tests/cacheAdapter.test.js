@@ -0,0 +1,488 @@
+/**
+ * Shared Cache Adapter — Unit & Integration Tests
+ * Backend selection, the Redis-protocol adapter (against an in-process RESP
+ * server, or a real one at REDIS_URL), and LRU caches on several instances
+ * sharing values and invalidations through an adapter.
+ */
+
+jest.mock('../src/utils/logger', () => ({
+    logger: {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+    },
+}));
+
+const net = require('net');
+const request = require('supertest');
+const app = require('../server');
+const { createCacheAdapter } = require('../src/cache/cacheAdapter');
+const { RedisCacheAdapter, encodeCommand, parseReply } = require('../src/cache/redisCacheAdapter');
+const { LRUCache, connectSharedCaches, countryProfileCache, worldMapCache } = require('../src/utils/cache');
+const { logger } = require('../src/utils/logger');
+
+/** Let queued promise callbacks and socket events run */
+const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+/** Start a session and enter a country, as the frontend does before asking for a scene */
+async function enterCountry(country) {
+    const { body: session } = await request(app).post('/api/sessions').send({});
+    await request(app).post('/api/validate-country').send({ country, sessionId: session.id });
+    return session.id;
+}
+
+/**
+ * Encode a reply the way a Redis server would.
+ * @param {*} value
+ * @returns {string}
+ */
+function encodeReply(value) {
+    if (value === null) return '$-1\r\n';
+    if (value instanceof Error) return `-${value.message}\r\n`;
+    if (typeof value === 'number') return `:${value}\r\n`;
+    if (Array.isArray(value)) return `*${value.length}\r\n${value.map(encodeReply).join('')}`;
+    return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+/**
+ * Glob pattern (SCAN MATCH) as a regular expression.
+ * @param {string} pattern
+ */
+function globToRegExp(pattern) {
+    const source = pattern.replace(/\\(.)|\*|[.+^${}()|[\]?]/g, (match, escaped) => {
+        if (escaped !== undefined) return escaped.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return match === '*' ? '.*' : `\\${match}`;
+    });
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Minimal in-process server speaking the commands the adapter uses.
+ * @param {{ password?: string }} [options]
+ */
+function startFakeRedis({ password } = {}) {
+    const data = new Map();
+    const subscribers = new Set();
+    const sockets = new Set();
+    const commands = [];
+    let corrupt = false;
+
+    const run = (socket, [name, ...args], session) => {
+        const command = name.toUpperCase();
+        commands.push([command, ...args]);
+        if (command === 'AUTH') {
+            session.authed = args[args.length - 1] === password;
+            return session.authed ? 'OK' : new Error('WRONGPASS invalid password');
+        }
+        if (password && !session.authed) return new Error('NOAUTH Authentication required.');
+
+        switch (command) {
+            case 'GET':
+                return data.has(args[0]) ? data.get(args[0]) : null;
+            case 'SET':
+                data.set(args[0], args[1]);
+                return 'OK';
+            case 'DEL':
+                return args.filter((key) => data.delete(key)).length;
+            case 'SADD': {
+                const members = data.get(args[0]) || new Set();
+                data.set(args[0], members);
+                return args.slice(1).filter((member) => !members.has(member) && members.add(member)).length;
+            }
+            case 'SMEMBERS':
+                return [...(data.get(args[0]) || [])];
+            case 'PEXPIRE':
+                return data.has(args[0]) ? 1 : 0;
+            case 'SCAN': {
+                const match = globToRegExp(args[args.indexOf('MATCH') + 1]);
+                return ['0', [...data.keys()].filter((key) => match.test(key))];
+            }
+            case 'PUBLISH':
+                subscribers.forEach((subscriber) => subscriber.write(encodeReply(['message', args[0], args[1]])));
+                return subscribers.size;
+            case 'SUBSCRIBE':
+                subscribers.add(socket);
+                return ['subscribe', args[0], 1];
+            default:
+                return new Error(`ERR unknown command '${name}'`);
+        }
+    };
+
+    const server = net.createServer((socket) => {
+        const session = { authed: false };
+        let buffer = Buffer.alloc(0);
+        socket.setNoDelay(true);
+        sockets.add(socket);
+        socket.on('data', (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+            let parsed;
+            while ((parsed = parseReply(buffer))) {
+                buffer = buffer.subarray(parsed.end);
+                const reply = encodeReply(run(socket, parsed.value, session));
+                socket.write(corrupt ? `?${reply}` : reply);
+                corrupt = false;
+            }
+        });
+        socket.on('close', () => {
+            sockets.delete(socket);
+            subscribers.delete(socket);
+        });
+    });
+
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve({
+            url: `redis://${password ? `:${password}@` : ''}127.0.0.1:${server.address().port}`,
+            data,
+            commands,
+            dropConnections: () => sockets.forEach((socket) => socket.destroy()),
+            corruptNextReply: () => { corrupt = true; },
+            close: () => new Promise((done) => {
+                sockets.forEach((socket) => socket.destroy());
+                server.close(done);
+            }),
+        }));
+    });
+}
+
+/**
+ * In-process adapter shared by several "instances", delivering messages
+ * asynchronously like a pub/sub server.
+ */
+function memoryAdapter() {
+    const values = new Map();
+    const tagged = new Map();
+    const handlers = new Set();
+    return {
+        name: 'memory',
+        values,
+        published: [],
+        get: jest.fn((key) => Promise.resolve(values.has(key) ? structuredClone(values.get(key)) : undefined)),
+        set: jest.fn((key, value, _ttlMs, tags = []) => {
+            values.set(key, structuredClone(value));
+            tags.forEach((tag) => tagged.set(tag, new Set([...(tagged.get(tag) || []), key])));
+            return Promise.resolve();
+        }),
+        delete: jest.fn((key) => Promise.resolve(values.delete(key)).then(() => undefined)),
+        deleteTag: jest.fn((tag) => {
+            (tagged.get(tag) || []).forEach((key) => values.delete(key));
+            tagged.delete(tag);
+            return Promise.resolve();
+        }),
+        clear: jest.fn((prefix) => {
+            [...values.keys()].filter((key) => key.startsWith(prefix)).forEach((key) => values.delete(key));
+            return Promise.resolve();
+        }),
+        publish(message) {
+            this.published.push(message);
+            setImmediate(() => handlers.forEach((handler) => handler(structuredClone(message))));
+            return Promise.resolve();
+        },
+        subscribe(handler) {
+            handlers.add(handler);
+            return () => handlers.delete(handler);
+        },
+        close() {},
+    };
+}
+
+/** The same cache on two instances sharing one adapter */
+function twoInstances(adapter, options = {}) {
+    const a = new LRUCache({ maxSize: 10, defaultTTL: 60_000, name: 'countryProfile', ...options });
+    const b = new LRUCache({ maxSize: 10, defaultTTL: 60_000, name: 'countryProfile', ...options });
+    a.share(adapter, 'instance-a');
+    b.share(adapter, 'instance-b');
+    return [a, b];
+}
+
+describe('createCacheAdapter', () => {
+    afterEach(() => {
+        delete process.env.REDIS_URL;
+    });
+
+    test('stays local unless redis is asked for', () => {
+        expect(createCacheAdapter('')).toBeNull();
+        expect(createCacheAdapter('local')).toBeNull();
+        expect(createCacheAdapter('memcached')).toBeNull();
+        expect(logger.warn).toHaveBeenCalledWith('Unknown CACHE_BACKEND, using local caches', { cacheBackend: 'memcached' });
+    });
+
+    test('builds the Redis adapter from REDIS_URL', () => {
+        process.env.REDIS_URL = 'redis://cache.internal:6380/2';
+        const adapter = createCacheAdapter('Redis');
+        expect(adapter).toBeInstanceOf(RedisCacheAdapter);
+        expect(adapter.name).toBe('redis');
+        adapter.close();
+    });
+});
+
+describe('RESP encoding', () => {
+    test('commands are arrays of bulk strings, counted in bytes', () => {
+        expect(encodeCommand(['SET', 'k', 'Tromsø'])).toBe('*3\r\n$3\r\nSET\r\n$1\r\nk\r\n$7\r\nTromsø\r\n');
+    });
+
+    test('replies parse whole or not at all', () => {
+        const reply = Buffer.from('*3\r\n$7\r\nmessage\r\n:2\r\n$-1\r\n+OK\r\n');
+        expect(parseReply(reply)).toEqual({ value: ['message', 2, null], end: 26 });
+        expect(parseReply(reply, 26)).toEqual({ value: 'OK', end: 31 });
+        expect(parseReply(reply.subarray(0, 20))).toBeNull();
+        expect(parseReply(Buffer.from('-ERR wrong type\r\n')).value).toEqual(new Error('ERR wrong type'));
+    });
+});
+
+describe('RedisCacheAdapter', () => {
+    let redis;
+    let adapter;
+
+    beforeEach(async () => {
+        redis = await startFakeRedis({ password: 's3cret' });
+        adapter = new RedisCacheAdapter(redis.url, { timeoutMs: 500 });
+    });
+
+    afterEach(async () => {
+        adapter.close();
+        await redis.close();
+    });
+
+    test('stores JSON values with a TTL under the atlas prefix', async () => {
+        await adapter.set('countryProfile:chad', { name: 'Chad', visitCount: 3 }, 30_000);
+
+        expect(await adapter.get('countryProfile:chad')).toEqual({ name: 'Chad', visitCount: 3 });
+        expect(await adapter.get('countryProfile:peru')).toBeUndefined();
+        expect(redis.commands).toContainEqual(['AUTH', 's3cret']);
+        expect(redis.commands).toContainEqual(['SET', 'atlas:countryProfile:chad', '{"name":"Chad","visitCount":3}', 'PX', '30000']);
+    });
+
+    test('deletes one key or every key with a prefix', async () => {
+        await adapter.set('worldMap:worldmap_50', [1], 1000);
+        await adapter.set('worldMap:worldmap_100', [2], 1000);
+        await adapter.set('region:regions', [3], 1000);
+
+        await adapter.clear('worldMap:');
+        expect([...redis.data.keys()]).toEqual(['atlas:region:regions']);
+
+        await adapter.delete('region:regions');
+        expect(redis.data.size).toBe(0);
+    });
+
+    test('deletes the values carrying a tag', async () => {
+        await adapter.set('scenario:scenario_chad', 1, 1000, ['scenario:chad']);
+        await adapter.set('scenario:scenario_chad_fr', 2, 1000, ['scenario:chad']);
+        await adapter.set('scenario:scenario_peru', 3, 1000, ['scenario:peru']);
+        expect(redis.commands).toContainEqual(['PEXPIRE', 'atlas:tag:scenario:chad', '1000']);
+
+        await adapter.deleteTag('scenario:chad');
+        expect([...redis.data.keys()].sort()).toEqual(['atlas:scenario:scenario_peru', 'atlas:tag:scenario:peru']);
+    });
+
+    test('delivers published messages to subscribers, also after a reconnect', async () => {
+        const received = [];
+        const listener = new RedisCacheAdapter(redis.url, { reconnectDelayMs: 10 });
+        listener.subscribe((message) => received.push(message));
+        await settle();
+
+        await adapter.publish({ cache: 'worldMap', origin: 'a' });
+        await settle();
+        expect(received).toEqual([{ cache: 'worldMap', origin: 'a' }]);
+
+        redis.dropConnections();
+        await settle();
+        await settle();
+
+        await adapter.publish({ cache: 'countryProfile', key: 'chad', origin: 'a' });
+        await settle();
+        expect(received).toHaveLength(2);
+        listener.close();
+    });
+
+    test('drops the connection on an unreadable reply and reconnects', async () => {
+        await adapter.set('k', 1, 1000);
+        redis.corruptNextReply();
+
+        const replies = await Promise.allSettled([adapter.get('k'), adapter.get('k')]);
+        expect(replies.map((r) => r.status)).toEqual(['rejected', 'rejected']);
+        expect(replies[0].reason.message).toContain('Unexpected RESP type');
+
+        expect(await adapter.get('k')).toBe(1);
+    });
+
+    test('gives up on a connection that never completes within timeoutMs', async () => {
+        // Accepts TCP but never answers the TLS handshake, like a blackholed host
+        const accepted = [];
+        const silent = net.createServer((socket) => accepted.push(socket));
+        await new Promise((resolve) => silent.listen(0, resolve));
+        const stalled = new RedisCacheAdapter(`rediss://localhost:${silent.address().port}`, { timeoutMs: 100 });
+
+        const started = Date.now();
+        await expect(stalled.get('k')).rejects.toThrow('Redis connect timed out');
+        expect(Date.now() - started).toBeLessThan(1000);
+
+        stalled.close();
+        accepted.forEach((socket) => socket.destroy());
+        await new Promise((resolve) => silent.close(resolve));
+    });
+
+    test('rejects when the server refuses or cannot be reached', async () => {
+        const wrong = new RedisCacheAdapter(redis.url.replace('s3cret', 'nope'));
+        await expect(wrong.get('k')).rejects.toThrow('WRONGPASS');
+        wrong.close();
+
+        const closed = await startFakeRedis();
+        const { url } = closed;
+        await closed.close();
+        const unreachable = new RedisCacheAdapter(url);
+        await expect(unreachable.get('k')).rejects.toThrow();
+        unreachable.close();
+    });
+});
+
+describe('caches shared between instances', () => {
+    test('a value loaded on one instance is reused by another', async () => {
+        const adapter = memoryAdapter();
+        const [a, b] = twoInstances(adapter);
+        const load = jest.fn().mockResolvedValue({ name: 'Chad', visitCount: 1 });
+
+        await a.getOrSet('chad', load);
+        await settle();
+
+        expect(await b.getOrSet('chad', load)).toEqual({ name: 'Chad', visitCount: 1 });
+        expect(load).toHaveBeenCalledTimes(1);
+        expect(adapter.set).toHaveBeenCalledTimes(1);
+    });
+
+    test('a delete on one instance drops the copy on every other', async () => {
+        const adapter = memoryAdapter();
+        const [a, b] = twoInstances(adapter);
+        await a.getOrSet('chad', () => Promise.resolve('old'));
+        await settle();
+        await b.getOrSet('chad', () => Promise.resolve('unused'));
+        expect(b.has('chad')).toBe(true);
+
+        a.delete('chad');
+        await settle();
+
+        expect(b.has('chad')).toBe(false);
+        expect(await b.getOrSet('chad', () => Promise.resolve('new'))).toBe('new');
+        expect(adapter.published).toEqual([{ cache: 'countryProfile', key: 'chad', origin: 'instance-a' }]);
+    });
+
+    test('a clear on one instance clears the cache everywhere, but not other caches', async () => {
+        const adapter = memoryAdapter();
+        const [a, b] = twoInstances(adapter);
+        const other = new LRUCache({ name: 'scenario' });
+        other.share(adapter, 'instance-b');
+        b.set('chad', 1);
+        b.set('peru', 2);
+        other.set('scenario_chad', 3);
+
+        a.clear();
+        await settle();
+
+        expect(b.has('chad') || b.has('peru')).toBe(false);
+        expect(other.has('scenario_chad')).toBe(true);
+        expect([...adapter.values.keys()]).toEqual(['scenario:scenario_chad']);
+    });
+
+    test('a tag invalidated on one instance is dropped on every other and in the adapter', async () => {
+        const adapter = memoryAdapter();
+        const [a, b] = twoInstances(adapter);
+        await a.getOrSet('chad', () => Promise.resolve('old'), { tags: ['Chad'] });
+        await settle();
+        await b.getOrSet('chad', () => Promise.resolve('unused'), { tags: ['Chad'] });
+        b.set('peru', 'kept', { tags: ['Peru'] });
+
+        a.invalidateTag('Chad');
+        await settle();
+
+        expect(b.has('chad')).toBe(false);
+        expect(b.has('peru')).toBe(true);
+        expect(adapter.deleteTag).toHaveBeenCalledWith('countryProfile:chad');
+        expect([...adapter.values.keys()]).toEqual(['countryProfile:peru']);
+        expect(adapter.published).toEqual([{ cache: 'countryProfile', tag: 'chad', origin: 'instance-a' }]);
+    });
+
+    test('a failing adapter leaves the cache working locally', async () => {
+        const adapter = memoryAdapter();
+        adapter.get.mockRejectedValue(new Error('connection refused'));
+        adapter.set.mockRejectedValue(new Error('connection refused'));
+        const [a] = twoInstances(adapter);
+
+        expect(await a.getOrSet('chad', () => Promise.resolve('local'))).toBe('local');
+        await settle();
+        expect(a.get('chad')).toBe('local');
+        expect(logger.warn).toHaveBeenCalledWith('Shared cache read failed', { cache: 'countryProfile', error: 'connection refused' });
+    });
+
+    test('the caches of two instances stay in sync through the Redis adapter', async () => {
+        const redis = await startFakeRedis();
+        const adapters = [new RedisCacheAdapter(redis.url), new RedisCacheAdapter(redis.url)];
+        try {
+            const [a, b] = [new LRUCache({ name: 'worldMap' }), new LRUCache({ name: 'worldMap' })];
+            a.share(adapters[0], 'instance-a');
+            b.share(adapters[1], 'instance-b');
+            await settle();
+
+            await a.getOrSet('worldmap_100', () => Promise.resolve({ countries: ['Chad'] }));
+            await settle();
+            expect(await b.getOrSet('worldmap_100', () => Promise.resolve('unused'))).toEqual({ countries: ['Chad'] });
+
+            a.clear();
+            await settle();
+            expect(b.has('worldmap_100')).toBe(false);
+            expect(redis.data.size).toBe(0);
+        } finally {
+            adapters.forEach((adapter) => adapter.close());
+            await redis.close();
+        }
+    });
+});
+
+describe('after a submitted choice', () => {
+    afterEach(() => {
+        connectSharedCaches(null);
+    });
+
+    test('the profile and world map are invalidated on every instance', async () => {
+        const adapter = memoryAdapter();
+        connectSharedCaches(adapter, 'this-instance');
+
+        const scene = await request(app).post('/api/generate-scenario').send({ country: 'Chad', sessionId: await enterCountry('Chad') }).expect(200);
+        await request(app).post('/api/submit-choice').send({ scenarioId: scene.body.scenarioId, choiceId: 'A1' }).expect(200);
+        await settle();
+
+        expect(adapter.published).toEqual(expect.arrayContaining([
+            { cache: 'countryProfile', tag: 'chad', origin: 'this-instance' },
+            { cache: 'worldMap', tag: 'world-map', origin: 'this-instance' },
+        ]));
+        expect(countryProfileCache.stats().shared).toBe('memory');
+        expect(worldMapCache.stats().shared).toBe('memory');
+    });
+});
+
+(process.env.REDIS_URL ? describe : describe.skip)('against the Redis server at REDIS_URL', () => {
+    test('round-trips values and invalidation messages', async () => {
+        const adapter = new RedisCacheAdapter(process.env.REDIS_URL);
+        const listener = new RedisCacheAdapter(process.env.REDIS_URL);
+        const received = [];
+        try {
+            listener.subscribe((message) => received.push(message));
+            await settle();
+
+            await adapter.set('test:key', { ok: true }, 5000);
+            expect(await adapter.get('test:key')).toEqual({ ok: true });
+            await adapter.clear('test:');
+            expect(await adapter.get('test:key')).toBeUndefined();
+
+            await adapter.set('test:tagged', 1, 5000, ['test:chad']);
+            await adapter.deleteTag('test:chad');
+            expect(await adapter.get('test:tagged')).toBeUndefined();
+
+            await adapter.publish({ cache: 'test', origin: 'jest' });
+            await settle();
+            expect(received).toContainEqual({ cache: 'test', origin: 'jest' });
+        } finally {
+            adapter.close();
+            listener.close();
+        }
+    });
+});
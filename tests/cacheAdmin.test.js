@@ -0,0 +1,143 @@
+/**
+ * Cache Administration — Integration Tests
+ * Tagged entries written by the routes, invalidation after a choice, and the
+ * admin stats and flush endpoints. Kept apart from api.test.js so these
+ * requests have their own rate-limit budget.
+ */
+
+jest.mock('../src/utils/logger', () => ({
+    logger: {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+    },
+}));
+
+const request = require('supertest');
+const app = require('../server');
+const { CACHES, scenarioCache, worldMapCache, countryProfileCache } = require('../src/utils/cache');
+const { setLlmProvider } = require('../src/llm/llmProvider');
+const { StubProvider } = require('../src/llm/stubProvider');
+
+/** Start a session and enter a country, as the frontend does before asking for a scene */
+async function enterCountry(country) {
+    const { body: session } = await request(app).post('/api/sessions').send({});
+    await request(app).post('/api/validate-country').send({ country, sessionId: session.id });
+    return session.id;
+}
+
+const ADMIN_TOKEN = 'test-admin-token';
+const auth = { Authorization: `Bearer ${ADMIN_TOKEN}` };
+
+beforeEach(() => {
+    process.env.ADMIN_TOKEN = ADMIN_TOKEN;
+});
+
+afterEach(() => {
+    delete process.env.ADMIN_TOKEN;
+    setLlmProvider(undefined);
+    Object.values(CACHES).forEach((cache) => {
+        cache.clear();
+        cache.resetStats();
+    });
+});
+
+describe('tagged cache entries', () => {
+    test('world maps of different sizes are cached side by side', async () => {
+        await request(app).get('/api/world-map?limit=50').expect(200);
+        await request(app).get('/api/world-map?limit=100').expect(200);
+        await request(app).get('/api/world-map?limit=50').expect(200);
+
+        expect(worldMapCache.stats()).toMatchObject({ size: 2, hits: 1, evictions: 0 });
+        expect(worldMapCache.tagCounts()).toEqual({ 'world-map': 2 });
+    });
+
+    test('a submitted choice invalidates what was derived from the country', async () => {
+        setLlmProvider(new StubProvider());
+        const scene = await request(app).post('/api/generate-scenario').send({ country: 'Fiji', sessionId: await enterCountry('Fiji') }).expect(200);
+        // Any spelling of the name is cached under the dataset name
+        await request(app).get('/api/country-profile/%20fiji%20').expect(200);
+        await request(app).get('/api/country-profile/Tonga').expect(200);
+        await request(app).get('/api/world-map').expect(200);
+        expect(scenarioCache.tagCounts()).toEqual({ fiji: 1 });
+
+        await request(app).post('/api/submit-choice').send({ scenarioId: scene.body.scenarioId, choiceId: 'A1' }).expect(200);
+
+        expect(countryProfileCache.has('fiji')).toBe(false);
+        expect(countryProfileCache.has('tonga')).toBe(true);
+        expect(worldMapCache.stats().size).toBe(0);
+        expect(scenarioCache.has('scenario_fiji')).toBe(false);
+    });
+
+    test('country profiles are looked up by dataset name', async () => {
+        const res = await request(app).get('/api/country-profile/NEPAL').expect(200);
+        expect(res.body).toMatchObject({ exists: false, country: 'Nepal' });
+        expect(countryProfileCache.tagCounts()).toEqual({ nepal: 1 });
+
+        expect((await request(app).get('/api/country-profile/Atlantis')).status).toBe(400);
+        expect(countryProfileCache.stats().size).toBe(1);
+    });
+});
+
+describe('admin cache endpoints', () => {
+    test('require the admin token', async () => {
+        expect((await request(app).get('/api/admin/cache')).status).toBe(401);
+        expect((await request(app).post('/api/admin/cache/flush?tag=chad')).status).toBe(401);
+    });
+
+    test('stats list every cache with its byte budget and tags', async () => {
+        await request(app).get('/api/country-profile/Chad').expect(200);
+
+        const { body } = await request(app).get('/api/admin/cache').set(auth).expect(200);
+
+        expect(Object.keys(body.caches)).toEqual(['countrySearch', 'countryProfile', 'worldMap', 'scenario', 'region']);
+        expect(body.caches.countryProfile).toMatchObject({
+            size: 1,
+            bytes: expect.any(Number),
+            maxBytes: 2 * 1024 * 1024,
+            tags: 1,
+            tagCounts: { chad: 1 },
+            staleTTL: 30_000,
+        });
+        expect(body.caches.countryProfile.bytes).toBeGreaterThan(0);
+    });
+
+    test('flush by tag deletes only the tagged entries', async () => {
+        countryProfileCache.set('chad', { exists: false }, { tags: ['Chad'] });
+        countryProfileCache.set('peru', { exists: false }, { tags: ['Peru'] });
+        scenarioCache.set('scenario_chad', { scenario: 'x' }, { tags: ['Chad'] });
+
+        const res = await request(app).post('/api/admin/cache/flush').query({ tag: 'Chad' }).set(auth).expect(200);
+
+        expect(res.body).toEqual({
+            tag: 'Chad',
+            flushed: { countrySearch: 0, countryProfile: 1, worldMap: 0, scenario: 1, region: 0 },
+        });
+        expect(countryProfileCache.has('peru')).toBe(true);
+    });
+
+    test('flush without a tag empties the named cache, or all of them', async () => {
+        countryProfileCache.set('peru', { exists: false });
+        scenarioCache.set('scenario_peru', { scenario: 'x' });
+        scenarioCache.get('scenario_peru');
+
+        const one = await request(app).post('/api/admin/cache/flush?cache=scenario').set(auth).expect(200);
+        expect(one.body).toEqual({ tag: null, flushed: { scenario: 1 } });
+        expect(scenarioCache.stats().hits).toBe(1);
+        expect(countryProfileCache.has('peru')).toBe(true);
+
+        const all = await request(app).post('/api/admin/cache/flush').set(auth).expect(200);
+        expect(all.body.flushed.countryProfile).toBe(1);
+        expect(countryProfileCache.stats().size).toBe(0);
+    });
+
+    test('rejects an unknown cache', async () => {
+        const res = await request(app).post('/api/admin/cache/flush?cache=sessions').set(auth);
+        expect(res.status).toBe(400);
+        expect(res.body).toEqual({
+            error: 'cache must be one of: countrySearch, countryProfile, worldMap, scenario, region',
+            code: 'VALIDATION_ERROR',
+        });
+    });
+});
@@ -0,0 +1,65 @@
+/**
+ * Concurrent Choices — Integration Tests
+ * Every submit needs its own session, so this runs apart from api.test.js
+ * with its own rate-limit budget.
+ */
+
+// Every request comes from one address here; keep contribution limits out of the way
+process.env.ECHO_DAILY_LIMIT = '1000';
+process.env.ECHO_BURST_LIMIT = '1000';
+
+const request = require('supertest');
+const app = require('../server');
+const { getProfileStore } = require('../src/storage/profileStore');
+
+/** Start a session and enter a country, as the frontend does before asking for a scene */
+async function enterCountry(country) {
+    const { body: session } = await request(app).post('/api/sessions').send({});
+    await request(app).post('/api/validate-country').send({ country, sessionId: session.id });
+    return session.id;
+}
+
+describe('POST /api/submit-choice', () => {
+    test('counts every visit when choices are submitted concurrently', async () => {
+        const submits = 10;
+        const before = await request(app).get('/api/country-profile/Fiji');
+        const startCount = before.body.visitCount || 0;
+
+        const scenarios = await Promise.all(Array.from({ length: submits }, async () =>
+            request(app).post('/api/generate-scenario').send({ country: 'Fiji', sessionId: await enterCountry('Fiji') })));
+
+        const results = await Promise.all(scenarios.map(({ body }) =>
+            request(app).post('/api/submit-choice').send({ scenarioId: body.scenarioId, choiceId: 'A1' })));
+
+        expect(results.every((r) => r.status === 200)).toBe(true);
+        const counts = results.map((r) => r.body.profile.visitCount).sort((a, b) => a - b);
+        expect(counts).toEqual(Array.from({ length: submits }, (_, i) => startCount + i + 1));
+    });
+
+    test('counts one visit when a session submits two scenes for the same step', async () => {
+        const sessionId = await enterCountry('Tonga');
+        const tickets = await Promise.all([1, 2].map(() =>
+            request(app).post('/api/generate-scenario').send({ country: 'Tonga', sessionId })));
+        const startCount = (await request(app).get('/api/country-profile/Tonga')).body.visitCount || 0;
+
+        // Slow profile writes so both submits are in flight at once
+        const store = getProfileStore();
+        const appendEcho = store.appendEcho.bind(store);
+        const slowed = jest.spyOn(store, 'appendEcho').mockImplementation((echo) =>
+            new Promise((resolve) => setTimeout(resolve, 50)).then(() => appendEcho(echo)));
+
+        const results = await Promise.all(tickets.map(({ body }) =>
+            request(app).post('/api/submit-choice').send({ scenarioId: body.scenarioId, choiceId: 'A1' })));
+        slowed.mockRestore();
+
+        // The loser fails the session check (400) or the step claim (409), depending on timing
+        const [accepted, refused] = results.map((r) => r.status).sort();
+        expect(accepted).toBe(200);
+        expect([400, 409]).toContain(refused);
+        const profile = await request(app).get('/api/country-profile/Tonga');
+        expect(profile.body.visitCount).toBe(startCount + 1);
+
+        const { body: session } = await request(app).get(`/api/sessions/${sessionId}`);
+        expect(session.countryChain).toEqual([expect.objectContaining({ name: 'Tonga', dominantEmotion: expect.any(String) })]);
+    });
+});
@@ -0,0 +1,212 @@
+/**
+ * Content Safety — Unit & Integration Tests
+ * Lexicon screening, the model critique, the rejection path in the generator
+ * and the admin review log.
+ */
+
+jest.mock('../src/utils/logger', () => ({
+    logger: {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+    },
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const app = require('../server');
+const { validateSafetyLexicon, loadSafetyLexicon, DEFAULT_SAFETY_LEXICON } = require('../src/config/safetyLexicon');
+const {
+    moderateScenario,
+    screenScenario,
+    collectScenarioText,
+    listRejectedScenarios,
+    resetRejectedScenarios,
+} = require('../src/services/contentSafety');
+const { generateScenario } = require('../src/services/scenarioGenerator');
+const { setLlmProvider } = require('../src/llm/llmProvider');
+const { StubProvider } = require('../src/llm/stubProvider');
+const { getCounters, resetCounters } = require('../src/utils/metrics');
+const { scenarioCache } = require('../src/utils/cache');
+
+/** Start a session and enter a country, as the frontend does before asking for a scene */
+async function enterCountry(country) {
+    const { body: session } = await request(app).post('/api/sessions').send({});
+    await request(app).post('/api/validate-country').send({ country, sessionId: session.id });
+    return session.id;
+}
+
+const colombia = { name: 'Colombia', capital: 'Bogotá', region: 'South America' };
+
+/**
+ * A generated scenario with the given scene and one follow-up line.
+ * @param {string} scene
+ * @param {string} [followUpChoice='Wave goodbye']
+ */
+const scenarioWith = (scene, followUpChoice = 'Wave goodbye') => ({
+    country: 'Colombia',
+    scenario: scene,
+    choices: [
+        {
+            id: 'A',
+            text: 'Buy a coffee',
+            emotions: { warmth: 0.5 },
+            followUp: { scenario: 'The owner smiles.', choices: [{ id: 'A1', text: followUpChoice, emotions: { warmth: 0.5 } }] },
+        },
+    ],
+});
+
+/**
+ * Fake provider answering scenario prompts with a fixed scene and critique prompts with a verdict.
+ * @param {string} scene
+ * @param {Object|Error} [verdict]
+ */
+const providerFor = (scene, verdict = { safe: true, issues: [] }) => ({
+    name: 'fake',
+    generateJson: jest.fn((prompt) => {
+        if (prompt.startsWith('CONTENT REVIEW')) {
+            return verdict instanceof Error ? Promise.reject(verdict) : Promise.resolve(verdict);
+        }
+        const count = Number(prompt.match(/Generate (\d) distinct choices/)[1]);
+        const choices = ['Order a tinto', 'Ask about the beans', 'Sit by the window', 'Leave a tip']
+            .slice(0, count)
+            .map((text) => ({ text, emotions: { warmth: 0.5 } }));
+        return Promise.resolve({ scenario: scene, choices, tone: 'warm' });
+    }),
+});
+
+beforeEach(() => {
+    resetRejectedScenarios();
+    resetCounters();
+});
+
+afterEach(() => {
+    delete process.env.CONTENT_CRITIQUE;
+    setLlmProvider(undefined);
+});
+
+describe('safety lexicon', () => {
+    test('normalizes terms and rejects malformed lists', () => {
+        expect(validateSafetyLexicon({ blocklist: [' Gore '], stereotypes: { Chad: ['X'] } }))
+            .toEqual({ blocklist: ['gore'], stereotypes: { chad: ['x'] } });
+        expect(() => validateSafetyLexicon({ blocklist: ['ok', ''] })).toThrow('blocklist');
+        expect(() => validateSafetyLexicon({ stereotypes: [] })).toThrow('stereotypes');
+    });
+
+    test('loads CONTENT_SAFETY_PATH and falls back to the default when unusable', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'atlas-safety-'));
+        const file = path.join(dir, 'lexicon.json');
+        try {
+            fs.writeFileSync(file, JSON.stringify({ blocklist: ['gore'], stereotypes: {} }));
+            process.env.CONTENT_SAFETY_PATH = file;
+            expect(loadSafetyLexicon().blocklist).toEqual(['gore']);
+
+            fs.writeFileSync(file, '{ not json');
+            expect(loadSafetyLexicon()).toBe(DEFAULT_SAFETY_LEXICON);
+        } finally {
+            delete process.env.CONTENT_SAFETY_PATH;
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('screenScenario', () => {
+    test('checks every line a player can see', () => {
+        expect(collectScenarioText(scenarioWith('A scene.')).map((line) => line.path)).toEqual([
+            'scenario',
+            'choices[0].text',
+            'choices[0].followUp.scenario',
+            'choices[0].followUp.choices[0].text',
+        ]);
+    });
+
+    test('flags blocked terms and global or per-country stereotypes as whole words', () => {
+        expect(screenScenario(scenarioWith('You pass a massacre memorial.'), 'Colombia'))
+            .toEqual([expect.objectContaining({ code: 'blocked_term', path: 'scenario', term: 'massacre' })]);
+        expect(screenScenario(scenarioWith('A quiet street.', 'Call them primitive'), 'Chad'))
+            .toEqual([expect.objectContaining({ code: 'stereotype', path: 'choices[0].followUp.choices[0].text' })]);
+        expect(screenScenario(scenarioWith('A man talks about the cartel.'), 'Colombia')[0].term).toBe('cartel');
+    });
+
+    test('leaves other countries and partial words alone', () => {
+        expect(screenScenario(scenarioWith('A poster advertises a cartel film.'), 'Chad')).toEqual([]);
+        expect(screenScenario(scenarioWith('A student from Sussex studies therapeutic herbs.'), 'Chad')).toEqual([]);
+    });
+});
+
+describe('moderateScenario', () => {
+    test('runs the critique only when enabled and the lexicon is clean', async () => {
+        const provider = providerFor('', { safe: false, issues: ['Mocks a local custom'] });
+
+        expect((await moderateScenario(scenarioWith('A quiet street.'), colombia, { provider })).allowed).toBe(true);
+        expect(provider.generateJson).not.toHaveBeenCalled();
+
+        process.env.CONTENT_CRITIQUE = 'true';
+        const result = await moderateScenario(scenarioWith('A quiet street.'), colombia, { provider });
+        expect(result).toEqual({ allowed: false, findings: [{ code: 'critique', message: 'Mocks a local custom' }] });
+        expect(provider.generateJson.mock.calls[0][0]).toContain('- A quiet street.');
+    });
+
+    test('rejects the scenario when the critique has no verdict', async () => {
+        const provider = providerFor('', new Error('timeout'));
+        const result = await moderateScenario(scenarioWith('A quiet street.'), colombia, { provider, critique: true });
+        expect(result.findings).toEqual([{ code: 'critique_unavailable', message: 'timeout' }]);
+    });
+
+    test('always critiques a language the lexicon does not cover', async () => {
+        const provider = providerFor('', { safe: false, issues: ['Caricatures the vendor'] });
+        const scene = scenarioWith('Una calle tranquila.');
+
+        const result = await moderateScenario(scene, colombia, { provider, language: 'es' });
+        expect(result.findings).toEqual([{ code: 'critique', message: 'Caricatures the vendor' }]);
+
+        const unchecked = await moderateScenario(scene, colombia, { language: 'es' });
+        expect(unchecked.allowed).toBe(false);
+        expect(unchecked.findings[0].code).toBe('critique_unavailable');
+    });
+
+    test('the stub provider passes its own critique', async () => {
+        const result = await moderateScenario(scenarioWith('A quiet street.'), colombia, { provider: new StubProvider(), critique: true });
+        expect(result.allowed).toBe(true);
+    });
+});
+
+describe('rejection path', () => {
+    test('an unsafe scenario is logged and replaced by a curated scene', async () => {
+        setLlmProvider(providerFor('In Bogotá a drug lord waves from a passing car.'));
+
+        const scenario = await generateScenario(colombia);
+
+        expect(scenario.generated).toBe(false);
+        expect(getCounters().scenarioGeneration).toMatchObject({ unsafe_stereotype: 1, fallback_unsafe: 1 });
+        expect(getCounters().scenarioGeneration.valid).toBeUndefined();
+
+        const [rejected] = await listRejectedScenarios();
+        expect(rejected).toMatchObject({ country: 'Colombia', provider: 'fake' });
+        expect(rejected.scenario.scenario).toContain('drug lord');
+        expect(rejected.findings[0]).toMatchObject({ code: 'stereotype', term: 'drug lord' });
+    });
+
+    test('rejected scenarios are listed for admins', async () => {
+        process.env.ADMIN_TOKEN = 'test-admin-token';
+        try {
+            setLlmProvider(providerFor('A street vendor in Bogotá sells cocaine from a cart.'));
+            const generated = await request(app).post('/api/generate-scenario').send({ country: 'Colombia', sessionId: await enterCountry('Colombia') });
+            expect(generated.status).toBe(200);
+            expect(generated.body.generated).toBe(false);
+            expect(scenarioCache.has('scenario_colombia')).toBe(false);
+
+            expect((await request(app).get('/api/admin/rejected-scenarios')).status).toBe(401);
+
+            const res = await request(app).get('/api/admin/rejected-scenarios?limit=5').set('Authorization', 'Bearer test-admin-token');
+            expect(res.status).toBe(200);
+            expect(res.body.count).toBe(1);
+            expect(res.body.scenarios[0].findings[0].term).toBe('cocaine');
+        } finally {
+            delete process.env.ADMIN_TOKEN;
+        }
+    });
+});
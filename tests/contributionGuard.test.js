@@ -0,0 +1,71 @@
+/**
+ * Contribution Guard — Unit Tests
+ */
+
+const {
+    assessContribution,
+    getPlayerIdentity,
+    getLimits,
+    resetContributionGuard,
+    BURST_WINDOW_MS,
+    DEFAULT_LIMITS,
+} = require('../src/services/contributionGuard');
+
+const LIMIT_VARS = ['ECHO_DAILY_LIMIT', 'ECHO_BURST_LIMIT', 'COUNTRY_BURST_LIMIT'];
+const NOON = Date.parse('2026-03-10T12:00:00.000Z');
+
+beforeEach(() => {
+    LIMIT_VARS.forEach((name) => delete process.env[name]);
+    resetContributionGuard();
+});
+
+afterAll(() => {
+    LIMIT_VARS.forEach((name) => delete process.env[name]);
+});
+
+describe('getPlayerIdentity', () => {
+    test('is stable and does not expose the address', () => {
+        const identity = getPlayerIdentity('203.0.113.7');
+        expect(identity).toMatch(/^[0-9a-f]{16}$/);
+        expect(getPlayerIdentity('203.0.113.7')).toBe(identity);
+        expect(getPlayerIdentity('203.0.113.8')).not.toBe(identity);
+    });
+});
+
+describe('getLimits', () => {
+    test('reads positive integers from the environment', () => {
+        process.env.ECHO_DAILY_LIMIT = '3';
+        process.env.ECHO_BURST_LIMIT = 'lots';
+        expect(getLimits()).toEqual({ ...DEFAULT_LIMITS, daily: 3 });
+    });
+});
+
+describe('assessContribution', () => {
+    test('counts one choice per player per country per day', () => {
+        expect(assessContribution({ identity: 'p1', countryKey: 'ghana', now: NOON })).toBeNull();
+        expect(assessContribution({ identity: 'p1', countryKey: 'ghana', now: NOON + BURST_WINDOW_MS })).toBe('daily_limit');
+        expect(assessContribution({ identity: 'p1', countryKey: 'mali', now: NOON + 2 * BURST_WINDOW_MS })).toBeNull();
+        expect(assessContribution({ identity: 'p2', countryKey: 'ghana', now: NOON + 3 * BURST_WINDOW_MS })).toBeNull();
+
+        const nextDay = NOON + 24 * 60 * 60 * 1000;
+        expect(assessContribution({ identity: 'p1', countryKey: 'ghana', now: nextDay })).toBeNull();
+    });
+
+    test('flags a burst from one player, then lets them back after the window', () => {
+        process.env.ECHO_DAILY_LIMIT = '100';
+        const reasons = Array.from({ length: DEFAULT_LIMITS.burst + 1 }, (_, i) =>
+            assessContribution({ identity: 'p1', countryKey: `country${i}`, now: NOON + i }));
+
+        expect(reasons.slice(0, DEFAULT_LIMITS.burst).every((r) => r === null)).toBe(true);
+        expect(reasons[DEFAULT_LIMITS.burst]).toBe('player_burst');
+        expect(assessContribution({ identity: 'p1', countryKey: 'later', now: NOON + BURST_WINDOW_MS + 10 })).toBeNull();
+    });
+
+    test('flags a burst of players at one country', () => {
+        process.env.COUNTRY_BURST_LIMIT = '3';
+        const reasons = ['a', 'b', 'c', 'd'].map((identity) =>
+            assessContribution({ identity, countryKey: 'chad', now: NOON }));
+
+        expect(reasons).toEqual([null, null, null, 'country_burst']);
+    });
+});
@@ -8,8 +8,25 @@ const {
     getDominantEmotion,
     getDefaultProfile,
     getEmotionColor,
+    getCountryProfile,
+    updateCountryProfile,
+    getAllCountryProfiles,
+    updateStats,
+    describeSpread,
+    rebuildProfilesFromEchoes,
+    quarantineEcho,
+    listQuarantinedEchoes,
+    reviewQuarantinedEcho,
+    applyInteraction,
+    decayProfile,
+    getDecayFactor,
+    getCountryTimeline,
+    getBucketStart,
     EMOTION_DIMENSIONS,
 } = require('../src/services/emotionEngine');
+const { setProfileStore } = require('../src/storage/profileStore');
+const { MemoryProfileStore } = require('../src/storage/memoryProfileStore');
+const { COUNTRIES_MAP } = require('../src/data/countries');
 
 describe('mergeEmotions', () => {
     const baseEmotions = {
@@ -120,15 +137,21 @@ describe('getDominantEmotion', () => {
             .toBe('belonging');
     });
 
-    test('returns first highest on tie', () => {
+    test('returns neutral on tie', () => {
         const result = getDominantEmotion({ warmth: 0.5, loneliness: 0.5, tension: 0.5, nostalgia: 0.5, belonging: 0.5 });
-        expect(typeof result).toBe('string');
-        expect(EMOTION_DIMENSIONS).toContain(result);
+        expect(result).toBe('neutral');
+    });
+
+    test('returns neutral when the top two are within the margin', () => {
+        expect(getDominantEmotion({ warmth: 0.61, loneliness: 0.6, tension: 0.1, nostalgia: 0.1, belonging: 0.1 }))
+            .toBe('neutral');
+        expect(getDominantEmotion({ warmth: 0.6, loneliness: 0.1, tension: 0.62, nostalgia: 0.1, belonging: 0.1 }))
+            .toBe('tension');
     });
 
     test('handles zero values', () => {
         const result = getDominantEmotion({ warmth: 0, loneliness: 0, tension: 0, nostalgia: 0, belonging: 0 });
-        expect(typeof result).toBe('string');
+        expect(result).toBe('neutral');
     });
 
     test('handles empty object', () => {
@@ -183,3 +206,330 @@ describe('getEmotionColor', () => {
         expect(getEmotionColor(null)).toContain('hsl');
     });
 });
+
+describe('country profile persistence', () => {
+    beforeEach(() => {
+        setProfileStore(new MemoryProfileStore());
+    });
+
+    afterAll(() => {
+        setProfileStore(null);
+    });
+
+    test('returns null for a country that was never visited', async () => {
+        expect(await getCountryProfile('Chad')).toBeNull();
+    });
+
+    test('persists updates so later reads see them', async () => {
+        await updateCountryProfile('Costa Rica', { warmth: 1 }, { name: 'Costa Rica', capital: 'San Jose' });
+        await updateCountryProfile('Costa Rica', { warmth: 1 }, { name: 'Costa Rica' });
+
+        const profile = await getCountryProfile('costa rica');
+        expect(profile.visitCount).toBe(2);
+        expect(profile.capital).toBe('San Jose');
+        expect(profile.emotions.warmth).toBeGreaterThan(0.5);
+    });
+
+    test('lists stored profiles for the world map', async () => {
+        await updateCountryProfile('Chad', { tension: 1 });
+        await updateCountryProfile('Peru', { warmth: 1 });
+        await updateCountryProfile('Peru', { warmth: 1 });
+
+        const all = await getAllCountryProfiles(10);
+        expect(all.map((p) => p.name)).toEqual(['Peru', 'Chad']);
+    });
+});
+
+describe('echo log', () => {
+    let store;
+
+    beforeEach(() => {
+        store = new MemoryProfileStore();
+        setProfileStore(store);
+    });
+
+    afterAll(() => {
+        setProfileStore(null);
+    });
+
+    test('records every accepted choice with its context', async () => {
+        await updateCountryProfile('Chad', { warmth: 2 }, { name: 'Chad' }, { choiceId: 'B', sessionId: 'session-1', identity: 'player-1', promptVersion: 'scenario-v1' });
+
+        const [echo] = await store.listEchoes();
+        expect(echo).toEqual({
+            id: expect.any(String),
+            key: 'chad',
+            country: 'Chad',
+            choiceId: 'B',
+            emotions: { warmth: 1, loneliness: 0, tension: 0, nostalgia: 0, belonging: 0 },
+            sessionId: 'session-1',
+            identity: 'player-1',
+            promptVersion: 'scenario-v1',
+            recordedAt: expect.any(String),
+        });
+    });
+
+    test('rebuild reproduces the live snapshots from the log', async () => {
+        const chad = COUNTRIES_MAP.get('chad');
+        await updateCountryProfile('Chad', { tension: 1 }, chad);
+        await updateCountryProfile('Costa Rica', { warmth: 1 }, COUNTRIES_MAP.get('costa rica'));
+        await updateCountryProfile('Chad', { warmth: 1 }, chad);
+        const live = await getAllCountryProfiles(10);
+
+        await store.set('chad', { name: 'Chad', emotions: { tension: 0 }, visitCount: 99 });
+        const result = await rebuildProfilesFromEchoes();
+
+        expect(result).toEqual({ echoes: 3, profiles: 2 });
+        expect(await getAllCountryProfiles(10)).toEqual(live);
+    });
+
+    test('rebuild leaves countries without echoes untouched', async () => {
+        await store.set('peru', { name: 'Peru', visitCount: 4 });
+
+        expect(await rebuildProfilesFromEchoes()).toEqual({ echoes: 0, profiles: 0 });
+        expect((await getCountryProfile('Peru')).visitCount).toBe(4);
+    });
+});
+
+describe('quarantined echoes', () => {
+    let store;
+    const chad = COUNTRIES_MAP.get('chad');
+
+    beforeEach(() => {
+        store = new MemoryProfileStore();
+        setProfileStore(store);
+    });
+
+    afterAll(() => {
+        setProfileStore(null);
+    });
+
+    test('are logged without touching the profile', async () => {
+        await updateCountryProfile('Chad', { warmth: 1 }, chad);
+        const echo = await quarantineEcho('Chad', { tension: 1 }, chad, { identity: 'p1' }, 'daily_limit');
+
+        expect(echo.quarantine).toEqual({ reason: 'daily_limit' });
+        expect((await getCountryProfile('Chad')).visitCount).toBe(1);
+        expect(await listQuarantinedEchoes()).toEqual([echo]);
+    });
+
+    test('release applies the echo once and clears it from the queue', async () => {
+        const echo = await quarantineEcho('Chad', { tension: 1 }, chad, {}, 'player_burst');
+
+        const { review, profile } = await reviewQuarantinedEcho(echo.id, 'release');
+        expect(review).toMatchObject({ type: 'review', key: 'chad', echoId: echo.id, decision: 'released' });
+        expect(profile.visitCount).toBe(1);
+        expect(profile.dominantEmotion).toBe('tension');
+        expect(await listQuarantinedEchoes()).toEqual([]);
+
+        await expect(reviewQuarantinedEcho(echo.id, 'release')).rejects.toThrow('already released');
+    });
+
+    test('concurrent releases of one echo apply it once', async () => {
+        const echo = await quarantineEcho('Chad', { tension: 1 }, chad, {}, 'player_burst');
+
+        const results = await Promise.allSettled([
+            reviewQuarantinedEcho(echo.id, 'release'),
+            reviewQuarantinedEcho(echo.id, 'release'),
+        ]);
+
+        expect(results.map((r) => r.status).sort()).toEqual(['fulfilled', 'rejected']);
+        expect(results.find((r) => r.status === 'rejected').reason.code).toBe('CONFLICT');
+        expect((await getCountryProfile('Chad')).visitCount).toBe(1);
+    });
+
+    test('reject drops the echo', async () => {
+        const echo = await quarantineEcho('Chad', { tension: 1 }, chad, {}, 'country_burst');
+
+        expect((await reviewQuarantinedEcho(echo.id, 'reject')).profile).toBeNull();
+        expect(await getCountryProfile('Chad')).toBeNull();
+        await expect(reviewQuarantinedEcho('missing', 'reject')).rejects.toThrow('not found');
+    });
+
+    test('rebuild skips pending and rejected echoes and replays released ones', async () => {
+        await updateCountryProfile('Chad', { warmth: 1 }, chad);
+        const released = await quarantineEcho('Chad', { tension: 1 }, chad, {}, 'daily_limit');
+        const rejected = await quarantineEcho('Chad', { tension: 1 }, chad, {}, 'daily_limit');
+        await quarantineEcho('Chad', { tension: 1 }, chad, {}, 'daily_limit');
+        await reviewQuarantinedEcho(released.id, 'release');
+        await reviewQuarantinedEcho(rejected.id, 'reject');
+        const live = await getCountryProfile('Chad');
+
+        expect(await rebuildProfilesFromEchoes()).toEqual({ echoes: 2, profiles: 1 });
+        expect(await getCountryProfile('Chad')).toEqual(live);
+    });
+});
+
+describe('time decay', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    const start = '2026-01-01T00:00:00.000Z';
+    const later = (days) => new Date(Date.parse(start) + days * DAY).toISOString();
+    const lonely = {
+        name: 'France',
+        emotions: { warmth: 0.5, loneliness: 0.9, tension: 0.5, nostalgia: 0.5, belonging: 0.1 },
+        dominantEmotion: 'loneliness',
+        visitCount: 400,
+        lastUpdated: start,
+    };
+
+    afterEach(() => {
+        delete process.env.PROFILE_HALF_LIFE_DAYS;
+    });
+
+    test('is disabled without a half-life', () => {
+        expect(getDecayFactor(start, later(365))).toBe(1);
+        expect(decayProfile(lonely, later(365))).toBe(lonely);
+    });
+
+    test('halves the deviation from neutral every half-life', () => {
+        process.env.PROFILE_HALF_LIFE_DAYS = '10';
+
+        const decayed = decayProfile(lonely, later(10));
+        expect(decayed.emotions.loneliness).toBeCloseTo(0.7);
+        expect(decayed.emotions.belonging).toBeCloseTo(0.3);
+        expect(decayed.visitCount).toBe(400);
+        expect(decayed.effectiveVisits).toBe(200);
+    });
+
+    test('drifts back toward neutral when nobody visits', () => {
+        process.env.PROFILE_HALF_LIFE_DAYS = '10';
+
+        const decayed = decayProfile(lonely, later(200));
+        for (const dim of EMOTION_DIMENSIONS) {
+            expect(decayed.emotions[dim]).toBeCloseTo(0.5, 2);
+        }
+    });
+
+    test('lets a frozen profile respond to new visits again', () => {
+        const frozen = applyInteraction(lonely, 'France', { warmth: 1 }, {}, later(100));
+
+        process.env.PROFILE_HALF_LIFE_DAYS = '10';
+        const thawed = applyInteraction(lonely, 'France', { warmth: 1 }, {}, later(100));
+
+        expect(frozen.dominantEmotion).toBe('loneliness');
+        expect(thawed.dominantEmotion).toBe('warmth');
+        expect(thawed.visitCount).toBe(401);
+    });
+
+    test('applies on reads, not only at write time', async () => {
+        const store = new MemoryProfileStore();
+        setProfileStore(store);
+        try {
+            await updateCountryProfile('France', { loneliness: 1 }, { name: 'France' });
+            const fresh = await getCountryProfile('France');
+            await store.set('france', { ...fresh, lastUpdated: new Date(Date.now() - 30 * DAY).toISOString() });
+
+            process.env.PROFILE_HALF_LIFE_DAYS = '1';
+            const read = await getCountryProfile('France');
+            const [listed] = await getAllCountryProfiles(1);
+
+            expect(read.emotions.loneliness).toBeLessThan(fresh.emotions.loneliness);
+            expect(read.emotions.loneliness).toBeCloseTo(0.5, 2);
+            expect(listed.emotions).toEqual(read.emotions);
+            expect((await store.get('france')).emotions).toEqual(fresh.emotions);
+        } finally {
+            setProfileStore(null);
+        }
+    });
+});
+
+describe('country timelines', () => {
+    let store;
+
+    beforeEach(() => {
+        store = new MemoryProfileStore();
+        setProfileStore(store);
+    });
+
+    afterAll(() => {
+        setProfileStore(null);
+    });
+
+    test('getBucketStart groups days into weeks (Monday) and months', () => {
+        expect(getBucketStart('2026-01-07', 'day')).toBe('2026-01-07');
+        expect(getBucketStart('2026-01-07', 'week')).toBe('2026-01-05');
+        expect(getBucketStart('2026-01-04', 'week')).toBe('2025-12-29');
+        expect(getBucketStart('2026-01-31', 'month')).toBe('2026-01-01');
+    });
+
+    test('each accepted choice overwrites today\'s snapshot', async () => {
+        await updateCountryProfile('Chad', { tension: 1 }, { name: 'Chad' });
+        const profile = await updateCountryProfile('Chad', { tension: 1 }, { name: 'Chad' });
+        const today = profile.lastUpdated.slice(0, 10);
+
+        const points = await getCountryTimeline('Chad', { from: today, to: today });
+        expect(points).toEqual([{
+            start: today,
+            emotions: profile.emotions,
+            dominantEmotion: 'tension',
+            visitCount: 2,
+        }]);
+    });
+
+    test('buckets keep the last snapshot in each period', async () => {
+        await store.setSnapshot('chad', { day: '2026-01-05', emotions: {}, dominantEmotion: 'warmth', visitCount: 1 });
+        await store.setSnapshot('chad', { day: '2026-01-07', emotions: {}, dominantEmotion: 'tension', visitCount: 4 });
+        await store.setSnapshot('chad', { day: '2026-01-14', emotions: {}, dominantEmotion: 'nostalgia', visitCount: 6 });
+
+        const points = await getCountryTimeline('Chad', { from: '2026-01-01', to: '2026-01-31', bucket: 'week' });
+        expect(points.map((p) => [p.start, p.visitCount])).toEqual([['2026-01-05', 4], ['2026-01-12', 6]]);
+    });
+
+    test('rebuild regenerates snapshots from the echo log', async () => {
+        const profile = await updateCountryProfile('Chad', { warmth: 1 }, { name: 'Chad' });
+        const today = profile.lastUpdated.slice(0, 10);
+        store._snapshots.clear();
+
+        await rebuildProfilesFromEchoes();
+
+        const [point] = await getCountryTimeline('Chad', { from: today, to: today });
+        expect(point.visitCount).toBe(1);
+    });
+});
+
+describe('confidence and spread', () => {
+    const vector = (overrides) => ({ warmth: 0, loneliness: 0, tension: 0, nostalgia: 0, belonging: 0, ...overrides });
+    const statsFor = (vectors) => vectors.reduce((stats, v) => updateStats(stats, v), undefined);
+
+    test('updateStats matches the two-pass mean and sample variance', () => {
+        const values = [0.2, 0.9, 0.4, 0.7];
+        const stats = statsFor(values.map((warmth) => vector({ warmth })));
+
+        const mean = values.reduce((a, b) => a + b, 0) / values.length;
+        const variance = values.reduce((a, v) => a + (v - mean) ** 2, 0) / (values.length - 1);
+        expect(stats.count).toBe(4);
+        expect(stats.mean.warmth).toBeCloseTo(mean, 10);
+        expect(stats.m2.warmth / (stats.count - 1)).toBeCloseTo(variance, 10);
+    });
+
+    test('confidence grows with agreeing visits', () => {
+        const few = describeSpread(statsFor(Array(2).fill(vector({ warmth: 1 }))));
+        const many = describeSpread(statsFor(Array(200).fill(vector({ warmth: 1 }))));
+
+        expect(few.confidence).toBeLessThan(0.2);
+        expect(many.confidence).toBeGreaterThan(0.9);
+        expect(many.contested).toBe(false);
+    });
+
+    test('flags a profile as contested when players split strongly', () => {
+        const split = Array.from({ length: 20 }, (_, i) => vector(i % 2 ? { warmth: 1 } : { tension: 1 }));
+        const result = describeSpread(statsFor(split));
+
+        expect(result.contested).toBe(true);
+        expect(result.spread.warmth).toBeCloseTo(0.513, 2);
+        expect(result.confidence).toBeLessThan(describeSpread(statsFor(Array(20).fill(vector({ warmth: 1 })))).confidence);
+    });
+
+    test('needs a minimum sample before flagging contested', () => {
+        const result = describeSpread(statsFor([vector({ warmth: 1 }), vector({ tension: 1 })]));
+        expect(result.contested).toBe(false);
+    });
+
+    test('profiles carry stats, spread, confidence and contested', () => {
+        const profile = applyInteraction(null, 'Chad', { warmth: 1 }, { name: 'Chad' });
+        expect(profile.stats.count).toBe(1);
+        expect(profile.spread.warmth).toBe(0);
+        expect(profile.confidence).toBeGreaterThan(0);
+        expect(profile.contested).toBe(false);
+    });
+});
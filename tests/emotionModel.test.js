@@ -0,0 +1,137 @@
+/**
+ * Emotion Model — Unit Tests
+ * Validation, loading from EMOTION_MODEL_PATH, and services following a custom model.
+ */
+
+jest.mock('../src/utils/logger', () => ({
+    logger: {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+    },
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    DEFAULT_EMOTION_MODEL,
+    EMOTION_DIMENSIONS,
+    getEmotionModel,
+    validateEmotionModel,
+    loadEmotionModel,
+} = require('../src/config/emotionModel');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'atlas-model-'));
+
+const customModel = {
+    dimensions: [
+        ...DEFAULT_EMOTION_MODEL.dimensions,
+        { name: 'curiosity', color: 'hsl(190, 80%, 50%)', description: 'wanting to explore', sentiment: { positive: 0.1 } },
+        { name: 'awe', label: 'Awe', icon: '🌌', color: '#8b5cf6' },
+    ],
+};
+
+/**
+ * Require a module fresh with EMOTION_MODEL_PATH pointing at a model file.
+ * @param {Object} definition - Model definition to write
+ * @param {string} modulePath - Module to load
+ * @returns {Object} Module exports
+ */
+function requireWithModel(definition, modulePath) {
+    const file = path.join(tmpDir, `model-${Date.now()}-${Math.random()}.json`);
+    fs.writeFileSync(file, JSON.stringify(definition));
+    process.env.EMOTION_MODEL_PATH = file;
+
+    let loaded;
+    jest.isolateModules(() => {
+        loaded = require(modulePath);
+    });
+    return loaded;
+}
+
+afterEach(() => {
+    delete process.env.EMOTION_MODEL_PATH;
+});
+
+afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('default emotion model', () => {
+    test('tracks the original five dimensions', () => {
+        expect(EMOTION_DIMENSIONS).toEqual(['warmth', 'loneliness', 'tension', 'nostalgia', 'belonging']);
+    });
+
+    test('public view omits sentiment weights', () => {
+        const model = getEmotionModel();
+        expect(model.dimensions[0]).toEqual({
+            name: 'warmth',
+            label: 'Warmth',
+            icon: '☀️',
+            color: 'hsl(35, 90%, 55%)',
+            description: expect.any(String),
+        });
+        expect(model.neutral.color).toBeDefined();
+    });
+});
+
+describe('validateEmotionModel', () => {
+    test('fills in optional display fields', () => {
+        const model = validateEmotionModel(customModel);
+        const curiosity = model.dimensions.find((d) => d.name === 'curiosity');
+        expect(curiosity).toMatchObject({ label: 'Curiosity', icon: '•', description: 'wanting to explore' });
+        expect(model.dimensions.find((d) => d.name === 'awe').sentiment).toEqual({});
+    });
+
+    test.each([
+        ['too few dimensions', { dimensions: [{ name: 'awe', color: 'red' }] }],
+        ['an invalid name', { dimensions: [{ name: 'Awe!', color: 'red' }, { name: 'joy', color: 'red' }] }],
+        ['a duplicate name', { dimensions: [{ name: 'awe', color: 'red' }, { name: 'awe', color: 'red' }] }],
+        ['the reserved neutral name', { dimensions: [{ name: 'neutral', color: 'red' }, { name: 'joy', color: 'red' }] }],
+        ['a missing color', { dimensions: [{ name: 'awe' }, { name: 'joy', color: 'red' }] }],
+    ])('rejects %s', (_label, definition) => {
+        expect(() => validateEmotionModel(definition)).toThrow();
+    });
+});
+
+describe('loadEmotionModel', () => {
+    test('uses the default model without EMOTION_MODEL_PATH', () => {
+        expect(loadEmotionModel()).toBe(DEFAULT_EMOTION_MODEL);
+    });
+
+    test('falls back to the default model for a missing or invalid file', () => {
+        process.env.EMOTION_MODEL_PATH = path.join(tmpDir, 'missing.json');
+        expect(loadEmotionModel()).toBe(DEFAULT_EMOTION_MODEL);
+
+        const invalid = path.join(tmpDir, 'invalid.json');
+        fs.writeFileSync(invalid, JSON.stringify({ dimensions: [] }));
+        process.env.EMOTION_MODEL_PATH = invalid;
+        expect(loadEmotionModel()).toBe(DEFAULT_EMOTION_MODEL);
+    });
+});
+
+describe('services with a custom model', () => {
+    test('normalizeEmotions and the prompt cover the added dimensions', () => {
+        const { normalizeEmotions, EMOTION_DIMENSIONS: dims } = requireWithModel(customModel, '../src/services/scenarioGenerator');
+
+        expect(dims).toContain('curiosity');
+        expect(normalizeEmotions({ awe: 2, curiosity: 0.4 })).toMatchObject({ awe: 1, curiosity: 0.4, warmth: 0 });
+    });
+
+    test('the engine defaults and colours follow the model', () => {
+        const { getDefaultProfile, getEmotionColor } = requireWithModel(customModel, '../src/services/emotionEngine');
+
+        expect(Object.keys(getDefaultProfile().emotions)).toContain('awe');
+        expect(getEmotionColor('awe')).toBe('#8b5cf6');
+    });
+
+    test('sentiment mapping spreads over every dimension', () => {
+        const { mapSentimentToEmotions } = requireWithModel(customModel, '../src/services/sentimentService');
+
+        const emotions = mapSentimentToEmotions(0.9, 3);
+        expect(Object.keys(emotions)).toHaveLength(7);
+        expect(emotions.curiosity).toBeGreaterThan(emotions.awe);
+    });
+});
@@ -0,0 +1,219 @@
+/**
+ * LLM Providers — Unit Tests
+ * Provider selection, the Gemini and OpenAI-compatible adapters (with fake
+ * clients), and the seeded stub driving the real scenario pipeline.
+ */
+
+jest.mock('../src/utils/logger', () => ({
+    logger: {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+    },
+}));
+
+const { createLlmProvider, setLlmProvider } = require('../src/llm/llmProvider');
+const { GeminiProvider } = require('../src/llm/geminiProvider');
+const { OpenAiCompatibleProvider } = require('../src/llm/openAiCompatibleProvider');
+const { StubProvider } = require('../src/llm/stubProvider');
+const { parseJsonResponse, createStringFieldReader } = require('../src/llm/parseJsonResponse');
+const { generateScenario, isValidScenario } = require('../src/services/scenarioGenerator');
+
+const prompt = 'TASK: Generate a short moment set in Ghana (capital: Accra), located in West Africa.\nGenerate 4 distinct choices';
+
+describe('parseJsonResponse', () => {
+    test('parses plain and fenced JSON', () => {
+        expect(parseJsonResponse('{"a":1}')).toEqual({ a: 1 });
+        expect(parseJsonResponse('```json\n{"a":1}\n```')).toEqual({ a: 1 });
+    });
+
+    test('repairs surrounding prose and trailing commas', () => {
+        expect(parseJsonResponse('Here you go:\n{"a":[1,2,],"b":{"c":1,},}\nEnjoy!')).toEqual({ a: [1, 2], b: { c: 1 } });
+    });
+
+    test('throws on non-JSON text', () => {
+        expect(() => parseJsonResponse('Sure! Here is your scenario')).toThrow(SyntaxError);
+    });
+});
+
+describe('createStringFieldReader', () => {
+    /**
+     * Feed a text in fixed-size chunks and collect what the reader reports.
+     * @param {string} text
+     * @param {number} size
+     */
+    const follow = (text, size) => {
+        const values = [];
+        const reader = createStringFieldReader('scenario', (value, complete) => values.push([value, complete]), { after: ['choices'] });
+        for (let i = 0; i < text.length; i += size) reader.push(text.slice(i, i + size));
+        return values;
+    };
+
+    test('reports whole words of the value as it streams in', () => {
+        const text = JSON.stringify({ scenario: 'A "quiet" café,\nthen \u00e9t\u00e9 rain.', choices: [] });
+        const values = follow(text, 5);
+
+        expect(values[values.length - 1]).toEqual(['A "quiet" café,\nthen été rain.', true]);
+        values.slice(0, -1).forEach(([value, complete]) => {
+            expect(complete).toBe(false);
+            expect(value === '' || /\s$/.test(value)).toBe(true);
+        });
+        expect(follow(text.replace(/[\u00e9]/g, '\\u00e9'), 1).pop()[0]).toContain('café');
+    });
+
+    test('ignores a nested field written after the choices', () => {
+        expect(follow('{"choices":[{"followUp":{"scenario":"nested"}}],"scenario":"top"}', 4)).toEqual([]);
+    });
+});
+
+describe('createLlmProvider', () => {
+    afterEach(() => {
+        delete process.env.LLM_STUB_SEED;
+    });
+
+    test('builds the requested backend', () => {
+        expect(createLlmProvider('stub').name).toBe('stub');
+        expect(createLlmProvider('openai').name).toBe('openai');
+    });
+
+    test('has no provider without a Gemini key', () => {
+        expect(createLlmProvider('')).toBeNull();
+        expect(createLlmProvider('gemini')).toBeNull();
+    });
+
+    test('seeds the stub from LLM_STUB_SEED', async () => {
+        process.env.LLM_STUB_SEED = '7';
+        const fromEnv = await createLlmProvider('stub').generateJson(prompt);
+        expect(fromEnv).toEqual(await new StubProvider({ seed: 7 }).generateJson(prompt));
+    });
+});
+
+describe('GeminiProvider', () => {
+    test('requests JSON with per-call options and parses the reply', async () => {
+        const generateContent = jest.fn().mockResolvedValue({ response: { text: () => '{"ok":true}' } });
+        const client = { getGenerativeModel: jest.fn(() => ({ generateContent })) };
+
+        const result = await new GeminiProvider(client).generateJson('hello', { temperature: 0.2 });
+
+        expect(result).toEqual({ ok: true });
+        const config = client.getGenerativeModel.mock.calls[0][0];
+        expect(config.model).toBe('gemini-2.0-flash');
+        expect(config.generationConfig).toMatchObject({ temperature: 0.2, responseMimeType: 'application/json' });
+        expect(config.safetySettings.length).toBeGreaterThan(0);
+        expect(generateContent).toHaveBeenCalledWith('hello');
+    });
+
+    test('streams the reply when asked to', async () => {
+        const chunks = ['{"scenario":', '"x"}'];
+        const generateContentStream = jest.fn().mockResolvedValue({
+            stream: (async function* () {
+                for (const text of chunks) yield { text: () => text };
+            })(),
+        });
+        const client = { getGenerativeModel: () => ({ generateContentStream }) };
+        const onText = jest.fn();
+
+        expect(await new GeminiProvider(client).generateJson('hello', { onText })).toEqual({ scenario: 'x' });
+        expect(onText.mock.calls.map(([text]) => text)).toEqual(chunks);
+    });
+});
+
+describe('OpenAiCompatibleProvider', () => {
+    /**
+     * Fake fetch answering with one chat completion.
+     * @param {Object} body - JSON body to return
+     * @param {number} [status=200]
+     */
+    const fakeFetch = (body, status = 200) => jest.fn().mockResolvedValue({
+        ok: status < 400,
+        status,
+        json: () => Promise.resolve(body),
+    });
+
+    test('posts a chat completion and parses the message content', async () => {
+        const fetch = fakeFetch({ choices: [{ message: { content: '```json\n{"scenario":"x"}\n```' } }] });
+        const provider = new OpenAiCompatibleProvider({ baseUrl: 'http://localhost:8080/v1/', model: 'local', apiKey: 'k', fetch });
+
+        expect(await provider.generateJson('hello', { temperature: 0.5 })).toEqual({ scenario: 'x' });
+
+        const [url, init] = fetch.mock.calls[0];
+        expect(url).toBe('http://localhost:8080/v1/chat/completions');
+        expect(init.headers.Authorization).toBe('Bearer k');
+        expect(JSON.parse(init.body)).toMatchObject({
+            model: 'local',
+            temperature: 0.5,
+            messages: [{ role: 'user', content: 'hello' }],
+        });
+    });
+
+    test('streams content deltas when asked to', async () => {
+        const events = ['{"scenario":', '"x"}'].map((content) => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`);
+        const bytes = new TextEncoder().encode([...events, 'data: [DONE]\n\n'].join(''));
+        // Split mid-line to exercise buffering across reads
+        const body = new ReadableStream({
+            start(controller) {
+                controller.enqueue(bytes.slice(0, 20));
+                controller.enqueue(bytes.slice(20));
+                controller.close();
+            },
+        });
+        const fetch = jest.fn().mockResolvedValue({ ok: true, status: 200, body });
+        const onText = jest.fn();
+
+        expect(await new OpenAiCompatibleProvider({ fetch }).generateJson('hello', { onText })).toEqual({ scenario: 'x' });
+        expect(JSON.parse(fetch.mock.calls[0][1].body).stream).toBe(true);
+        expect(onText.mock.calls.map(([text]) => text)).toEqual(['{"scenario":', '"x"}']);
+    });
+
+    test('throws on HTTP errors and empty replies', async () => {
+        await expect(new OpenAiCompatibleProvider({ fetch: fakeFetch({}, 503) }).generateJson('x')).rejects.toThrow('503');
+        await expect(new OpenAiCompatibleProvider({ fetch: fakeFetch({ choices: [] }) }).generateJson('x')).rejects.toThrow('no message content');
+    });
+});
+
+describe('StubProvider', () => {
+    test('is reproducible for a seed and varies between calls', async () => {
+        const a = new StubProvider({ seed: 42 });
+        const b = new StubProvider({ seed: 42 });
+
+        const first = await a.generateJson(prompt);
+        expect(await b.generateJson(prompt)).toEqual(first);
+        expect(await a.generateJson(prompt)).not.toEqual(first);
+    });
+
+    test('streams the same reply in chunks', async () => {
+        const chunks = [];
+        const result = await new StubProvider({ seed: 5 }).generateJson(prompt, { onText: (text) => chunks.push(text) });
+
+        expect(chunks.length).toBeGreaterThan(1);
+        expect(JSON.parse(chunks.join(''))).toEqual(result);
+        expect(result).toEqual(await new StubProvider({ seed: 5 }).generateJson(prompt));
+    });
+
+    test('follows the prompt and produces valid two-step scenarios', async () => {
+        const stub = new StubProvider({ seed: 3 });
+        for (let i = 0; i < 20; i++) {
+            const result = await stub.generateJson(prompt);
+            expect(result.scenario).toContain('Accra');
+            expect(result.choices).toHaveLength(4);
+            expect(isValidScenario(result)).toBe(true);
+        }
+    });
+});
+
+describe('generateScenario with the stub provider', () => {
+    afterAll(() => {
+        setLlmProvider(undefined);
+    });
+
+    test('runs the full pipeline offline', async () => {
+        setLlmProvider(new StubProvider({ seed: 9 }));
+
+        const scenario = await generateScenario({ name: 'Ghana', capital: 'Accra', region: 'West Africa' });
+
+        expect(scenario).toMatchObject({ country: 'Ghana', generated: true, provider: 'stub' });
+        expect(scenario.choices[0].id).toBe('A');
+        expect(scenario.choices[0].followUp.choices.map((c) => c.id)).toEqual(['A1', 'A2']);
+    });
+});
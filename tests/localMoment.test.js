@@ -0,0 +1,91 @@
+/**
+ * Local Moment — Unit Tests
+ * Local time, season and hemisphere from country coordinates, and how they
+ * reach the prompt, the stub provider and the fallback scenes.
+ */
+
+jest.mock('../src/utils/logger', () => ({
+    logger: {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+    },
+}));
+
+const { getLocalMoment, describeLocalMoment, getTimeOfDay, getSeason } = require('../src/services/localMoment');
+const { buildPrompt, getFallbackScenario } = require('../src/services/scenarioGenerator');
+const { StubProvider } = require('../src/llm/stubProvider');
+
+/** Tuesday 6 January 2026, 12:00 UTC */
+const NOON_UTC = new Date(Date.UTC(2026, 0, 6, 12, 0));
+
+const chad = { name: 'Chad', capital: "N'Djamena", region: 'Central Africa', lat: 15.454166, lng: 18.732207 };
+
+describe('getLocalMoment', () => {
+    test('uses solar time at the country and northern seasons', () => {
+        expect(getLocalMoment(chad, NOON_UTC)).toEqual({
+            localTime: '13:15',
+            timeOfDay: 'afternoon',
+            dayOfWeek: 'Tuesday',
+            season: 'winter',
+            hemisphere: 'northern',
+            tropical: true,
+        });
+    });
+
+    test('flips the season south of the equator', () => {
+        const moment = getLocalMoment({ name: 'Australia', lat: -25.274398, lng: 133.775136 }, NOON_UTC);
+        expect(moment).toMatchObject({ localTime: '20:55', timeOfDay: 'evening', season: 'summer', hemisphere: 'southern', tropical: false });
+    });
+
+    test('rolls over to the next local day', () => {
+        const moment = getLocalMoment({ name: 'New Zealand' }, new Date(Date.UTC(2026, 0, 6, 13, 0)));
+        expect(moment).toMatchObject({ localTime: '00:40', timeOfDay: 'night', dayOfWeek: 'Wednesday' });
+    });
+
+    test('falls back to the dataset for missing coordinates', () => {
+        expect(getLocalMoment({ name: 'chad', lat: 0, lng: 0 }, NOON_UTC).localTime).toBe('13:15');
+        expect(getLocalMoment({ name: 'Atlantis' }, NOON_UTC)).toBeNull();
+    });
+
+    test('maps hours and months', () => {
+        expect([0, 5, 8, 12, 18, 22].map(getTimeOfDay)).toEqual(['night', 'early morning', 'morning', 'afternoon', 'evening', 'night']);
+        expect([getSeason(3, 50), getSeason(3, -30), getSeason(9, -1)]).toEqual(['spring', 'autumn', 'spring']);
+    });
+});
+
+describe('grounding', () => {
+    const moment = getLocalMoment(chad, NOON_UTC);
+
+    test('the prompt describes the local moment', () => {
+        expect(describeLocalMoment(moment, 'Chad')).toMatch(/^It is Tuesday afternoon in Chad, around 13:15 local time, in the northern-hemisphere winter\. It lies in the tropics/);
+
+        const { prompt } = buildPrompt(chad, null, 3, { moment });
+        expect(prompt).toContain('LOCAL MOMENT: It is Tuesday afternoon in Chad');
+        expect(buildPrompt(chad, null, 3).prompt).not.toContain('LOCAL MOMENT');
+    });
+
+    test('the stub provider sets its scene at the local time of day', async () => {
+        const { prompt } = buildPrompt(chad, null, 3, { moment: { ...moment, timeOfDay: 'evening' } });
+        const result = await new StubProvider({ seed: 4 }).generateJson(prompt);
+        expect(result.scenario).toMatch(/^It is evening in N'Djamena\./);
+    });
+
+    test('fallback scenes fit the time of day and season', () => {
+        const peru = { name: 'Peru', capital: 'Lima' };
+        const at = (timeOfDay, season, tropical = false) => ({ ...moment, timeOfDay, season, tropical });
+
+        for (let i = 0; i < 20; i++) {
+            expect(getFallbackScenario(peru, at('early morning', 'summer')).scenario).toContain('morning mist');
+            expect(getFallbackScenario(peru, at('night', 'winter')).scenario).toContain('Lanterns');
+            expect(getFallbackScenario(peru, at('afternoon', 'winter')).scenario).toContain('golden hour');
+            expect(getFallbackScenario(peru, at('afternoon', 'winter', true)).tone).toMatch(/wistful|warm/);
+        }
+    });
+
+    test('each fallback scene keeps its own choices', () => {
+        const scene = getFallbackScenario({ name: 'Peru', capital: 'Lima' }, { ...moment, timeOfDay: 'night' });
+        expect(scene.choices.map((c) => c.text)).toContain('Head to your lodgings');
+    });
+});
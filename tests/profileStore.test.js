@@ -0,0 +1,340 @@
+/**
+ * Profile Store — Unit Tests
+ * Runs the same contract against every backend that works offline,
+ * plus backend selection from PROFILE_STORE.
+ */
+
+jest.mock('../src/utils/logger', () => ({
+    logger: {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+    },
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryProfileStore } = require('../src/storage/memoryProfileStore');
+const { JsonFileProfileStore } = require('../src/storage/jsonFileProfileStore');
+const { SqliteProfileStore, MAX_UPDATE_ATTEMPTS } = require('../src/storage/sqliteProfileStore');
+const { FirestoreProfileStore } = require('../src/storage/firestoreProfileStore');
+const { createProfileStore } = require('../src/storage/profileStore');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'atlas-profiles-'));
+
+afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const backends = [
+    ['memory', () => new MemoryProfileStore()],
+    ['file', () => new JsonFileProfileStore(path.join(tmpDir, `contract-${Date.now()}-${Math.random()}.jsonl`))],
+    ['sqlite', () => new SqliteProfileStore(':memory:')],
+];
+
+describe.each(backends)('%s profile store', (_name, create) => {
+    let store;
+
+    beforeEach(() => {
+        store = create();
+    });
+
+    test('returns null for unknown keys', async () => {
+        expect(await store.get('atlantis')).toBeNull();
+    });
+
+    test('stores and retrieves a profile', async () => {
+        const profile = { name: 'Chad', emotions: { warmth: 0.7 }, visitCount: 3 };
+        await store.set('chad', profile);
+        expect(await store.get('chad')).toEqual(profile);
+    });
+
+    test('replaces an existing profile', async () => {
+        await store.set('chad', { name: 'Chad', visitCount: 1 });
+        await store.set('chad', { name: 'Chad', visitCount: 2 });
+        expect((await store.get('chad')).visitCount).toBe(2);
+    });
+
+    test('does not leak mutations of returned objects', async () => {
+        await store.set('chad', { name: 'Chad', emotions: { warmth: 0.7 }, visitCount: 1 });
+        const profile = await store.get('chad');
+        profile.emotions.warmth = 0;
+        expect((await store.get('chad')).emotions.warmth).toBe(0.7);
+    });
+
+    test('lists profiles by visit count with a limit', async () => {
+        await store.set('chad', { name: 'Chad', visitCount: 2 });
+        await store.set('peru', { name: 'Peru', visitCount: 9 });
+        await store.set('fiji', { name: 'Fiji', visitCount: 5 });
+
+        const list = await store.list(2);
+        expect(list.map((p) => p.name)).toEqual(['Peru', 'Fiji']);
+    });
+
+    test('update passes null for a new key and stores the result', async () => {
+        const updater = jest.fn(() => ({ name: 'Chad', visitCount: 1 }));
+        const stored = await store.update('chad', updater);
+
+        expect(updater).toHaveBeenCalledWith(null);
+        expect(stored.visitCount).toBe(1);
+        expect((await store.get('chad')).visitCount).toBe(1);
+    });
+
+    test('concurrent updates are all applied', async () => {
+        const increment = (existing) => ({ name: 'Chad', visitCount: (existing?.visitCount || 0) + 1 });
+
+        await Promise.all(Array.from({ length: 25 }, () => store.update('chad', increment)));
+
+        expect((await store.get('chad')).visitCount).toBe(25);
+    });
+
+    test('update rejects when the updater throws', async () => {
+        await expect(store.update('chad', () => { throw new Error('boom'); })).rejects.toThrow('boom');
+        expect(await store.get('chad')).toBeNull();
+    });
+
+    test('lists echoes in the order they were appended', async () => {
+        const first = { id: 'e1', key: 'chad', country: 'Chad', emotions: { warmth: 1 }, recordedAt: '2026-01-01T00:00:00.000Z' };
+        const second = { id: 'e2', key: 'peru', country: 'Peru', emotions: { tension: 1 }, recordedAt: '2026-01-02T00:00:00.000Z' };
+        await store.appendEcho(first);
+        await store.appendEcho(second);
+
+        expect(await store.listEchoes()).toEqual([first, second]);
+    });
+
+    test('appends an echo ID only once', async () => {
+        const echo = { id: 'e1', key: 'chad', country: 'Chad', emotions: { warmth: 1 }, recordedAt: '2026-01-01T00:00:00.000Z' };
+
+        expect(await store.appendEcho(echo)).toBe(true);
+        expect(await store.appendEcho({ ...echo, emotions: { tension: 1 } })).toBe(false);
+        expect(await store.listEchoes()).toEqual([echo]);
+    });
+
+    test('keeps one snapshot per day and lists a range oldest first', async () => {
+        await store.setSnapshot('chad', { day: '2026-01-03', visitCount: 3 });
+        await store.setSnapshot('chad', { day: '2026-01-01', visitCount: 1 });
+        await store.setSnapshot('chad', { day: '2026-01-01', visitCount: 2 });
+        await store.setSnapshot('chad', { day: '2026-02-01', visitCount: 9 });
+        await store.setSnapshot('peru', { day: '2026-01-02', visitCount: 1 });
+
+        const snapshots = await store.listSnapshots('chad', '2026-01-01', '2026-01-31');
+        expect(snapshots).toEqual([{ day: '2026-01-01', visitCount: 2 }, { day: '2026-01-03', visitCount: 3 }]);
+        expect(await store.listSnapshots('atlantis', '2026-01-01', '2026-12-31')).toEqual([]);
+    });
+});
+
+describe('JsonFileProfileStore persistence', () => {
+    test('replays the log after a restart, last write wins', async () => {
+        const file = path.join(tmpDir, 'persist.jsonl');
+
+        const first = new JsonFileProfileStore(file);
+        await first.set('chad', { name: 'Chad', visitCount: 1 });
+        await first.set('chad', { name: 'Chad', visitCount: 2 });
+
+        const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+        expect(lines).toHaveLength(2);
+
+        const restarted = new JsonFileProfileStore(file);
+        expect((await restarted.get('chad')).visitCount).toBe(2);
+    });
+
+    test('skips a torn trailing line', async () => {
+        const file = path.join(tmpDir, 'torn.jsonl');
+        fs.writeFileSync(file, `${JSON.stringify({ key: 'chad', profile: { name: 'Chad', visitCount: 4 } })}\n{"key":"pe`);
+
+        const store = new JsonFileProfileStore(file);
+        expect((await store.get('chad')).visitCount).toBe(4);
+        expect(await store.get('peru')).toBeNull();
+    });
+
+    test('replays echoes alongside profiles after a restart', async () => {
+        const file = path.join(tmpDir, 'echoes.jsonl');
+        const echo = { id: 'e1', key: 'chad', country: 'Chad', emotions: { warmth: 1 }, recordedAt: '2026-01-01T00:00:00.000Z' };
+
+        const first = new JsonFileProfileStore(file);
+        await first.appendEcho(echo);
+        await first.set('chad', { name: 'Chad', visitCount: 1 });
+
+        const restarted = new JsonFileProfileStore(file);
+        expect(await restarted.listEchoes()).toEqual([echo]);
+        expect((await restarted.list(10)).map((p) => p.name)).toEqual(['Chad']);
+    });
+
+    test('replays snapshots after a restart', async () => {
+        const file = path.join(tmpDir, 'snapshots.jsonl');
+
+        const first = new JsonFileProfileStore(file);
+        await first.setSnapshot('chad', { day: '2026-01-01', visitCount: 1 });
+        await first.setSnapshot('chad', { day: '2026-01-01', visitCount: 2 });
+
+        const restarted = new JsonFileProfileStore(file);
+        expect(await restarted.listSnapshots('chad', '2026-01-01', '2026-01-01')).toEqual([{ day: '2026-01-01', visitCount: 2 }]);
+        expect(await restarted.get('chad')).toBeNull();
+    });
+});
+
+describe('JsonFileProfileStore compaction', () => {
+    const readLines = (file) => fs.readFileSync(file, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+
+    test('rewrites a mostly superseded log at startup', async () => {
+        const file = path.join(tmpDir, 'compact-startup.jsonl');
+        const echo = { id: 'e1', key: 'chad', country: 'Chad', emotions: { warmth: 1 }, recordedAt: '2026-01-01T00:00:00.000Z' };
+        const lines = [{ echo }, { key: 'chad', snapshot: { day: '2026-01-01', visitCount: 1 } }];
+        for (let visitCount = 1; visitCount <= 12; visitCount++) lines.push({ key: 'chad', profile: { name: 'Chad', visitCount } });
+        fs.writeFileSync(file, lines.map((line) => `${JSON.stringify(line)}\n`).join(''));
+
+        const store = new JsonFileProfileStore(file, { compactMinLines: 10 });
+        expect((await store.get('chad')).visitCount).toBe(12);
+
+        const compacted = readLines(file);
+        expect(compacted).toHaveLength(3);
+        expect(compacted.filter((line) => line.profile)).toEqual([expect.objectContaining({ key: 'chad', profile: { name: 'Chad', visitCount: 12 } })]);
+
+        const restarted = new JsonFileProfileStore(file);
+        expect(await restarted.listEchoes()).toEqual([echo]);
+        expect(await restarted.listSnapshots('chad', '2026-01-01', '2026-01-01')).toEqual([{ day: '2026-01-01', visitCount: 1 }]);
+    });
+
+    test('drops lines that are not a profile, snapshot or echo write', async () => {
+        const file = path.join(tmpDir, 'compact-unrecognized.jsonl');
+        const lines = [{ foo: 1 }, { key: 'peru' }, { profile: { name: 'Nowhere', visitCount: 1 } }];
+        for (let visitCount = 1; visitCount <= 12; visitCount++) lines.push({ key: 'chad', profile: { name: 'Chad', visitCount } });
+        fs.writeFileSync(file, lines.map((line) => `${JSON.stringify(line)}\n`).join(''));
+
+        const store = new JsonFileProfileStore(file, { compactMinLines: 10 });
+        expect((await store.list(10)).map((p) => p.name)).toEqual(['Chad']);
+        expect(await store.get('peru')).toBeNull();
+
+        expect(readLines(file)).toEqual([expect.objectContaining({ key: 'chad', profile: { name: 'Chad', visitCount: 12 } })]);
+    });
+
+    test('compacts while running once appends go idle', async () => {
+        const file = path.join(tmpDir, 'compact-running.jsonl');
+        const store = new JsonFileProfileStore(file, { compactMinLines: 10 });
+
+        for (let visitCount = 1; visitCount <= 12; visitCount++) await store.set('peru', { name: 'Peru', visitCount });
+
+        expect(readLines(file).length).toBeLessThan(12);
+        const restarted = new JsonFileProfileStore(file);
+        expect((await restarted.get('peru')).visitCount).toBe(12);
+    });
+
+    test('leaves a log of live records alone', async () => {
+        const file = path.join(tmpDir, 'compact-live.jsonl');
+        const store = new JsonFileProfileStore(file, { compactMinLines: 10 });
+
+        for (let i = 0; i < 12; i++) await store.set(`country-${i}`, { name: `Country ${i}`, visitCount: 1 });
+
+        expect(readLines(file)).toHaveLength(12);
+    });
+});
+
+describe('JsonFileProfileStore concurrent updates', () => {
+    test('log replays to the same state as memory', async () => {
+        const file = path.join(tmpDir, 'concurrent.jsonl');
+        const store = new JsonFileProfileStore(file);
+        const increment = (existing) => ({ name: 'Peru', visitCount: (existing?.visitCount || 0) + 1 });
+
+        await Promise.all(Array.from({ length: 20 }, () => store.update('peru', increment)));
+
+        const restarted = new JsonFileProfileStore(file);
+        expect((await restarted.get('peru')).visitCount).toBe(20);
+    });
+});
+
+describe('SqliteProfileStore compare-and-swap', () => {
+    test('retries when another connection writes between read and swap', async () => {
+        const file = path.join(tmpDir, 'cas.sqlite');
+        const store = new SqliteProfileStore(file);
+        const otherProcess = new SqliteProfileStore(file);
+        await store.set('chad', { name: 'Chad', visitCount: 1 });
+
+        let calls = 0;
+        const result = await store.update('chad', (existing) => {
+            calls++;
+            if (calls === 1) otherProcess.set('chad', { name: 'Chad', visitCount: existing.visitCount + 10 });
+            return { name: 'Chad', visitCount: existing.visitCount + 1 };
+        });
+
+        expect(calls).toBe(2);
+        expect(result.visitCount).toBe(12);
+        expect((await store.get('chad')).visitCount).toBe(12);
+    });
+
+    test('gives up after repeated conflicts', async () => {
+        const file = path.join(tmpDir, 'cas-conflict.sqlite');
+        const store = new SqliteProfileStore(file);
+        const otherProcess = new SqliteProfileStore(file);
+        await store.set('chad', { name: 'Chad', visitCount: 1 });
+
+        const updater = jest.fn((existing) => {
+            otherProcess.set('chad', { name: 'Chad', visitCount: existing.visitCount + 1 });
+            return { name: 'Chad', visitCount: 0 };
+        });
+
+        await expect(store.update('chad', updater)).rejects.toThrow('conflicted');
+        expect(updater).toHaveBeenCalledTimes(MAX_UPDATE_ATTEMPTS);
+    });
+});
+
+describe('FirestoreProfileStore.update', () => {
+    test('runs the updater inside a transaction', async () => {
+        const ref = { id: 'chad' };
+        const tx = {
+            get: jest.fn().mockResolvedValue({ exists: true, data: () => ({ name: 'Chad', visitCount: 4 }) }),
+            set: jest.fn(),
+        };
+        const db = {
+            collection: () => ({ doc: () => ref }),
+            runTransaction: jest.fn((fn) => fn(tx)),
+        };
+
+        const store = new FirestoreProfileStore(db);
+        const result = await store.update('chad', (existing) => ({ ...existing, visitCount: existing.visitCount + 1 }));
+
+        expect(db.runTransaction).toHaveBeenCalledWith(expect.any(Function), { maxAttempts: expect.any(Number) });
+        expect(tx.set).toHaveBeenCalledWith(ref, { name: 'Chad', visitCount: 5 });
+        expect(result.visitCount).toBe(5);
+    });
+});
+
+describe('FirestoreProfileStore.appendEcho', () => {
+    test('creates the echo document and reports one that already exists', async () => {
+        const create = jest.fn()
+            .mockResolvedValueOnce(undefined)
+            .mockRejectedValueOnce(Object.assign(new Error('already exists'), { code: 6 }));
+        const db = { collection: () => ({ doc: () => ({ create }) }) };
+
+        const store = new FirestoreProfileStore(db);
+        expect(await store.appendEcho({ id: 'e1' })).toBe(true);
+        expect(await store.appendEcho({ id: 'e1' })).toBe(false);
+    });
+});
+
+describe('createProfileStore', () => {
+    const originalPath = process.env.PROFILE_STORE_PATH;
+
+    afterEach(() => {
+        if (originalPath === undefined) delete process.env.PROFILE_STORE_PATH;
+        else process.env.PROFILE_STORE_PATH = originalPath;
+    });
+
+    test('selects each backend by name', () => {
+        expect(createProfileStore('memory').name).toBe('memory');
+        expect(createProfileStore('FILE').name).toBe('file');
+
+        process.env.PROFILE_STORE_PATH = ':memory:';
+        expect(createProfileStore('sqlite').name).toBe('sqlite');
+    });
+
+    test('falls back to memory when Firestore is not configured', () => {
+        expect(createProfileStore('firestore').name).toBe('memory');
+        expect(createProfileStore('').name).toBe('memory');
+    });
+
+    test('falls back to memory for unknown backends', () => {
+        expect(createProfileStore('cassandra').name).toBe('memory');
+    });
+});
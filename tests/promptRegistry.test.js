@@ -0,0 +1,151 @@
+/**
+ * Prompt Template Registry — Unit Tests
+ * Loading versioned templates, weighted selection, rendering, and the
+ * version travelling from scenario to ticket.
+ */
+
+jest.mock('../src/utils/logger', () => ({
+    logger: {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+    },
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    readPromptTemplates,
+    loadPromptRegistry,
+    selectPromptTemplate,
+    renderPrompt,
+    listPromptVersions,
+} = require('../src/config/promptRegistry');
+const { buildPrompt, generateScenario } = require('../src/services/scenarioGenerator');
+const { issueScenarioTicket, getScenarioTicket } = require('../src/services/scenarioTicketService');
+const { setLlmProvider } = require('../src/llm/llmProvider');
+const { StubProvider } = require('../src/llm/stubProvider');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'atlas-prompts-'));
+
+/**
+ * Write a template directory.
+ * @param {Object} manifest - manifest.json contents
+ * @param {Object<string, string>} files - Template files by name
+ * @returns {string} Directory path
+ */
+function writeTemplates(manifest, files) {
+    const dir = fs.mkdtempSync(path.join(tmpDir, 'set-'));
+    fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify(manifest));
+    for (const [file, text] of Object.entries(files)) fs.writeFileSync(path.join(dir, file), text);
+    return dir;
+}
+
+const abDir = writeTemplates({
+    scenario: [
+        { version: 'a', file: 'a.txt', weight: 3 },
+        { version: 'b', file: 'b.txt', weight: 1 },
+        { version: 'c', file: 'c.txt', weight: 0 },
+    ],
+}, { 'a.txt': 'A in {{country}}\n', 'b.txt': 'B in {{ country }} with {{numChoices}}', 'c.txt': 'C' });
+
+afterEach(() => {
+    delete process.env.PROMPT_TEMPLATES_DIR;
+});
+
+afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('readPromptTemplates', () => {
+    test('loads templates with their variables and a trimmed final newline', () => {
+        const [a, b] = readPromptTemplates(abDir).get('scenario');
+        expect(a).toMatchObject({ name: 'scenario', version: 'a', weight: 3, text: 'A in {{country}}', variables: ['country'] });
+        expect(b.variables).toEqual(['country', 'numChoices']);
+    });
+
+    test.each([
+        ['an empty prompt', { scenario: [] }],
+        ['an invalid version', { scenario: [{ version: 'bad version', file: 'a.txt' }] }],
+        ['a duplicate version', { scenario: [{ version: 'a', file: 'a.txt' }, { version: 'a', file: 'a.txt' }] }],
+        ['a negative weight', { scenario: [{ version: 'a', file: 'a.txt', weight: -1 }] }],
+        ['a missing file', { scenario: [{ version: 'a', file: 'missing.txt' }] }],
+    ])('rejects %s', (_label, manifest) => {
+        expect(() => readPromptTemplates(writeTemplates(manifest, { 'a.txt': 'A' }))).toThrow();
+    });
+
+    test('falls back to the bundled templates for an unusable directory', () => {
+        process.env.PROMPT_TEMPLATES_DIR = path.join(tmpDir, 'missing');
+        expect(loadPromptRegistry().get('scenario').map((t) => t.version)).toEqual(['scenario-v1', 'scenario-v2', 'scenario-v3', 'scenario-v4']);
+
+        process.env.PROMPT_TEMPLATES_DIR = abDir;
+        expect(loadPromptRegistry().get('scenario')).toHaveLength(3);
+    });
+});
+
+describe('selectPromptTemplate', () => {
+    const registry = readPromptTemplates(abDir);
+
+    test('picks by weight', () => {
+        const pick = (r) => selectPromptTemplate('scenario', { random: () => r }, registry).version;
+        expect(pick(0)).toBe('a');
+        expect(pick(0.74)).toBe('a');
+        expect(pick(0.75)).toBe('b');
+        expect(pick(0.999)).toBe('b');
+    });
+
+    test('honours a pinned version, including weight 0', () => {
+        expect(selectPromptTemplate('scenario', { version: 'c' }, registry).version).toBe('c');
+        expect(selectPromptTemplate('scenario', { version: 'zzz', random: () => 0.9 }, registry).version).toBe('b');
+    });
+
+    test('throws for an unknown prompt', () => {
+        expect(() => selectPromptTemplate('haiku', {}, registry)).toThrow('No prompt templates');
+    });
+});
+
+describe('renderPrompt', () => {
+    const [, b] = readPromptTemplates(abDir).get('scenario');
+
+    test('fills placeholders', () => {
+        expect(renderPrompt(b, { country: 'Chad', numChoices: 3 })).toBe('B in Chad with 3');
+    });
+
+    test('throws on a variable that was not supplied', () => {
+        expect(() => renderPrompt(b, { country: 'Chad' })).toThrow('{{numChoices}}');
+    });
+});
+
+describe('scenario prompts', () => {
+    afterEach(() => {
+        delete process.env.SCENARIO_PROMPT_VERSION;
+        setLlmProvider(undefined);
+    });
+
+    test('the bundled template renders with every variable filled', () => {
+        const { prompt, version } = buildPrompt({ name: 'Chad', capital: "N'Djamena", region: 'Central Africa' }, null, 4);
+        expect(version).toBe('scenario-v4');
+        expect(prompt).toContain("set in Chad (capital: N'Djamena)");
+        expect(prompt).toContain('Generate 4 distinct choices');
+        expect(prompt).not.toMatch(/\{\{/);
+        expect(listPromptVersions('scenario')).toEqual([
+            { version: 'scenario-v1', weight: 0 },
+            { version: 'scenario-v2', weight: 0 },
+            { version: 'scenario-v3', weight: 0 },
+            { version: 'scenario-v4', weight: 1 },
+        ]);
+    });
+
+    test('the version is recorded on the scenario and its ticket', async () => {
+        setLlmProvider(new StubProvider({ seed: 5 }));
+        const country = { name: 'Chad', capital: "N'Djamena", region: 'Central Africa', lat: 15, lng: 19 };
+
+        const scenario = await generateScenario(country);
+        expect(scenario.promptVersion).toBe('scenario-v4');
+
+        const ticket = await getScenarioTicket(await issueScenarioTicket(scenario, country));
+        expect(ticket.promptVersion).toBe('scenario-v4');
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * Contribution Limits & Quarantine Review — Integration Tests
+ * Kept apart from api.test.js so these requests have their own rate-limit budget.
+ */
+
+const request = require('supertest');
+const app = require('../server');
+const { resetContributionGuard } = require('../src/services/contributionGuard');
+
+/** Start a session and enter a country, as the frontend does before asking for a scene */
+async function enterCountry(country) {
+    const { body: session } = await request(app).post('/api/sessions').send({});
+    await request(app).post('/api/validate-country').send({ country, sessionId: session.id });
+    return session.id;
+}
+
+describe('Contribution limits and quarantine review', () => {
+    const ADMIN_TOKEN = 'test-admin-token';
+
+    /**
+     * Play one scenario in a country and submit its first outcome.
+     * @param {string} country
+     */
+    async function playOnce(country) {
+        const { body: scenario } = await request(app).post('/api/generate-scenario').send({ country, sessionId: await enterCountry(country) });
+        return request(app).post('/api/submit-choice').send({ scenarioId: scenario.scenarioId, choiceId: 'A1' });
+    }
+
+    beforeEach(() => {
+        process.env.ECHO_DAILY_LIMIT = '1';
+        process.env.ADMIN_TOKEN = ADMIN_TOKEN;
+        resetContributionGuard();
+    });
+
+    afterEach(() => {
+        delete process.env.ECHO_DAILY_LIMIT;
+        delete process.env.ADMIN_TOKEN;
+        resetContributionGuard();
+    });
+
+    test('quarantines a second choice for the same country on the same day', async () => {
+        const first = await playOnce('Tonga');
+        expect(first.body.counted).toBe(true);
+
+        const second = await playOnce('Tonga');
+        expect(second.status).toBe(200);
+        expect(second.body.counted).toBe(false);
+        expect(second.body.profile.visitCount).toBe(first.body.profile.visitCount);
+
+        const other = await playOnce('Samoa');
+        expect(other.body.counted).toBe(true);
+    });
+
+    test('admin endpoints require the configured token', async () => {
+        const missing = await request(app).get('/api/admin/quarantine');
+        expect(missing.status).toBe(401);
+        expect(missing.body.code).toBe('UNAUTHORIZED');
+
+        const wrong = await request(app).get('/api/admin/quarantine').set('Authorization', 'Bearer nope');
+        expect(wrong.status).toBe(401);
+
+        delete process.env.ADMIN_TOKEN;
+        const disabled = await request(app).get('/api/admin/quarantine').set('Authorization', `Bearer ${ADMIN_TOKEN}`);
+        expect(disabled.status).toBe(503);
+    });
+
+    test('a released echo counts towards the profile once', async () => {
+        await playOnce('Bhutan');
+        const held = await playOnce('Bhutan');
+        expect(held.body.counted).toBe(false);
+
+        const auth = { Authorization: `Bearer ${ADMIN_TOKEN}` };
+        const list = await request(app).get('/api/admin/quarantine').set(auth);
+        expect(list.status).toBe(200);
+        const echo = list.body.echoes.find((e) => e.country === 'Bhutan');
+        expect(echo.quarantine.reason).toBe('daily_limit');
+
+        const invalid = await request(app).post(`/api/admin/quarantine/${echo.id}`).set(auth).send({ decision: 'maybe' });
+        expect(invalid.status).toBe(400);
+
+        const released = await request(app).post(`/api/admin/quarantine/${echo.id}`).set(auth).send({ decision: 'release' });
+        expect(released.status).toBe(200);
+        expect(released.body.review.decision).toBe('released');
+        expect(released.body.profile.visitCount).toBe(held.body.profile.visitCount + 1);
+
+        const profile = await request(app).get('/api/country-profile/Bhutan');
+        expect(profile.body.visitCount).toBe(released.body.profile.visitCount);
+
+        const again = await request(app).post(`/api/admin/quarantine/${echo.id}`).set(auth).send({ decision: 'reject' });
+        expect(again.status).toBe(409);
+
+        const unknown = await request(app).post('/api/admin/quarantine/nope').set(auth).send({ decision: 'reject' });
+        expect(unknown.status).toBe(404);
+    });
+});
@@ -0,0 +1,109 @@
+/**
+ * Region Aggregation Service — Unit Tests
+ */
+
+jest.mock('../src/utils/logger', () => ({
+    logger: {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+    },
+}));
+
+const {
+    aggregateRegion,
+    findRegion,
+    toSlug,
+    getRegionProfile,
+    getRegionSummaries,
+    REGIONS,
+    CONTINENTS,
+} = require('../src/services/regionService');
+const { updateCountryProfile } = require('../src/services/emotionEngine');
+const { setProfileStore } = require('../src/storage/profileStore');
+const { MemoryProfileStore } = require('../src/storage/memoryProfileStore');
+
+const vector = (overrides) => ({ warmth: 0, loneliness: 0, tension: 0, nostalgia: 0, belonging: 0, ...overrides });
+
+describe('region definitions', () => {
+    test('groups every country into one region and one continent', () => {
+        const inRegions = REGIONS.reduce((sum, r) => sum + r.countries.size, 0);
+        const inContinents = CONTINENTS.reduce((sum, c) => sum + c.countries.size, 0);
+        expect(inRegions).toBe(inContinents);
+        expect(findRegion('West Africa').countries.has('ghana')).toBe(true);
+    });
+
+    test('slugs are URL-safe', () => {
+        expect(toSlug('South-East Asia')).toBe('south-east-asia');
+        expect(toSlug('Europe/Asia')).toBe('europe-asia');
+    });
+
+    test('finds by name or slug, preferring regions unless a level is given', () => {
+        expect(findRegion('west-africa').name).toBe('West Africa');
+        expect(findRegion('North America').level).toBe('region');
+        expect(findRegion('North America', 'continent').countries.size).toBeGreaterThan(findRegion('North America').countries.size);
+        expect(findRegion('Atlantis')).toBeNull();
+    });
+
+    test('centroids of antimeridian regions stay in the Pacific', () => {
+        expect(Math.abs(findRegion('Polynesia').lng)).toBeGreaterThan(150);
+    });
+});
+
+describe('aggregateRegion', () => {
+    const westAfrica = findRegion('West Africa');
+
+    test('weights member vectors by visit count', () => {
+        const result = aggregateRegion(westAfrica, [
+            { name: 'Ghana', visitCount: 3, emotions: vector({ warmth: 1 }), dominantEmotion: 'warmth' },
+            { name: 'Mali', visitCount: 1, emotions: vector({ tension: 1 }), dominantEmotion: 'tension' },
+            { name: 'Japan', visitCount: 50, emotions: vector({ loneliness: 1 }), dominantEmotion: 'loneliness' },
+        ]);
+
+        expect(result.visitCount).toBe(4);
+        expect(result.visitedCountries).toBe(2);
+        expect(result.emotions.warmth).toBe(0.75);
+        expect(result.emotions.tension).toBe(0.25);
+        expect(result.emotions.loneliness).toBe(0);
+        expect(result.dominantEmotion).toBe('warmth');
+        expect(result.topCountries).toEqual([
+            { name: 'Ghana', visitCount: 3, share: 0.75, dominantEmotion: 'warmth' },
+            { name: 'Mali', visitCount: 1, share: 0.25, dominantEmotion: 'tension' },
+        ]);
+    });
+
+    test('reports an unvisited region as neutral with no vector', () => {
+        const result = aggregateRegion(westAfrica, []);
+        expect(result.visitCount).toBe(0);
+        expect(result.emotions).toBeNull();
+        expect(result.dominantEmotion).toBe('neutral');
+        expect(result.topCountries).toEqual([]);
+    });
+});
+
+describe('region profiles from the store', () => {
+    beforeEach(() => {
+        setProfileStore(new MemoryProfileStore());
+    });
+
+    afterAll(() => {
+        setProfileStore(null);
+    });
+
+    test('aggregates stored profiles for regions and continents', async () => {
+        await updateCountryProfile('Ghana', vector({ warmth: 1 }), { name: 'Ghana' });
+        await updateCountryProfile('Kenya', vector({ tension: 1 }), { name: 'Kenya' });
+
+        const region = await getRegionProfile('west-africa');
+        expect(region.visitCount).toBe(1);
+        expect(region.topCountries.map((c) => c.name)).toEqual(['Ghana']);
+
+        const { continents } = await getRegionSummaries();
+        expect(continents.find((c) => c.name === 'Africa').visitCount).toBe(2);
+    });
+
+    test('returns null for an unknown region', async () => {
+        expect(await getRegionProfile('atlantis')).toBeNull();
+    });
+});
@@ -1,15 +1,20 @@
 /**
  * Scenario Generator — Unit Tests
  * Tests normalizeEmotions, isValidScenario, sanitizeText, getFallbackScenario
+ * and scenarios generated in another language
  */
 
 const {
+    generateScenario,
     normalizeEmotions,
     isValidScenario,
     getFallbackScenario,
+    getScenarioOutcomes,
+    combineEmotions,
     sanitizeText,
     EMOTION_DIMENSIONS,
 } = require('../src/services/scenarioGenerator');
+const { setLlmProvider } = require('../src/llm/llmProvider');
 
 describe('normalizeEmotions', () => {
     test('normalizes values within 0-1 range', () => {
@@ -148,6 +153,56 @@ describe('isValidScenario', () => {
     });
 });
 
+describe('two-step scenarios', () => {
+    const followUp = {
+        scenario: 'The vendor smiles back.',
+        choices: [
+            { text: 'Buy two', emotions: { warmth: 0.9 } },
+            { text: 'Say goodbye', emotions: { loneliness: 0.4 } },
+        ],
+    };
+    const branching = (beat) => ({
+        scenario: 'A market at dusk.',
+        choices: [
+            { text: 'Buy a mango', emotions: { warmth: 0.6 }, followUp: beat },
+            { text: 'Keep walking', emotions: { loneliness: 0.5 } },
+            { text: 'Watch the stalls', emotions: { nostalgia: 0.5 } },
+        ],
+    });
+
+    test('accepts choices with and without a follow-up beat', () => {
+        expect(isValidScenario(branching(followUp))).toBe(true);
+    });
+
+    test.each([
+        ['an empty follow-up scene', { ...followUp, scenario: '' }],
+        ['a single follow-up choice', { ...followUp, choices: followUp.choices.slice(0, 1) }],
+        ['an invalid follow-up choice', { ...followUp, choices: [...followUp.choices, { text: '', emotions: {} }] }],
+        ['a third decision', { ...followUp, choices: [{ ...followUp.choices[0], followUp }, followUp.choices[1]] }],
+    ])('rejects %s', (_label, beat) => {
+        expect(isValidScenario(branching(beat))).toBe(false);
+    });
+
+    test('combineEmotions blends both decisions equally', () => {
+        expect(combineEmotions({ warmth: 1, tension: 0.2 }, { warmth: 0, tension: 0.6 })).toEqual({
+            warmth: 0.5, loneliness: 0, tension: 0.4, nostalgia: 0, belonging: 0,
+        });
+    });
+
+    test('every fallback choice branches into a valid follow-up', () => {
+        const fallback = getFallbackScenario({ name: 'Chad', capital: "N'Djamena" });
+
+        expect(isValidScenario(fallback)).toBe(true);
+        fallback.choices.forEach((choice) => {
+            expect(choice.followUp.choices.every((next) => next.id.startsWith(choice.id))).toBe(true);
+        });
+
+        const outcomes = getScenarioOutcomes(fallback);
+        expect(outcomes.map((o) => o.id)).toEqual(fallback.choices.flatMap((c) => c.followUp.choices.map((n) => n.id)));
+        expect(Object.keys(outcomes[0].emotions)).toEqual(EMOTION_DIMENSIONS);
+    });
+});
+
 describe('sanitizeText', () => {
     test('removes HTML tags', () => {
         expect(sanitizeText('Hello <b>world</b>')).toBe('Hello world');
@@ -177,6 +232,81 @@ describe('sanitizeText', () => {
     test('trims whitespace', () => {
         expect(sanitizeText('  hello  ')).toBe('hello');
     });
+
+    test('keeps accented letters, other scripts and currency symbols', () => {
+        for (const text of [
+            "Côte d’Ivoire — São Tomé",
+            '東京の市場で、魚を買う。',
+            'مرحبا بك في القاهرة؟',
+            'नमस्ते दोस्त।',
+            '«Bonjour» ¿Qué tal? It costs ₹50, €3 or $2.',
+        ]) {
+            expect(sanitizeText(text)).toBe(text);
+        }
+    });
+
+    test('keeps zero-width joiners and normalizes to NFC', () => {
+        expect(sanitizeText('क्\u200Dष')).toBe('क्\u200Dष');
+        expect(sanitizeText('Se\u0301ne\u0301gal')).toBe('Sénégal');
+    });
+
+    test('removes markup, control characters and bidi overrides', () => {
+        expect(sanitizeText('Hi <script>alert(1)</script>{{x}} `y` a\u0007b \u202Eevil')).toBe('Hi alert(1)x y ab evil');
+        expect(sanitizeText('line one\nline two')).toBe('line one line two');
+    });
+
+    test('does not split a character when truncating', () => {
+        const result = sanitizeText('𩸽'.repeat(600));
+        expect(Array.from(result)).toHaveLength(500);
+        expect(result.endsWith('𩸽')).toBe(true);
+    });
+});
+
+describe('localized scenarios', () => {
+    const japan = { name: 'Japan', capital: 'Tokyo', region: 'Eastern Asia' };
+
+    /**
+     * Fake provider answering in Japanese, and passing its own critique.
+     */
+    const japaneseProvider = () => ({
+        name: 'fake',
+        generateJson: jest.fn((prompt) => {
+            if (prompt.startsWith('CONTENT REVIEW')) return Promise.resolve({ safe: true, issues: [] });
+            const count = Number(prompt.match(/Generate (\d) distinct choices/)[1]);
+            const choices = ['おにぎりを一つ買う', '店主に道を尋ねる', '黙って通り過ぎる', '雨宿りをする']
+                .slice(0, count)
+                .map((text) => ({ text, emotions: { warmth: 0.6 } }));
+            return Promise.resolve({ scenario: '雨の朝、駅前の屋台で店主がおにぎりを包んでいる。あなたに気づいて微笑む。', choices });
+        }),
+    });
+
+    afterEach(() => {
+        setLlmProvider(undefined);
+    });
+
+    test('asks for the requested language and keeps the text intact', async () => {
+        const provider = japaneseProvider();
+        setLlmProvider(provider);
+
+        const scenario = await generateScenario(japan, null, { language: 'ja' });
+
+        expect(provider.generateJson.mock.calls[0][0]).toContain('Write every scene and choice in Japanese');
+        expect(scenario).toMatchObject({ generated: true, language: 'ja' });
+        expect(scenario.scenario).toBe('雨の朝、駅前の屋台で店主がおにぎりを包んでいる。あなたに気づいて微笑む。');
+        expect(scenario.choices[0].text).toBe('おにぎりを一つ買う');
+        expect(provider.generateJson.mock.calls[1][0]).toContain('CONTENT REVIEW');
+    });
+
+    test('falls back to English for an unsupported language', async () => {
+        const provider = japaneseProvider();
+        setLlmProvider(provider);
+
+        const scenario = await generateScenario(japan, null, { language: 'tlh' });
+
+        expect(provider.generateJson.mock.calls[0][0]).toContain('Write every scene and choice in English');
+        expect(scenario.language).toBe('en');
+        expect(getFallbackScenario(japan).language).toBe('en');
+    });
 });
 
 describe('getFallbackScenario', () => {
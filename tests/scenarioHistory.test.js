@@ -0,0 +1,161 @@
+/**
+ * Scenario History — Unit Tests
+ * Fingerprinting scenes, near-duplicate detection, the per-country history,
+ * and the generator regenerating a repeated moment.
+ */
+
+jest.mock('../src/utils/logger', () => ({
+    logger: {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+    },
+}));
+
+const {
+    fingerprintScenario,
+    findNearDuplicate,
+    getScenarioHistory,
+    rememberScenario,
+    describeHistory,
+    resetScenarioHistory,
+    HISTORY_SIZE,
+} = require('../src/services/scenarioHistory');
+const { generateScenario, buildPrompt } = require('../src/services/scenarioGenerator');
+const { setLlmProvider } = require('../src/llm/llmProvider');
+const { getCounters, resetCounters } = require('../src/utils/metrics');
+
+const vendorScene = 'At the Makola market in Accra, a fruit vendor is stacking mangoes and calling out prices. You notice her daughter counting coins.';
+const vendorAgain = 'In a busy Accra market, vendors are calling to passers-by while stacking pineapples. You notice the smell of grilled plantain.';
+const harbourScene = 'At dawn in Jamestown, fishermen haul a painted canoe up the sand. A boy runs between them carrying a bucket of ice.';
+
+afterEach(() => {
+    resetScenarioHistory();
+});
+
+describe('fingerprintScenario', () => {
+    test('picks out people, places and activities', () => {
+        const fp = fingerprintScenario(vendorScene);
+        expect(fp.characters).toEqual(expect.arrayContaining(['vendor']));
+        expect(fp.settings).toEqual(['market']);
+        expect(fp.activities).toEqual(expect.arrayContaining(['stacking', 'calling', 'counting']));
+        expect(fp.terms).not.toContain('the');
+    });
+
+    test('normalizes plurals and skips "-ing" words that are not activities', () => {
+        const fp = fingerprintScenario('Every morning the fishermen and vendors meet at the harbours, selling something.');
+        expect(fp.characters).toEqual(['fishermen', 'vendor']);
+        expect(fp.settings).toEqual(['harbour']);
+        expect(fp.activities).toEqual(['selling']);
+    });
+});
+
+describe('findNearDuplicate', () => {
+    test('flags the same kind of person doing the same thing in the same place', () => {
+        const history = [fingerprintScenario(harbourScene), fingerprintScenario(vendorScene)];
+        expect(findNearDuplicate(fingerprintScenario(vendorAgain), history)).toBe(history[1]);
+    });
+
+    test('flags a reworded scene with mostly the same words', () => {
+        const reworded = vendorScene.replace('fruit vendor', 'fruit seller').replace('stacking', 'piling');
+        expect(findNearDuplicate(fingerprintScenario(reworded), [fingerprintScenario(vendorScene)])).not.toBeNull();
+    });
+
+    test('lets a different moment through', () => {
+        expect(findNearDuplicate(fingerprintScenario(harbourScene), [fingerprintScenario(vendorScene)])).toBeNull();
+        expect(findNearDuplicate(fingerprintScenario(vendorScene), [])).toBeNull();
+    });
+
+    test('catches a reworded scene in a language without lexicons', () => {
+        const scene = '市場で年配の商人が朝の光の中でマンゴーを積み上げ、通りすがりの人に声をかけている。';
+        const reworded = '朝の光の中、市場で年配の商人がマンゴーを積み上げて、通りすがりの人に声をかける。';
+        const other = '雨の夜、駅のホームで学生が最終電車を待ちながら古い手紙を読み返している。';
+        const history = [fingerprintScenario(scene, 'ja')];
+
+        expect(findNearDuplicate(fingerprintScenario(reworded, 'ja'), history)).toBe(history[0]);
+        expect(findNearDuplicate(fingerprintScenario(other, 'ja'), history)).toBeNull();
+        expect(findNearDuplicate(fingerprintScenario(scene, 'en'), history)).toBeNull();
+        expect(describeHistory(history)).toBe('');
+    });
+});
+
+describe('scenario history', () => {
+    test('keeps the newest scenes per country, case-insensitively', () => {
+        const scenes = Array.from({ length: HISTORY_SIZE + 2 }, () => fingerprintScenario(vendorScene));
+        for (const fp of scenes) rememberScenario('Ghana', fp);
+
+        const history = getScenarioHistory('GHANA');
+        expect(history).toHaveLength(HISTORY_SIZE);
+        expect(history[0]).toBe(scenes[2]);
+        expect(history[HISTORY_SIZE - 1]).toBe(scenes[HISTORY_SIZE + 1]);
+        expect(getScenarioHistory('Togo')).toEqual([]);
+    });
+
+    test('describes remembered scenes for the prompt', () => {
+        const text = describeHistory([fingerprintScenario(vendorScene), fingerprintScenario('You wait quietly.')]);
+        expect(text.split('\n')[0]).toMatch(/^- vendor.* at a market \(stacking, calling, counting\)$/);
+        expect(text.split('\n')[1]).toBe('- someone');
+    });
+
+    test('is listed in the prompt as moments to avoid', () => {
+        const ghana = { name: 'Ghana', capital: 'Accra', region: 'West Africa' };
+        expect(buildPrompt(ghana, null, 3).prompt).not.toContain('RECENTLY SHOWN');
+
+        const { prompt } = buildPrompt(ghana, null, 3, { history: [fingerprintScenario(vendorScene)] });
+        expect(prompt).toContain('RECENTLY SHOWN in Ghana');
+        expect(prompt).toContain('at a market');
+    });
+});
+
+describe('generateScenario with history', () => {
+    const ghana = { name: 'Ghana', capital: 'Accra', region: 'West Africa' };
+
+    /**
+     * Fake provider answering with the given scenes in order.
+     * @param {string[]} scenes
+     */
+    const providerFor = (scenes) => ({
+        name: 'fake',
+        generateJson: jest.fn((prompt) => {
+            const scene = scenes.shift();
+            const emotions = { warmth: 0.5 };
+            const choices = ['Buy a ripe mango', 'Ask about the coins', 'Keep walking slowly', 'Wave to the girl']
+                .slice(0, Number(prompt.match(/Generate (\d) distinct choices/)[1]))
+                .map((text) => ({ text, emotions }));
+            return Promise.resolve({ scenario: scene, choices, tone: 'warm' });
+        }),
+    });
+
+    beforeEach(() => {
+        resetCounters();
+    });
+
+    afterAll(() => {
+        setLlmProvider(undefined);
+    });
+
+    test('regenerates a near-duplicate and remembers the accepted scene', async () => {
+        rememberScenario('Ghana', fingerprintScenario(vendorScene));
+        const provider = providerFor([vendorAgain, harbourScene]);
+        setLlmProvider(provider);
+
+        const scenario = await generateScenario(ghana);
+
+        expect(scenario.scenario).toBe(harbourScene);
+        expect(provider.generateJson).toHaveBeenCalledTimes(2);
+        expect(provider.generateJson.mock.calls[0][0]).toContain('RECENTLY SHOWN in Ghana');
+        expect(getCounters().scenarioGeneration).toMatchObject({ near_duplicate: 1, valid: 1 });
+        expect(getScenarioHistory('Ghana')).toHaveLength(2);
+    });
+
+    test('accepts a repeat on the last attempt rather than falling back', async () => {
+        rememberScenario('Ghana', fingerprintScenario(vendorScene));
+        setLlmProvider(providerFor([vendorAgain, vendorAgain, vendorAgain]));
+
+        const scenario = await generateScenario(ghana);
+
+        expect(scenario.generated).toBe(true);
+        expect(getCounters().scenarioGeneration).toMatchObject({ near_duplicate: 2, duplicate_accepted: 1, valid: 1 });
+    });
+});
@@ -0,0 +1,186 @@
+/**
+ * Scenario Packs — Unit Tests
+ * Pack validation and loading, country → region → generic selection, and
+ * the fallback scenes built from packs.
+ */
+
+jest.mock('../src/utils/logger', () => ({
+    logger: {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+    },
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    validateScenarioPack,
+    readScenarioPacks,
+    loadScenarioPacks,
+    selectPackScene,
+    renderPackScene,
+    toPackScene,
+    packKey,
+    BUNDLED_PACKS_DIR,
+} = require('../src/services/scenarioPacks');
+const { getFallbackScenario, isValidScenario } = require('../src/services/scenarioGenerator');
+const { logger } = require('../src/utils/logger');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'atlas-packs-'));
+
+const emotions = { warmth: 0.6, loneliness: 0.2, tension: 0.1, nostalgia: 0.4, belonging: 0.5 };
+
+/**
+ * A valid scene with three choices, one of which branches.
+ * @param {string} scenario
+ * @param {Object} [extra] - Extra scene fields (timesOfDay, seasons, tone)
+ */
+function scene(scenario, extra = {}) {
+    return {
+        scenario,
+        ...extra,
+        choices: [
+            {
+                text: 'Greet the neighbour warmly',
+                emotions,
+                followUp: {
+                    scenario: 'She invites you in.',
+                    choices: [{ text: 'Step inside gladly', emotions }, { text: 'Politely say no', emotions }],
+                },
+            },
+            { text: 'Keep walking to {{capital}}', emotions },
+            { text: 'Sit on the wall', emotions },
+        ],
+    };
+}
+
+/** Dawn and night moments outside the tropics */
+const dawn = { timeOfDay: 'early morning', season: 'winter', tropical: false };
+const night = { timeOfDay: 'night', season: 'winter', tropical: false };
+
+afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('validateScenarioPack', () => {
+    test('accepts a pack and keeps its moment tags', () => {
+        const pack = validateScenarioPack({ scope: 'country', name: 'Peru', scenes: [scene('Dawn in Cusco.', { timesOfDay: ['morning'] })] });
+        expect(pack).toMatchObject({ scope: 'country', name: 'Peru' });
+        expect(pack.scenes[0].timesOfDay).toEqual(['morning']);
+    });
+
+    test('names the problems it finds', () => {
+        expect(() => validateScenarioPack({ scope: 'city', name: 'Lima', scenes: [] })).toThrow(/scope must be one of/);
+        expect(() => validateScenarioPack({ scope: 'region', scenes: [scene('x')] })).toThrow(/needs a name/);
+        expect(() => validateScenarioPack({
+            scope: 'generic',
+            scenes: [scene('A scene.', { timesOfDay: ['noon'] }), { scenario: 'Too few.', choices: [] }],
+        })).toThrow(/scenes\[0\]\.timesOfDay: "noon".*scenes\[1\]\.choices/);
+    });
+
+    test('drops emotion keys outside the model', () => {
+        const raw = scene('A scene.');
+        raw.choices[1].emotions = { ...emotions, awe: 0.9 };
+        expect(validateScenarioPack({ scope: 'generic', scenes: [raw] }).scenes[0].choices[1].emotions).not.toHaveProperty('awe');
+    });
+});
+
+describe('loading', () => {
+    test('the bundled packs are all valid', () => {
+        const packs = readScenarioPacks(BUNDLED_PACKS_DIR);
+        expect([...packs.keys()].sort()).toEqual(['country:chad', 'country:norway', 'generic', 'region:caribbean']);
+        expect(logger.error).not.toHaveBeenCalled();
+    });
+
+    test('SCENARIO_PACKS_DIR adds to the bundled packs and invalid files are skipped', () => {
+        const dir = fs.mkdtempSync(path.join(tmpDir, 'extra-'));
+        fs.writeFileSync(path.join(dir, 'chad.json'), JSON.stringify({ scope: 'country', name: 'Chad', scenes: [scene('Extra.')] }));
+        fs.writeFileSync(path.join(dir, 'broken.json'), '{ "scope": ');
+        process.env.SCENARIO_PACKS_DIR = dir;
+        try {
+            const packs = loadScenarioPacks();
+            expect(packs.get('country:chad').map((s) => s.scenario)).toContain('Extra.');
+            expect(packs.get('country:chad').length).toBeGreaterThan(1);
+            expect(logger.error).toHaveBeenCalledWith('Scenario pack unusable, skipping', expect.objectContaining({
+                file: path.join(dir, 'broken.json'),
+            }));
+        } finally {
+            delete process.env.SCENARIO_PACKS_DIR;
+        }
+    });
+});
+
+describe('selectPackScene', () => {
+    const packs = new Map([
+        [packKey('country', 'Chad'), [scene('Chad at night.', { timesOfDay: ['night'] })]],
+        [packKey('region', 'Central Africa'), [scene('Region at dawn.', { timesOfDay: ['early morning'] })]],
+        [packKey('generic'), [scene('Anywhere, any time.'), scene('Anywhere in summer.', { seasons: ['summer'] })]],
+    ]);
+    const select = (country, moment) => selectPackScene(country, moment, { packs }).scene.scenario;
+
+    test('prefers the country, then its region, then generic scenes that fit', () => {
+        expect(select({ name: 'Chad' }, night)).toBe('Chad at night.');
+        expect(select({ name: 'Chad' }, dawn)).toBe('Region at dawn.');
+        expect(select({ name: 'Chad' }, { ...dawn, timeOfDay: 'afternoon' })).toBe('Anywhere, any time.');
+    });
+
+    test('resolves the region from the dataset', () => {
+        expect(select({ name: 'Gabon', region: 'Unknown' }, dawn)).toBe('Region at dawn.');
+        expect(selectPackScene({ name: 'Gabon' }, dawn, { packs }).pack).toBe('region:central africa');
+    });
+
+    test('ignores seasons in the tropics and settles for the most specific pack when nothing fits', () => {
+        const random = () => 0.99;
+        expect(selectPackScene({ name: 'Peru' }, { ...dawn, tropical: true }, { packs, random }).scene.scenario).toBe('Anywhere in summer.');
+        expect(selectPackScene({ name: 'Chad' }, null, { packs }).scene.scenario).toBe('Chad at night.');
+        expect(selectPackScene({ name: 'Peru' }, dawn, { packs: new Map() })).toBeNull();
+    });
+});
+
+describe('rendering and pre-generation', () => {
+    test('placeholders are filled everywhere', () => {
+        const rendered = renderPackScene(scene('Evening in {{country}}.'), { name: 'Jamaica', capital: 'Kingston' });
+        expect(rendered.scenario).toBe('Evening in Jamaica.');
+        expect(rendered.choices[1].text).toBe('Keep walking to Kingston');
+    });
+
+    test('a generated scenario becomes a pack scene for its moment', () => {
+        const generated = {
+            scenario: 'Snow on the fjord.',
+            tone: 'quiet',
+            choices: [{ id: 'A', text: 'Walk on', emotions, followUp: { scenario: 'x', choices: [{ id: 'A1', text: 'Stop', emotions }] } }],
+        };
+        expect(toPackScene(generated, dawn)).toEqual({
+            scenario: 'Snow on the fjord.',
+            tone: 'quiet',
+            timesOfDay: ['early morning'],
+            seasons: ['winter'],
+            choices: [{ text: 'Walk on', emotions, followUp: { scenario: 'x', choices: [{ text: 'Stop', emotions }] } }],
+        });
+        expect(toPackScene(generated, { ...dawn, tropical: true })).not.toHaveProperty('seasons');
+    });
+});
+
+describe('fallback scenes', () => {
+    test('Chad and Norway get their own scenes', () => {
+        const chad = getFallbackScenario({ name: 'Chad', capital: "N'Djamena" }, night);
+        const norway = getFallbackScenario({ name: 'Norway', capital: 'Oslo' }, { ...night, timeOfDay: 'afternoon' });
+
+        expect(chad.pack).toBe('country:chad');
+        expect(chad.scenario).toContain('Ennedi');
+        expect(norway.pack).toBe('country:norway');
+        expect(norway.scenario).toMatch(/Tromsø|Oslo/);
+        expect(isValidScenario(chad)).toBe(true);
+        expect(chad.choices.map((c) => c.id)).toEqual(['A', 'B', 'C']);
+        expect(chad.choices[0].followUp.choices[1].id).toBe('A2');
+    });
+
+    test('a Caribbean country gets a regional scene with its own name', () => {
+        const scene = getFallbackScenario({ name: 'Barbados', capital: 'Bridgetown' }, { ...night, tropical: true });
+        expect(scene.pack).toBe('region:caribbean');
+        expect(scene.scenario).toContain('Barbados');
+    });
+});
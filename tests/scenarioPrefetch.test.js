@@ -0,0 +1,187 @@
+/**
+ * Scenario Prefetch — Unit & Integration Tests
+ * Candidate selection after a choice, the model-call budget, and the hit
+ * rate when the next scene is served from a prefetched cache entry.
+ */
+
+jest.mock('../src/utils/logger', () => ({
+    logger: {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+    },
+}));
+
+const request = require('supertest');
+const app = require('../server');
+const {
+    selectPrefetchCandidates,
+    prefetchNextScenarios,
+    whenPrefetchIdle,
+    getPrefetchStats,
+    resetPrefetch,
+    scenarioCacheKey,
+} = require('../src/services/scenarioPrefetch');
+const { setLlmProvider } = require('../src/llm/llmProvider');
+const { StubProvider } = require('../src/llm/stubProvider');
+const { scenarioCache, worldMapCache, worldMapCacheKey } = require('../src/utils/cache');
+const { getCounters, resetCounters } = require('../src/utils/metrics');
+
+/** Start a session and enter a country, as the frontend does before asking for a scene */
+async function enterCountry(country) {
+    const { body: session } = await request(app).post('/api/sessions').send({});
+    await request(app).post('/api/validate-country').send({ country, sessionId: session.id });
+    return session.id;
+}
+
+/** Countries after Chad (last letter "d") */
+const D_COUNTRIES = ['Denmark', 'Djibouti', 'Dominica', 'Dominican Republic'];
+
+/**
+ * Stub provider whose calls can be counted.
+ * @param {number} seed
+ */
+function countingStub(seed) {
+    const stub = new StubProvider({ seed });
+    jest.spyOn(stub, 'generateJson');
+    return stub;
+}
+
+beforeEach(() => {
+    // Prefetch is off unless a budget is configured
+    process.env.SCENARIO_PREFETCH_BUDGET = '60';
+});
+
+afterEach(() => {
+    setLlmProvider(undefined);
+    scenarioCache.clear();
+    worldMapCache.clear();
+    resetPrefetch();
+    resetCounters();
+    delete process.env.SCENARIO_PREFETCH_BUDGET;
+});
+
+describe('selectPrefetchCandidates', () => {
+    test('offers unused countries starting with the last letter', () => {
+        const names = selectPrefetchCandidates('Chad', ['chad', 'denmark'], new Map(), { limit: 5 }).map((c) => c.name);
+        expect(names.sort()).toEqual(['Djibouti', 'Dominica', 'Dominican Republic']);
+    });
+
+    test('draws popular countries first', () => {
+        const visits = new Map([['dominican republic', 500]]);
+        const [first] = selectPrefetchCandidates('Chad', [], visits, { random: () => 0.5 });
+        expect(first.name).toBe('Dominican Republic');
+        expect(selectPrefetchCandidates('Chad', [], visits)).toHaveLength(3);
+    });
+});
+
+describe('prefetchNextScenarios', () => {
+    test('warms the cache for the likely next countries', async () => {
+        const stub = countingStub(21);
+        setLlmProvider(stub);
+
+        const prefetched = await prefetchNextScenarios({ country: 'Chad', usedCountries: ['chad'] });
+
+        expect(prefetched).toHaveLength(3);
+        prefetched.forEach((name) => {
+            expect(D_COUNTRIES).toContain(name);
+            expect(scenarioCache.get(scenarioCacheKey(name, 'en'))).toMatchObject({ country: name, generated: true });
+        });
+        expect(stub.generateJson).toHaveBeenCalledTimes(3);
+        expect(getCounters().scenarioPrefetch.prefetched).toBe(3);
+
+        // Already cached countries are not generated again
+        await prefetchNextScenarios({ country: 'Chad', usedCountries: ['chad'] });
+        expect(stub.generateJson.mock.calls.length).toBeLessThanOrEqual(4);
+    });
+
+    test('stops when the hourly budget is spent', async () => {
+        process.env.SCENARIO_PREFETCH_BUDGET = '2';
+        setLlmProvider(countingStub(22));
+
+        expect(await prefetchNextScenarios({ country: 'Chad' })).toHaveLength(2);
+        expect(getCounters().scenarioPrefetch.skipped_budget).toBe(1);
+        expect(getPrefetchStats()).toMatchObject({ budget: 2, remaining: 0 });
+    });
+
+    test('stops a generation that would go over the budget', async () => {
+        process.env.SCENARIO_PREFETCH_BUDGET = '2';
+        const provider = { name: 'fake', generateJson: jest.fn().mockResolvedValue({ scenario: 'Too short.' }) };
+        setLlmProvider(provider);
+
+        expect(await prefetchNextScenarios({ country: 'Chad' })).toEqual([]);
+        expect(provider.generateJson).toHaveBeenCalledTimes(2);
+        expect(getCounters().scenarioPrefetch).toMatchObject({ skipped_budget: 1 });
+        expect(getCounters().scenarioGeneration.fallback_cancelled).toBe(1);
+        expect(getPrefetchStats().remaining).toBe(0);
+    });
+
+    test('does nothing without a provider or a budget', async () => {
+        expect(await prefetchNextScenarios({ country: 'Chad' })).toEqual([]);
+
+        const stub = countingStub(23);
+        setLlmProvider(stub);
+        for (const budget of [undefined, '0']) {
+            if (budget === undefined) delete process.env.SCENARIO_PREFETCH_BUDGET;
+            else process.env.SCENARIO_PREFETCH_BUDGET = budget;
+            expect(await prefetchNextScenarios({ country: 'Chad' })).toEqual([]);
+        }
+        expect(stub.generateJson).not.toHaveBeenCalled();
+    });
+
+    test('takes visit counts from the cached world map', async () => {
+        setLlmProvider(countingStub(25));
+        worldMapCache.set(worldMapCacheKey(), { count: 1, countries: [{ name: 'Dominican Republic', visitCount: 500 }] });
+
+        const [first] = await prefetchNextScenarios({ country: 'Chad' }, { random: () => 0.5 });
+        expect(first).toBe('Dominican Republic');
+        expect(worldMapCache.stats()).toMatchObject({ hits: 0, misses: 0 });
+    });
+
+    test('leaves a scene a player is already loading alone', async () => {
+        const stub = countingStub(26);
+        setLlmProvider(stub);
+        let release;
+        const playerLoad = new Promise((resolve) => { release = resolve; });
+        D_COUNTRIES.forEach((name) => {
+            scenarioCache.getOrSet(scenarioCacheKey(name, 'en'), () => playerLoad.then(() => ({ country: name, generated: true })));
+        });
+
+        const prefetch = prefetchNextScenarios({ country: 'Chad' });
+        await new Promise((resolve) => setImmediate(resolve));
+        release();
+
+        expect(await prefetch).toEqual([]);
+        expect(stub.generateJson).not.toHaveBeenCalled();
+        expect(getCounters().scenarioPrefetch?.prefetched).toBeUndefined();
+    });
+
+    test('does not cache fallback scenes', async () => {
+        setLlmProvider({ name: 'fake', generateJson: jest.fn().mockResolvedValue({ scenario: 'Too short.' }) });
+
+        expect(await prefetchNextScenarios({ country: 'Chad' })).toEqual([]);
+        expect(getCounters().scenarioPrefetch.fallback).toBe(3);
+        D_COUNTRIES.forEach((name) => expect(scenarioCache.has(scenarioCacheKey(name, 'en'))).toBe(false));
+    });
+});
+
+describe('after a submitted choice', () => {
+    test('the next country is served from the prefetched scene', async () => {
+        setLlmProvider(countingStub(24));
+
+        const sessionId = await enterCountry('Chad');
+        const first = await request(app).post('/api/generate-scenario').send({ country: 'Chad', sessionId });
+        await request(app).post('/api/submit-choice').send({ scenarioId: first.body.scenarioId, choiceId: 'A1' }).expect(200);
+        await whenPrefetchIdle();
+
+        const next = D_COUNTRIES.find((name) => scenarioCache.has(scenarioCacheKey(name, 'en')));
+        const warmed = scenarioCache.get(scenarioCacheKey(next, 'en'));
+        await request(app).post('/api/validate-country').send({ country: next, sessionId }).expect(200);
+        const res = await request(app).post('/api/generate-scenario').send({ country: next, sessionId });
+
+        expect(res.body.scenario).toBe(warmed.scenario);
+        const { body } = await request(app).get('/api/metrics');
+        expect(body.prefetch).toMatchObject({ hits: 1, misses: 1, hitRate: '50.0%' });
+    });
+});
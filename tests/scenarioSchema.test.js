@@ -0,0 +1,179 @@
+/**
+ * Scenario Schema — Unit Tests
+ * Validation errors with paths, the repair pass, and how the generator
+ * counts failure reasons per attempt.
+ */
+
+jest.mock('../src/utils/logger', () => ({
+    logger: {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+    },
+}));
+
+const {
+    validateScenarioPayload,
+    repairScenarioPayload,
+    checkScenarioPayload,
+    countSentences,
+} = require('../src/services/scenarioSchema');
+const { generateScenario } = require('../src/services/scenarioGenerator');
+const { setLlmProvider } = require('../src/llm/llmProvider');
+const { getCounters, resetCounters } = require('../src/utils/metrics');
+
+const vector = { warmth: 0.4, loneliness: 0.2, tension: 0.1, nostalgia: 0.3, belonging: 0.5 };
+const valid = () => ({
+    scenario: 'A fisherman mends his net by the harbour. He nods as you pass.',
+    choices: [
+        { text: 'Offer to hold the net', emotions: { ...vector } },
+        { text: 'Ask about the morning catch', emotions: { ...vector } },
+        {
+            text: 'Sit on the harbour wall',
+            emotions: { ...vector },
+            followUp: {
+                scenario: 'The gulls settle around you.',
+                choices: [
+                    { text: 'Toss them a crust', emotions: { warmth: 0.6 } },
+                    { text: 'Shoo them away', emotions: { tension: 0.4 } },
+                ],
+            },
+        },
+    ],
+    tone: 'calm',
+});
+
+const codes = (payload) => validateScenarioPayload(payload).map((e) => `${e.path}:${e.code}`);
+
+describe('validateScenarioPayload', () => {
+    test('accepts a well-formed scenario', () => {
+        expect(validateScenarioPayload(valid())).toEqual([]);
+    });
+
+    test('reports unknown emotion keys and out-of-range scores with their paths', () => {
+        const payload = valid();
+        payload.choices[0].emotions.awe = 0.5;
+        payload.choices[1].emotions.warmth = 1.4;
+        payload.choices[2].followUp.choices[1].emotions.tension = '0.4';
+
+        expect(codes(payload)).toEqual([
+            'choices[0].emotions.awe:unknown_key',
+            'choices[1].emotions.warmth:range',
+            'choices[2].followUp.choices[1].emotions.tension:type',
+        ]);
+    });
+
+    test('enforces word counts, the sentence limit and choice counts', () => {
+        const payload = valid();
+        payload.scenario = 'One. Two. Three.';
+        payload.choices[0].text = 'Go';
+        payload.choices[1].text = Array(20).fill('word').join(' ');
+        payload.choices.push(...valid().choices);
+
+        expect(codes(payload)).toEqual([
+            'scenario:sentence_count',
+            'choices:too_many_items',
+            'choices[0].text:word_count',
+            'choices[1].text:word_count',
+        ]);
+    });
+
+    test('rejects a third decision and a missing field', () => {
+        const payload = valid();
+        payload.choices[2].followUp.choices[0].followUp = valid().choices[2].followUp;
+        delete payload.choices[1].emotions;
+
+        expect(codes(payload)).toEqual([
+            'choices[1]:required',
+            'choices[2].followUp.choices[0].followUp:unknown_key',
+        ]);
+    });
+
+    test('counts sentences without splitting decimals or quoted speech', () => {
+        expect(countSentences('It costs 2.50 here. You pay!')).toBe(2);
+        expect(countSentences('"Wait," she says. "Come back."')).toBe(2);
+    });
+
+    test('counts words and sentences in scripts without spaces', () => {
+        const payload = valid();
+        payload.scenario = '雨の朝、駅前で店主が傘を売っている。あなたに気づいて微笑む。';
+        payload.choices[0].text = '傘を一本買う';
+        expect(validateScenarioPayload(payload)).toEqual([]);
+
+        payload.scenario += 'そして手を振る。';
+        expect(codes(payload)).toEqual(['scenario:sentence_count']);
+        expect(countSentences('क्या हुआ? ठीक है।')).toBe(2);
+    });
+});
+
+describe('repairScenarioPayload', () => {
+    test('clamps scores, parses numbers, drops stray keys and trims extra choices', () => {
+        const payload = valid();
+        payload.choices[0].emotions = { warmth: 1.7, tension: '-0.2', awe: 1 };
+        payload.choices[0].text = '  Offer to hold the net ';
+        payload.choices.push(valid().choices[0], valid().choices[1]);
+        payload.choices[2].followUp.choices.push(...valid().choices[2].followUp.choices);
+
+        const { payload: repaired, repairs } = repairScenarioPayload(payload);
+
+        expect(repaired.choices).toHaveLength(4);
+        expect(repaired.choices[0]).toMatchObject({ text: 'Offer to hold the net', emotions: { warmth: 1, tension: 0 } });
+        expect(repaired.choices[2].followUp.choices).toHaveLength(3);
+        expect(repairs.sort()).toEqual(['clamped_values', 'dropped_unknown_emotions', 'parsed_numbers', 'trimmed_choices']);
+        expect(validateScenarioPayload(repaired)).toEqual([]);
+    });
+
+    test('leaves content problems for a retry', () => {
+        const payload = valid();
+        payload.choices[0].text = '';
+
+        const result = checkScenarioPayload(payload);
+        expect(result.errors.map((e) => e.code)).toEqual(['empty']);
+    });
+});
+
+describe('generateScenario failure accounting', () => {
+    const country = { name: 'Chad', capital: "N'Djamena", region: 'Central Africa' };
+
+    beforeEach(() => {
+        resetCounters();
+    });
+
+    afterAll(() => {
+        setLlmProvider(undefined);
+    });
+
+    test('uses a repaired answer without retrying', async () => {
+        const payload = valid();
+        payload.choices[0].emotions.warmth = 3;
+        const generateJson = jest.fn().mockResolvedValue(payload);
+        setLlmProvider({ name: 'fake', generateJson });
+
+        const scenario = await generateScenario(country);
+
+        expect(generateJson).toHaveBeenCalledTimes(1);
+        expect(scenario.generated).toBe(true);
+        expect(scenario.choices[0].emotions.warmth).toBe(1);
+        expect(getCounters().scenarioGeneration).toEqual({ repaired: 1, valid: 1 });
+    });
+
+    test('counts each failure reason and falls back after the retries', async () => {
+        const broken = valid();
+        broken.choices = broken.choices.slice(0, 2);
+        const generateJson = jest.fn()
+            .mockRejectedValueOnce(new SyntaxError('Unexpected token'))
+            .mockResolvedValueOnce(broken)
+            .mockResolvedValueOnce(broken);
+        setLlmProvider({ name: 'fake', generateJson });
+
+        const scenario = await generateScenario(country);
+
+        expect(scenario.generated).toBe(false);
+        expect(getCounters().scenarioGeneration).toEqual({
+            invalid_json: 1,
+            schema_too_few_items: 2,
+            fallback_retries_exhausted: 1,
+        });
+    });
+});
@@ -0,0 +1,160 @@
+/**
+ * Scenario Streaming — Unit & Integration Tests
+ * Drafts of the scene while the model writes it, and the Server-Sent Events
+ * endpoint that carries them to the browser.
+ */
+
+jest.mock('../src/utils/logger', () => ({
+    logger: {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+    },
+}));
+
+const request = require('supertest');
+const app = require('../server');
+const { generateScenario } = require('../src/services/scenarioGenerator');
+const { setLlmProvider } = require('../src/llm/llmProvider');
+const { StubProvider } = require('../src/llm/stubProvider');
+const { scenarioCache } = require('../src/utils/cache');
+
+const peru = { name: 'Peru', capital: 'Lima', region: 'South America' };
+
+const emotions = { warmth: 0.6, loneliness: 0.2 };
+
+/** Start a session and enter a country, as the frontend does before asking for a scene */
+async function enterCountry(country) {
+    const { body: session } = await request(app).post('/api/sessions').send({});
+    await request(app).post('/api/validate-country').send({ country, sessionId: session.id });
+    return session.id;
+}
+
+/**
+ * Fake provider streaming each answer in the list, one per call, in small chunks.
+ * @param {Object[]} answers - JSON answers in call order
+ */
+function streamingProvider(answers) {
+    let call = 0;
+    return {
+        name: 'fake',
+        generateJson: jest.fn((prompt, options = {}) => {
+            const count = Number(prompt.match(/Generate (\d) distinct choices/)[1]);
+            const answer = answers[Math.min(call++, answers.length - 1)];
+            const result = { ...answer, choices: answer.choices.slice(0, count) };
+            const text = JSON.stringify(result);
+            for (let i = 0; options.onText && i < text.length; i += 7) options.onText(text.slice(i, i + 7));
+            return Promise.resolve(result);
+        }),
+    };
+}
+
+const choices = ['Buy a cup of chicha', 'Ask the way to the plaza', 'Sit down on the steps', 'Walk on slowly']
+    .map((text) => ({ text, emotions }));
+
+/**
+ * Parse a Server-Sent Events body.
+ * @param {string} text
+ * @returns {{ event: string, data: Object }[]}
+ */
+function parseEvents(text) {
+    return text.trim().split('\n\n').map((block) => ({
+        event: block.match(/^event: (.+)$/m)[1],
+        data: JSON.parse(block.match(/^data: (.+)$/m)[1]),
+    }));
+}
+
+/** Buffer the raw event stream as text */
+const readStream = (res, done) => {
+    let body = '';
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => { body += chunk; });
+    res.on('end', () => done(null, body));
+};
+
+afterEach(() => {
+    setLlmProvider(undefined);
+    scenarioCache.clear();
+});
+
+describe('scene drafts', () => {
+    test('the draft streams in whole words and matches the final scene', async () => {
+        setLlmProvider(streamingProvider([{ scenario: 'Rain drums on the tin roofs of Lima. A vendor waves you under her awning.', choices }]));
+        const drafts = [];
+
+        const scenario = await generateScenario(peru, null, { onDraft: (text, attempt) => drafts.push({ text, attempt }) });
+
+        expect(drafts.length).toBeGreaterThan(2);
+        expect(drafts.every((d) => d.attempt === 0)).toBe(true);
+        expect(drafts.map((d) => d.text).join('')).toBe(scenario.scenario);
+    });
+
+    test('a retried attempt starts a new draft', async () => {
+        setLlmProvider(streamingProvider([
+            { scenario: 'A first try.', choices: choices.slice(0, 1) },
+            { scenario: 'A second, valid try in Lima.', choices },
+        ]));
+        const drafts = [];
+
+        const scenario = await generateScenario(peru, null, { onDraft: (text, attempt) => drafts.push({ text, attempt }) });
+
+        expect(scenario.generated).toBe(true);
+        expect(drafts.filter((d) => d.attempt === 0).map((d) => d.text).join('')).toBe('A first try.');
+        expect(drafts.filter((d) => d.attempt === 1).map((d) => d.text).join('')).toBe(scenario.scenario);
+    });
+
+    test('stops streaming at a blocked phrase and serves a fallback', async () => {
+        setLlmProvider(streamingProvider([{ scenario: 'A calm square in Lima where the primitive stalls stand.', choices }]));
+        const drafts = [];
+
+        const scenario = await generateScenario(peru, null, { onDraft: (text) => drafts.push(text) });
+
+        expect(drafts.join('')).not.toMatch(/primitive/);
+        expect(scenario.generated).toBe(false);
+    });
+});
+
+describe('GET /api/generate-scenario/stream', () => {
+    test('streams tokens and ends with the ticketed scenario', async () => {
+        setLlmProvider(new StubProvider({ seed: 11 }));
+
+        const res = await request(app)
+            .get('/api/generate-scenario/stream')
+            .query({ country: 'Peru', sessionId: await enterCountry('Peru') })
+            .buffer(true)
+            .parse(readStream);
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+
+        const events = parseEvents(res.body);
+        const final = events.pop();
+        expect(final.event).toBe('scenario');
+        expect(final.data).toMatchObject({ country: 'Peru', generated: true, scenarioId: expect.any(String) });
+        expect(events.length).toBeGreaterThan(1);
+        expect(events.every((e) => e.event === 'token')).toBe(true);
+        expect(events.map((e) => e.data.text).join('')).toBe(final.data.scenario);
+    });
+
+    test('a cached scenario arrives as the final event alone', async () => {
+        setLlmProvider(new StubProvider({ seed: 12 }));
+        const sessionId = await enterCountry('Peru');
+        const get = () => request(app).get('/api/generate-scenario/stream').query({ country: 'Peru', sessionId }).buffer(true).parse(readStream);
+
+        const first = parseEvents((await get()).body).pop();
+        const events = parseEvents((await get()).body);
+
+        expect(events).toHaveLength(1);
+        expect(events[0].data.scenario).toBe(first.data.scenario);
+        expect(events[0].data.scenarioId).not.toBe(first.data.scenarioId);
+    });
+
+    test('rejects bad parameters before opening the stream', async () => {
+        const res = await request(app).get('/api/generate-scenario/stream').query({ country: 'Atlantis', sessionId: '00000000-0000-4000-8000-000000000000' });
+
+        expect(res.status).toBe(400);
+        expect(res.body).toEqual({ error: '"Atlantis" is not recognized as a valid country', code: 'VALIDATION_ERROR' });
+        expect((await request(app).get('/api/generate-scenario/stream')).status).toBe(400);
+    });
+});
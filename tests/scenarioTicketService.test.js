@@ -0,0 +1,104 @@
+/**
+ * Scenario Ticket Service — Unit Tests
+ * Runs against the in-memory store (no Firestore credentials in tests).
+ */
+
+jest.mock('../src/utils/logger', () => ({
+    logger: {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+    },
+}));
+
+const {
+    issueScenarioTicket,
+    getScenarioTicket,
+    redeemScenarioTicket,
+} = require('../src/services/scenarioTicketService');
+
+const country = { name: 'Chad', capital: "N'Djamena", lat: 15.45, lng: 18.73 };
+const scenario = {
+    scenario: 'A test scene.',
+    choices: [
+        { id: 'A', text: 'Wave', emotions: { warmth: 1.7, loneliness: -1 } },
+        { id: 'B', text: 'Walk on', emotions: { loneliness: 0.6 } },
+    ],
+};
+
+describe('Scenario Ticket Service', () => {
+    test('issues a ticket holding normalized choice vectors', async () => {
+        const id = await issueScenarioTicket(scenario, country, null);
+        const ticket = await getScenarioTicket(id);
+
+        expect(ticket.country.name).toBe('Chad');
+        expect(ticket.choices[0]).toEqual({
+            id: 'A',
+            emotions: { warmth: 1, loneliness: 0, tension: 0, nostalgia: 0, belonging: 0 },
+        });
+        expect(ticket.redeemedAt).toBeNull();
+    });
+
+    test('holds the combined outcome of each follow-up instead of the first step', async () => {
+        const branching = {
+            scenario: 'A test scene.',
+            choices: [
+                {
+                    id: 'A',
+                    text: 'Wave',
+                    emotions: { warmth: 1 },
+                    followUp: {
+                        scenario: 'They wave back.',
+                        choices: [
+                            { id: 'A1', text: 'Walk over', emotions: { belonging: 1 } },
+                            { id: 'A2', text: 'Smile and go', emotions: { warmth: 0.5 } },
+                        ],
+                    },
+                },
+                { id: 'B', text: 'Walk on', emotions: { loneliness: 0.6 } },
+            ],
+        };
+
+        const ticket = await getScenarioTicket(await issueScenarioTicket(branching, country));
+
+        expect(ticket.choices.map((c) => c.id)).toEqual(['A1', 'A2', 'B']);
+        expect(ticket.choices[0].emotions).toEqual({ warmth: 0.5, loneliness: 0, tension: 0, nostalgia: 0, belonging: 0.5 });
+        expect(ticket.choices[1].emotions.warmth).toBe(0.75);
+    });
+
+    test('records the owning session', async () => {
+        const id = await issueScenarioTicket(scenario, country, 'session-1');
+        expect((await getScenarioTicket(id)).sessionId).toBe('session-1');
+    });
+
+    test('redeems a ticket exactly once', async () => {
+        const id = await issueScenarioTicket(scenario, country);
+
+        expect(await redeemScenarioTicket(id, 'B')).toBe(true);
+        expect(await redeemScenarioTicket(id, 'A')).toBe(false);
+
+        const ticket = await getScenarioTicket(id);
+        expect(ticket.redeemedAt).not.toBeNull();
+        expect(ticket.choiceId).toBe('B');
+    });
+
+    test('returns null / false for unknown or malformed IDs', async () => {
+        expect(await getScenarioTicket('00000000-0000-4000-8000-000000000000')).toBeNull();
+        expect(await getScenarioTicket('not-a-ticket')).toBeNull();
+        expect(await redeemScenarioTicket('00000000-0000-4000-8000-000000000000', 'A')).toBe(false);
+    });
+
+    test('expired tickets cannot be loaded or redeemed', async () => {
+        const realNow = Date.now;
+        const id = await issueScenarioTicket(scenario, country);
+
+        Date.now = () => realNow() + 31 * 60 * 1000;
+        try {
+            expect(await getScenarioTicket(id)).toBeNull();
+            expect(await redeemScenarioTicket(id, 'A')).toBe(false);
+        } finally {
+            Date.now = realNow;
+        }
+    });
+});
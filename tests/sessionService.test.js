@@ -0,0 +1,203 @@
+/**
+ * Session Service — Unit Tests
+ * Runs against the in-memory store (no Firestore credentials in tests), and
+ * against a fake Firestore for the transactional read-modify-write.
+ */
+
+jest.mock('../src/utils/logger', () => ({
+    logger: {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+    },
+}));
+
+jest.mock('../src/config/firebase', () => ({ getDb: jest.fn(() => null) }));
+
+const { getDb } = require('../src/config/firebase');
+const {
+    createSession,
+    getSession,
+    addCountryToSession,
+    isCurrentCountry,
+    completeCurrentCountry,
+    recordDominantEmotion,
+} = require('../src/services/sessionService');
+
+describe('Session Service', () => {
+    describe('createSession / getSession', () => {
+        test('creates an empty session that can be loaded back', async () => {
+            const session = await createSession();
+
+            expect(session.id).toMatch(/^[0-9a-f-]{36}$/);
+            expect(session.countryChain).toEqual([]);
+            expect(session.previousCountry).toBeNull();
+
+            const loaded = await getSession(session.id);
+            expect(loaded.id).toBe(session.id);
+        });
+
+        test('returns null for unknown session IDs', async () => {
+            expect(await getSession('00000000-0000-4000-8000-000000000000')).toBeNull();
+        });
+
+        test('returns null for malformed session IDs', async () => {
+            expect(await getSession('../countries/japan')).toBeNull();
+            expect(await getSession(undefined)).toBeNull();
+        });
+    });
+
+    describe('addCountryToSession', () => {
+        test('returns null for a missing session', async () => {
+            expect(await addCountryToSession('00000000-0000-4000-8000-000000000000', 'Japan')).toBeNull();
+        });
+
+        test('appends a valid first country', async () => {
+            const { id } = await createSession();
+            const { session, result } = await addCountryToSession(id, 'japan');
+
+            expect(result.valid).toBe(true);
+            expect(session.previousCountry).toBe('Japan');
+            expect(session.currentCountry).toBe('Japan');
+            expect(session.usedCountries).toEqual(['japan']);
+            expect(session.countryChain).toHaveLength(1);
+        });
+
+        test('enforces the Atlas rule from stored state', async () => {
+            const session = await createSession();
+            await addCountryToSession(session.id, 'Japan');
+            await completeCurrentCountry(session.id, 'Japan', 'A');
+
+            const { result } = await addCountryToSession(session.id, 'Peru');
+            expect(result.valid).toBe(false);
+            expect(result.requiredLetter).toBe('N');
+
+            const next = await addCountryToSession(session.id, 'Nepal');
+            expect(next.result.valid).toBe(true);
+        });
+
+        test('prevents replaying a country already in the chain', async () => {
+            const session = await createSession();
+            for (const country of ['Kenya', 'Albania']) {
+                await addCountryToSession(session.id, country);
+                await completeCurrentCountry(session.id, country, 'A');
+            }
+
+            const { result } = await addCountryToSession(session.id, 'Albania');
+            expect(result.valid).toBe(false);
+            expect(result.error).toContain('already been used');
+        });
+
+        test('blocks a new country while a choice is pending', async () => {
+            const session = await createSession();
+            await addCountryToSession(session.id, 'Japan');
+
+            const { result } = await addCountryToSession(session.id, 'Nepal');
+            expect(result.valid).toBe(false);
+            expect(result.error).toContain('Japan');
+        });
+
+        test('re-entering the pending country is idempotent', async () => {
+            const session = await createSession();
+            await addCountryToSession(session.id, 'Japan');
+
+            const { session: after, result } = await addCountryToSession(session.id, 'Japan');
+            expect(result.valid).toBe(true);
+            expect(after.countryChain).toHaveLength(1);
+        });
+    });
+
+    describe('isCurrentCountry / completeCurrentCountry / recordDominantEmotion', () => {
+        test('tracks the country awaiting a choice', async () => {
+            const { id } = await createSession();
+            const { session } = await addCountryToSession(id, 'Japan');
+
+            expect(isCurrentCountry(session, 'japan')).toBe(true);
+            expect(isCurrentCountry(session, 'Nepal')).toBe(false);
+
+            expect(await completeCurrentCountry(id, 'Nepal', 'B')).toBeNull();
+
+            const completed = await completeCurrentCountry(id, 'Japan', 'B');
+            expect(completed.currentCountry).toBeNull();
+            expect(completed.countryChain[0]).toEqual({ name: 'Japan', choiceId: 'B', dominantEmotion: null });
+            expect(isCurrentCountry(completed, 'Japan')).toBe(false);
+
+            // The step is claimed once
+            expect(await completeCurrentCountry(id, 'Japan', 'C')).toBeNull();
+
+            const recorded = await recordDominantEmotion(id, 'Japan', 'nostalgia');
+            expect(recorded.countryChain[0]).toEqual({ name: 'Japan', choiceId: 'B', dominantEmotion: 'nostalgia' });
+        });
+
+        test('handles missing session or country', async () => {
+            expect(isCurrentCountry(null, 'Japan')).toBe(false);
+            expect(isCurrentCountry({ currentCountry: 'Japan' }, undefined)).toBe(false);
+            expect(await completeCurrentCountry('00000000-0000-4000-8000-000000000000', 'Japan', 'A')).toBeNull();
+        });
+    });
+
+    describe('on Firestore', () => {
+        /** A one-document Firestore whose transactions read the stored session */
+        function fakeDb(session) {
+            const ref = {};
+            const tx = {
+                get: jest.fn(() => Promise.resolve({ exists: true, data: () => structuredClone(session) })),
+                set: jest.fn((_ref, next) => { session = next; }),
+            };
+            const db = {
+                collection: () => ({ doc: () => ref }),
+                runTransaction: jest.fn((fn) => fn(tx)),
+            };
+            return { db, tx };
+        }
+
+        afterEach(() => {
+            getDb.mockReturnValue(null);
+        });
+
+        test('validates and appends the country inside a transaction', async () => {
+            const now = new Date().toISOString();
+            const { db, tx } = fakeDb({
+                id: '00000000-0000-4000-8000-000000000001',
+                countryChain: [{ name: 'Japan', choiceId: 'A', dominantEmotion: 'warmth' }],
+                usedCountries: ['japan'],
+                previousCountry: 'Japan',
+                currentCountry: null,
+                createdAt: now,
+                updatedAt: now,
+            });
+            getDb.mockReturnValue(db);
+
+            const { session, result } = await addCountryToSession('00000000-0000-4000-8000-000000000001', 'Nepal');
+
+            expect(db.runTransaction).toHaveBeenCalledTimes(1);
+            expect(result.valid).toBe(true);
+            expect(session.currentCountry).toBe('Nepal');
+            expect(tx.set).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ usedCountries: ['japan', 'nepal'] }));
+
+            const completed = await completeCurrentCountry(session.id, 'Nepal', 'B');
+            expect(db.runTransaction).toHaveBeenCalledTimes(2);
+            expect(completed.currentCountry).toBeNull();
+        });
+
+        test('does not write a rejected country', async () => {
+            const now = new Date().toISOString();
+            const { db, tx } = fakeDb({
+                id: '00000000-0000-4000-8000-000000000002',
+                countryChain: [],
+                usedCountries: [],
+                previousCountry: 'Japan',
+                currentCountry: null,
+                createdAt: now,
+                updatedAt: now,
+            });
+            getDb.mockReturnValue(db);
+
+            const { result } = await addCountryToSession('00000000-0000-4000-8000-000000000002', 'Peru');
+
+            expect(result.valid).toBe(false);
+            expect(tx.set).not.toHaveBeenCalled();
+        });
+    });
+});